@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * Command-line front end to the calculation core.
+ *
+ *   samplesize cohort --p1 9.5 --p2 5 --power 80 --ratio 1
+ *   samplesize rct --p1 50 --p2 40 --json
+ *   samplesize --csv scenarios.csv --out results.csv
+ *
+ * Run `samplesize --help` for the full usage.
+ */
+const fs = require('fs');
+const path = require('path');
+const core = require('../sample-size-core.js');
+
+const USAGE = `Usage:
+  samplesize <design> [--<input> <value> ...] [--json]
+  samplesize <design> --help          list the design's inputs and defaults
+  samplesize designs                  list the designs
+  samplesize [<design>] --csv <file> [--out <file>]
+
+Inputs use the calculator's units: percentages for proportions, power and
+confidence (--p1 9.5 is 9.5%). --alpha 0.05 may replace --confidence 95.
+Omitted inputs take the calculator's defaults; a checkbox given without a
+value (e.g. --fpc) is switched on.
+
+With --csv, each row is one scenario: a "design" column (or the <design>
+argument) and one column per input; empty cells take the defaults and
+other columns (ids, notes) are carried through. The rows are written back
+with the computed N and each method's total, as CSV on stdout or to --out.`;
+
+class UsageError extends Error {}
+
+// --- Arguments ---
+
+// { positional: [...], options: { name: value | true } } from argv
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const eq = arg.indexOf('=');
+        if (eq > -1) {
+            options[arg.slice(2, eq)] = arg.slice(eq + 1);
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            options[arg.slice(2)] = argv[++i];
+        } else {
+            options[arg.slice(2)] = true;
+        }
+    }
+    return { positional, options };
+}
+
+// Typed design inputs from raw strings, checked against describeDesign()
+function designInputs(design, raw) {
+    const specs = Object.fromEntries(core.describeDesign(design).map(spec => [spec.id, spec]));
+    const aliases = core.DESIGN_ALIASES[design] || {};
+    const values = {};
+
+    Object.entries(raw).forEach(([key, text]) => {
+        if (key === 'alpha') {
+            const alpha = Number(text);
+            if (!(alpha > 0 && alpha < 1)) throw new UsageError(`--alpha must be between 0 and 1, got "${text}"`);
+            values.alpha = alpha;
+            return;
+        }
+        const spec = specs[aliases[key] || key];
+        if (!spec) {
+            throw new UsageError(`Unknown input "${key}" for ${design}. Run \`samplesize ${design} --help\` for its inputs.`);
+        }
+        values[key] = parseValue(spec, text, key);
+    });
+    return values;
+}
+
+function parseValue(spec, text, name = spec.id) {
+    if (spec.type === 'checkbox') {
+        if (text === true) return true;
+        const flag = String(text).toLowerCase();
+        if (['true', 'yes', '1', 'on'].includes(flag)) return true;
+        if (['false', 'no', '0', 'off'].includes(flag)) return false;
+        throw new UsageError(`--${name} takes true or false, got "${text}"`);
+    }
+    if (spec.type === 'select') {
+        if (!spec.options.includes(text)) throw new UsageError(`--${name} must be one of ${spec.options.join(', ')}, got "${text}"`);
+        return text;
+    }
+    if (spec.type === 'strata') {
+        if (text === true || !String(text).includes(':')) throw new UsageError(`--${name} takes strata as "name:size:prevalence[:cost]; ...", got "${text}"`);
+        return core.parseStrata(text);
+    }
+    const num = text === true ? NaN : Number(text);
+    if (!Number.isFinite(num)) throw new UsageError(`--${name} needs a number, got "${text}"`);
+    return num;
+}
+
+// --- Text Output ---
+
+// Aligned columns; numeric tables right-align everything after the first column
+function pad(rows, numeric = true) {
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => String(row[col]).length)));
+    return rows.map(row => row.map((cell, col) => {
+        const text = String(cell);
+        return col === 0 || !numeric ? text.padEnd(widths[col]) : text.padStart(widths[col]);
+    }).join('  ').trimEnd()).join('\n');
+}
+
+function formatResult(result) {
+    if (result.error) return `${result.design}: ${result.error}`;
+
+    const lines = [`${result.design}: ${result.metric} = ${headlineText(result)}`, result.summary];
+    const sized = result.methods.filter(m => m.total !== undefined);
+    if (sized.length) {
+        const hasEvents = sized.some(m => m.events !== undefined);
+        const hasDropout = sized.some(m => m.beforeDropout);
+        const header = ['Method', 'Group 1', 'Group 2', 'Total'];
+        if (hasEvents) header.push('Events');
+        if (hasDropout) header.push('Before dropout');
+        const rows = sized.map(m => {
+            const row = [m.name, m.n1, m.n2, m.total];
+            if (hasEvents) row.push(m.events ?? '');
+            if (hasDropout) row.push(m.beforeDropout ? m.beforeDropout.total : '');
+            return row;
+        });
+        lines.push('', pad([header, ...rows]));
+    } else if (result.methods.length) {
+        const rows = result.methods.map(m => [m.name, m.text, m.detail || '']);
+        lines.push('', pad([['Method', result.metric, ''], ...rows]));
+    }
+    if (result.derived.length) {
+        lines.push('', pad(result.derived.map(item => [item.label, item.value])));
+    }
+    return lines.join('\n');
+}
+
+function headlineText(result) {
+    const method = result.methods.find(m => m.id === result.headlineMethod);
+    if (method && method.text !== undefined) return `${method.text} (${method.name})`;
+    if (method) return `${method.total} (${method.name})`;
+    return String(result.value);
+}
+
+// --- CSV ---
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Every name any design accepts; other CSV columns (ids, notes) are carried through
+function inputNames() {
+    const names = new Set(['design', 'alpha']);
+    core.designs().forEach(design => {
+        core.describeDesign(design).forEach(spec => names.add(spec.id));
+        Object.keys(core.DESIGN_ALIASES[design] || {}).forEach(alias => names.add(alias));
+    });
+    return names;
+}
+
+// Scenario rows in, the same rows plus results out. A bad row gets its message in the
+// error column rather than stopping the batch.
+function runBatch(text, defaultDesign) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new UsageError('The CSV file is empty');
+    const columns = header.map(name => name.trim());
+    if (!columns.includes('design') && !defaultDesign) {
+        throw new UsageError('The CSV needs a "design" column, or give the design as the first argument');
+    }
+    const known = inputNames();
+
+    const results = rows.map(cells => {
+        const raw = {};
+        columns.forEach((name, i) => {
+            const cell = (cells[i] || '').trim();
+            if (known.has(name) && cell !== '') raw[name] = cell;
+        });
+        const design = raw.design || defaultDesign;
+        delete raw.design;
+        try {
+            if (!core.isDesign(design)) throw new UsageError(`Unknown design "${design}"`);
+            return core.sampleSize({ design, ...designInputs(design, raw) });
+        } catch (err) {
+            return { error: err.message, methods: [] };
+        }
+    });
+
+    const methodNames = [];
+    results.forEach(result => result.methods.forEach(m => {
+        if (!methodNames.includes(m.name)) methodNames.push(m.name);
+    }));
+
+    const outHeader = [...columns, 'metric', 'n', ...methodNames.map(name => `${name} N`), 'error'];
+    const outRows = rows.map((cells, r) => {
+        const result = results[r];
+        const byName = Object.fromEntries(result.methods.map(m => [m.name, m.total ?? m.value]));
+        return [
+            ...columns.map((_, i) => cells[i] ?? ''),
+            result.metric ?? '',
+            result.value ?? '',
+            ...methodNames.map(name => byName[name] ?? ''),
+            result.error ?? ''
+        ];
+    });
+    return [outHeader, ...outRows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// --- Main ---
+
+// e.g. 'number > 0' or 'whole number 1-10'
+function numberLimits(spec) {
+    const kind = spec.integer ? 'whole number' : 'number';
+    if (spec.min !== undefined && spec.max !== undefined) return `${kind} ${spec.min}-${spec.max}`;
+    const bounds = [
+        spec.min !== undefined && `>= ${spec.min}`,
+        spec.above !== undefined && `> ${spec.above}`,
+        spec.max !== undefined && `<= ${spec.max}`,
+        spec.below !== undefined && `< ${spec.below}`
+    ].filter(Boolean);
+    return [kind, ...bounds].join(' ');
+}
+
+function describe(design) {
+    const aliases = Object.entries(core.DESIGN_ALIASES[design] || {});
+    const rows = core.describeDesign(design).map(spec => [
+        `--${spec.id}`,
+        spec.type === 'strata' ? core.strataText(spec.default) : String(spec.default),
+        spec.options ? spec.options.join(' | ') : spec.type === 'checkbox' ? 'true | false'
+            : spec.type === 'strata' ? 'name:size:prevalence[:cost]; ...' : numberLimits(spec),
+        spec.label
+    ]);
+    const lines = [`Inputs for ${design} (name, default, values, label):`, '', pad(rows, false)];
+    if (aliases.length) lines.push('', `Aliases: ${aliases.map(([alias, id]) => `--${alias} for --${id}`).join(', ')}`);
+    lines.push('', '--alpha may replace --confidence (e.g. --alpha 0.05).');
+    return lines.join('\n');
+}
+
+function main(argv) {
+    const { positional, options } = parseArgs(argv);
+    const { json, help, csv, out, ...raw } = options;
+    const [design] = positional;
+
+    if (design === 'designs') {
+        console.log(core.designs().join('\n'));
+        return 0;
+    }
+    if (design && !core.isDesign(design)) {
+        throw new UsageError(`Unknown design "${design}". Expected one of: ${core.designs().join(', ')}`);
+    }
+    if (help || (!design && !csv)) {
+        console.log(design ? describe(design) : USAGE);
+        return 0;
+    }
+
+    if (csv) {
+        if (csv === true) throw new UsageError('--csv needs a file name');
+        const output = runBatch(fs.readFileSync(path.resolve(csv), 'utf8'), design);
+        if (out && out !== true) fs.writeFileSync(path.resolve(out), output);
+        else process.stdout.write(output);
+        return 0;
+    }
+
+    const result = core.sampleSize({ design, ...designInputs(design, raw) });
+    console.log(json ? JSON.stringify(result, null, 2) : formatResult(result));
+    return result.error ? 1 : 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (err) {
+        console.error(err instanceof UsageError ? err.message : err.stack);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { main, parseArgs, parseCsv, runBatch, formatResult };
@@ -0,0 +1,723 @@
+/**
+ * Bengali catalogue for the calculator page (see setLocale in sample-size-core.js).
+ * Messages are keyed by the English source text; anything missing falls back to English.
+ */
+(function (root, catalogue) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = catalogue;
+    } else {
+        (root.SampleSizeLocales = root.SampleSizeLocales || {})[catalogue.code] = catalogue;
+    }
+}(typeof self !== 'undefined' ? self : this, {
+    code: 'bn',
+    name: 'বাংলা',
+    locale: 'bn-IN',
+    messages: {
+        // --- Design inputs ---
+        'Prevalence (P) %': 'প্রাদুর্ভাব (P) %',
+        'Expected proportion of the disease/condition.': 'রোগ/অবস্থার প্রত্যাশিত অনুপাত।',
+        'Precision Type': 'নির্ভুলতার ধরন',
+        'Relative precision suits rare conditions, where ±5 points would be wider than P itself.': 'আপেক্ষিক নির্ভুলতা বিরল অবস্থার জন্য উপযুক্ত, যেখানে ±5 পয়েন্ট P-এর চেয়েও চওড়া হয়ে যাবে।',
+        'Absolute (± percentage points)': 'পরম (± শতাংশ পয়েন্ট)',
+        'Relative (± % of P)': 'আপেক্ষিক (P-এর ± %)',
+        'Precision (D) %': 'নির্ভুলতা (D) %',
+        'Acceptable error margin (absolute precision).': 'গ্রহণযোগ্য ত্রুটির সীমা (পরম নির্ভুলতা)।',
+        'Relative Precision (% of P)': 'আপেক্ষিক নির্ভুলতা (P-এর %)',
+        'Acceptable error margin as a percentage of P (D = P × this).': 'P-এর শতাংশ হিসেবে গ্রহণযোগ্য ত্রুটির সীমা (D = P × এই মান)।',
+        'Confidence Level (%)': 'আস্থার স্তর (%)',
+        '1 - Alpha (usually 95%).': '1 - আলফা (সাধারণত 95%)।',
+        'Interval Method': 'ব্যবধান পদ্ধতি',
+        'Method for the headline N. Wald is unreliable for P < 5%; prefer Wilson or Clopper-Pearson there.': 'প্রধান N-এর পদ্ধতি। P < 5% হলে ওয়াল্ড নির্ভরযোগ্য নয়; সেখানে উইলসন বা ক্লপার-পিয়ারসন বেছে নিন।',
+        'Wald (Normal Approximation)': 'ওয়াল্ড (স্বাভাবিক আসন্নমান)',
+        'Wilson Score': 'উইলসন স্কোর',
+        'Clopper-Pearson (Exact)': 'ক্লপার-পিয়ারসন (সঠিক)',
+        'Cochran\'s Formula with Finite Population Correction (FPC)?': 'সসীম জনসংখ্যা সংশোধন (FPC) সহ কোক্রানের সূত্র?',
+        'Use when the total population is small or known.': 'মোট জনসংখ্যা ছোট বা জানা থাকলে ব্যবহার করুন।',
+        'Non-response Rate (%)': 'অ-উত্তরের হার (%)',
+        'Expected non-response. N is inflated to N / (1 - rate).': 'প্রত্যাশিত অ-উত্তর। N বাড়িয়ে N / (1 - হার) করা হয়।',
+        'Population Size (N)': 'জনসংখ্যার আকার (N)',
+        'Total population size.': 'মোট জনসংখ্যার আকার।',
+        'Cluster Sampling / Randomisation?': 'ক্লাস্টার নমুনায়ন / দৈবায়ন?',
+        'Participants are sampled or randomised in clusters (villages, schools, clinics).': 'অংশগ্রহণকারীদের ক্লাস্টারে (গ্রাম, স্কুল, ক্লিনিক) নমুনায়ন বা দৈবায়ন করা হয়।',
+        'Intraclass Correlation (ICC)': 'আন্তঃশ্রেণি সহসম্পর্ক (ICC)',
+        'Correlation of outcomes within a cluster (often 0.01-0.1).': 'একটি ক্লাস্টারের মধ্যে ফলাফলের সহসম্পর্ক (প্রায়ই 0.01-0.1)।',
+        'Average Cluster Size (m)': 'গড় ক্লাস্টার আকার (m)',
+        'Participants recruited per cluster.': 'প্রতি ক্লাস্টারে নিয়োজিত অংশগ্রহণকারী।',
+        'CV of Cluster Sizes': 'ক্লাস্টার আকারের CV',
+        'Coefficient of variation of cluster sizes; 0 if all clusters are the same size.': 'ক্লাস্টার আকারের বিচ্যুতি সহগ; সব ক্লাস্টার সমান আকারের হলে 0।',
+        'Solve For': 'কী নির্ণয় করবেন',
+        'Compute N, or the power / smallest effect a fixed N gives.': 'N, অথবা নির্দিষ্ট N থেকে পাওয়া ক্ষমতা / ক্ষুদ্রতম প্রভাব নির্ণয় করুন।',
+        'Sample Size (N)': 'নমুনার আকার (N)',
+        'Achieved Power': 'অর্জিত ক্ষমতা',
+        'Minimum Detectable OR': 'ন্যূনতম শনাক্তযোগ্য OR',
+        'Available Sample Size (Total)': 'উপলব্ধ নমুনার আকার (মোট)',
+        'Cases + controls you can recruit.': 'যত কেস + নিয়ন্ত্রণ আপনি নিয়োগ করতে পারেন।',
+        '% Exposed in Controls': 'নিয়ন্ত্রণদের মধ্যে উন্মুক্ত %',
+        'Proportion of controls exposed to the risk factor.': 'ঝুঁকির কারণে উন্মুক্ত নিয়ন্ত্রণদের অনুপাত।',
+        'Odds Ratio (OR)': 'অডস অনুপাত (OR)',
+        'Minimum odds ratio you want to detect.': 'ন্যূনতম অডস অনুপাত যা আপনি শনাক্ত করতে চান।',
+        'Power (%)': 'ক্ষমতা (%)',
+        'Probability of detecting a true effect (usually 80%).': 'প্রকৃত প্রভাব শনাক্ত করার সম্ভাবনা (সাধারণত 80%)।',
+        'Hypothesis Test': 'প্রকল্পনা পরীক্ষা',
+        'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.': 'একপার্শ্বিক পরীক্ষা পুরো আলফা একটি লেজে রাখে (Zα/2-এর বদলে Zα)। শুধু তখনই ব্যবহার করুন যখন বিপরীত দিকের প্রভাব গুরুত্বপূর্ণ নয়।',
+        'Two-sided': 'দ্বিপার্শ্বিক',
+        'One-sided': 'একপার্শ্বিক',
+        'Control to Case Ratio (r)': 'নিয়ন্ত্রণ ও কেসের অনুপাত (r)',
+        'Number of controls per case (usually 1).': 'প্রতি কেসে নিয়ন্ত্রণের সংখ্যা (সাধারণত 1)।',
+        'Non-response (%)': 'অ-উত্তর (%)',
+        'Expected loss in both groups. Each group is inflated to N / (1 - rate).': 'উভয় দলে প্রত্যাশিত ক্ষতি। প্রতিটি দল বাড়িয়ে N / (1 - হার) করা হয়।',
+        'Different Rate per Group?': 'প্রতি দলে আলাদা হার?',
+        'Set a separate rate for each group.': 'প্রতিটি দলের জন্য আলাদা হার নির্ধারণ করুন।',
+        'Non-response, Cases (%)': 'অ-উত্তর, কেস (%)',
+        'Non-response, Controls (%)': 'অ-উত্তর, নিয়ন্ত্রণ (%)',
+        'Specify Matching By': 'মিলকরণ নির্দিষ্ট করুন',
+        'Correlation of exposure within matched sets, or the expected proportions of discordant pairs from a pilot.': 'মিলিত সেটের মধ্যে উন্মুক্ততার সহসম্পর্ক, অথবা পাইলট সমীক্ষা থেকে অসঙ্গত জোড়ার প্রত্যাশিত অনুপাত।',
+        'Exposure Correlation (φ)': 'উন্মুক্ততার সহসম্পর্ক (φ)',
+        'Discordant-Pair Proportions (1:1)': 'অসঙ্গত-জোড়ার অনুপাত (1:1)',
+        'Proportion of controls exposed to the risk factor (P0).': 'ঝুঁকির কারণে উন্মুক্ত নিয়ন্ত্রণদের অনুপাত (P0)।',
+        'Correlation between case and control exposure within a matched set (0 = matching ineffective).': 'একটি মিলিত সেটের মধ্যে কেস ও নিয়ন্ত্রণের উন্মুক্ততার সহসম্পর্ক (0 = মিলকরণ অকার্যকর)।',
+        'Controls per Case (M)': 'প্রতি কেসে নিয়ন্ত্রণ (M)',
+        '1 for pair matching; 2-4 for 1:M matching.': 'জোড়া মিলকরণে 1; 1:M মিলকরণে 2-4।',
+        'Pairs: Case Exposed, Control Not (%)': 'জোড়া: কেস উন্মুক্ত, নিয়ন্ত্রণ নয় (%)',
+        'Expected proportion of pairs where only the case is exposed.': 'যেসব জোড়ায় শুধু কেস উন্মুক্ত তাদের প্রত্যাশিত অনুপাত।',
+        'Pairs: Control Exposed, Case Not (%)': 'জোড়া: নিয়ন্ত্রণ উন্মুক্ত, কেস নয় (%)',
+        'Expected proportion of pairs where only the control is exposed.': 'যেসব জোড়ায় শুধু নিয়ন্ত্রণ উন্মুক্ত তাদের প্রত্যাশিত অনুপাত।',
+        'Expected loss of whole matched sets. Sets are inflated to N / (1 - rate).': 'সম্পূর্ণ মিলিত সেটের প্রত্যাশিত ক্ষতি। সেট বাড়িয়ে N / (1 - হার) করা হয়।',
+        'Minimum Detectable RR': 'ন্যূনতম শনাক্তযোগ্য RR',
+        'Exposed + unexposed participants you can follow.': 'উন্মুক্ত + অনুন্মুক্ত অংশগ্রহণকারী যাদের আপনি অনুসরণ করতে পারেন।',
+        '% Unexposed with Outcome': 'ফলাফলসহ অনুন্মুক্ত %',
+        'Baseline risk in unexposed group (P2).': 'অনুন্মুক্ত দলে ভিত্তি ঝুঁকি (P2)।',
+        '% Exposed with Outcome': 'ফলাফলসহ উন্মুক্ত %',
+        'Risk in exposed group (P1).': 'উন্মুক্ত দলে ঝুঁকি (P1)।',
+        'Probability of detecting a true effect.': 'প্রকৃত প্রভাব শনাক্ত করার সম্ভাবনা।',
+        'Unexposed to Exposed Ratio (r)': 'অনুন্মুক্ত ও উন্মুক্তের অনুপাত (r)',
+        'Number of unexposed per exposed (usually 1).': 'প্রতি উন্মুক্তে অনুন্মুক্তের সংখ্যা (সাধারণত 1)।',
+        'Loss to Follow-up (%)': 'অনুসরণে ক্ষতি (%)',
+        'Loss to Follow-up, Exposed (%)': 'অনুসরণে ক্ষতি, উন্মুক্ত (%)',
+        'Loss to Follow-up, Unexposed (%)': 'অনুসরণে ক্ষতি, অনুন্মুক্ত (%)',
+        'Risk Ratio (RR)': 'ঝুঁকি অনুপাত (RR)',
+        'Baseline Incidence Rate (per 1,000 person-years)': 'ভিত্তি আপতন হার (প্রতি 1,000 ব্যক্তি-বছরে)',
+        'Events per 1,000 person-years in the unexposed group (λ0).': 'অনুন্মুক্ত দলে প্রতি 1,000 ব্যক্তি-বছরে ঘটনা (λ0)।',
+        'Rate Ratio (RR)': 'হার অনুপাত (RR)',
+        'Rate in the exposed group divided by the baseline rate.': 'উন্মুক্ত দলের হারকে ভিত্তি হার দিয়ে ভাগ করে।',
+        'Follow-up per Person (years)': 'প্রতি ব্যক্তির অনুসরণ (বছর)',
+        'Average person-time each participant contributes.': 'প্রত্যেক অংশগ্রহণকারীর দেওয়া গড় ব্যক্তি-সময়।',
+        'Minimum Detectable P2': 'ন্যূনতম শনাক্তযোগ্য P2',
+        'Participants you can randomise across both groups.': 'অংশগ্রহণকারী যাদের আপনি দুই দলে দৈবভাবে ভাগ করতে পারেন।',
+        'Prop. Group 1 (%)': 'দল 1-এর অনুপাত (%)',
+        'Anticipated outcome in Control Group (e.g., Unexposed).': 'নিয়ন্ত্রণ দলে প্রত্যাশিত ফলাফল (যেমন, অনুন্মুক্ত)।',
+        'Prop. Group 2 (%)': 'দল 2-এর অনুপাত (%)',
+        'Anticipated outcome in Treatment Group (e.g., Exposed).': 'চিকিৎসা দলে প্রত্যাশিত ফলাফল (যেমন, উন্মুক্ত)।',
+        'Trial Hypothesis': 'ট্রায়ালের প্রকল্পনা',
+        'Margin tests assume higher is better for Group 2 (new) vs Group 1 (reference). Their one-sided α is 1 - confidence, so set 97.5% for the usual α = 0.025.': 'সীমা পরীক্ষাগুলি ধরে নেয় যে দল 2 (নতুন)-এর জন্য দল 1 (রেফারেন্স)-এর তুলনায় বেশি মান ভালো। এদের একপার্শ্বিক α = 1 - আস্থা, তাই প্রচলিত α = 0.025-এর জন্য 97.5% দিন।',
+        'Superiority': 'শ্রেষ্ঠত্ব',
+        'Non-inferiority': 'অ-হীনতা',
+        'Equivalence': 'সমতুল্যতা',
+        'Margin (δ) %': 'সীমা (δ) %',
+        'Largest difference still considered clinically unimportant.': 'সবচেয়ে বড় পার্থক্য যা এখনও ক্লিনিক্যালি গুরুত্বহীন ধরা হয়।',
+        'Group Ratio (N1/N2) (r)': 'দলের অনুপাত (N1/N2) (r)',
+        'Dropout (%)': 'ড্রপআউট (%)',
+        'Dropout, Group 1 (%)': 'ড্রপআউট, দল 1 (%)',
+        'Dropout, Group 2 (%)': 'ড্রপআউট, দল 2 (%)',
+        'Minimum Detectable Difference': 'ন্যূনতম শনাক্তযোগ্য পার্থক্য',
+        'Participants you can recruit across both groups.': 'অংশগ্রহণকারী যাদের আপনি দুই দলে নিয়োগ করতে পারেন।',
+        'Mean Group 1': 'দল 1-এর গড়',
+        'Expected mean of Group 1.': 'দল 1-এর প্রত্যাশিত গড়।',
+        'SD Group 1': 'দল 1-এর SD',
+        'Standard Deviation of Group 1.': 'দল 1-এর আদর্শ বিচ্যুতি।',
+        'Mean Group 2': 'দল 2-এর গড়',
+        'Expected mean of Group 2.': 'দল 2-এর প্রত্যাশিত গড়।',
+        'SD Group 2': 'দল 2-এর SD',
+        'Standard Deviation of Group 2.': 'দল 2-এর আদর্শ বিচ্যুতি।',
+        'Group Ratio (N2/N1) (r)': 'দলের অনুপাত (N2/N1) (r)',
+        'Margin (δ)': 'সীমা (δ)',
+        'Mean Difference (μ1 - μ2)': 'গড়ের পার্থক্য (μ1 - μ2)',
+        'Specify Effect By': 'প্রভাব নির্দিষ্ট করুন',
+        'Medians are converted to a hazard ratio assuming exponential survival.': 'সূচকীয় বেঁচে থাকা ধরে নিয়ে মধ্যমাগুলিকে হ্যাজার্ড অনুপাতে রূপান্তর করা হয়।',
+        'Hazard Ratio': 'হ্যাজার্ড অনুপাত',
+        'Median Survival per Arm': 'প্রতি বাহুতে মধ্যমা বেঁচে থাকা',
+        'Hazard Ratio (HR)': 'হ্যাজার্ড অনুপাত (HR)',
+        'Treatment vs control hazard; below 1 means treatment is better.': 'চিকিৎসা বনাম নিয়ন্ত্রণের হ্যাজার্ড; 1-এর কম মানে চিকিৎসা ভালো।',
+        'Median Survival, Control (months)': 'মধ্যমা বেঁচে থাকা, নিয়ন্ত্রণ (মাস)',
+        'Sets the control hazard, and so the chance of an event by the analysis.': 'নিয়ন্ত্রণের হ্যাজার্ড ঠিক করে, ফলে বিশ্লেষণের মধ্যে ঘটনার সম্ভাবনাও।',
+        'Median Survival, Treatment (months)': 'মধ্যমা বেঁচে থাকা, চিকিৎসা (মাস)',
+        'Expected median in the treatment arm.': 'চিকিৎসা বাহুতে প্রত্যাশিত মধ্যমা।',
+        'Accrual Time (months)': 'নিয়োগকাল (মাস)',
+        'Recruitment period; patients enter uniformly over it.': 'নিয়োগের সময়কাল; রোগীরা এর মধ্যে সমানভাবে যুক্ত হন।',
+        'Additional Follow-up (months)': 'অতিরিক্ত অনুসরণ (মাস)',
+        'Follow-up after the last patient is recruited.': 'শেষ রোগী নিয়োগের পরের অনুসরণ।',
+        'Allocation Ratio (Treatment : Control) (r)': 'বণ্টন অনুপাত (চিকিৎসা : নিয়ন্ত্রণ) (r)',
+        'Patients on treatment per patient on control.': 'প্রতি নিয়ন্ত্রণ রোগীতে চিকিৎসাপ্রাপ্ত রোগী।',
+        'Loss to Follow-up, Control (%)': 'অনুসরণে ক্ষতি, নিয়ন্ত্রণ (%)',
+        'Loss to Follow-up, Treatment (%)': 'অনুসরণে ক্ষতি, চিকিৎসা (%)',
+        'Expected Correlation (r)': 'প্রত্যাশিত সহসম্পর্ক (r)',
+        'Pearson correlation you expect between the two measures.': 'দুটি পরিমাপের মধ্যে প্রত্যাশিত পিয়ারসন সহসম্পর্ক।',
+        'Null Correlation (r₀)': 'শূন্য সহসম্পর্ক (r₀)',
+        'Value under the null hypothesis; usually 0 (no association).': 'শূন্য প্রকল্পনার অধীনে মান; সাধারণত 0 (কোনো সম্পর্ক নেই)।',
+        'Expected loss or missing data. N is inflated to N / (1 - rate).': 'প্রত্যাশিত ক্ষতি বা অনুপস্থিত তথ্য। N বাড়িয়ে N / (1 - হার) করা হয়।',
+        'The R² the tested predictors add, or the slope of one predictor.': 'পরীক্ষিত প্রেডিক্টরগুলি যে R² যোগ করে, অথবা একটি প্রেডিক্টরের ঢাল।',
+        'R² Increment': 'R² বৃদ্ধি',
+        'Single Slope': 'একক ঢাল',
+        'R² Increment (ΔR²)': 'R² বৃদ্ধি (ΔR²)',
+        'Extra variance explained by the tested predictors.': 'পরীক্ষিত প্রেডিক্টরগুলির ব্যাখ্যা করা অতিরিক্ত ভেদাঙ্ক।',
+        'Tested Predictors (u)': 'পরীক্ষিত প্রেডিক্টর (u)',
+        'Number of predictors whose joint contribution is tested.': 'যেসব প্রেডিক্টরের যৌথ অবদান পরীক্ষা করা হয় তাদের সংখ্যা।',
+        'Slope (b)': 'ঢাল (b)',
+        'Expected change in outcome per unit of the predictor.': 'প্রেডিক্টরের প্রতি একক পরিবর্তনে ফলাফলের প্রত্যাশিত পরিবর্তন।',
+        'SD of Predictor (σx)': 'প্রেডিক্টরের SD (σx)',
+        'Standard deviation of the predictor.': 'প্রেডিক্টরের আদর্শ বিচ্যুতি।',
+        'SD of Outcome (σy)': 'ফলাফলের SD (σy)',
+        'Standard deviation of the outcome.': 'ফলাফলের আদর্শ বিচ্যুতি।',
+        'Other Predictors in Model': 'মডেলে অন্যান্য প্রেডিক্টর',
+        'Covariates adjusted for but not tested.': 'সমন্বিত কিন্তু পরীক্ষিত নয় এমন সহচল।',
+        'R² of Other Predictors': 'অন্যান্য প্রেডিক্টরের R²',
+        'Variance the covariates already explain.': 'সহচলগুলি ইতিমধ্যে যে ভেদাঙ্ক ব্যাখ্যা করে।',
+        'Covariate of Interest': 'আগ্রহের সহচল',
+        'Hsieh (1998) has a formula for each.': 'Hsieh (1998)-এ প্রতিটির জন্য একটি সূত্র আছে।',
+        'Continuous': 'অবিচ্ছিন্ন',
+        'Binary': 'দ্বিমিক',
+        'Event Rate at Mean of X (%)': 'X-এর গড়ে ঘটনার হার (%)',
+        'Outcome probability for a participant at the covariate mean.': 'সহচলের গড়ে থাকা অংশগ্রহণকারীর ফলাফলের সম্ভাবনা।',
+        'Event Rate when X = 0 (%)': 'X = 0 হলে ঘটনার হার (%)',
+        'Outcome probability in the unexposed (X = 0).': 'অনুন্মুক্তদের (X = 0) মধ্যে ফলাফলের সম্ভাবনা।',
+        'Per 1 SD increase of a continuous X, or for X = 1 vs X = 0.': 'অবিচ্ছিন্ন X-এ 1 SD বৃদ্ধিতে, অথবা X = 1 বনাম X = 0-এর জন্য।',
+        'Proportion with X = 1 (%)': 'X = 1 থাকা অনুপাত (%)',
+        'Share of participants in the X = 1 group.': 'X = 1 দলে অংশগ্রহণকারীদের অংশ।',
+        'R² of X with Other Covariates': 'অন্যান্য সহচলের সাথে X-এর R²',
+        'Multiple correlation of X with the other covariates. N is multiplied by the VIF, 1 / (1 - R²).': 'অন্যান্য সহচলের সাথে X-এর বহুগুণ সহসম্পর্ক। N-কে VIF, 1 / (1 - R²) দিয়ে গুণ করা হয়।',
+        'Expected Sensitivity (%)': 'প্রত্যাশিত সংবেদনশীলতা (%)',
+        'Proportion of diseased people the test detects.': 'রোগাক্রান্তদের যে অনুপাত পরীক্ষাটি ধরতে পারে।',
+        'Expected Specificity (%)': 'প্রত্যাশিত নির্দিষ্টতা (%)',
+        'Proportion of non-diseased people the test clears.': 'রোগমুক্তদের যে অনুপাত পরীক্ষাটি নেতিবাচক বলে।',
+        'Precision (±%) (D)': 'নির্ভুলতা (±%) (D)',
+        'Half-width of the confidence interval for sensitivity and specificity.': 'সংবেদনশীলতা ও নির্দিষ্টতার আস্থা ব্যবধানের অর্ধ-প্রস্থ।',
+        'Disease Prevalence (%)': 'রোগের প্রাদুর্ভাব (%)',
+        'Prevalence in the population being tested; sets how many must be recruited to find enough diseased.': 'পরীক্ষিত জনসংখ্যায় প্রাদুর্ভাব; যথেষ্ট রোগাক্রান্ত পেতে কতজন নিয়োগ করতে হবে তা ঠিক করে।',
+        'Compare Two Tests (Paired)?': 'দুটি পরীক্ষার তুলনা (যুগ্ম)?',
+        'Every participant gets both tests; sensitivities and specificities are compared with McNemar\'s test.': 'প্রত্যেক অংশগ্রহণকারী দুটি পরীক্ষাই পান; সংবেদনশীলতা ও নির্দিষ্টতা ম্যাকনেমার পরীক্ষায় তুলনা করা হয়।',
+        'Sensitivity, Test 2 (%)': 'সংবেদনশীলতা, পরীক্ষা 2 (%)',
+        'Expected sensitivity of the comparator test.': 'তুলনামূলক পরীক্ষার প্রত্যাশিত সংবেদনশীলতা।',
+        'Specificity, Test 2 (%)': 'নির্দিষ্টতা, পরীক্ষা 2 (%)',
+        'Expected specificity of the comparator test.': 'তুলনামূলক পরীক্ষার প্রত্যাশিত নির্দিষ্টতা।',
+        'Probability of detecting the difference between tests.': 'পরীক্ষাগুলির মধ্যে পার্থক্য শনাক্ত করার সম্ভাবনা।',
+        'Expected loss or unverified results. N is inflated to N / (1 - rate).': 'প্রত্যাশিত ক্ষতি বা অযাচাইকৃত ফলাফল। N বাড়িয়ে N / (1 - হার) করা হয়।',
+        'Strata': 'স্তর',
+        'One row per stratum: its population, expected prevalence and, for cost-optimal allocation, the cost per interview.': 'প্রতিটি স্তরের জন্য একটি সারি: তার জনসংখ্যা, প্রত্যাশিত প্রাদুর্ভাব এবং, ব্যয়-সর্বোত্তম বণ্টনের জন্য, প্রতি সাক্ষাৎকারের ব্যয়।',
+        'Allocation': 'বণ্টন',
+        'How N is split across strata: by population share, towards strata whose prevalence is nearer 50% (Neyman), or also away from costly interviews (cost-optimal).': 'N কীভাবে স্তরগুলিতে ভাগ হবে: জনসংখ্যার অংশ অনুযায়ী, যে স্তরগুলির প্রাদুর্ভাব 50%-এর কাছাকাছি সেগুলির দিকে (নেইম্যান), অথবা সেই সঙ্গে ব্যয়বহুল সাক্ষাৎকার এড়িয়ে (ব্যয়-সর্বোত্তম)।',
+        'Proportional': 'আনুপাতিক',
+        'Neyman': 'নেইম্যান',
+        'Cost-optimal': 'ব্যয়-সর্বোত্তম',
+        'Acceptable error margin for the overall prevalence (absolute precision).': 'সামগ্রিক প্রাদুর্ভাবের জন্য গ্রহণযোগ্য ত্রুটির সীমা (পরম নির্ভুলতা)।',
+        'Expected non-response. Each stratum is inflated to n / (1 - rate).': 'প্রত্যাশিত অ-উত্তর। প্রতিটি স্তর বাড়িয়ে n / (1 - হার) করা হয়।',
+        'Screened per Eligible': 'প্রতি যোগ্যে স্ক্রিন করা',
+        'People screened to find one eligible participant (3 means 1 in 3 is eligible).': 'একজন যোগ্য অংশগ্রহণকারী খুঁজতে যতজনকে স্ক্রিন করা হয় (3 মানে প্রতি 3 জনে 1 জন যোগ্য)।',
+        'Consent Rate (%)': 'সম্মতির হার (%)',
+        'Share of eligible people who agree to take part.': 'যোগ্যদের মধ্যে যাঁরা অংশ নিতে সম্মত হন তাঁদের অংশ।',
+        'Enrolled per Site per Month': 'প্রতি কেন্দ্রে প্রতি মাসে তালিকাভুক্ত',
+        'Participants each site enrols in a month.': 'প্রতিটি কেন্দ্র এক মাসে যতজন অংশগ্রহণকারী তালিকাভুক্ত করে।',
+        'Sites': 'কেন্দ্র',
+        'Recruiting sites, all enrolling from month 0.': 'নিয়োগকারী কেন্দ্র, সবগুলি মাস 0 থেকে তালিকাভুক্ত করে।',
+
+        // --- Results, formulas and errors ---
+        'Z<sub>α</sub> (One-sided)': 'Z<sub>α</sub> (একপার্শ্বিক)',
+        'Z<sub>α/2</sub> (Two-sided)': 'Z<sub>α/2</sub> (দ্বিপার্শ্বিক)',
+        '(N={before} before {rate} dropout, {total} to recruit)': '({rate} ড্রপআউটের আগে N={before}, {total} জন নিয়োগ করতে হবে)',
+        'Design Effect (DEFF)': 'ডিজাইন প্রভাব (DEFF)',
+        'Clusters per Arm': 'প্রতি বাহুতে ক্লাস্টার',
+        'Clusters': 'ক্লাস্টার',
+        'Equivalence (TOST)': 'সমতুল্যতা (TOST)',
+        'Non-inferiority (Z-test)': 'অ-হীনতা (Z-পরীক্ষা)',
+        '(One-sided Z<sub>α</sub> for each of the two tests; δ = margin)': '(দুটি পরীক্ষার প্রতিটির জন্য একপার্শ্বিক Z<sub>α</sub>; δ = সীমা)',
+        '(One-sided Z<sub>α</sub>; δ = margin)': '(একপার্শ্বিক Z<sub>α</sub>; δ = সীমা)',
+        'Effective N (after DEFF)': 'কার্যকর N (DEFF-এর পরে)',
+        'Effective N (after Dropout)': 'কার্যকর N (ড্রপআউটের পরে)',
+        'Z<sub>β</sub> (Solved, Kelsey)': 'Z<sub>β</sub> (নির্ণীত, Kelsey)',
+        'Not detectable': 'শনাক্তযোগ্য নয়',
+        'Achieved Power (Kelsey):': 'অর্জিত ক্ষমতা (Kelsey):',
+        'Minimum Detectable Effect:': 'ন্যূনতম শনাক্তযোগ্য প্রভাব:',
+        'Solve N<sub>1</sub>(P<sub>1</sub>) = N / (1+r) for P<sub>1</sub>': 'P<sub>1</sub>-এর জন্য N<sub>1</sub>(P<sub>1</sub>) = N / (1+r) সমাধান করুন',
+        '(Inverted numerically for Kelsey, Fleiss & Fleiss CC)': '(Kelsey, Fleiss ও Fleiss CC-এর জন্য সংখ্যাগতভাবে উল্টানো)',
+        'Enter a number.': 'একটি সংখ্যা লিখুন।',
+        'Must be a whole number.': 'পূর্ণসংখ্যা হতে হবে।',
+        'Must be at least {limit}.': 'অন্তত {limit} হতে হবে।',
+        'Must be at most {limit}.': 'সর্বাধিক {limit} হতে পারে।',
+        'Must be greater than {limit}.': '{limit}-এর বেশি হতে হবে।',
+        'Must be less than {limit}.': '{limit}-এর কম হতে হবে।',
+        'Precision (±{precision}) must be smaller than P and 1 - P. Lower D or use relative precision.': 'নির্ভুলতা (±{precision}) P এবং 1 - P-এর চেয়ে ছোট হতে হবে। D কমান বা আপেক্ষিক নির্ভুলতা ব্যবহার করুন।',
+        'D = ε × P (relative precision)': 'D = ε × P (আপেক্ষিক নির্ভুলতা)',
+        '(Headline N solves the chosen interval\'s half-width = D; see Interpretation)': '(প্রধান N বেছে নেওয়া ব্যবধানের অর্ধ-প্রস্থ = D সমাধান করে; ব্যাখ্যা দেখুন)',
+        'Not reachable': 'অর্জনযোগ্য নয়',
+        '{n} before dropout': 'ড্রপআউটের আগে {n}',
+        '{n} clusters': '{n}টি ক্লাস্টার',
+        'D (Absolute Precision)': 'D (পরম নির্ভুলতা)',
+        'OR=1 implies no effect. N is infinite.': 'OR=1 মানে কোনো প্রভাব নেই। N অসীম।',
+        'Impossible inputs: exposure in cases (P1) reaches 100%. Lower the control exposure or the OR.': 'অসম্ভব মান: কেসদের উন্মুক্ততা (P1) 100%-এ পৌঁছায়। নিয়ন্ত্রণের উন্মুক্ততা বা OR কমান।',
+        'Kelsey Formula (Main):': 'Kelsey সূত্র (প্রধান):',
+        '(See Interpretation regarding Fleiss & Fleiss CC methods)': '(Fleiss ও Fleiss CC পদ্ধতির জন্য ব্যাখ্যা দেখুন)',
+        '(Incl. {rate} Dropout)': '({rate} ড্রপআউট সহ)',
+        'Power': 'ক্ষমতা',
+        'Detectable OR': 'শনাক্তযোগ্য OR',
+        'Controls': 'নিয়ন্ত্রণ',
+        'Cases': 'কেস',
+        'P<sub>1</sub> (Calc. % Exposed in Cases)': 'P<sub>1</sub> (কেসদের মধ্যে গণিত উন্মুক্ত %)',
+        'Discordant proportions cannot sum to more than 100%.': 'অসঙ্গত অনুপাতের যোগফল 100%-এর বেশি হতে পারে না।',
+        'Equal discordant proportions imply OR=1. N is infinite.': 'সমান অসঙ্গত অনুপাত মানে OR=1। N অসীম।',
+        'Dupont (Matched Sets):': 'Dupont (মিলিত সেট):',
+        '(Sums over m = 1..M exposed subjects per set; see Formula Steps)': '(প্রতি সেটে m = 1..M উন্মুক্ত ব্যক্তির উপর যোগফল; সূত্রের ধাপ দেখুন)',
+        'Correlation φ is too strong for these exposure prevalences. Lower φ.': 'এই উন্মুক্ততার প্রাদুর্ভাবের জন্য সহসম্পর্ক φ খুব শক্তিশালী। φ কমান।',
+        '{cases} cases + {controls} controls': '{cases}টি কেস + {controls}টি নিয়ন্ত্রণ',
+        '(1:1 pairs)': '(1:1 জোড়া)',
+        '(1:{M} matching)': '(1:{M} মিলকরণ)',
+        'P(Control Exposed | Case Exposed)': 'P(নিয়ন্ত্রণ উন্মুক্ত | কেস উন্মুক্ত)',
+        'P(Control Exposed | Case Not)': 'P(নিয়ন্ত্রণ উন্মুক্ত | কেস নয়)',
+        'OR (p<sub>10</sub> / p<sub>01</sub>)': 'OR (p<sub>10</sub> / p<sub>01</sub>)',
+        'Matched Sets': 'মিলিত সেট',
+        'P1 and P2 cannot be equal.': 'P1 এবং P2 সমান হতে পারে না।',
+        'Detectable RR': 'শনাক্তযোগ্য RR',
+        'Unexposed': 'অনুন্মুক্ত',
+        'Exposed': 'উন্মুক্ত',
+        'Expected Difference (P<sub>2</sub> - P<sub>1</sub>)': 'প্রত্যাশিত পার্থক্য (P<sub>2</sub> - P<sub>1</sub>)',
+        'N<sub>1</sub> / N<sub>2</sub> (Analysed)': 'N<sub>1</sub> / N<sub>2</sub> (বিশ্লেষিত)',
+        'Group 1': 'দল 1',
+        'Group 2': 'দল 2',
+        'Expected difference is outside the equivalence margin (|P2 - P1| ≥ δ).': 'প্রত্যাশিত পার্থক্য সমতুল্যতার সীমার বাইরে (|P2 - P1| ≥ δ)।',
+        'Expected difference is at or below -δ: non-inferiority cannot be shown.': 'প্রত্যাশিত পার্থক্য -δ বা তার কম: অ-হীনতা প্রমাণ করা যাবে না।',
+        'Diff = {diff}': 'পার্থক্য = {diff}',
+        'Detectable P2': 'শনাক্তযোগ্য P2',
+        'Means cannot be equal.': 'গড় সমান হতে পারে না।',
+        'Expected Difference (&mu;<sub>2</sub> - &mu;<sub>1</sub>)': 'প্রত্যাশিত পার্থক্য (&mu;<sub>2</sub> - &mu;<sub>1</sub>)',
+        'Expected difference is outside the equivalence margin (|μ2 - μ1| ≥ δ).': 'প্রত্যাশিত পার্থক্য সমতুল্যতার সীমার বাইরে (|μ2 - μ1| ≥ δ)।',
+        'Z<sub>β</sub> (Solved)': 'Z<sub>β</sub> (নির্ণীত)',
+        '&mu;<sub>2</sub> at Detectable Diff': 'শনাক্তযোগ্য পার্থক্যে &mu;<sub>2</sub>',
+        'Normal Approximation': 'স্বাভাবিক আসন্নমান',
+        'HR=1 implies no effect. N is infinite.': 'HR=1 মানে কোনো প্রভাব নেই। N অসীম।',
+        'Equal medians imply HR=1. N is infinite.': 'সমান মধ্যমা মানে HR=1। N অসীম।',
+        'Accrual plus follow-up time must be greater than 0.': 'নিয়োগকাল ও অনুসরণের মোট সময় 0-এর বেশি হতে হবে।',
+        'Schoenfeld (Events):': 'Schoenfeld (ঘটনা):',
+        '(See Interpretation for Freedman and P(event))': '(Freedman ও P(ঘটনা)-র জন্য ব্যাখ্যা দেখুন)',
+        'HR (Hazard Ratio)': 'HR (হ্যাজার্ড অনুপাত)',
+        '&lambda; Control / Treatment (per month)': '&lambda; নিয়ন্ত্রণ / চিকিৎসা (প্রতি মাসে)',
+        'P(event) Control / Treatment': 'P(ঘটনা) নিয়ন্ত্রণ / চিকিৎসা',
+        'P(event) Overall': 'P(ঘটনা) সামগ্রিক',
+        'D (Events, Schoenfeld)': 'D (ঘটনা, Schoenfeld)',
+        'RR=1 implies no effect. N is infinite.': 'RR=1 মানে কোনো প্রভাব নেই। N অসীম।',
+        'Rate Difference (Main):': 'হারের পার্থক্য (প্রধান):',
+        '(See Interpretation for the log rate ratio method)': '(লগ হার অনুপাত পদ্ধতির জন্য ব্যাখ্যা দেখুন)',
+        'Rate Difference': 'হারের পার্থক্য',
+        'Log Rate Ratio': 'লগ হার অনুপাত',
+        '&lambda;<sub>1</sub> / &lambda;<sub>0</sub> (per 1,000 person-years)': '&lambda;<sub>1</sub> / &lambda;<sub>0</sub> (প্রতি 1,000 ব্যক্তি-বছরে)',
+        'Person-years Needed, Exposed / Unexposed': 'প্রয়োজনীয় ব্যক্তি-বছর, উন্মুক্ত / অনুন্মুক্ত',
+        'Expected Events, Exposed / Unexposed': 'প্রত্যাশিত ঘটনা, উন্মুক্ত / অনুন্মুক্ত',
+        'Treatment': 'চিকিৎসা',
+        'Control': 'নিয়ন্ত্রণ দল',
+        'r equals r₀ (no effect). N is infinite.': 'r সমান r₀ (কোনো প্রভাব নেই)। N অসীম।',
+        'C (Fisher z of r)': 'C (r-এর ফিশার z)',
+        'C<sub>0</sub> (Fisher z of r<sub>0</sub>)': 'C<sub>0</sub> (r<sub>0</sub>-এর ফিশার z)',
+        'A slope of 0 implies no effect. N is infinite.': '0 ঢাল মানে কোনো প্রভাব নেই। N অসীম।',
+        'R² of the full model (other + increment) must be below 1.': 'সম্পূর্ণ মডেলের (অন্যান্য + বৃদ্ধি) R² 1-এর কম হতে হবে।',
+        'Smallest N with': 'ক্ষুদ্রতম N যেখানে',
+        'Effect too small: N exceeds 100,000.': 'প্রভাব খুব ছোট: N 1,00,000 ছাড়িয়ে যায়।',
+        'f<sup>2</sup> (Effect Size)': 'f<sup>2</sup> (প্রভাবের আকার)',
+        'Degrees of Freedom (u, N-k-1)': 'স্বাধীনতার মাত্রা (u, N-k-1)',
+        '&lambda; (Noncentrality)': '&lambda; (অকেন্দ্রিকতা)',
+        'Partial r = {r}': 'আংশিক r = {r}',
+        'P<sub>1</sub> (Event Rate when X = 1)': 'P<sub>1</sub> (X = 1 হলে ঘটনার হার)',
+        'P&#772; (Overall Event Rate)': 'P&#772; (সামগ্রিক ঘটনার হার)',
+        '&beta; (ln OR per SD)': '&beta; (প্রতি SD-তে ln OR)',
+        'N (Unadjusted)': 'N (অসমন্বিত)',
+        'Expected Events': 'প্রত্যাশিত ঘটনা',
+        'Precision (±{precision}) must be smaller than Se, Sp and their complements.': 'নির্ভুলতা (±{precision}) Se, Sp ও তাদের পরিপূরকের চেয়ে ছোট হতে হবে।',
+        'Both tests have the same accuracy. N is infinite.': 'দুটি পরীক্ষার নির্ভুলতা একই। N অসীম।',
+        'Diseased pairs:': 'রোগাক্রান্ত জোড়া:',
+        '(likewise for Sp with 1-Prev)': '(একইভাবে Sp-এর জন্য 1-Prev দিয়ে)',
+        '{n} diseased': '{n} জন রোগাক্রান্ত',
+        '{n} non-diseased': '{n} জন রোগমুক্ত',
+        'Sensitivity': 'সংবেদনশীলতা',
+        'Specificity': 'নির্দিষ্টতা',
+        'Diseased for Se (TP + FN)': 'Se-এর জন্য রোগাক্রান্ত (TP + FN)',
+        'Non-diseased for Sp (TN + FP)': 'Sp-এর জন্য রোগমুক্ত (TN + FP)',
+        '{n} diseased pairs': '{n}টি রোগাক্রান্ত জোড়া',
+        'Compare Se (McNemar)': 'Se তুলনা (McNemar)',
+        '{n} non-diseased pairs': '{n}টি রোগমুক্ত জোড়া',
+        'Compare Sp (McNemar)': 'Sp তুলনা (McNemar)',
+        'N to Recruit': 'নিয়োগের জন্য N',
+        'Diseased': 'রোগাক্রান্ত',
+        'Non-diseased': 'রোগমুক্ত',
+        'Stratum {n}': 'স্তর {n}',
+        'Add at least one stratum.': 'অন্তত একটি স্তর যোগ করুন।',
+        '{stratum}: population must be a whole number of at least 1.': '{stratum}: জনসংখ্যা অন্তত 1-এর একটি পূর্ণসংখ্যা হতে হবে।',
+        '{stratum}: prevalence must be between 0 and 100%.': '{stratum}: প্রাদুর্ভাব 0 থেকে 100%-এর মধ্যে হতে হবে।',
+        '{stratum}: cost must be greater than 0.': '{stratum}: ব্যয় 0-এর বেশি হতে হবে।',
+        'Enter a cost for every stratum, or leave them all blank.': 'প্রতিটি স্তরের জন্য ব্যয় লিখুন, অথবা সবগুলি ফাঁকা রাখুন।',
+        'Precision (±{precision}) must be smaller than the overall prevalence and 1 - P.': 'নির্ভুলতা (±{precision}) সামগ্রিক প্রাদুর্ভাব এবং 1 - P উভয়ের চেয়ে ছোট হতে হবে।',
+        '(See Interpretation for the allocation shares a<sub>h</sub>)': '(বণ্টনের অংশ a<sub>h</sub>-এর জন্য ব্যাখ্যা দেখুন)',
+        'Cost {cost}': 'ব্যয় {cost}',
+        'Overall Prevalence (&Sigma;W<sub>h</sub>P<sub>h</sub>)': 'সামগ্রিক প্রাদুর্ভাব (&Sigma;W<sub>h</sub>P<sub>h</sub>)',
+        'N without Stratification': 'স্তরবিন্যাস ছাড়া N',
+        'Total Cost': 'মোট ব্যয়',
+        'n, {stratum}': 'n, {stratum}',
+
+        // --- Calculator page ---
+        'Link Copied!': 'লিঙ্ক কপি হয়েছে!',
+        'Copy Link': 'লিঙ্ক কপি করুন',
+        'Total before Dropout': 'ড্রপআউটের আগে মোট',
+        'Total': 'মোট',
+        'Events': 'ঘটনা',
+        '{group} Clusters': '{group} ক্লাস্টার',
+        'Sample Size Calculator': 'নমুনার আকার ক্যালকুলেটর',
+        'Comparison of Methods': 'পদ্ধতিগুলির তুলনা',
+        'Method': 'পদ্ধতি',
+        'Sample Size Report': 'নমুনার আকারের প্রতিবেদন',
+        'Print / Save as PDF': 'প্রিন্ট / PDF হিসেবে সংরক্ষণ',
+        'Sample Size Calculation Report': 'নমুনার আকার গণনার প্রতিবেদন',
+        'Generated {date}': '{date}-এ তৈরি',
+        'Scenario link:': 'পরিস্থিতির লিঙ্ক:',
+        'Study Design': 'সমীক্ষার নকশা',
+        'Result': 'ফলাফল',
+        'Input Parameters': 'ইনপুট প্যারামিটার',
+        'Formula': 'সূত্র',
+        'Interpretation': 'ব্যাখ্যা',
+        'Visualisation': 'দৃশ্যায়ন',
+        'Sample size visualisation': 'নমুনার আকারের দৃশ্যায়ন',
+        'For educational purposes. Please verify results against standard epidemiological textbooks before use in a protocol.': 'শিক্ষামূলক উদ্দেশ্যে। প্রোটোকলে ব্যবহারের আগে ফলাফলগুলি আদর্শ মহামারীবিদ্যার পাঠ্যপুস্তকের সাথে যাচাই করুন।',
+        'Scenario {n}': 'পরিস্থিতি {n}',
+        'No scenarios found in file.': 'ফাইলে কোনো পরিস্থিতি পাওয়া যায়নি।',
+        'Could not import scenarios: {error}': 'পরিস্থিতি আমদানি করা যায়নি: {error}',
+        'Error': 'ত্রুটি',
+        'Load {name}': '{name} লোড করুন',
+        'Load': 'লোড করুন',
+        'Delete {name}': '{name} মুছুন',
+        'Delete': 'মুছুন',
+        'No saved scenarios yet. Save the current inputs to start a comparison.': 'এখনও কোনো সংরক্ষিত পরিস্থিতি নেই। তুলনা শুরু করতে বর্তমান ইনপুট সংরক্ষণ করুন।',
+        'Highlighted cells are inputs that differ between scenarios.': 'হাইলাইট করা ঘরগুলি হলো সেই ইনপুট যা পরিস্থিতিগুলির মধ্যে আলাদা।',
+        'Simulate thousands of trials at each method\'s N to see the power the intended test actually achieves.': 'প্রতিটি পদ্ধতির N-এ হাজার হাজার ট্রায়াল সিমুলেট করে দেখুন নির্ধারিত পরীক্ষাটি আসলে কত ক্ষমতা অর্জন করে।',
+        'Available for the case-control, cohort, RCT and two-means designs when solving for N (superiority, no clustering).': 'কেস-নিয়ন্ত্রণ, কোহর্ট, RCT ও দুই-গড় নকশায় N নির্ণয়ের সময় উপলব্ধ (শ্রেষ্ঠত্ব, ক্লাস্টারিং ছাড়া)।',
+        'This browser does not support web workers, which the simulation needs.': 'এই ব্রাউজার ওয়েব ওয়ার্কার সমর্থন করে না, যা সিমুলেশনের জন্য প্রয়োজন।',
+        'Simulation needs the page served over http(s); web workers cannot start from a local file.': 'সিমুলেশনের জন্য পৃষ্ঠাটি http(s)-এর মাধ্যমে পরিবেশন করতে হবে; স্থানীয় ফাইল থেকে ওয়েব ওয়ার্কার চালু হতে পারে না।',
+        'Simulating {reps} trials per method (seed {seed})...': 'প্রতি পদ্ধতিতে {reps}টি ট্রায়াল সিমুলেট হচ্ছে (সিড {seed})...',
+        '{reps} simulated trials per method, seed {seed}. Rerun with the same seed to reproduce.': 'প্রতি পদ্ধতিতে {reps}টি সিমুলেটেড ট্রায়াল, সিড {seed}। পুনরুৎপাদনের জন্য একই সিড দিয়ে আবার চালান।',
+        'Simulation failed: {error}': 'সিমুলেশন ব্যর্থ: {error}',
+        'Simulation failed to start.': 'সিমুলেশন শুরু করা যায়নি।',
+        'Target': 'লক্ষ্য',
+        'Empirical power with 95% Wilson interval, at the analysed N (before dropout). Highlighted cells miss the target power.': 'বিশ্লেষিত N-এ (ড্রপআউটের আগে) 95% উইলসন ব্যবধান সহ অভিজ্ঞতালব্ধ ক্ষমতা। হাইলাইট করা ঘরগুলি লক্ষ্য ক্ষমতায় পৌঁছায়নি।',
+        'None': 'কোনোটি নয়',
+        'Input {i}: enter a list of numbers (1.5, 2, 2.5) or a range as start:end:step (20:40:10).': 'ইনপুট {i}: সংখ্যার তালিকা (১.৫, ২, ২.৫) বা শুরু:শেষ:ধাপ আকারে পরিসর (২০:৪০:১০) লিখুন।',
+        'Input {i}: use at most {max} values.': 'ইনপুট {i}: সর্বাধিক {max}টি মান ব্যবহার করুন।',
+        'Input {i} is already in the table.': 'ইনপুট {i} ইতিমধ্যে সারণিতে আছে।',
+        'Pick at least one input and give it some values.': 'অন্তত একটি ইনপুট বেছে নিয়ে তাকে কিছু মান দিন।',
+        'That is {count} combinations; the table holds at most {max}.': 'এটি {count}টি সমন্বয়; সারণিতে সর্বাধিক {max}টি ধরে।',
+        '{n} combination, {method} method.': '{n}টি সমন্বয়, {method} পদ্ধতি।',
+        '{n} combinations, {method} method.': '{n}টি সমন্বয়, {method} পদ্ধতি।',
+        '{n} has no answer (—); hover for the reason.': '{n}টির কোনো উত্তর নেই (—); কারণ জানতে পয়েন্টার রাখুন।',
+        '{n} have no answer (—); hover for the reason.': '{n}টির কোনো উত্তর নেই (—); কারণ জানতে পয়েন্টার রাখুন।',
+        'Total N{groups}, {method} method. Other inputs as in the calculator.': 'মোট N{groups}, {method} পদ্ধতি। অন্যান্য ইনপুট ক্যালকুলেটরের মতো।',
+        'Total N': 'মোট N',
+        'Copied!': 'কপি হয়েছে!',
+        'P<sub>2</sub> (% Exposed in Controls)': 'P<sub>2</sub> (নিয়ন্ত্রণদের মধ্যে উন্মুক্ত %)',
+        'r (Control/Case Ratio)': 'r (নিয়ন্ত্রণ/কেস অনুপাত)',
+        'P<sub>0</sub> (% Exposed in Controls)': 'P<sub>0</sub> (নিয়ন্ত্রণদের মধ্যে উন্মুক্ত %)',
+        '&psi; (Odds Ratio)': '&psi; (অডস অনুপাত)',
+        '&phi; (Exposure Correlation)': '&phi; (উন্মুক্ততার সহসম্পর্ক)',
+        'M (Controls per Case)': 'M (প্রতি কেসে নিয়ন্ত্রণ)',
+        'p<sub>10</sub> (Case Exposed, Control Not)': 'p<sub>10</sub> (কেস উন্মুক্ত, নিয়ন্ত্রণ নয়)',
+        'p<sub>01</sub> (Control Exposed, Case Not)': 'p<sub>01</sub> (নিয়ন্ত্রণ উন্মুক্ত, কেস নয়)',
+        'P<sub>1</sub> (% Exposed with Outcome)': 'P<sub>1</sub> (ফলাফলসহ উন্মুক্ত %)',
+        'P<sub>2</sub> (% Unexposed with Outcome)': 'P<sub>2</sub> (ফলাফলসহ অনুন্মুক্ত %)',
+        'r (Unexposed/Exposed Ratio)': 'r (অনুন্মুক্ত/উন্মুক্ত অনুপাত)',
+        '&lambda;<sub>0</sub> (Baseline Rate)': '&lambda;<sub>0</sub> (ভিত্তি হার)',
+        'RR (Rate Ratio)': 'RR (হার অনুপাত)',
+        't (Follow-up, years)': 't (অনুসরণ, বছর)',
+        'P<sub>1</sub> (Prop. Group 1)': 'P<sub>1</sub> (দল 1-এর অনুপাত)',
+        'P<sub>2</sub> (Prop. Group 2)': 'P<sub>2</sub> (দল 2-এর অনুপাত)',
+        'r (Group Ratio)': 'r (দলের অনুপাত)',
+        'δ (Margin, %)': 'δ (সীমা, %)',
+        'Se (Expected Sensitivity)': 'Se (প্রত্যাশিত সংবেদনশীলতা)',
+        'Sp (Expected Specificity)': 'Sp (প্রত্যাশিত নির্দিষ্টতা)',
+        'D (Precision)': 'D (নির্ভুলতা)',
+        'Prev (Disease Prevalence)': 'Prev (রোগের প্রাদুর্ভাব)',
+        'P (Event Rate at Mean of X)': 'P (X-এর গড়ে ঘটনার হার)',
+        'P<sub>0</sub> (Event Rate when X = 0)': 'P<sub>0</sub> (X = 0 হলে ঘটনার হার)',
+        'B (Proportion with X = 1)': 'B (X = 1 থাকা অনুপাত)',
+        '&rho;<sup>2</sup> (R² with Other Covariates)': '&rho;<sup>2</sup> (অন্যান্য সহচলের সাথে R²)',
+        'r (Treatment/Control Ratio)': 'r (চিকিৎসা/নিয়ন্ত্রণ অনুপাত)',
+        'a (Accrual, months)': 'a (নিয়োগকাল, মাস)',
+        'f (Follow-up, months)': 'f (অনুসরণ, মাস)',
+        'δ (Margin)': 'δ (সীমা)',
+        '&mu;<sub>1</sub> (Mean Group 1)': '&mu;<sub>1</sub> (দল 1-এর গড়)',
+        '&mu;<sub>2</sub> (Mean Group 2)': '&mu;<sub>2</sub> (দল 2-এর গড়)',
+        '&sigma;<sub>1</sub> (SD Group 1)': '&sigma;<sub>1</sub> (দল 1-এর SD)',
+        '&sigma;<sub>2</sub> (SD Group 2)': '&sigma;<sub>2</sub> (দল 2-এর SD)',
+        'Yes': 'হ্যাঁ',
+        'No': 'না',
+        '{method} Estimate': '{method} প্রাক্কলন',
+        'Input Parameters:': 'ইনপুট প্যারামিটার:',
+        'Before Dropout': 'ড্রপআউটের আগে',
+        'Comparison of Methods:': 'পদ্ধতিগুলির তুলনা:',
+        'Total Sample Size (N)': 'মোট নমুনার আকার (N)',
+        '{label} not available.': '{label} উপলব্ধ নয়।',
+        'Sample size against prevalence. No curve until the highlighted inputs are corrected.': 'প্রাদুর্ভাবের সাপেক্ষে নমুনার আকার। হাইলাইট করা ইনপুট ঠিক না হওয়া পর্যন্ত কোনো বক্ররেখা নেই।',
+        'Curve of the Wald sample size against the expected prevalence, falling as prevalence rises. At the chosen prevalence of {P}, N = {n}.': 'প্রত্যাশিত প্রাদুর্ভাবের সাপেক্ষে ওয়াল্ড নমুনার আকারের বক্ররেখা, যা প্রাদুর্ভাব বাড়লে কমে। বেছে নেওয়া প্রাদুর্ভাব {P}-তে N = {n}।',
+        'Curve of the Wald sample size against the expected prevalence, highest at 50%. At the chosen prevalence of {P}, N = {n}.': 'প্রত্যাশিত প্রাদুর্ভাবের সাপেক্ষে ওয়াল্ড নমুনার আকারের বক্ররেখা, যা 50%-এ সর্বোচ্চ। বেছে নেওয়া প্রাদুর্ভাব {P}-তে N = {n}।',
+        'Prevalence (P)': 'প্রাদুর্ভাব (P)',
+        'N (Wald)': 'N (ওয়াল্ড)',
+        '(chosen)': '(নির্বাচিত)',
+        'The current design is at {x} {xValue}, {y} {yValue}.': 'বর্তমান নকশা {x} {xValue}, {y} {yValue}-তে আছে।',
+        'Line chart of {y} against {x}, one line per method ({methods}).': '{x}-এর সাপেক্ষে {y}-এর রেখাচিত্র, প্রতি পদ্ধতিতে একটি রেখা ({methods})।',
+        'No chart until the highlighted inputs are corrected.': 'হাইলাইট করা ইনপুট ঠিক না হওয়া পর্যন্ত কোনো চার্ট নেই।',
+        'No chart for this design.': 'এই নকশার জন্য কোনো চার্ট নেই।',
+        'Scatter plot of a simulated sample of N = {n} participants with {title}.': '{title} সহ N = {n} জন অংশগ্রহণকারীর সিমুলেটেড নমুনার বিক্ষেপ চিত্র।',
+        'Expected survival curves over {months} months for {group2} and {group1}, with the participants and expected events in each arm.': '{group2} ও {group1}-এর জন্য {months} মাস পর্যন্ত প্রত্যাশিত বেঁচে থাকার বক্ররেখা, প্রতিটি বাহুর অংশগ্রহণকারী ও প্রত্যাশিত ঘটনাসহ।',
+        'Arm': 'বাহু',
+        'Participants': 'অংশগ্রহণকারী',
+        'Expected events': 'প্রত্যাশিত ঘটনা',
+        'Survival at {months} months': '{months} মাসে বেঁচে থাকা',
+        'Cumulative expected events over {years} years of follow-up for {group2} and {group1}.': '{group2} ও {group1}-এর জন্য {years} বছরের অনুসরণে ক্রমযোজিত প্রত্যাশিত ঘটনা।',
+        'Person-years': 'ব্যক্তি-বছর',
+        '{sets} matched sets, each of 1 case and {M} controls.': '{sets}টি মিলিত সেট, প্রতিটিতে 1টি কেস ও {M}টি নিয়ন্ত্রণ।',
+        '{sets} matched sets, each of 1 case and 1 control.': '{sets}টি মিলিত সেট, প্রতিটিতে 1টি কেস ও 1টি নিয়ন্ত্রণ।',
+        'Group': 'দল',
+        'Dot grid of the two groups: {groups}.': 'দুটি দলের বিন্দু গ্রিড: {groups}।',
+        'Participants are grouped into clusters of about {m}.': 'অংশগ্রহণকারীদের প্রায় {m} জনের ক্লাস্টারে ভাগ করা হয়েছে।',
+        'Equivalence margin ±{delta}, expected difference {diff}.': 'সমতুল্যতার সীমা ±{delta}, প্রত্যাশিত পার্থক্য {diff}।',
+        'Non-inferiority margin -{delta}, expected difference {diff}.': 'অ-হীনতার সীমা -{delta}, প্রত্যাশিত পার্থক্য {diff}।',
+        '* 1 Dot ≈ {scale} Participants': '* 1টি বিন্দু ≈ {scale} জন অংশগ্রহণকারী',
+        '* 1 Dot = 1 Participant (Actual Size)': '* 1টি বিন্দু = 1 জন অংশগ্রহণকারী (প্রকৃত আকার)',
+        '(High Density)': '(উচ্চ ঘনত্ব)',
+        'Equivalent': 'সমতুল্য',
+        'Non-inferior': 'অ-হীন',
+        'Expected {diff}': 'প্রত্যাশিত {diff}',
+        '{sets} Matched Sets (1:{M})': '{sets}টি মিলিত সেট (1:{M})',
+        '1 Row ≈ {scale} Matched Sets': '1 সারি ≈ {scale}টি মিলিত সেট',
+        '1 Row = 1 Matched Set': '1 সারি = 1টি মিলিত সেট',
+        '* {unit}: 1 Case (pink) + {M} Controls (green)': '* {unit}: 1টি কেস (গোলাপি) + {M}টি নিয়ন্ত্রণ (সবুজ)',
+        '* {unit}: 1 Case (pink) + 1 Control (green)': '* {unit}: 1টি কেস (গোলাপি) + 1টি নিয়ন্ত্রণ (সবুজ)',
+        'Expected Survival, S(t) = e^(-λt)': 'প্রত্যাশিত বেঁচে থাকা, S(t) = e^(-λt)',
+        'Months': 'মাস',
+        'Accrual ends ({months})': 'নিয়োগ শেষ ({months})',
+        '{events} events / {n}': '{events}টি ঘটনা / {n}',
+        '* Curves: {group2} (pink) vs {group1} (blue). Bars: events (filled) out of participants per arm': '* বক্ররেখা: {group2} (গোলাপি) বনাম {group1} (নীল)। বার: প্রতি বাহুর অংশগ্রহণকারীদের মধ্যে ঘটনা (ভরাট)',
+        'Expected Events over Follow-up': 'অনুসরণকালে প্রত্যাশিত ঘটনা',
+        'Years of Follow-up': 'অনুসরণের বছর',
+        '{events} expected events in {personYears} person-years ({n} participants)': '{personYears} ব্যক্তি-বছরে {events}টি প্রত্যাশিত ঘটনা ({n} জন অংশগ্রহণকারী)',
+        '* Lines: cumulative expected events in {group2} (pink) and {group1} (blue)': '* রেখা: ক্রমযোজিত প্রত্যাশিত ঘটনা, {group2} (গোলাপি) ও {group1} (নীল)',
+        '* Showing {shown} of {n} simulated participants': '* {n} জন সিমুলেটেড অংশগ্রহণকারীর মধ্যে {shown} জন দেখানো হয়েছে',
+        '* 1 Dot = 1 Simulated Participant': '* 1টি বিন্দু = 1 জন সিমুলেটেড অংশগ্রহণকারী',
+        'N = {n} in {k} clusters': 'N = {n}, {k}টি ক্লাস্টারে',
+        '* Each block = 1 Cluster of ~{m} Participants (1 Dot = 1 Participant)': '* প্রতিটি ব্লক = ~{m} জন অংশগ্রহণকারীর 1টি ক্লাস্টার (1টি বিন্দু = 1 জন অংশগ্রহণকারী)',
+        '* 1 Circle ≈ {scale} Clusters of ~{m} Participants': '* 1টি বৃত্ত ≈ ~{m} জন অংশগ্রহণকারীর {scale}টি ক্লাস্টার',
+        '* 1 Circle = 1 Cluster of ~{m} Participants': '* 1টি বৃত্ত = ~{m} জন অংশগ্রহণকারীর 1টি ক্লাস্টার',
+        'Current inputs': 'বর্তমান ইনপুট',
+        'Chi-square': 'কাই-বর্গ',
+        'Fisher Exact': 'ফিশার সঠিক',
+        'Welch t-test': 'ওয়েলচ t-পরীক্ষা',
+        '{column}, {stratum}': '{column}, {stratum}',
+        'Remove': 'সরান',
+        'Remove {stratum}': '{stratum} সরান',
+        'Add Stratum': 'স্তর যোগ করুন',
+        '{method} allocation of N = {n} across {count} strata, with each stratum\'s share of the population and of the sample.': '{count}টি স্তরে N = {n}-এর {method} বণ্টন, জনসংখ্যা ও নমুনায় প্রতিটি স্তরের অংশসহ।',
+        'Stratum': 'স্তর',
+        'Prevalence (%)': 'প্রাদুর্ভাব (%)',
+        'Cost per Interview': 'প্রতি সাক্ষাৎকারের ব্যয়',
+        'Sampling fraction': 'নমুনায়ন ভগ্নাংশ',
+        '{method} Allocation, N = {n}': '{method} বণ্টন, N = {n}',
+        '* Per stratum: share of the population (grey) and of the sample (blue), with the number to interview': '* প্রতি স্তরে: জনসংখ্যা (ধূসর) ও নমুনায় (নীল) অংশ, সাক্ষাৎকার নেওয়ার সংখ্যাসহ',
+        'Available when the calculator gives a sample size: solve for N and clear any input errors.': 'ক্যালকুলেটর নমুনার আকার দিলে পাওয়া যাবে: N-এর জন্য সমাধান করুন এবং ইনপুটের ত্রুটিগুলি ঠিক করুন।',
+        'Screen {screened} people to enrol {n}. At {perMonth} a month across {sites} sites, enrolment takes {months} months.': '{n} জনকে তালিকাভুক্ত করতে {screened} জনকে স্ক্রিন করুন। {sites}টি কেন্দ্রে মাসে {perMonth} জন হারে তালিকাভুক্তিতে {months} মাস লাগবে।',
+        'Eligible to Approach': 'যোগাযোগের জন্য যোগ্য',
+        'People to Screen': 'স্ক্রিন করার মতো মানুষ',
+        'Enrolled per Month': 'প্রতি মাসে তালিকাভুক্ত',
+        'Screened per Month': 'প্রতি মাসে স্ক্রিন করা',
+        'Months to Full Enrolment': 'সম্পূর্ণ তালিকাভুক্তি পর্যন্ত মাস',
+        'Target N = {n}': 'লক্ষ্য N = {n}',
+
+        // --- Page text ---
+        'Sample Size Calculation-Visualization': 'নমুনার আকার গণনা ও দৃশ্যায়ন',
+        'A new version of the calculator is available.': 'ক্যালকুলেটরের একটি নতুন সংস্করণ উপলব্ধ।',
+        'Reload': 'আবার লোড করুন',
+        'Skip to inputs': 'ইনপুটে যান',
+        'Visual Understanding of Sample Size Calculation for Common Epidemiological Studies': 'সাধারণ মহামারীবিদ্যা সমীক্ষার জন্য নমুনার আকার গণনার দৃশ্যমান বোঝাপড়া',
+        'Select Study Design:': 'সমীক্ষার নকশা বেছে নিন:',
+        'Prevalence Study (Cross-Sectional)': 'প্রাদুর্ভাব সমীক্ষা (প্রস্থচ্ছেদ)',
+        'Stratified Prevalence Survey': 'স্তরবিন্যস্ত প্রাদুর্ভাব সমীক্ষা',
+        'Case-Control Study': 'কেস-নিয়ন্ত্রণ সমীক্ষা',
+        'Matched Case-Control Study': 'মিলিত কেস-নিয়ন্ত্রণ সমীক্ষা',
+        'Cohort Study': 'কোহর্ট সমীক্ষা',
+        'Comparing Two Incidence Rates': 'দুটি আপতন হারের তুলনা',
+        'Randomized Controlled Trial (RCT)': 'দৈবায়িত নিয়ন্ত্রিত ট্রায়াল (RCT)',
+        'Comparing Two Means': 'দুটি গড়ের তুলনা',
+        'Time-to-Event (Survival) Study': 'ঘটনা-পর্যন্ত-সময় (বেঁচে থাকা) সমীক্ষা',
+        'Correlation Coefficient': 'সহসম্পর্ক সহগ',
+        'Linear Regression': 'রৈখিক নিবেশন',
+        'Logistic Regression': 'লজিস্টিক নিবেশন',
+        'Diagnostic Accuracy Study': 'রোগনির্ণয়ের নির্ভুলতা সমীক্ষা',
+        'Copy a link to this exact calculation': 'এই নির্দিষ্ট গণনার লিঙ্ক কপি করুন',
+        'Language:': 'ভাষা:',
+        'Chart view': 'চার্টের দৃশ্য',
+        'Population': 'জনসংখ্যা',
+        'N vs Effect': 'N বনাম প্রভাব',
+        'Power vs N': 'ক্ষমতা বনাম N',
+        'Chart data': 'চার্টের তথ্য',
+        'Formula Steps': 'সূত্রের ধাপ',
+        'Export:': 'রপ্তানি:',
+        'Print / PDF': 'প্রিন্ট / PDF',
+        'HTML Report': 'HTML প্রতিবেদন',
+        'CSV': 'CSV',
+        'JSON': 'JSON',
+        'Recruitment Timeline': 'নিয়োগের সময়রেখা',
+        'How many people must be screened to enrol the N above, and how many months enrolment will take. The N is the headline method\'s total after dropout inflation.': 'উপরের N তালিকাভুক্ত করতে কতজনকে স্ক্রিন করতে হবে, এবং তালিকাভুক্তিতে কত মাস লাগবে। N হল ড্রপআউট সমন্বয়ের পরে প্রধান পদ্ধতির মোট।',
+        '* Bars: participants enrolled by the end of each month. Dashed line: target N': '* স্তম্ভ: প্রতি মাসের শেষে তালিকাভুক্ত অংশগ্রহণকারী। ড্যাশ রেখা: লক্ষ্য N',
+        'Sample Size Table': 'নমুনার আকারের সারণি',
+        'Required N for every combination of up to three inputs, with the other inputs as set above. Give each input a list of values (1.5, 2, 2.5) or a range as start:end:step (20:40:10).': 'সর্বাধিক তিনটি ইনপুটের প্রতিটি সমন্বয়ের জন্য প্রয়োজনীয় N, বাকি ইনপুট উপরের মতো। প্রতিটি ইনপুটকে মানের তালিকা (১.৫, ২, ২.৫) বা শুরু:শেষ:ধাপ আকারে পরিসর (২০:৪০:১০) দিন।',
+        'Input 1': 'ইনপুট 1',
+        'Values for input 1': 'ইনপুট 1-এর মান',
+        '1.5, 2, 2.5': '১.৫, ২, ২.৫',
+        'Input 2': 'ইনপুট 2',
+        'Values for input 2': 'ইনপুট 2-এর মান',
+        '80, 90': '৮০, ৯০',
+        'Input 3': 'ইনপুট 3',
+        'Values for input 3': 'ইনপুট 3-এর মান',
+        '20:40:10': '২০:৪০:১০',
+        'Build Table': 'সারণি তৈরি করুন',
+        'Copy Markdown': 'Markdown কপি করুন',
+        'Copy CSV': 'CSV কপি করুন',
+        'Monte Carlo Check': 'মন্টে কার্লো যাচাই',
+        'Replicates': 'পুনরাবৃত্তি',
+        'Seed': 'সিড',
+        'Run Simulation': 'সিমুলেশন চালান',
+        'Simulation progress': 'সিমুলেশনের অগ্রগতি',
+        'Saved Scenarios': 'সংরক্ষিত পরিস্থিতি',
+        'Scenario name': 'পরিস্থিতির নাম',
+        'Scenario name (e.g. Pessimistic, 2:1 controls)': 'পরিস্থিতির নাম (যেমন হতাশাব্যঞ্জক, 2:1 নিয়ন্ত্রণ)',
+        'Save Current': 'বর্তমানটি সংরক্ষণ করুন',
+        'Export Library': 'লাইব্রেরি রপ্তানি করুন',
+        'Import Library': 'লাইব্রেরি আমদানি করুন',
+        'Developed By': 'নির্মাতা',
+        'This is for educational purposes only. Researchers are requested to verify the results based on standard procedures as per standard epidemiological textbooks. For any errors, bugs, or suggestions, please email me at': 'এটি শুধুমাত্র শিক্ষামূলক উদ্দেশ্যে। গবেষকদের অনুরোধ করা হচ্ছে আদর্শ মহামারীবিদ্যার পাঠ্যপুস্তকের মানক পদ্ধতি অনুযায়ী ফলাফল যাচাই করতে। কোনো ত্রুটি, বাগ বা পরামর্শের জন্য অনুগ্রহ করে আমাকে ইমেল করুন:'
+    },
+    modes: {
+        prevalence: {
+            interpretation: `
+                <p>এই সূত্রটি নির্দিষ্ট নির্ভুলতা ও আস্থার স্তরে (সাধারণত 95%) জনসংখ্যার প্রাদুর্ভাব প্রাক্কলনের জন্য প্রয়োজনীয় ন্যূনতম অংশগ্রহণকারীর সংখ্যা নির্ধারণ করে।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>পদ্ধতি:</strong><br>
+                    <strong>ওয়াল্ড:</strong> উপরের বদ্ধ সূত্র (স্বাভাবিক আসন্নমান)<br>
+                    <strong>উইলসন:</strong> ক্ষুদ্রতম N যেখানে উইলসন স্কোরের অর্ধ-প্রস্থ &le; D<br>
+                    <strong>ক্লপার-পিয়ারসন:</strong> ক্ষুদ্রতম N যেখানে সঠিক (বিটা) ব্যবধানের অর্ধ-প্রস্থ &le; D<br>
+                    *P ছোট হলে (&lt; 5%) ওয়াল্ড N কম দেখায়; বাকি দুটি সেখানেও নির্ভুল থাকে।
+                </div>
+            `
+        },
+        stratified: {
+            interpretation: `
+                <p>স্তরবিন্যস্ত দৈব নমুনা থেকে সামগ্রিক প্রাদুর্ভাব প্রাক্কলনের জন্য নমুনার আকার, যেমন অঞ্চল ও শহর/গ্রামের বসবাস অনুযায়ী স্তরবিন্যস্ত জেলা সমীক্ষা। সামগ্রিক N এমনভাবে ঠিক করা হয় যাতে ভারিত প্রাদুর্ভাব &Sigma;W<sub>h</sub>P<sub>h</sub> &plusmn;D-এর মধ্যে প্রাক্কলিত হয়, তারপর তা স্তরগুলিতে ভাগ করা হয়; প্রতিটি স্তরের অংশ তার নিজস্ব সসীম জনসংখ্যার জন্য সংশোধিত হয় (কোক্রান)।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>বণ্টন:</strong><br>
+                    <strong>আনুপাতিক:</strong> a<sub>h</sub> = W<sub>h</sub><br>
+                    <strong>নেইম্যান:</strong> a<sub>h</sub> &prop; W<sub>h</sub>&radic;(P<sub>h</sub>Q<sub>h</sub>), নির্দিষ্ট নির্ভুলতার জন্য ক্ষুদ্রতম N<br>
+                    <strong>ব্যয়-সর্বোত্তম:</strong> a<sub>h</sub> &prop; W<sub>h</sub>&radic;(P<sub>h</sub>Q<sub>h</sub>) / &radic;c<sub>h</sub>, নির্দিষ্ট নির্ভুলতার জন্য সর্বনিম্ন ব্যয়<br>
+                    *c<sub>h</sub> = স্তর h-এ প্রতি সাক্ষাৎকারের ব্যয়
+                </div>
+            `
+        },
+        'case-control': {
+            interpretation: `
+                <p>কেস-নিয়ন্ত্রণ সমীক্ষার জন্য তুলনামূলক নমুনার আকার। ফলাফলের ভিত্তিতে নিয়োগ করা পশ্চাদ্দর্শী সমীক্ষার জন্য অপরিহার্য।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>ব্যবহৃত সূত্র:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub>-তে N<sub>Fleiss</sub>-এর উপর ধারাবাহিকতা সংশোধন প্রয়োগ করা হয়
+                </div>
+            `
+        },
+        'matched-case-control': {
+            interpretation: `
+                <p>শর্তসাপেক্ষ লজিস্টিক নিবেশন বা ম্যাকনেমার পরীক্ষায় বিশ্লেষিত মিলিত কেস-নিয়ন্ত্রণ সমীক্ষার জন্য মিলিত সেটের (1টি কেস ও M জন মিলিত নিয়ন্ত্রণ) সংখ্যা। শুধু উন্মুক্ততায় অসঙ্গত সেটগুলিই তথ্য দেয়, তাই শক্তিশালী মিলকরণে (বেশি &phi;) বেশি সেট লাগে। ক্লাস্টার বিকল্প নেই: মিলিত সেট নিজেই বিশ্লেষণের একক, এবং শর্তসাপেক্ষ বিশ্লেষণ তার সদস্যদের মধ্যে যা কিছু অভিন্ন তা বাদ দেয়।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>পদ্ধতি:</strong><br>
+                    <strong>Dupont:</strong> যেকোনো 1:M মিলকরণ, P<sub>0</sub>, OR ও &phi; থেকে<br>
+                    <strong>McNemar (Connor):</strong> 1:1 জোড়া, অসঙ্গত-জোড়ার অনুপাত থেকে
+                </div>
+            `
+        },
+        cohort: {
+            interpretation: `
+                <p>তিনটি প্রচলিত পদ্ধতিতে তুলনামূলক নমুনার আকার দেয়। ধারাবাহিকতা সংশোধনসহ Fleiss সবচেয়ে রক্ষণশীল (সবচেয়ে বড় নমুনার আকার)।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>ব্যবহৃত সূত্র:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub>-তে N<sub>Fleiss</sub>-এর উপর ধারাবাহিকতা সংশোধন প্রয়োগ করা হয়
+                </div>
+            `
+        },
+        'incidence-rates': {
+            interpretation: `
+                <p>ব্যক্তি-সময়ের ভিত্তিতে মাপা দুটি আপতন হারের তুলনার জন্য নমুনার আকার, সেইসব কোহর্টের জন্য যেখানে অংশগ্রহণকারীদের অনুসরণের সময় আলাদা। ঘটনার সংখ্যাকে পোয়াসোঁ ধরা হয়, তাই হারগুলিই ঠিক করে প্রতিটি দলের কত ব্যক্তি-সময় দরকার; অংশগ্রহণকারীর সংখ্যা আসে সেই ব্যক্তি-সময়কে প্রতি ব্যক্তির গড় অনুসরণ দিয়ে ভাগ করে।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>ব্যবহৃত সূত্র:</strong><br>
+                    <strong>হারের পার্থক্য (Smith &amp; Morrow):</strong> T<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (&lambda;<sub>1</sub> + &lambda;<sub>0</sub>/r) / (&lambda;<sub>1</sub>-&lambda;<sub>0</sub>)<sup>2</sup><br>
+                    <strong>লগ হার অনুপাত:</strong> T<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (1/&lambda;<sub>1</sub> + 1/(r&lambda;<sub>0</sub>)) / (ln RR)<sup>2</sup><br>
+                    *প্রতিটি দলে প্রত্যাশিত ঘটনা = &lambda; &times; সেই দলের ব্যক্তি-সময়
+                </div>
+            `
+        },
+        rct: {
+            interpretation: `
+                <p>দ্বিমিক ফলাফল তুলনাকারী দৈবায়িত নিয়ন্ত্রিত ট্রায়ালের জন্য আদর্শ গণনা। রক্ষণশীল প্রাক্কলনের জন্য Fleiss CC সুপারিশ করা হয়।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>ব্যবহৃত সূত্র:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub>-তে N<sub>Fleiss</sub>-এর উপর ধারাবাহিকতা সংশোধন প্রয়োগ করা হয়
+                </div>
+            `
+        },
+        'two-means': {
+            interpretation: `
+                <p>দুটি স্বাধীন গড়ের তুলনার জন্য নমুনার আকার গণনা করে (স্টুডেন্টের t-পরীক্ষার সমতুল্য)।</p>
+            `
+        },
+        survival: {
+            interpretation: `
+                <p>লগ-র‍্যাঙ্ক পরীক্ষায় দুটি বাহুর মধ্যে বেঁচে থাকার তুলনার জন্য নমুনার আকার। ক্ষমতা ঘটনার সংখ্যার উপর নির্ভর করে, তাই ট্রায়ালে D সংখ্যক ঘটনা দরকার; রোগীর সংখ্যা আসে নিয়োগ ও অনুসরণের সময় প্রত্যেকের ঘটনা ঘটার সম্ভাবনা থেকে।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>ব্যবহৃত সূত্র:</strong><br>
+                    <strong>Schoenfeld:</strong> D = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup>(1+r)<sup>2</sup> / [r(ln HR)<sup>2</sup>]<br>
+                    <strong>Freedman:</strong> D = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup>(1+r&middot;HR)<sup>2</sup> / [r(1-HR)<sup>2</sup>]<br>
+                    <strong>P(ঘটনা):</strong> প্রতি বাহুতে 1 - [e<sup>-&lambda;f</sup> - e<sup>-&lambda;(a+f)</sup>] / (&lambda;a), &lambda; = ln 2 / মধ্যমা (সূচকীয় বেঁচে থাকা, a সময়ে সমান নিয়োগ, অনুসরণ f)
+                </div>
+            `
+        },
+        correlation: {
+            interpretation: `
+                <p>পিয়ারসন সহসম্পর্ক r<sub>0</sub> (সাধারণত শূন্য) থেকে আলাদা তা দেখানোর জন্য নমুনার আকার। ফিশারের z রূপান্তর r-এর নমুনা বণ্টনকে প্রায় স্বাভাবিক করে, যার আদর্শ ত্রুটি 1/&radic;(N-3)।</p>
+            `
+        },
+        'linear-regression': {
+            interpretation: `
+                <p>বহুগুণ রৈখিক নিবেশনে u সংখ্যক প্রেডিক্টরের অবদানের F পরীক্ষার জন্য নমুনার আকার। ক্ষমতা G*Power-এর মতো সঠিক অকেন্দ্রিক F বণ্টন থেকে আসে। একক ঢাল b-কে &Delta;R<sup>2</sup> = (b&sigma;<sub>x</sub>/&sigma;<sub>y</sub>)<sup>2</sup>-এ রূপান্তর করা হয়।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    কোহেনের মানদণ্ড: f<sup>2</sup> = 0.02 ছোট, 0.15 মাঝারি, 0.35 বড়।
+                </div>
+            `
+        },
+        'logistic-regression': {
+            interpretation: `
+                <p>লজিস্টিক নিবেশনে একটি সহচলের অডস অনুপাত শনাক্ত করার জন্য নমুনার আকার (Hsieh, Bloch &amp; Larsen 1998)। X-এর সাথে সম্পর্কিত অন্যান্য সহচলের জন্য সমন্বয় &beta;-এর ভেদাঙ্ক বাড়ায়, তাই N-কে ভেদাঙ্ক স্ফীতি গুণক 1/(1-&rho;<sup>2</sup>) দিয়ে গুণ করা হয়।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    প্রতি চলরাশিতে অন্তত 10টি ঘটনার প্রচলিত নিয়ম এখনও প্রযোজ্য; ঘটনার প্রত্যাশিত সংখ্যা যাচাই করুন।
+                </div>
+            `
+        },
+        diagnostic: {
+            interpretation: `
+                <p>রোগনির্ণয়ের নির্ভুলতা সমীক্ষার জন্য নমুনার আকার (Buderer 1996)। সংবেদনশীলতা কেবল রোগাক্রান্তদের মধ্যে এবং নির্দিষ্টতা কেবল রোগমুক্তদের মধ্যে প্রাক্কলিত হয়, তাই 4PQ/D<sup>2</sup> ধরনের প্রতিটি গণনাকে জনসংখ্যায় সেই দলের অংশ দিয়ে ভাগ করা হয়। দুটির মধ্যে বড়টি নিয়োগ করুন।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    যুগ্ম তুলনায় রোগাক্রান্ত ও রোগমুক্তদের মধ্যে আলাদাভাবে ম্যাকনেমার পরীক্ষা (Connor 1987) প্রয়োগ করা হয়, ধরে নিয়ে যে রোগের অবস্থা জানা থাকলে দুটি পরীক্ষা স্বাধীনভাবে ভুল করে।
+                </div>
+            `
+        }
+    }
+}));
@@ -0,0 +1,723 @@
+/**
+ * Spanish catalogue for the calculator page (see setLocale in sample-size-core.js).
+ * Messages are keyed by the English source text; anything missing falls back to English.
+ */
+(function (root, catalogue) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = catalogue;
+    } else {
+        (root.SampleSizeLocales = root.SampleSizeLocales || {})[catalogue.code] = catalogue;
+    }
+}(typeof self !== 'undefined' ? self : this, {
+    code: 'es',
+    name: 'Español',
+    locale: 'es-ES',
+    messages: {
+        // --- Design inputs ---
+        'Prevalence (P) %': 'Prevalencia (P) %',
+        'Expected proportion of the disease/condition.': 'Proporción esperada de la enfermedad o condición.',
+        'Precision Type': 'Tipo de precisión',
+        'Relative precision suits rare conditions, where ±5 points would be wider than P itself.': 'La precisión relativa conviene a condiciones raras, donde ±5 puntos serían más amplios que la propia P.',
+        'Absolute (± percentage points)': 'Absoluta (± puntos porcentuales)',
+        'Relative (± % of P)': 'Relativa (± % de P)',
+        'Precision (D) %': 'Precisión (D) %',
+        'Acceptable error margin (absolute precision).': 'Margen de error aceptable (precisión absoluta).',
+        'Relative Precision (% of P)': 'Precisión relativa (% de P)',
+        'Acceptable error margin as a percentage of P (D = P × this).': 'Margen de error aceptable como porcentaje de P (D = P × este valor).',
+        'Confidence Level (%)': 'Nivel de confianza (%)',
+        '1 - Alpha (usually 95%).': '1 - alfa (habitualmente 95 %).',
+        'Interval Method': 'Método del intervalo',
+        'Method for the headline N. Wald is unreliable for P < 5%; prefer Wilson or Clopper-Pearson there.': 'Método para la N principal. Wald no es fiable con P < 5 %; en ese caso prefiera Wilson o Clopper-Pearson.',
+        'Wald (Normal Approximation)': 'Wald (aproximación normal)',
+        'Wilson Score': 'Puntuación de Wilson',
+        'Clopper-Pearson (Exact)': 'Clopper-Pearson (exacto)',
+        'Cochran\'s Formula with Finite Population Correction (FPC)?': '¿Fórmula de Cochran con corrección por población finita (FPC)?',
+        'Use when the total population is small or known.': 'Úsela cuando la población total sea pequeña o conocida.',
+        'Non-response Rate (%)': 'Tasa de no respuesta (%)',
+        'Expected non-response. N is inflated to N / (1 - rate).': 'No respuesta esperada. N se aumenta a N / (1 - tasa).',
+        'Population Size (N)': 'Tamaño de la población (N)',
+        'Total population size.': 'Tamaño total de la población.',
+        'Cluster Sampling / Randomisation?': '¿Muestreo / aleatorización por conglomerados?',
+        'Participants are sampled or randomised in clusters (villages, schools, clinics).': 'Los participantes se muestrean o aleatorizan por conglomerados (aldeas, escuelas, centros de salud).',
+        'Intraclass Correlation (ICC)': 'Correlación intraclase (ICC)',
+        'Correlation of outcomes within a cluster (often 0.01-0.1).': 'Correlación de los resultados dentro de un conglomerado (a menudo 0,01-0,1).',
+        'Average Cluster Size (m)': 'Tamaño medio del conglomerado (m)',
+        'Participants recruited per cluster.': 'Participantes reclutados por conglomerado.',
+        'CV of Cluster Sizes': 'CV del tamaño de los conglomerados',
+        'Coefficient of variation of cluster sizes; 0 if all clusters are the same size.': 'Coeficiente de variación del tamaño de los conglomerados; 0 si todos tienen el mismo tamaño.',
+        'Solve For': 'Calcular',
+        'Compute N, or the power / smallest effect a fixed N gives.': 'Calcular N, o la potencia / el menor efecto que permite una N fija.',
+        'Sample Size (N)': 'Tamaño muestral (N)',
+        'Achieved Power': 'Potencia alcanzada',
+        'Minimum Detectable OR': 'OR mínima detectable',
+        'Available Sample Size (Total)': 'Tamaño muestral disponible (total)',
+        'Cases + controls you can recruit.': 'Casos + controles que puede reclutar.',
+        '% Exposed in Controls': '% de expuestos en los controles',
+        'Proportion of controls exposed to the risk factor.': 'Proporción de controles expuestos al factor de riesgo.',
+        'Odds Ratio (OR)': 'Odds ratio (OR)',
+        'Minimum odds ratio you want to detect.': 'Odds ratio mínima que desea detectar.',
+        'Power (%)': 'Potencia (%)',
+        'Probability of detecting a true effect (usually 80%).': 'Probabilidad de detectar un efecto real (habitualmente 80 %).',
+        'Hypothesis Test': 'Contraste de hipótesis',
+        'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.': 'La prueba unilateral pone todo alfa en una cola (Zα en lugar de Zα/2). Úsela solo cuando un efecto en el otro sentido no tenga interés.',
+        'Two-sided': 'Bilateral',
+        'One-sided': 'Unilateral',
+        'Control to Case Ratio (r)': 'Razón controles/casos (r)',
+        'Number of controls per case (usually 1).': 'Número de controles por caso (habitualmente 1).',
+        'Non-response (%)': 'No respuesta (%)',
+        'Expected loss in both groups. Each group is inflated to N / (1 - rate).': 'Pérdida esperada en ambos grupos. Cada grupo se aumenta a N / (1 - tasa).',
+        'Different Rate per Group?': '¿Tasa distinta por grupo?',
+        'Set a separate rate for each group.': 'Fijar una tasa propia para cada grupo.',
+        'Non-response, Cases (%)': 'No respuesta, casos (%)',
+        'Non-response, Controls (%)': 'No respuesta, controles (%)',
+        'Specify Matching By': 'Especificar el emparejamiento por',
+        'Correlation of exposure within matched sets, or the expected proportions of discordant pairs from a pilot.': 'Correlación de la exposición dentro de los conjuntos emparejados, o las proporciones esperadas de pares discordantes según un estudio piloto.',
+        'Exposure Correlation (φ)': 'Correlación de exposición (φ)',
+        'Discordant-Pair Proportions (1:1)': 'Proporciones de pares discordantes (1:1)',
+        'Proportion of controls exposed to the risk factor (P0).': 'Proporción de controles expuestos al factor de riesgo (P0).',
+        'Correlation between case and control exposure within a matched set (0 = matching ineffective).': 'Correlación entre la exposición del caso y la de los controles dentro de un conjunto emparejado (0 = emparejamiento ineficaz).',
+        'Controls per Case (M)': 'Controles por caso (M)',
+        '1 for pair matching; 2-4 for 1:M matching.': '1 para emparejamiento por pares; 2-4 para emparejamiento 1:M.',
+        'Pairs: Case Exposed, Control Not (%)': 'Pares: caso expuesto, control no (%)',
+        'Expected proportion of pairs where only the case is exposed.': 'Proporción esperada de pares en los que solo el caso está expuesto.',
+        'Pairs: Control Exposed, Case Not (%)': 'Pares: control expuesto, caso no (%)',
+        'Expected proportion of pairs where only the control is exposed.': 'Proporción esperada de pares en los que solo el control está expuesto.',
+        'Expected loss of whole matched sets. Sets are inflated to N / (1 - rate).': 'Pérdida esperada de conjuntos emparejados completos. Los conjuntos se aumentan a N / (1 - tasa).',
+        'Minimum Detectable RR': 'RR mínimo detectable',
+        'Exposed + unexposed participants you can follow.': 'Participantes expuestos + no expuestos que puede seguir.',
+        '% Unexposed with Outcome': '% de no expuestos con el desenlace',
+        'Baseline risk in unexposed group (P2).': 'Riesgo basal en el grupo no expuesto (P2).',
+        '% Exposed with Outcome': '% de expuestos con el desenlace',
+        'Risk in exposed group (P1).': 'Riesgo en el grupo expuesto (P1).',
+        'Probability of detecting a true effect.': 'Probabilidad de detectar un efecto real.',
+        'Unexposed to Exposed Ratio (r)': 'Razón no expuestos/expuestos (r)',
+        'Number of unexposed per exposed (usually 1).': 'Número de no expuestos por expuesto (habitualmente 1).',
+        'Loss to Follow-up (%)': 'Pérdidas de seguimiento (%)',
+        'Loss to Follow-up, Exposed (%)': 'Pérdidas de seguimiento, expuestos (%)',
+        'Loss to Follow-up, Unexposed (%)': 'Pérdidas de seguimiento, no expuestos (%)',
+        'Risk Ratio (RR)': 'Riesgo relativo (RR)',
+        'Baseline Incidence Rate (per 1,000 person-years)': 'Tasa de incidencia basal (por 1.000 personas-año)',
+        'Events per 1,000 person-years in the unexposed group (λ0).': 'Eventos por 1.000 personas-año en el grupo no expuesto (λ0).',
+        'Rate Ratio (RR)': 'Razón de tasas (RR)',
+        'Rate in the exposed group divided by the baseline rate.': 'Tasa en el grupo expuesto dividida por la tasa basal.',
+        'Follow-up per Person (years)': 'Seguimiento por persona (años)',
+        'Average person-time each participant contributes.': 'Tiempo-persona medio que aporta cada participante.',
+        'Minimum Detectable P2': 'P2 mínima detectable',
+        'Participants you can randomise across both groups.': 'Participantes que puede aleatorizar entre ambos grupos.',
+        'Prop. Group 1 (%)': 'Prop. grupo 1 (%)',
+        'Anticipated outcome in Control Group (e.g., Unexposed).': 'Desenlace previsto en el grupo control (p. ej., no expuestos).',
+        'Prop. Group 2 (%)': 'Prop. grupo 2 (%)',
+        'Anticipated outcome in Treatment Group (e.g., Exposed).': 'Desenlace previsto en el grupo de tratamiento (p. ej., expuestos).',
+        'Trial Hypothesis': 'Hipótesis del ensayo',
+        'Margin tests assume higher is better for Group 2 (new) vs Group 1 (reference). Their one-sided α is 1 - confidence, so set 97.5% for the usual α = 0.025.': 'Las pruebas de margen suponen que un valor mayor es mejor para el grupo 2 (nuevo) frente al grupo 1 (referencia). Su α unilateral es 1 - confianza, así que use 97,5 % para el α habitual de 0,025.',
+        'Superiority': 'Superioridad',
+        'Non-inferiority': 'No inferioridad',
+        'Equivalence': 'Equivalencia',
+        'Margin (δ) %': 'Margen (δ) %',
+        'Largest difference still considered clinically unimportant.': 'Mayor diferencia que aún se considera clínicamente irrelevante.',
+        'Group Ratio (N1/N2) (r)': 'Razón entre grupos (N1/N2) (r)',
+        'Dropout (%)': 'Abandonos (%)',
+        'Dropout, Group 1 (%)': 'Abandonos, grupo 1 (%)',
+        'Dropout, Group 2 (%)': 'Abandonos, grupo 2 (%)',
+        'Minimum Detectable Difference': 'Diferencia mínima detectable',
+        'Participants you can recruit across both groups.': 'Participantes que puede reclutar entre ambos grupos.',
+        'Mean Group 1': 'Media grupo 1',
+        'Expected mean of Group 1.': 'Media esperada del grupo 1.',
+        'SD Group 1': 'DE grupo 1',
+        'Standard Deviation of Group 1.': 'Desviación estándar del grupo 1.',
+        'Mean Group 2': 'Media grupo 2',
+        'Expected mean of Group 2.': 'Media esperada del grupo 2.',
+        'SD Group 2': 'DE grupo 2',
+        'Standard Deviation of Group 2.': 'Desviación estándar del grupo 2.',
+        'Group Ratio (N2/N1) (r)': 'Razón entre grupos (N2/N1) (r)',
+        'Margin (δ)': 'Margen (δ)',
+        'Mean Difference (μ1 - μ2)': 'Diferencia de medias (μ1 - μ2)',
+        'Specify Effect By': 'Especificar el efecto por',
+        'Medians are converted to a hazard ratio assuming exponential survival.': 'Las medianas se convierten en hazard ratio suponiendo supervivencia exponencial.',
+        'Hazard Ratio': 'Hazard ratio',
+        'Median Survival per Arm': 'Mediana de supervivencia por brazo',
+        'Hazard Ratio (HR)': 'Hazard ratio (HR)',
+        'Treatment vs control hazard; below 1 means treatment is better.': 'Riesgo instantáneo del tratamiento frente al control; por debajo de 1 el tratamiento es mejor.',
+        'Median Survival, Control (months)': 'Mediana de supervivencia, control (meses)',
+        'Sets the control hazard, and so the chance of an event by the analysis.': 'Fija el riesgo del grupo control y, con ello, la probabilidad de un evento antes del análisis.',
+        'Median Survival, Treatment (months)': 'Mediana de supervivencia, tratamiento (meses)',
+        'Expected median in the treatment arm.': 'Mediana esperada en el brazo de tratamiento.',
+        'Accrual Time (months)': 'Tiempo de reclutamiento (meses)',
+        'Recruitment period; patients enter uniformly over it.': 'Periodo de reclutamiento; los pacientes entran de forma uniforme.',
+        'Additional Follow-up (months)': 'Seguimiento adicional (meses)',
+        'Follow-up after the last patient is recruited.': 'Seguimiento tras reclutar al último paciente.',
+        'Allocation Ratio (Treatment : Control) (r)': 'Razón de asignación (tratamiento : control) (r)',
+        'Patients on treatment per patient on control.': 'Pacientes en tratamiento por cada paciente control.',
+        'Loss to Follow-up, Control (%)': 'Pérdidas de seguimiento, control (%)',
+        'Loss to Follow-up, Treatment (%)': 'Pérdidas de seguimiento, tratamiento (%)',
+        'Expected Correlation (r)': 'Correlación esperada (r)',
+        'Pearson correlation you expect between the two measures.': 'Correlación de Pearson esperada entre las dos medidas.',
+        'Null Correlation (r₀)': 'Correlación nula (r₀)',
+        'Value under the null hypothesis; usually 0 (no association).': 'Valor bajo la hipótesis nula; habitualmente 0 (sin asociación).',
+        'Expected loss or missing data. N is inflated to N / (1 - rate).': 'Pérdida o datos faltantes esperados. N se aumenta a N / (1 - tasa).',
+        'The R² the tested predictors add, or the slope of one predictor.': 'El R² que añaden los predictores contrastados, o la pendiente de un predictor.',
+        'R² Increment': 'Incremento de R²',
+        'Single Slope': 'Pendiente única',
+        'R² Increment (ΔR²)': 'Incremento de R² (ΔR²)',
+        'Extra variance explained by the tested predictors.': 'Varianza adicional explicada por los predictores contrastados.',
+        'Tested Predictors (u)': 'Predictores contrastados (u)',
+        'Number of predictors whose joint contribution is tested.': 'Número de predictores cuya contribución conjunta se contrasta.',
+        'Slope (b)': 'Pendiente (b)',
+        'Expected change in outcome per unit of the predictor.': 'Cambio esperado en el desenlace por unidad del predictor.',
+        'SD of Predictor (σx)': 'DE del predictor (σx)',
+        'Standard deviation of the predictor.': 'Desviación estándar del predictor.',
+        'SD of Outcome (σy)': 'DE del desenlace (σy)',
+        'Standard deviation of the outcome.': 'Desviación estándar del desenlace.',
+        'Other Predictors in Model': 'Otros predictores del modelo',
+        'Covariates adjusted for but not tested.': 'Covariables ajustadas pero no contrastadas.',
+        'R² of Other Predictors': 'R² de los otros predictores',
+        'Variance the covariates already explain.': 'Varianza que ya explican las covariables.',
+        'Covariate of Interest': 'Covariable de interés',
+        'Hsieh (1998) has a formula for each.': 'Hsieh (1998) da una fórmula para cada caso.',
+        'Continuous': 'Continua',
+        'Binary': 'Binaria',
+        'Event Rate at Mean of X (%)': 'Tasa de eventos en la media de X (%)',
+        'Outcome probability for a participant at the covariate mean.': 'Probabilidad del desenlace para un participante en la media de la covariable.',
+        'Event Rate when X = 0 (%)': 'Tasa de eventos con X = 0 (%)',
+        'Outcome probability in the unexposed (X = 0).': 'Probabilidad del desenlace en los no expuestos (X = 0).',
+        'Per 1 SD increase of a continuous X, or for X = 1 vs X = 0.': 'Por aumento de 1 DE de una X continua, o para X = 1 frente a X = 0.',
+        'Proportion with X = 1 (%)': 'Proporción con X = 1 (%)',
+        'Share of participants in the X = 1 group.': 'Parte de los participantes en el grupo X = 1.',
+        'R² of X with Other Covariates': 'R² de X con las otras covariables',
+        'Multiple correlation of X with the other covariates. N is multiplied by the VIF, 1 / (1 - R²).': 'Correlación múltiple de X con las otras covariables. N se multiplica por el VIF, 1 / (1 - R²).',
+        'Expected Sensitivity (%)': 'Sensibilidad esperada (%)',
+        'Proportion of diseased people the test detects.': 'Proporción de enfermos que detecta la prueba.',
+        'Expected Specificity (%)': 'Especificidad esperada (%)',
+        'Proportion of non-diseased people the test clears.': 'Proporción de no enfermos que la prueba descarta.',
+        'Precision (±%) (D)': 'Precisión (±%) (D)',
+        'Half-width of the confidence interval for sensitivity and specificity.': 'Semiamplitud del intervalo de confianza de la sensibilidad y la especificidad.',
+        'Disease Prevalence (%)': 'Prevalencia de la enfermedad (%)',
+        'Prevalence in the population being tested; sets how many must be recruited to find enough diseased.': 'Prevalencia en la población estudiada; determina cuántos reclutar para encontrar suficientes enfermos.',
+        'Compare Two Tests (Paired)?': '¿Comparar dos pruebas (emparejadas)?',
+        'Every participant gets both tests; sensitivities and specificities are compared with McNemar\'s test.': 'Cada participante recibe ambas pruebas; sensibilidades y especificidades se comparan con la prueba de McNemar.',
+        'Sensitivity, Test 2 (%)': 'Sensibilidad, prueba 2 (%)',
+        'Expected sensitivity of the comparator test.': 'Sensibilidad esperada de la prueba comparadora.',
+        'Specificity, Test 2 (%)': 'Especificidad, prueba 2 (%)',
+        'Expected specificity of the comparator test.': 'Especificidad esperada de la prueba comparadora.',
+        'Probability of detecting the difference between tests.': 'Probabilidad de detectar la diferencia entre las pruebas.',
+        'Expected loss or unverified results. N is inflated to N / (1 - rate).': 'Pérdida o resultados no verificados esperados. N se aumenta a N / (1 - tasa).',
+        'Strata': 'Estratos',
+        'One row per stratum: its population, expected prevalence and, for cost-optimal allocation, the cost per interview.': 'Una fila por estrato: su población, la prevalencia esperada y, para la asignación de costo óptimo, el costo por entrevista.',
+        'Allocation': 'Asignación',
+        'How N is split across strata: by population share, towards strata whose prevalence is nearer 50% (Neyman), or also away from costly interviews (cost-optimal).': 'Cómo se reparte N entre los estratos: según la proporción de población, hacia los estratos cuya prevalencia está más cerca del 50% (Neyman), o evitando además las entrevistas costosas (costo óptimo).',
+        'Proportional': 'Proporcional',
+        'Neyman': 'Neyman',
+        'Cost-optimal': 'Costo óptimo',
+        'Acceptable error margin for the overall prevalence (absolute precision).': 'Margen de error aceptable para la prevalencia global (precisión absoluta).',
+        'Expected non-response. Each stratum is inflated to n / (1 - rate).': 'No respuesta esperada. Cada estrato se aumenta a n / (1 - tasa).',
+        'Screened per Eligible': 'Cribados por elegible',
+        'People screened to find one eligible participant (3 means 1 in 3 is eligible).': 'Personas cribadas para encontrar un participante elegible (3 significa que 1 de cada 3 es elegible).',
+        'Consent Rate (%)': 'Tasa de consentimiento (%)',
+        'Share of eligible people who agree to take part.': 'Proporción de personas elegibles que aceptan participar.',
+        'Enrolled per Site per Month': 'Incluidos por centro y mes',
+        'Participants each site enrols in a month.': 'Participantes que cada centro incluye en un mes.',
+        'Sites': 'Centros',
+        'Recruiting sites, all enrolling from month 0.': 'Centros de reclutamiento, todos incluyendo desde el mes 0.',
+
+        // --- Results, formulas and errors ---
+        'Z<sub>α</sub> (One-sided)': 'Z<sub>α</sub> (unilateral)',
+        'Z<sub>α/2</sub> (Two-sided)': 'Z<sub>α/2</sub> (bilateral)',
+        '(N={before} before {rate} dropout, {total} to recruit)': '(N={before} antes de {rate} de abandonos, {total} a reclutar)',
+        'Design Effect (DEFF)': 'Efecto de diseño (DEFF)',
+        'Clusters per Arm': 'Conglomerados por brazo',
+        'Clusters': 'Conglomerados',
+        'Equivalence (TOST)': 'Equivalencia (TOST)',
+        'Non-inferiority (Z-test)': 'No inferioridad (prueba Z)',
+        '(One-sided Z<sub>α</sub> for each of the two tests; δ = margin)': '(Z<sub>α</sub> unilateral para cada una de las dos pruebas; δ = margen)',
+        '(One-sided Z<sub>α</sub>; δ = margin)': '(Z<sub>α</sub> unilateral; δ = margen)',
+        'Effective N (after DEFF)': 'N efectiva (tras DEFF)',
+        'Effective N (after Dropout)': 'N efectiva (tras abandonos)',
+        'Z<sub>β</sub> (Solved, Kelsey)': 'Z<sub>β</sub> (resuelta, Kelsey)',
+        'Not detectable': 'No detectable',
+        'Achieved Power (Kelsey):': 'Potencia alcanzada (Kelsey):',
+        'Minimum Detectable Effect:': 'Efecto mínimo detectable:',
+        'Solve N<sub>1</sub>(P<sub>1</sub>) = N / (1+r) for P<sub>1</sub>': 'Resolver N<sub>1</sub>(P<sub>1</sub>) = N / (1+r) para P<sub>1</sub>',
+        '(Inverted numerically for Kelsey, Fleiss & Fleiss CC)': '(Inversión numérica para Kelsey, Fleiss y Fleiss CC)',
+        'Enter a number.': 'Introduzca un número.',
+        'Must be a whole number.': 'Debe ser un número entero.',
+        'Must be at least {limit}.': 'Debe ser al menos {limit}.',
+        'Must be at most {limit}.': 'Debe ser como máximo {limit}.',
+        'Must be greater than {limit}.': 'Debe ser mayor que {limit}.',
+        'Must be less than {limit}.': 'Debe ser menor que {limit}.',
+        'Precision (±{precision}) must be smaller than P and 1 - P. Lower D or use relative precision.': 'La precisión (±{precision}) debe ser menor que P y que 1 - P. Reduzca D o use precisión relativa.',
+        'D = ε × P (relative precision)': 'D = ε × P (precisión relativa)',
+        '(Headline N solves the chosen interval\'s half-width = D; see Interpretation)': '(La N principal resuelve semiamplitud del intervalo elegido = D; véase Interpretación)',
+        'Not reachable': 'Inalcanzable',
+        '{n} before dropout': '{n} antes de abandonos',
+        '{n} clusters': '{n} conglomerados',
+        'D (Absolute Precision)': 'D (precisión absoluta)',
+        'OR=1 implies no effect. N is infinite.': 'OR=1 implica ausencia de efecto. N es infinita.',
+        'Impossible inputs: exposure in cases (P1) reaches 100%. Lower the control exposure or the OR.': 'Valores imposibles: la exposición en los casos (P1) alcanza el 100 %. Reduzca la exposición de los controles o la OR.',
+        'Kelsey Formula (Main):': 'Fórmula de Kelsey (principal):',
+        '(See Interpretation regarding Fleiss & Fleiss CC methods)': '(Véase Interpretación sobre los métodos Fleiss y Fleiss CC)',
+        '(Incl. {rate} Dropout)': '(Incl. {rate} de abandonos)',
+        'Power': 'Potencia',
+        'Detectable OR': 'OR detectable',
+        'Controls': 'Controles',
+        'Cases': 'Casos',
+        'P<sub>1</sub> (Calc. % Exposed in Cases)': 'P<sub>1</sub> (% calculado de expuestos en los casos)',
+        'Discordant proportions cannot sum to more than 100%.': 'Las proporciones discordantes no pueden sumar más del 100 %.',
+        'Equal discordant proportions imply OR=1. N is infinite.': 'Proporciones discordantes iguales implican OR=1. N es infinita.',
+        'Dupont (Matched Sets):': 'Dupont (conjuntos emparejados):',
+        '(Sums over m = 1..M exposed subjects per set; see Formula Steps)': '(Sumas sobre m = 1..M sujetos expuestos por conjunto; véanse los pasos de la fórmula)',
+        'Correlation φ is too strong for these exposure prevalences. Lower φ.': 'La correlación φ es demasiado fuerte para estas prevalencias de exposición. Reduzca φ.',
+        '{cases} cases + {controls} controls': '{cases} casos + {controls} controles',
+        '(1:1 pairs)': '(pares 1:1)',
+        '(1:{M} matching)': '(emparejamiento 1:{M})',
+        'P(Control Exposed | Case Exposed)': 'P(control expuesto | caso expuesto)',
+        'P(Control Exposed | Case Not)': 'P(control expuesto | caso no expuesto)',
+        'OR (p<sub>10</sub> / p<sub>01</sub>)': 'OR (p<sub>10</sub> / p<sub>01</sub>)',
+        'Matched Sets': 'Conjuntos emparejados',
+        'P1 and P2 cannot be equal.': 'P1 y P2 no pueden ser iguales.',
+        'Detectable RR': 'RR detectable',
+        'Unexposed': 'No expuestos',
+        'Exposed': 'Expuestos',
+        'Expected Difference (P<sub>2</sub> - P<sub>1</sub>)': 'Diferencia esperada (P<sub>2</sub> - P<sub>1</sub>)',
+        'N<sub>1</sub> / N<sub>2</sub> (Analysed)': 'N<sub>1</sub> / N<sub>2</sub> (analizados)',
+        'Group 1': 'Grupo 1',
+        'Group 2': 'Grupo 2',
+        'Expected difference is outside the equivalence margin (|P2 - P1| ≥ δ).': 'La diferencia esperada queda fuera del margen de equivalencia (|P2 - P1| ≥ δ).',
+        'Expected difference is at or below -δ: non-inferiority cannot be shown.': 'La diferencia esperada es igual o menor que -δ: no se puede demostrar la no inferioridad.',
+        'Diff = {diff}': 'Dif. = {diff}',
+        'Detectable P2': 'P2 detectable',
+        'Means cannot be equal.': 'Las medias no pueden ser iguales.',
+        'Expected Difference (&mu;<sub>2</sub> - &mu;<sub>1</sub>)': 'Diferencia esperada (&mu;<sub>2</sub> - &mu;<sub>1</sub>)',
+        'Expected difference is outside the equivalence margin (|μ2 - μ1| ≥ δ).': 'La diferencia esperada queda fuera del margen de equivalencia (|μ2 - μ1| ≥ δ).',
+        'Z<sub>β</sub> (Solved)': 'Z<sub>β</sub> (resuelta)',
+        '&mu;<sub>2</sub> at Detectable Diff': '&mu;<sub>2</sub> en la dif. detectable',
+        'Normal Approximation': 'Aproximación normal',
+        'HR=1 implies no effect. N is infinite.': 'HR=1 implica ausencia de efecto. N es infinita.',
+        'Equal medians imply HR=1. N is infinite.': 'Medianas iguales implican HR=1. N es infinita.',
+        'Accrual plus follow-up time must be greater than 0.': 'El tiempo de reclutamiento más el seguimiento debe ser mayor que 0.',
+        'Schoenfeld (Events):': 'Schoenfeld (eventos):',
+        '(See Interpretation for Freedman and P(event))': '(Véase Interpretación para Freedman y P(evento))',
+        'HR (Hazard Ratio)': 'HR (hazard ratio)',
+        '&lambda; Control / Treatment (per month)': '&lambda; control / tratamiento (por mes)',
+        'P(event) Control / Treatment': 'P(evento) control / tratamiento',
+        'P(event) Overall': 'P(evento) global',
+        'D (Events, Schoenfeld)': 'D (eventos, Schoenfeld)',
+        'RR=1 implies no effect. N is infinite.': 'RR=1 implica ausencia de efecto. N es infinita.',
+        'Rate Difference (Main):': 'Diferencia de tasas (principal):',
+        '(See Interpretation for the log rate ratio method)': '(Véase Interpretación para el método del logaritmo de la razón de tasas)',
+        'Rate Difference': 'Diferencia de tasas',
+        'Log Rate Ratio': 'Log de la razón de tasas',
+        '&lambda;<sub>1</sub> / &lambda;<sub>0</sub> (per 1,000 person-years)': '&lambda;<sub>1</sub> / &lambda;<sub>0</sub> (por 1.000 personas-año)',
+        'Person-years Needed, Exposed / Unexposed': 'Personas-año necesarias, expuestos / no expuestos',
+        'Expected Events, Exposed / Unexposed': 'Eventos esperados, expuestos / no expuestos',
+        'Treatment': 'Tratamiento',
+        'Control': 'Control',
+        'r equals r₀ (no effect). N is infinite.': 'r es igual a r₀ (sin efecto). N es infinita.',
+        'C (Fisher z of r)': 'C (z de Fisher de r)',
+        'C<sub>0</sub> (Fisher z of r<sub>0</sub>)': 'C<sub>0</sub> (z de Fisher de r<sub>0</sub>)',
+        'A slope of 0 implies no effect. N is infinite.': 'Una pendiente de 0 implica ausencia de efecto. N es infinita.',
+        'R² of the full model (other + increment) must be below 1.': 'El R² del modelo completo (otros + incremento) debe ser menor que 1.',
+        'Smallest N with': 'Menor N con',
+        'Effect too small: N exceeds 100,000.': 'Efecto demasiado pequeño: N supera 100.000.',
+        'f<sup>2</sup> (Effect Size)': 'f<sup>2</sup> (tamaño del efecto)',
+        'Degrees of Freedom (u, N-k-1)': 'Grados de libertad (u, N-k-1)',
+        '&lambda; (Noncentrality)': '&lambda; (no centralidad)',
+        'Partial r = {r}': 'r parcial = {r}',
+        'P<sub>1</sub> (Event Rate when X = 1)': 'P<sub>1</sub> (tasa de eventos con X = 1)',
+        'P&#772; (Overall Event Rate)': 'P&#772; (tasa global de eventos)',
+        '&beta; (ln OR per SD)': '&beta; (ln OR por DE)',
+        'N (Unadjusted)': 'N (sin ajustar)',
+        'Expected Events': 'Eventos esperados',
+        'Precision (±{precision}) must be smaller than Se, Sp and their complements.': 'La precisión (±{precision}) debe ser menor que Se, Sp y sus complementos.',
+        'Both tests have the same accuracy. N is infinite.': 'Ambas pruebas tienen la misma exactitud. N es infinita.',
+        'Diseased pairs:': 'Pares enfermos:',
+        '(likewise for Sp with 1-Prev)': '(igual para Sp con 1-Prev)',
+        '{n} diseased': '{n} enfermos',
+        '{n} non-diseased': '{n} no enfermos',
+        'Sensitivity': 'Sensibilidad',
+        'Specificity': 'Especificidad',
+        'Diseased for Se (TP + FN)': 'Enfermos para Se (VP + FN)',
+        'Non-diseased for Sp (TN + FP)': 'No enfermos para Sp (VN + FP)',
+        '{n} diseased pairs': '{n} pares enfermos',
+        'Compare Se (McNemar)': 'Comparar Se (McNemar)',
+        '{n} non-diseased pairs': '{n} pares no enfermos',
+        'Compare Sp (McNemar)': 'Comparar Sp (McNemar)',
+        'N to Recruit': 'N a reclutar',
+        'Diseased': 'Enfermos',
+        'Non-diseased': 'No enfermos',
+        'Stratum {n}': 'Estrato {n}',
+        'Add at least one stratum.': 'Añada al menos un estrato.',
+        '{stratum}: population must be a whole number of at least 1.': '{stratum}: la población debe ser un número entero de al menos 1.',
+        '{stratum}: prevalence must be between 0 and 100%.': '{stratum}: la prevalencia debe estar entre 0 y 100%.',
+        '{stratum}: cost must be greater than 0.': '{stratum}: el costo debe ser mayor que 0.',
+        'Enter a cost for every stratum, or leave them all blank.': 'Introduzca un costo para cada estrato o deje todos en blanco.',
+        'Precision (±{precision}) must be smaller than the overall prevalence and 1 - P.': 'La precisión (±{precision}) debe ser menor que la prevalencia global y que 1 - P.',
+        '(See Interpretation for the allocation shares a<sub>h</sub>)': '(Consulte la interpretación para las proporciones de asignación a<sub>h</sub>)',
+        'Cost {cost}': 'Costo {cost}',
+        'Overall Prevalence (&Sigma;W<sub>h</sub>P<sub>h</sub>)': 'Prevalencia global (&Sigma;W<sub>h</sub>P<sub>h</sub>)',
+        'N without Stratification': 'N sin estratificación',
+        'Total Cost': 'Costo total',
+        'n, {stratum}': 'n, {stratum}',
+
+        // --- Calculator page ---
+        'Link Copied!': '¡Enlace copiado!',
+        'Copy Link': 'Copiar enlace',
+        'Total before Dropout': 'Total antes de abandonos',
+        'Total': 'Total',
+        'Events': 'Eventos',
+        '{group} Clusters': 'Conglomerados {group}',
+        'Sample Size Calculator': 'Calculadora de tamaño muestral',
+        'Comparison of Methods': 'Comparación de métodos',
+        'Method': 'Método',
+        'Sample Size Report': 'Informe de tamaño muestral',
+        'Print / Save as PDF': 'Imprimir / guardar como PDF',
+        'Sample Size Calculation Report': 'Informe del cálculo del tamaño muestral',
+        'Generated {date}': 'Generado el {date}',
+        'Scenario link:': 'Enlace del escenario:',
+        'Study Design': 'Diseño del estudio',
+        'Result': 'Resultado',
+        'Input Parameters': 'Parámetros de entrada',
+        'Formula': 'Fórmula',
+        'Interpretation': 'Interpretación',
+        'Visualisation': 'Visualización',
+        'Sample size visualisation': 'Visualización del tamaño muestral',
+        'For educational purposes. Please verify results against standard epidemiological textbooks before use in a protocol.': 'Con fines docentes. Verifique los resultados con los textos de epidemiología de referencia antes de usarlos en un protocolo.',
+        'Scenario {n}': 'Escenario {n}',
+        'No scenarios found in file.': 'No se encontraron escenarios en el archivo.',
+        'Could not import scenarios: {error}': 'No se pudieron importar los escenarios: {error}',
+        'Error': 'Error',
+        'Load {name}': 'Cargar {name}',
+        'Load': 'Cargar',
+        'Delete {name}': 'Eliminar {name}',
+        'Delete': 'Eliminar',
+        'No saved scenarios yet. Save the current inputs to start a comparison.': 'Aún no hay escenarios guardados. Guarde los valores actuales para empezar una comparación.',
+        'Highlighted cells are inputs that differ between scenarios.': 'Las celdas resaltadas son valores que difieren entre escenarios.',
+        'Simulate thousands of trials at each method\'s N to see the power the intended test actually achieves.': 'Simule miles de ensayos con la N de cada método para ver la potencia que alcanza realmente la prueba prevista.',
+        'Available for the case-control, cohort, RCT and two-means designs when solving for N (superiority, no clustering).': 'Disponible para los diseños de casos y controles, cohortes, ECA y dos medias al calcular N (superioridad, sin conglomerados).',
+        'This browser does not support web workers, which the simulation needs.': 'Este navegador no admite web workers, necesarios para la simulación.',
+        'Simulation needs the page served over http(s); web workers cannot start from a local file.': 'La simulación necesita que la página se sirva por http(s); los web workers no pueden iniciarse desde un archivo local.',
+        'Simulating {reps} trials per method (seed {seed})...': 'Simulando {reps} ensayos por método (semilla {seed})...',
+        '{reps} simulated trials per method, seed {seed}. Rerun with the same seed to reproduce.': '{reps} ensayos simulados por método, semilla {seed}. Repita con la misma semilla para reproducirlos.',
+        'Simulation failed: {error}': 'La simulación falló: {error}',
+        'Simulation failed to start.': 'La simulación no pudo iniciarse.',
+        'Target': 'Objetivo',
+        'Empirical power with 95% Wilson interval, at the analysed N (before dropout). Highlighted cells miss the target power.': 'Potencia empírica con intervalo de Wilson del 95 %, con la N analizada (antes de abandonos). Las celdas resaltadas no alcanzan la potencia objetivo.',
+        'None': 'Ninguna',
+        'Input {i}: enter a list of numbers (1.5, 2, 2.5) or a range as start:end:step (20:40:10).': 'Entrada {i}: introduzca una lista de números (1,5; 2; 2,5) o un rango inicio:fin:paso (20:40:10).',
+        'Input {i}: use at most {max} values.': 'Entrada {i}: use como máximo {max} valores.',
+        'Input {i} is already in the table.': 'La entrada {i} ya está en la tabla.',
+        'Pick at least one input and give it some values.': 'Elija al menos una entrada y dele algunos valores.',
+        'That is {count} combinations; the table holds at most {max}.': 'Son {count} combinaciones; la tabla admite como máximo {max}.',
+        '{n} combination, {method} method.': '{n} combinación, método {method}.',
+        '{n} combinations, {method} method.': '{n} combinaciones, método {method}.',
+        '{n} has no answer (—); hover for the reason.': '{n} no tiene respuesta (—); pase el cursor para ver el motivo.',
+        '{n} have no answer (—); hover for the reason.': '{n} no tienen respuesta (—); pase el cursor para ver el motivo.',
+        'Total N{groups}, {method} method. Other inputs as in the calculator.': 'N total{groups}, método {method}. Las demás entradas, como en la calculadora.',
+        'Total N': 'N total',
+        'Copied!': '¡Copiado!',
+        'P<sub>2</sub> (% Exposed in Controls)': 'P<sub>2</sub> (% de expuestos en los controles)',
+        'r (Control/Case Ratio)': 'r (razón controles/casos)',
+        'P<sub>0</sub> (% Exposed in Controls)': 'P<sub>0</sub> (% de expuestos en los controles)',
+        '&psi; (Odds Ratio)': '&psi; (odds ratio)',
+        '&phi; (Exposure Correlation)': '&phi; (correlación de exposición)',
+        'M (Controls per Case)': 'M (controles por caso)',
+        'p<sub>10</sub> (Case Exposed, Control Not)': 'p<sub>10</sub> (caso expuesto, control no)',
+        'p<sub>01</sub> (Control Exposed, Case Not)': 'p<sub>01</sub> (control expuesto, caso no)',
+        'P<sub>1</sub> (% Exposed with Outcome)': 'P<sub>1</sub> (% de expuestos con el desenlace)',
+        'P<sub>2</sub> (% Unexposed with Outcome)': 'P<sub>2</sub> (% de no expuestos con el desenlace)',
+        'r (Unexposed/Exposed Ratio)': 'r (razón no expuestos/expuestos)',
+        '&lambda;<sub>0</sub> (Baseline Rate)': '&lambda;<sub>0</sub> (tasa basal)',
+        'RR (Rate Ratio)': 'RR (razón de tasas)',
+        't (Follow-up, years)': 't (seguimiento, años)',
+        'P<sub>1</sub> (Prop. Group 1)': 'P<sub>1</sub> (prop. grupo 1)',
+        'P<sub>2</sub> (Prop. Group 2)': 'P<sub>2</sub> (prop. grupo 2)',
+        'r (Group Ratio)': 'r (razón entre grupos)',
+        'δ (Margin, %)': 'δ (margen, %)',
+        'Se (Expected Sensitivity)': 'Se (sensibilidad esperada)',
+        'Sp (Expected Specificity)': 'Sp (especificidad esperada)',
+        'D (Precision)': 'D (precisión)',
+        'Prev (Disease Prevalence)': 'Prev (prevalencia de la enfermedad)',
+        'P (Event Rate at Mean of X)': 'P (tasa de eventos en la media de X)',
+        'P<sub>0</sub> (Event Rate when X = 0)': 'P<sub>0</sub> (tasa de eventos con X = 0)',
+        'B (Proportion with X = 1)': 'B (proporción con X = 1)',
+        '&rho;<sup>2</sup> (R² with Other Covariates)': '&rho;<sup>2</sup> (R² con las otras covariables)',
+        'r (Treatment/Control Ratio)': 'r (razón tratamiento/control)',
+        'a (Accrual, months)': 'a (reclutamiento, meses)',
+        'f (Follow-up, months)': 'f (seguimiento, meses)',
+        'δ (Margin)': 'δ (margen)',
+        '&mu;<sub>1</sub> (Mean Group 1)': '&mu;<sub>1</sub> (media grupo 1)',
+        '&mu;<sub>2</sub> (Mean Group 2)': '&mu;<sub>2</sub> (media grupo 2)',
+        '&sigma;<sub>1</sub> (SD Group 1)': '&sigma;<sub>1</sub> (DE grupo 1)',
+        '&sigma;<sub>2</sub> (SD Group 2)': '&sigma;<sub>2</sub> (DE grupo 2)',
+        'Yes': 'Sí',
+        'No': 'No',
+        '{method} Estimate': 'Estimación de {method}',
+        'Input Parameters:': 'Parámetros de entrada:',
+        'Before Dropout': 'Antes de abandonos',
+        'Comparison of Methods:': 'Comparación de métodos:',
+        'Total Sample Size (N)': 'Tamaño muestral total (N)',
+        '{label} not available.': '{label} no disponible.',
+        'Sample size against prevalence. No curve until the highlighted inputs are corrected.': 'Tamaño muestral según la prevalencia. No hay curva hasta corregir las entradas resaltadas.',
+        'Curve of the Wald sample size against the expected prevalence, falling as prevalence rises. At the chosen prevalence of {P}, N = {n}.': 'Curva del tamaño muestral de Wald según la prevalencia esperada, que disminuye al aumentar la prevalencia. Con la prevalencia elegida de {P}, N = {n}.',
+        'Curve of the Wald sample size against the expected prevalence, highest at 50%. At the chosen prevalence of {P}, N = {n}.': 'Curva del tamaño muestral de Wald según la prevalencia esperada, máxima en el 50 %. Con la prevalencia elegida de {P}, N = {n}.',
+        'Prevalence (P)': 'Prevalencia (P)',
+        'N (Wald)': 'N (Wald)',
+        '(chosen)': '(elegida)',
+        'The current design is at {x} {xValue}, {y} {yValue}.': 'El diseño actual está en {x} {xValue}, {y} {yValue}.',
+        'Line chart of {y} against {x}, one line per method ({methods}).': 'Gráfico de líneas de {y} frente a {x}, una línea por método ({methods}).',
+        'No chart until the highlighted inputs are corrected.': 'No hay gráfico hasta corregir las entradas resaltadas.',
+        'No chart for this design.': 'No hay gráfico para este diseño.',
+        'Scatter plot of a simulated sample of N = {n} participants with {title}.': 'Diagrama de dispersión de una muestra simulada de N = {n} participantes con {title}.',
+        'Expected survival curves over {months} months for {group2} and {group1}, with the participants and expected events in each arm.': 'Curvas de supervivencia esperadas durante {months} meses para {group2} y {group1}, con los participantes y los eventos esperados en cada brazo.',
+        'Arm': 'Brazo',
+        'Participants': 'Participantes',
+        'Expected events': 'Eventos esperados',
+        'Survival at {months} months': 'Supervivencia a los {months} meses',
+        'Cumulative expected events over {years} years of follow-up for {group2} and {group1}.': 'Eventos esperados acumulados en {years} años de seguimiento para {group2} y {group1}.',
+        'Person-years': 'Personas-año',
+        '{sets} matched sets, each of 1 case and {M} controls.': '{sets} conjuntos emparejados, cada uno de 1 caso y {M} controles.',
+        '{sets} matched sets, each of 1 case and 1 control.': '{sets} conjuntos emparejados, cada uno de 1 caso y 1 control.',
+        'Group': 'Grupo',
+        'Dot grid of the two groups: {groups}.': 'Cuadrícula de puntos de los dos grupos: {groups}.',
+        'Participants are grouped into clusters of about {m}.': 'Los participantes se agrupan en conglomerados de unos {m}.',
+        'Equivalence margin ±{delta}, expected difference {diff}.': 'Margen de equivalencia ±{delta}, diferencia esperada {diff}.',
+        'Non-inferiority margin -{delta}, expected difference {diff}.': 'Margen de no inferioridad -{delta}, diferencia esperada {diff}.',
+        '* 1 Dot ≈ {scale} Participants': '* 1 punto ≈ {scale} participantes',
+        '* 1 Dot = 1 Participant (Actual Size)': '* 1 punto = 1 participante (tamaño real)',
+        '(High Density)': '(alta densidad)',
+        'Equivalent': 'Equivalente',
+        'Non-inferior': 'No inferior',
+        'Expected {diff}': 'Esperada {diff}',
+        '{sets} Matched Sets (1:{M})': '{sets} conjuntos emparejados (1:{M})',
+        '1 Row ≈ {scale} Matched Sets': '1 fila ≈ {scale} conjuntos emparejados',
+        '1 Row = 1 Matched Set': '1 fila = 1 conjunto emparejado',
+        '* {unit}: 1 Case (pink) + {M} Controls (green)': '* {unit}: 1 caso (rosa) + {M} controles (verde)',
+        '* {unit}: 1 Case (pink) + 1 Control (green)': '* {unit}: 1 caso (rosa) + 1 control (verde)',
+        'Expected Survival, S(t) = e^(-λt)': 'Supervivencia esperada, S(t) = e^(-λt)',
+        'Months': 'Meses',
+        'Accrual ends ({months})': 'Fin del reclutamiento ({months})',
+        '{events} events / {n}': '{events} eventos / {n}',
+        '* Curves: {group2} (pink) vs {group1} (blue). Bars: events (filled) out of participants per arm': '* Curvas: {group2} (rosa) frente a {group1} (azul). Barras: eventos (relleno) sobre los participantes de cada brazo',
+        'Expected Events over Follow-up': 'Eventos esperados durante el seguimiento',
+        'Years of Follow-up': 'Años de seguimiento',
+        '{events} expected events in {personYears} person-years ({n} participants)': '{events} eventos esperados en {personYears} personas-año ({n} participantes)',
+        '* Lines: cumulative expected events in {group2} (pink) and {group1} (blue)': '* Líneas: eventos esperados acumulados, {group2} (rosa) y {group1} (azul)',
+        '* Showing {shown} of {n} simulated participants': '* Se muestran {shown} de {n} participantes simulados',
+        '* 1 Dot = 1 Simulated Participant': '* 1 punto = 1 participante simulado',
+        'N = {n} in {k} clusters': 'N = {n} en {k} conglomerados',
+        '* Each block = 1 Cluster of ~{m} Participants (1 Dot = 1 Participant)': '* Cada bloque = 1 conglomerado de ~{m} participantes (1 punto = 1 participante)',
+        '* 1 Circle ≈ {scale} Clusters of ~{m} Participants': '* 1 círculo ≈ {scale} conglomerados de ~{m} participantes',
+        '* 1 Circle = 1 Cluster of ~{m} Participants': '* 1 círculo = 1 conglomerado de ~{m} participantes',
+        'Current inputs': 'Valores actuales',
+        'Chi-square': 'Chi cuadrado',
+        'Fisher Exact': 'Exacta de Fisher',
+        'Welch t-test': 'Prueba t de Welch',
+        '{column}, {stratum}': '{column}, {stratum}',
+        'Remove': 'Quitar',
+        'Remove {stratum}': 'Quitar {stratum}',
+        'Add Stratum': 'Añadir estrato',
+        '{method} allocation of N = {n} across {count} strata, with each stratum\'s share of the population and of the sample.': 'Asignación {method} de N = {n} entre {count} estratos, con la proporción de cada estrato en la población y en la muestra.',
+        'Stratum': 'Estrato',
+        'Prevalence (%)': 'Prevalencia (%)',
+        'Cost per Interview': 'Costo por entrevista',
+        'Sampling fraction': 'Fracción de muestreo',
+        '{method} Allocation, N = {n}': 'Asignación {method}, N = {n}',
+        '* Per stratum: share of the population (grey) and of the sample (blue), with the number to interview': '* Por estrato: proporción de la población (gris) y de la muestra (azul), con el número de personas a entrevistar',
+        'Available when the calculator gives a sample size: solve for N and clear any input errors.': 'Disponible cuando la calculadora da un tamaño de muestra: resuelva para N y corrija los errores de entrada.',
+        'Screen {screened} people to enrol {n}. At {perMonth} a month across {sites} sites, enrolment takes {months} months.': 'Cribe a {screened} personas para incluir a {n}. A {perMonth} al mes en {sites} centros, la inclusión tarda {months} meses.',
+        'Eligible to Approach': 'Elegibles a contactar',
+        'People to Screen': 'Personas a cribar',
+        'Enrolled per Month': 'Incluidos por mes',
+        'Screened per Month': 'Cribados por mes',
+        'Months to Full Enrolment': 'Meses hasta la inclusión completa',
+        'Target N = {n}': 'N objetivo = {n}',
+
+        // --- Page text ---
+        'Sample Size Calculation-Visualization': 'Cálculo y visualización del tamaño muestral',
+        'A new version of the calculator is available.': 'Hay una nueva versión de la calculadora disponible.',
+        'Reload': 'Recargar',
+        'Skip to inputs': 'Ir a las entradas',
+        'Visual Understanding of Sample Size Calculation for Common Epidemiological Studies': 'Comprensión visual del cálculo del tamaño muestral para los estudios epidemiológicos habituales',
+        'Select Study Design:': 'Seleccione el diseño del estudio:',
+        'Prevalence Study (Cross-Sectional)': 'Estudio de prevalencia (transversal)',
+        'Stratified Prevalence Survey': 'Encuesta de prevalencia estratificada',
+        'Case-Control Study': 'Estudio de casos y controles',
+        'Matched Case-Control Study': 'Estudio de casos y controles emparejado',
+        'Cohort Study': 'Estudio de cohortes',
+        'Comparing Two Incidence Rates': 'Comparación de dos tasas de incidencia',
+        'Randomized Controlled Trial (RCT)': 'Ensayo controlado aleatorizado (ECA)',
+        'Comparing Two Means': 'Comparación de dos medias',
+        'Time-to-Event (Survival) Study': 'Estudio de tiempo hasta el evento (supervivencia)',
+        'Correlation Coefficient': 'Coeficiente de correlación',
+        'Linear Regression': 'Regresión lineal',
+        'Logistic Regression': 'Regresión logística',
+        'Diagnostic Accuracy Study': 'Estudio de exactitud diagnóstica',
+        'Copy a link to this exact calculation': 'Copiar un enlace a este cálculo exacto',
+        'Language:': 'Idioma:',
+        'Chart view': 'Vista del gráfico',
+        'Population': 'Población',
+        'N vs Effect': 'N según el efecto',
+        'Power vs N': 'Potencia según N',
+        'Chart data': 'Datos del gráfico',
+        'Formula Steps': 'Pasos de la fórmula',
+        'Export:': 'Exportar:',
+        'Print / PDF': 'Imprimir / PDF',
+        'HTML Report': 'Informe HTML',
+        'CSV': 'CSV',
+        'JSON': 'JSON',
+        'Recruitment Timeline': 'Calendario de reclutamiento',
+        'How many people must be screened to enrol the N above, and how many months enrolment will take. The N is the headline method\'s total after dropout inflation.': 'Cuántas personas hay que cribar para incluir el N de arriba y cuántos meses llevará la inclusión. El N es el total del método principal tras el ajuste por abandonos.',
+        '* Bars: participants enrolled by the end of each month. Dashed line: target N': '* Barras: participantes incluidos al final de cada mes. Línea discontinua: N objetivo',
+        'Sample Size Table': 'Tabla de tamaños muestrales',
+        'Required N for every combination of up to three inputs, with the other inputs as set above. Give each input a list of values (1.5, 2, 2.5) or a range as start:end:step (20:40:10).': 'N necesaria para cada combinación de hasta tres entradas, con las demás entradas como arriba. Dé a cada entrada una lista de valores (1,5; 2; 2,5) o un rango inicio:fin:paso (20:40:10).',
+        'Input 1': 'Entrada 1',
+        'Values for input 1': 'Valores de la entrada 1',
+        '1.5, 2, 2.5': '1,5; 2; 2,5',
+        'Input 2': 'Entrada 2',
+        'Values for input 2': 'Valores de la entrada 2',
+        '80, 90': '80; 90',
+        'Input 3': 'Entrada 3',
+        'Values for input 3': 'Valores de la entrada 3',
+        '20:40:10': '20:40:10',
+        'Build Table': 'Crear tabla',
+        'Copy Markdown': 'Copiar Markdown',
+        'Copy CSV': 'Copiar CSV',
+        'Monte Carlo Check': 'Comprobación Monte Carlo',
+        'Replicates': 'Réplicas',
+        'Seed': 'Semilla',
+        'Run Simulation': 'Ejecutar simulación',
+        'Simulation progress': 'Progreso de la simulación',
+        'Saved Scenarios': 'Escenarios guardados',
+        'Scenario name': 'Nombre del escenario',
+        'Scenario name (e.g. Pessimistic, 2:1 controls)': 'Nombre del escenario (p. ej., Pesimista, 2:1 controles)',
+        'Save Current': 'Guardar actual',
+        'Export Library': 'Exportar biblioteca',
+        'Import Library': 'Importar biblioteca',
+        'Developed By': 'Desarrollado por',
+        'This is for educational purposes only. Researchers are requested to verify the results based on standard procedures as per standard epidemiological textbooks. For any errors, bugs, or suggestions, please email me at': 'Esta herramienta es solo para fines docentes. Se ruega a los investigadores que verifiquen los resultados según los procedimientos de los textos de epidemiología de referencia. Para errores, fallos o sugerencias, escríbame a'
+    },
+    modes: {
+        prevalence: {
+            interpretation: `
+                <p>Esta fórmula da el número mínimo de participantes necesario para estimar una prevalencia poblacional con una precisión y un nivel de confianza dados (habitualmente 95 %).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Métodos:</strong><br>
+                    <strong>Wald:</strong> la fórmula cerrada de arriba (aproximación normal)<br>
+                    <strong>Wilson:</strong> menor N con semiamplitud del intervalo de Wilson &le; D<br>
+                    <strong>Clopper-Pearson:</strong> menor N con semiamplitud del intervalo exacto (beta) &le; D<br>
+                    *Wald subestima N cuando P es pequeña (&lt; 5 %); los otros dos siguen siendo exactos.
+                </div>
+            `
+        },
+        stratified: {
+            interpretation: `
+                <p>Tamaño de muestra para estimar una prevalencia global a partir de una muestra aleatoria estratificada, como una encuesta de distrito estratificada por región y por residencia urbana/rural. El N global se fija para que la prevalencia ponderada &Sigma;W<sub>h</sub>P<sub>h</sub> se estime con un margen de &plusmn;D y luego se reparte entre los estratos; la parte de cada estrato se corrige por su propia población finita (Cochran).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Asignaciones:</strong><br>
+                    <strong>Proporcional:</strong> a<sub>h</sub> = W<sub>h</sub><br>
+                    <strong>Neyman:</strong> a<sub>h</sub> &prop; W<sub>h</sub>&radic;(P<sub>h</sub>Q<sub>h</sub>), el menor N para la precisión<br>
+                    <strong>Costo óptimo:</strong> a<sub>h</sub> &prop; W<sub>h</sub>&radic;(P<sub>h</sub>Q<sub>h</sub>) / &radic;c<sub>h</sub>, el menor costo para la precisión<br>
+                    *c<sub>h</sub> = costo por entrevista en el estrato h
+                </div>
+            `
+        },
+        'case-control': {
+            interpretation: `
+                <p>Tamaños muestrales comparados para estudios de casos y controles. Imprescindible en estudios retrospectivos reclutados según el desenlace.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Fórmulas utilizadas:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> aplica la corrección por continuidad a N<sub>Fleiss</sub>
+                </div>
+            `
+        },
+        'matched-case-control': {
+            interpretation: `
+                <p>Número de conjuntos emparejados (1 caso con M controles emparejados) para un estudio de casos y controles emparejado analizado con regresión logística condicional o con la prueba de McNemar. Solo los conjuntos discordantes en la exposición aportan información, por lo que un emparejamiento más fuerte (&phi; mayor) requiere más conjuntos. No hay opción de conglomerados: el conjunto emparejado ya es la unidad de análisis, y el análisis condicional elimina lo que comparten sus miembros.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Métodos:</strong><br>
+                    <strong>Dupont:</strong> cualquier emparejamiento 1:M, a partir de P<sub>0</sub>, la OR y &phi;<br>
+                    <strong>McNemar (Connor):</strong> pares 1:1, a partir de las proporciones de pares discordantes
+                </div>
+            `
+        },
+        cohort: {
+            interpretation: `
+                <p>Ofrece tamaños muestrales comparados con tres métodos habituales. Fleiss con corrección por continuidad es el más conservador (mayor tamaño muestral).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Fórmulas utilizadas:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> aplica la corrección por continuidad a N<sub>Fleiss</sub>
+                </div>
+            `
+        },
+        'incidence-rates': {
+            interpretation: `
+                <p>Tamaño muestral para comparar dos tasas de incidencia medidas por tiempo-persona, en cohortes donde el seguimiento varía entre participantes. El número de eventos se trata como Poisson, de modo que las tasas fijan el tiempo-persona que necesita cada grupo; el número de participantes es ese tiempo-persona dividido por el seguimiento medio por persona.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Fórmulas utilizadas:</strong><br>
+                    <strong>Diferencia de tasas (Smith &amp; Morrow):</strong> T<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (&lambda;<sub>1</sub> + &lambda;<sub>0</sub>/r) / (&lambda;<sub>1</sub>-&lambda;<sub>0</sub>)<sup>2</sup><br>
+                    <strong>Log de la razón de tasas:</strong> T<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (1/&lambda;<sub>1</sub> + 1/(r&lambda;<sub>0</sub>)) / (ln RR)<sup>2</sup><br>
+                    *Eventos esperados en cada grupo = &lambda; &times; su tiempo-persona
+                </div>
+            `
+        },
+        rct: {
+            interpretation: `
+                <p>Cálculo estándar para ensayos controlados aleatorizados que comparan desenlaces binarios. Se recomienda Fleiss CC para estimaciones conservadoras.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Fórmulas utilizadas:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> aplica la corrección por continuidad a N<sub>Fleiss</sub>
+                </div>
+            `
+        },
+        'two-means': {
+            interpretation: `
+                <p>Calcula el tamaño muestral para comparar dos medias independientes (equivalente a la prueba t de Student).</p>
+            `
+        },
+        survival: {
+            interpretation: `
+                <p>Tamaño muestral para comparar la supervivencia entre dos brazos con la prueba de log-rank. La potencia depende del número de eventos, así que el ensayo necesita D eventos; el número de pacientes se deduce de la probabilidad de que cada uno presente el evento durante el reclutamiento y el seguimiento.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Fórmulas utilizadas:</strong><br>
+                    <strong>Schoenfeld:</strong> D = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup>(1+r)<sup>2</sup> / [r(ln HR)<sup>2</sup>]<br>
+                    <strong>Freedman:</strong> D = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup>(1+r&middot;HR)<sup>2</sup> / [r(1-HR)<sup>2</sup>]<br>
+                    <strong>P(evento):</strong> 1 - [e<sup>-&lambda;f</sup> - e<sup>-&lambda;(a+f)</sup>] / (&lambda;a) por brazo, &lambda; = ln 2 / mediana (supervivencia exponencial, reclutamiento uniforme durante a, seguimiento f)
+                </div>
+            `
+        },
+        correlation: {
+            interpretation: `
+                <p>Tamaño muestral para demostrar que una correlación de Pearson difiere de r<sub>0</sub> (habitualmente cero). La transformación z de Fisher hace que la distribución muestral de r sea aproximadamente normal, con error estándar 1/&radic;(N-3).</p>
+            `
+        },
+        'linear-regression': {
+            interpretation: `
+                <p>Tamaño muestral para la prueba F de lo que u predictores añaden a una regresión lineal múltiple. La potencia se obtiene de la distribución F no central exacta, como en G*Power. Una pendiente única b se convierte en &Delta;R<sup>2</sup> = (b&sigma;<sub>x</sub>/&sigma;<sub>y</sub>)<sup>2</sup>.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    Referencias de Cohen: f<sup>2</sup> = 0,02 pequeño, 0,15 mediano, 0,35 grande.
+                </div>
+            `
+        },
+        'logistic-regression': {
+            interpretation: `
+                <p>Tamaño muestral para detectar la odds ratio de una covariable en una regresión logística (Hsieh, Bloch &amp; Larsen 1998). Ajustar por otras covariables correlacionadas con X aumenta la varianza de &beta;, así que N se multiplica por el factor de inflación de la varianza 1/(1-&rho;<sup>2</sup>).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    La regla práctica de al menos 10 eventos por variable sigue vigente; compruebe el número esperado de eventos.
+                </div>
+            `
+        },
+        diagnostic: {
+            interpretation: `
+                <p>Tamaño muestral para un estudio de exactitud diagnóstica (Buderer 1996). La sensibilidad solo se estima en los enfermos y la especificidad solo en los no enfermos, así que cada recuento del tipo 4PQ/D<sup>2</sup> se divide por la proporción de la población en ese grupo. Reclute el mayor de los dos.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    La comparación emparejada aplica la prueba de McNemar (Connor 1987) dentro de los enfermos y dentro de los no enfermos, suponiendo que las dos pruebas se equivocan de forma independiente dado el estado de enfermedad.
+                </div>
+            `
+        }
+    }
+}));
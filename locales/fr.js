@@ -0,0 +1,723 @@
+/**
+ * French catalogue for the calculator page (see setLocale in sample-size-core.js).
+ * Messages are keyed by the English source text; anything missing falls back to English.
+ */
+(function (root, catalogue) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = catalogue;
+    } else {
+        (root.SampleSizeLocales = root.SampleSizeLocales || {})[catalogue.code] = catalogue;
+    }
+}(typeof self !== 'undefined' ? self : this, {
+    code: 'fr',
+    name: 'Français',
+    locale: 'fr-FR',
+    messages: {
+        // --- Design inputs ---
+        'Prevalence (P) %': 'Prévalence (P) %',
+        'Expected proportion of the disease/condition.': 'Proportion attendue de la maladie ou de l\'affection.',
+        'Precision Type': 'Type de précision',
+        'Relative precision suits rare conditions, where ±5 points would be wider than P itself.': 'La précision relative convient aux affections rares, où ±5 points dépasseraient P lui-même.',
+        'Absolute (± percentage points)': 'Absolue (± points de pourcentage)',
+        'Relative (± % of P)': 'Relative (± % de P)',
+        'Precision (D) %': 'Précision (D) %',
+        'Acceptable error margin (absolute precision).': 'Marge d\'erreur acceptable (précision absolue).',
+        'Relative Precision (% of P)': 'Précision relative (% de P)',
+        'Acceptable error margin as a percentage of P (D = P × this).': 'Marge d\'erreur acceptable en pourcentage de P (D = P × cette valeur).',
+        'Confidence Level (%)': 'Niveau de confiance (%)',
+        '1 - Alpha (usually 95%).': '1 - alpha (généralement 95 %).',
+        'Interval Method': 'Méthode d\'intervalle',
+        'Method for the headline N. Wald is unreliable for P < 5%; prefer Wilson or Clopper-Pearson there.': 'Méthode du N principal. Wald n\'est pas fiable pour P < 5 % ; préférez alors Wilson ou Clopper-Pearson.',
+        'Wald (Normal Approximation)': 'Wald (approximation normale)',
+        'Wilson Score': 'Score de Wilson',
+        'Clopper-Pearson (Exact)': 'Clopper-Pearson (exact)',
+        'Cochran\'s Formula with Finite Population Correction (FPC)?': 'Formule de Cochran avec correction pour population finie (FPC) ?',
+        'Use when the total population is small or known.': 'À utiliser lorsque la population totale est petite ou connue.',
+        'Non-response Rate (%)': 'Taux de non-réponse (%)',
+        'Expected non-response. N is inflated to N / (1 - rate).': 'Non-réponse attendue. N est majoré à N / (1 - taux).',
+        'Population Size (N)': 'Taille de la population (N)',
+        'Total population size.': 'Taille totale de la population.',
+        'Cluster Sampling / Randomisation?': 'Échantillonnage / randomisation en grappes ?',
+        'Participants are sampled or randomised in clusters (villages, schools, clinics).': 'Les participants sont échantillonnés ou randomisés par grappes (villages, écoles, centres de santé).',
+        'Intraclass Correlation (ICC)': 'Corrélation intraclasse (ICC)',
+        'Correlation of outcomes within a cluster (often 0.01-0.1).': 'Corrélation des résultats au sein d\'une grappe (souvent 0,01-0,1).',
+        'Average Cluster Size (m)': 'Taille moyenne des grappes (m)',
+        'Participants recruited per cluster.': 'Participants recrutés par grappe.',
+        'CV of Cluster Sizes': 'CV des tailles de grappe',
+        'Coefficient of variation of cluster sizes; 0 if all clusters are the same size.': 'Coefficient de variation des tailles de grappe ; 0 si toutes les grappes ont la même taille.',
+        'Solve For': 'Calculer',
+        'Compute N, or the power / smallest effect a fixed N gives.': 'Calculer N, ou la puissance / le plus petit effet que donne un N fixé.',
+        'Sample Size (N)': 'Taille d\'échantillon (N)',
+        'Achieved Power': 'Puissance atteinte',
+        'Minimum Detectable OR': 'OR minimal détectable',
+        'Available Sample Size (Total)': 'Taille d\'échantillon disponible (totale)',
+        'Cases + controls you can recruit.': 'Cas + témoins que vous pouvez recruter.',
+        '% Exposed in Controls': '% d\'exposés chez les témoins',
+        'Proportion of controls exposed to the risk factor.': 'Proportion de témoins exposés au facteur de risque.',
+        'Odds Ratio (OR)': 'Odds ratio (OR)',
+        'Minimum odds ratio you want to detect.': 'Odds ratio minimal à détecter.',
+        'Power (%)': 'Puissance (%)',
+        'Probability of detecting a true effect (usually 80%).': 'Probabilité de détecter un effet réel (généralement 80 %).',
+        'Hypothesis Test': 'Test d\'hypothèse',
+        'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.': 'Le test unilatéral place tout alpha dans une seule queue (Zα au lieu de Zα/2). À n\'utiliser que si un effet dans l\'autre sens est sans intérêt.',
+        'Two-sided': 'Bilatéral',
+        'One-sided': 'Unilatéral',
+        'Control to Case Ratio (r)': 'Rapport témoins / cas (r)',
+        'Number of controls per case (usually 1).': 'Nombre de témoins par cas (généralement 1).',
+        'Non-response (%)': 'Non-réponse (%)',
+        'Expected loss in both groups. Each group is inflated to N / (1 - rate).': 'Perte attendue dans les deux groupes. Chaque groupe est majoré à N / (1 - taux).',
+        'Different Rate per Group?': 'Taux différent par groupe ?',
+        'Set a separate rate for each group.': 'Définir un taux distinct pour chaque groupe.',
+        'Non-response, Cases (%)': 'Non-réponse, cas (%)',
+        'Non-response, Controls (%)': 'Non-réponse, témoins (%)',
+        'Specify Matching By': 'Spécifier l\'appariement par',
+        'Correlation of exposure within matched sets, or the expected proportions of discordant pairs from a pilot.': 'Corrélation de l\'exposition au sein des groupes appariés, ou proportions attendues de paires discordantes issues d\'une étude pilote.',
+        'Exposure Correlation (φ)': 'Corrélation d\'exposition (φ)',
+        'Discordant-Pair Proportions (1:1)': 'Proportions de paires discordantes (1:1)',
+        'Proportion of controls exposed to the risk factor (P0).': 'Proportion de témoins exposés au facteur de risque (P0).',
+        'Correlation between case and control exposure within a matched set (0 = matching ineffective).': 'Corrélation entre l\'exposition du cas et celle des témoins d\'un même groupe apparié (0 = appariement inefficace).',
+        'Controls per Case (M)': 'Témoins par cas (M)',
+        '1 for pair matching; 2-4 for 1:M matching.': '1 pour un appariement par paires ; 2-4 pour un appariement 1:M.',
+        'Pairs: Case Exposed, Control Not (%)': 'Paires : cas exposé, témoin non (%)',
+        'Expected proportion of pairs where only the case is exposed.': 'Proportion attendue de paires où seul le cas est exposé.',
+        'Pairs: Control Exposed, Case Not (%)': 'Paires : témoin exposé, cas non (%)',
+        'Expected proportion of pairs where only the control is exposed.': 'Proportion attendue de paires où seul le témoin est exposé.',
+        'Expected loss of whole matched sets. Sets are inflated to N / (1 - rate).': 'Perte attendue de groupes appariés entiers. Le nombre de groupes est majoré à N / (1 - taux).',
+        'Minimum Detectable RR': 'RR minimal détectable',
+        'Exposed + unexposed participants you can follow.': 'Participants exposés + non exposés que vous pouvez suivre.',
+        '% Unexposed with Outcome': '% de non-exposés avec l\'événement',
+        'Baseline risk in unexposed group (P2).': 'Risque de base dans le groupe non exposé (P2).',
+        '% Exposed with Outcome': '% d\'exposés avec l\'événement',
+        'Risk in exposed group (P1).': 'Risque dans le groupe exposé (P1).',
+        'Probability of detecting a true effect.': 'Probabilité de détecter un effet réel.',
+        'Unexposed to Exposed Ratio (r)': 'Rapport non-exposés / exposés (r)',
+        'Number of unexposed per exposed (usually 1).': 'Nombre de non-exposés par exposé (généralement 1).',
+        'Loss to Follow-up (%)': 'Perdus de vue (%)',
+        'Loss to Follow-up, Exposed (%)': 'Perdus de vue, exposés (%)',
+        'Loss to Follow-up, Unexposed (%)': 'Perdus de vue, non-exposés (%)',
+        'Risk Ratio (RR)': 'Risque relatif (RR)',
+        'Baseline Incidence Rate (per 1,000 person-years)': 'Taux d\'incidence de référence (pour 1 000 personnes-années)',
+        'Events per 1,000 person-years in the unexposed group (λ0).': 'Événements pour 1 000 personnes-années dans le groupe non exposé (λ0).',
+        'Rate Ratio (RR)': 'Rapport des taux (RR)',
+        'Rate in the exposed group divided by the baseline rate.': 'Taux dans le groupe exposé divisé par le taux de référence.',
+        'Follow-up per Person (years)': 'Suivi par personne (années)',
+        'Average person-time each participant contributes.': 'Temps-personne moyen apporté par chaque participant.',
+        'Minimum Detectable P2': 'P2 minimal détectable',
+        'Participants you can randomise across both groups.': 'Participants que vous pouvez randomiser dans les deux groupes.',
+        'Prop. Group 1 (%)': 'Prop. groupe 1 (%)',
+        'Anticipated outcome in Control Group (e.g., Unexposed).': 'Résultat attendu dans le groupe contrôle (p. ex. non exposés).',
+        'Prop. Group 2 (%)': 'Prop. groupe 2 (%)',
+        'Anticipated outcome in Treatment Group (e.g., Exposed).': 'Résultat attendu dans le groupe traité (p. ex. exposés).',
+        'Trial Hypothesis': 'Hypothèse de l\'essai',
+        'Margin tests assume higher is better for Group 2 (new) vs Group 1 (reference). Their one-sided α is 1 - confidence, so set 97.5% for the usual α = 0.025.': 'Les tests de marge supposent qu\'une valeur plus élevée est meilleure pour le groupe 2 (nouveau) que pour le groupe 1 (référence). Leur α unilatéral vaut 1 - confiance : choisissez 97,5 % pour l\'α habituel de 0,025.',
+        'Superiority': 'Supériorité',
+        'Non-inferiority': 'Non-infériorité',
+        'Equivalence': 'Équivalence',
+        'Margin (δ) %': 'Marge (δ) %',
+        'Largest difference still considered clinically unimportant.': 'Plus grande différence encore jugée cliniquement négligeable.',
+        'Group Ratio (N1/N2) (r)': 'Rapport des groupes (N1/N2) (r)',
+        'Dropout (%)': 'Abandons (%)',
+        'Dropout, Group 1 (%)': 'Abandons, groupe 1 (%)',
+        'Dropout, Group 2 (%)': 'Abandons, groupe 2 (%)',
+        'Minimum Detectable Difference': 'Différence minimale détectable',
+        'Participants you can recruit across both groups.': 'Participants que vous pouvez recruter dans les deux groupes.',
+        'Mean Group 1': 'Moyenne groupe 1',
+        'Expected mean of Group 1.': 'Moyenne attendue du groupe 1.',
+        'SD Group 1': 'ET groupe 1',
+        'Standard Deviation of Group 1.': 'Écart type du groupe 1.',
+        'Mean Group 2': 'Moyenne groupe 2',
+        'Expected mean of Group 2.': 'Moyenne attendue du groupe 2.',
+        'SD Group 2': 'ET groupe 2',
+        'Standard Deviation of Group 2.': 'Écart type du groupe 2.',
+        'Group Ratio (N2/N1) (r)': 'Rapport des groupes (N2/N1) (r)',
+        'Margin (δ)': 'Marge (δ)',
+        'Mean Difference (μ1 - μ2)': 'Différence des moyennes (μ1 - μ2)',
+        'Specify Effect By': 'Spécifier l\'effet par',
+        'Medians are converted to a hazard ratio assuming exponential survival.': 'Les médianes sont converties en hazard ratio en supposant une survie exponentielle.',
+        'Hazard Ratio': 'Hazard ratio',
+        'Median Survival per Arm': 'Survie médiane par bras',
+        'Hazard Ratio (HR)': 'Hazard ratio (HR)',
+        'Treatment vs control hazard; below 1 means treatment is better.': 'Risque instantané traitement vs contrôle ; en dessous de 1, le traitement est meilleur.',
+        'Median Survival, Control (months)': 'Survie médiane, contrôle (mois)',
+        'Sets the control hazard, and so the chance of an event by the analysis.': 'Fixe le risque instantané du contrôle, donc la probabilité d\'un événement avant l\'analyse.',
+        'Median Survival, Treatment (months)': 'Survie médiane, traitement (mois)',
+        'Expected median in the treatment arm.': 'Médiane attendue dans le bras traité.',
+        'Accrual Time (months)': 'Durée de recrutement (mois)',
+        'Recruitment period; patients enter uniformly over it.': 'Période de recrutement ; les patients entrent de façon uniforme.',
+        'Additional Follow-up (months)': 'Suivi supplémentaire (mois)',
+        'Follow-up after the last patient is recruited.': 'Suivi après le recrutement du dernier patient.',
+        'Allocation Ratio (Treatment : Control) (r)': 'Rapport d\'allocation (traitement : contrôle) (r)',
+        'Patients on treatment per patient on control.': 'Patients traités par patient contrôle.',
+        'Loss to Follow-up, Control (%)': 'Perdus de vue, contrôle (%)',
+        'Loss to Follow-up, Treatment (%)': 'Perdus de vue, traitement (%)',
+        'Expected Correlation (r)': 'Corrélation attendue (r)',
+        'Pearson correlation you expect between the two measures.': 'Corrélation de Pearson attendue entre les deux mesures.',
+        'Null Correlation (r₀)': 'Corrélation sous H0 (r₀)',
+        'Value under the null hypothesis; usually 0 (no association).': 'Valeur sous l\'hypothèse nulle ; généralement 0 (pas d\'association).',
+        'Expected loss or missing data. N is inflated to N / (1 - rate).': 'Perte ou données manquantes attendues. N est majoré à N / (1 - taux).',
+        'The R² the tested predictors add, or the slope of one predictor.': 'Le R² apporté par les prédicteurs testés, ou la pente d\'un prédicteur.',
+        'R² Increment': 'Accroissement de R²',
+        'Single Slope': 'Pente unique',
+        'R² Increment (ΔR²)': 'Accroissement de R² (ΔR²)',
+        'Extra variance explained by the tested predictors.': 'Variance supplémentaire expliquée par les prédicteurs testés.',
+        'Tested Predictors (u)': 'Prédicteurs testés (u)',
+        'Number of predictors whose joint contribution is tested.': 'Nombre de prédicteurs dont la contribution conjointe est testée.',
+        'Slope (b)': 'Pente (b)',
+        'Expected change in outcome per unit of the predictor.': 'Variation attendue du résultat par unité du prédicteur.',
+        'SD of Predictor (σx)': 'ET du prédicteur (σx)',
+        'Standard deviation of the predictor.': 'Écart type du prédicteur.',
+        'SD of Outcome (σy)': 'ET du résultat (σy)',
+        'Standard deviation of the outcome.': 'Écart type du résultat.',
+        'Other Predictors in Model': 'Autres prédicteurs du modèle',
+        'Covariates adjusted for but not tested.': 'Covariables ajustées mais non testées.',
+        'R² of Other Predictors': 'R² des autres prédicteurs',
+        'Variance the covariates already explain.': 'Variance déjà expliquée par les covariables.',
+        'Covariate of Interest': 'Covariable d\'intérêt',
+        'Hsieh (1998) has a formula for each.': 'Hsieh (1998) donne une formule pour chaque cas.',
+        'Continuous': 'Continue',
+        'Binary': 'Binaire',
+        'Event Rate at Mean of X (%)': 'Taux d\'événements à la moyenne de X (%)',
+        'Outcome probability for a participant at the covariate mean.': 'Probabilité de l\'événement pour un participant à la moyenne de la covariable.',
+        'Event Rate when X = 0 (%)': 'Taux d\'événements pour X = 0 (%)',
+        'Outcome probability in the unexposed (X = 0).': 'Probabilité de l\'événement chez les non-exposés (X = 0).',
+        'Per 1 SD increase of a continuous X, or for X = 1 vs X = 0.': 'Pour une hausse de 1 ET d\'un X continu, ou pour X = 1 vs X = 0.',
+        'Proportion with X = 1 (%)': 'Proportion avec X = 1 (%)',
+        'Share of participants in the X = 1 group.': 'Part des participants dans le groupe X = 1.',
+        'R² of X with Other Covariates': 'R² de X avec les autres covariables',
+        'Multiple correlation of X with the other covariates. N is multiplied by the VIF, 1 / (1 - R²).': 'Corrélation multiple de X avec les autres covariables. N est multiplié par le VIF, 1 / (1 - R²).',
+        'Expected Sensitivity (%)': 'Sensibilité attendue (%)',
+        'Proportion of diseased people the test detects.': 'Proportion de malades que le test détecte.',
+        'Expected Specificity (%)': 'Spécificité attendue (%)',
+        'Proportion of non-diseased people the test clears.': 'Proportion de non-malades que le test classe négatifs.',
+        'Precision (±%) (D)': 'Précision (±%) (D)',
+        'Half-width of the confidence interval for sensitivity and specificity.': 'Demi-largeur de l\'intervalle de confiance de la sensibilité et de la spécificité.',
+        'Disease Prevalence (%)': 'Prévalence de la maladie (%)',
+        'Prevalence in the population being tested; sets how many must be recruited to find enough diseased.': 'Prévalence dans la population testée ; détermine combien recruter pour trouver assez de malades.',
+        'Compare Two Tests (Paired)?': 'Comparer deux tests (appariés) ?',
+        'Every participant gets both tests; sensitivities and specificities are compared with McNemar\'s test.': 'Chaque participant reçoit les deux tests ; sensibilités et spécificités sont comparées par le test de McNemar.',
+        'Sensitivity, Test 2 (%)': 'Sensibilité, test 2 (%)',
+        'Expected sensitivity of the comparator test.': 'Sensibilité attendue du test comparateur.',
+        'Specificity, Test 2 (%)': 'Spécificité, test 2 (%)',
+        'Expected specificity of the comparator test.': 'Spécificité attendue du test comparateur.',
+        'Probability of detecting the difference between tests.': 'Probabilité de détecter la différence entre les tests.',
+        'Expected loss or unverified results. N is inflated to N / (1 - rate).': 'Perte ou résultats non vérifiés attendus. N est majoré à N / (1 - taux).',
+        'Strata': 'Strates',
+        'One row per stratum: its population, expected prevalence and, for cost-optimal allocation, the cost per interview.': 'Une ligne par strate : sa population, sa prévalence attendue et, pour la répartition à coût optimal, le coût par entretien.',
+        'Allocation': 'Répartition',
+        'How N is split across strata: by population share, towards strata whose prevalence is nearer 50% (Neyman), or also away from costly interviews (cost-optimal).': 'Comment N est réparti entre les strates : selon la part de population, vers les strates dont la prévalence est proche de 50 % (Neyman), ou en évitant aussi les entretiens coûteux (coût optimal).',
+        'Proportional': 'Proportionnelle',
+        'Neyman': 'Neyman',
+        'Cost-optimal': 'Coût optimal',
+        'Acceptable error margin for the overall prevalence (absolute precision).': 'Marge d\'erreur acceptable pour la prévalence globale (précision absolue).',
+        'Expected non-response. Each stratum is inflated to n / (1 - rate).': 'Non-réponse attendue. Chaque strate est majorée à n / (1 - taux).',
+        'Screened per Eligible': 'Personnes sélectionnées par éligible',
+        'People screened to find one eligible participant (3 means 1 in 3 is eligible).': 'Personnes à sélectionner pour trouver un participant éligible (3 signifie qu\'une sur 3 est éligible).',
+        'Consent Rate (%)': 'Taux de consentement (%)',
+        'Share of eligible people who agree to take part.': 'Part des personnes éligibles qui acceptent de participer.',
+        'Enrolled per Site per Month': 'Inclus par centre et par mois',
+        'Participants each site enrols in a month.': 'Participants inclus par chaque centre en un mois.',
+        'Sites': 'Centres',
+        'Recruiting sites, all enrolling from month 0.': 'Centres recruteurs, qui incluent tous dès le mois 0.',
+
+        // --- Results, formulas and errors ---
+        'Z<sub>α</sub> (One-sided)': 'Z<sub>α</sub> (unilatéral)',
+        'Z<sub>α/2</sub> (Two-sided)': 'Z<sub>α/2</sub> (bilatéral)',
+        '(N={before} before {rate} dropout, {total} to recruit)': '(N={before} avant {rate} d\'abandons, {total} à recruter)',
+        'Design Effect (DEFF)': 'Effet de plan (DEFF)',
+        'Clusters per Arm': 'Grappes par bras',
+        'Clusters': 'Grappes',
+        'Equivalence (TOST)': 'Équivalence (TOST)',
+        'Non-inferiority (Z-test)': 'Non-infériorité (test Z)',
+        '(One-sided Z<sub>α</sub> for each of the two tests; δ = margin)': '(Z<sub>α</sub> unilatéral pour chacun des deux tests ; δ = marge)',
+        '(One-sided Z<sub>α</sub>; δ = margin)': '(Z<sub>α</sub> unilatéral ; δ = marge)',
+        'Effective N (after DEFF)': 'N effectif (après DEFF)',
+        'Effective N (after Dropout)': 'N effectif (après abandons)',
+        'Z<sub>β</sub> (Solved, Kelsey)': 'Z<sub>β</sub> (résolu, Kelsey)',
+        'Not detectable': 'Non détectable',
+        'Achieved Power (Kelsey):': 'Puissance atteinte (Kelsey) :',
+        'Minimum Detectable Effect:': 'Effet minimal détectable :',
+        'Solve N<sub>1</sub>(P<sub>1</sub>) = N / (1+r) for P<sub>1</sub>': 'Résoudre N<sub>1</sub>(P<sub>1</sub>) = N / (1+r) en P<sub>1</sub>',
+        '(Inverted numerically for Kelsey, Fleiss & Fleiss CC)': '(Inversion numérique pour Kelsey, Fleiss et Fleiss CC)',
+        'Enter a number.': 'Saisissez un nombre.',
+        'Must be a whole number.': 'Doit être un nombre entier.',
+        'Must be at least {limit}.': 'Doit être au moins {limit}.',
+        'Must be at most {limit}.': 'Doit être au plus {limit}.',
+        'Must be greater than {limit}.': 'Doit être supérieur à {limit}.',
+        'Must be less than {limit}.': 'Doit être inférieur à {limit}.',
+        'Precision (±{precision}) must be smaller than P and 1 - P. Lower D or use relative precision.': 'La précision (±{precision}) doit être inférieure à P et à 1 - P. Réduisez D ou utilisez une précision relative.',
+        'D = ε × P (relative precision)': 'D = ε × P (précision relative)',
+        '(Headline N solves the chosen interval\'s half-width = D; see Interpretation)': '(Le N principal résout demi-largeur de l\'intervalle choisi = D ; voir Interprétation)',
+        'Not reachable': 'Inatteignable',
+        '{n} before dropout': '{n} avant abandons',
+        '{n} clusters': '{n} grappes',
+        'D (Absolute Precision)': 'D (précision absolue)',
+        'OR=1 implies no effect. N is infinite.': 'OR=1 signifie aucun effet. N est infini.',
+        'Impossible inputs: exposure in cases (P1) reaches 100%. Lower the control exposure or the OR.': 'Valeurs impossibles : l\'exposition des cas (P1) atteint 100 %. Réduisez l\'exposition des témoins ou l\'OR.',
+        'Kelsey Formula (Main):': 'Formule de Kelsey (principale) :',
+        '(See Interpretation regarding Fleiss & Fleiss CC methods)': '(Voir Interprétation pour les méthodes Fleiss et Fleiss CC)',
+        '(Incl. {rate} Dropout)': '(Incl. {rate} d\'abandons)',
+        'Power': 'Puissance',
+        'Detectable OR': 'OR détectable',
+        'Controls': 'Témoins',
+        'Cases': 'Cas',
+        'P<sub>1</sub> (Calc. % Exposed in Cases)': 'P<sub>1</sub> (% calculé d\'exposés chez les cas)',
+        'Discordant proportions cannot sum to more than 100%.': 'La somme des proportions discordantes ne peut dépasser 100 %.',
+        'Equal discordant proportions imply OR=1. N is infinite.': 'Des proportions discordantes égales impliquent OR=1. N est infini.',
+        'Dupont (Matched Sets):': 'Dupont (groupes appariés) :',
+        '(Sums over m = 1..M exposed subjects per set; see Formula Steps)': '(Sommes sur m = 1..M sujets exposés par groupe ; voir Étapes de calcul)',
+        'Correlation φ is too strong for these exposure prevalences. Lower φ.': 'La corrélation φ est trop forte pour ces prévalences d\'exposition. Réduisez φ.',
+        '{cases} cases + {controls} controls': '{cases} cas + {controls} témoins',
+        '(1:1 pairs)': '(paires 1:1)',
+        '(1:{M} matching)': '(appariement 1:{M})',
+        'P(Control Exposed | Case Exposed)': 'P(témoin exposé | cas exposé)',
+        'P(Control Exposed | Case Not)': 'P(témoin exposé | cas non exposé)',
+        'OR (p<sub>10</sub> / p<sub>01</sub>)': 'OR (p<sub>10</sub> / p<sub>01</sub>)',
+        'Matched Sets': 'Groupes appariés',
+        'P1 and P2 cannot be equal.': 'P1 et P2 ne peuvent pas être égaux.',
+        'Detectable RR': 'RR détectable',
+        'Unexposed': 'Non exposés',
+        'Exposed': 'Exposés',
+        'Expected Difference (P<sub>2</sub> - P<sub>1</sub>)': 'Différence attendue (P<sub>2</sub> - P<sub>1</sub>)',
+        'N<sub>1</sub> / N<sub>2</sub> (Analysed)': 'N<sub>1</sub> / N<sub>2</sub> (analysés)',
+        'Group 1': 'Groupe 1',
+        'Group 2': 'Groupe 2',
+        'Expected difference is outside the equivalence margin (|P2 - P1| ≥ δ).': 'La différence attendue sort de la marge d\'équivalence (|P2 - P1| ≥ δ).',
+        'Expected difference is at or below -δ: non-inferiority cannot be shown.': 'La différence attendue est inférieure ou égale à -δ : la non-infériorité ne peut pas être démontrée.',
+        'Diff = {diff}': 'Diff. = {diff}',
+        'Detectable P2': 'P2 détectable',
+        'Means cannot be equal.': 'Les moyennes ne peuvent pas être égales.',
+        'Expected Difference (&mu;<sub>2</sub> - &mu;<sub>1</sub>)': 'Différence attendue (&mu;<sub>2</sub> - &mu;<sub>1</sub>)',
+        'Expected difference is outside the equivalence margin (|μ2 - μ1| ≥ δ).': 'La différence attendue sort de la marge d\'équivalence (|μ2 - μ1| ≥ δ).',
+        'Z<sub>β</sub> (Solved)': 'Z<sub>β</sub> (résolu)',
+        '&mu;<sub>2</sub> at Detectable Diff': '&mu;<sub>2</sub> à la diff. détectable',
+        'Normal Approximation': 'Approximation normale',
+        'HR=1 implies no effect. N is infinite.': 'HR=1 signifie aucun effet. N est infini.',
+        'Equal medians imply HR=1. N is infinite.': 'Des médianes égales impliquent HR=1. N est infini.',
+        'Accrual plus follow-up time must be greater than 0.': 'La durée de recrutement plus le suivi doit être supérieure à 0.',
+        'Schoenfeld (Events):': 'Schoenfeld (événements) :',
+        '(See Interpretation for Freedman and P(event))': '(Voir Interprétation pour Freedman et P(événement))',
+        'HR (Hazard Ratio)': 'HR (hazard ratio)',
+        '&lambda; Control / Treatment (per month)': '&lambda; contrôle / traitement (par mois)',
+        'P(event) Control / Treatment': 'P(événement) contrôle / traitement',
+        'P(event) Overall': 'P(événement) globale',
+        'D (Events, Schoenfeld)': 'D (événements, Schoenfeld)',
+        'RR=1 implies no effect. N is infinite.': 'RR=1 signifie aucun effet. N est infini.',
+        'Rate Difference (Main):': 'Différence des taux (principale) :',
+        '(See Interpretation for the log rate ratio method)': '(Voir Interprétation pour la méthode du log du rapport des taux)',
+        'Rate Difference': 'Différence des taux',
+        'Log Rate Ratio': 'Log du rapport des taux',
+        '&lambda;<sub>1</sub> / &lambda;<sub>0</sub> (per 1,000 person-years)': '&lambda;<sub>1</sub> / &lambda;<sub>0</sub> (pour 1 000 personnes-années)',
+        'Person-years Needed, Exposed / Unexposed': 'Personnes-années nécessaires, exposés / non-exposés',
+        'Expected Events, Exposed / Unexposed': 'Événements attendus, exposés / non-exposés',
+        'Treatment': 'Traitement',
+        'Control': 'Contrôle',
+        'r equals r₀ (no effect). N is infinite.': 'r est égal à r₀ (aucun effet). N est infini.',
+        'C (Fisher z of r)': 'C (z de Fisher de r)',
+        'C<sub>0</sub> (Fisher z of r<sub>0</sub>)': 'C<sub>0</sub> (z de Fisher de r<sub>0</sub>)',
+        'A slope of 0 implies no effect. N is infinite.': 'Une pente de 0 signifie aucun effet. N est infini.',
+        'R² of the full model (other + increment) must be below 1.': 'Le R² du modèle complet (autres + accroissement) doit être inférieur à 1.',
+        'Smallest N with': 'Plus petit N tel que',
+        'Effect too small: N exceeds 100,000.': 'Effet trop faible : N dépasse 100 000.',
+        'f<sup>2</sup> (Effect Size)': 'f<sup>2</sup> (taille d\'effet)',
+        'Degrees of Freedom (u, N-k-1)': 'Degrés de liberté (u, N-k-1)',
+        '&lambda; (Noncentrality)': '&lambda; (non-centralité)',
+        'Partial r = {r}': 'r partiel = {r}',
+        'P<sub>1</sub> (Event Rate when X = 1)': 'P<sub>1</sub> (taux d\'événements pour X = 1)',
+        'P&#772; (Overall Event Rate)': 'P&#772; (taux global d\'événements)',
+        '&beta; (ln OR per SD)': '&beta; (ln OR par ET)',
+        'N (Unadjusted)': 'N (non ajusté)',
+        'Expected Events': 'Événements attendus',
+        'Precision (±{precision}) must be smaller than Se, Sp and their complements.': 'La précision (±{precision}) doit être inférieure à Se, Sp et à leurs compléments.',
+        'Both tests have the same accuracy. N is infinite.': 'Les deux tests ont la même performance. N est infini.',
+        'Diseased pairs:': 'Paires malades :',
+        '(likewise for Sp with 1-Prev)': '(de même pour Sp avec 1-Prév)',
+        '{n} diseased': '{n} malades',
+        '{n} non-diseased': '{n} non-malades',
+        'Sensitivity': 'Sensibilité',
+        'Specificity': 'Spécificité',
+        'Diseased for Se (TP + FN)': 'Malades pour Se (VP + FN)',
+        'Non-diseased for Sp (TN + FP)': 'Non-malades pour Sp (VN + FP)',
+        '{n} diseased pairs': '{n} paires malades',
+        'Compare Se (McNemar)': 'Comparer Se (McNemar)',
+        '{n} non-diseased pairs': '{n} paires non malades',
+        'Compare Sp (McNemar)': 'Comparer Sp (McNemar)',
+        'N to Recruit': 'N à recruter',
+        'Diseased': 'Malades',
+        'Non-diseased': 'Non-malades',
+        'Stratum {n}': 'Strate {n}',
+        'Add at least one stratum.': 'Ajoutez au moins une strate.',
+        '{stratum}: population must be a whole number of at least 1.': '{stratum} : la population doit être un nombre entier d\'au moins 1.',
+        '{stratum}: prevalence must be between 0 and 100%.': '{stratum} : la prévalence doit être comprise entre 0 et 100 %.',
+        '{stratum}: cost must be greater than 0.': '{stratum} : le coût doit être supérieur à 0.',
+        'Enter a cost for every stratum, or leave them all blank.': 'Saisissez un coût pour chaque strate, ou laissez-les tous vides.',
+        'Precision (±{precision}) must be smaller than the overall prevalence and 1 - P.': 'La précision (±{precision}) doit être inférieure à la prévalence globale et à 1 - P.',
+        '(See Interpretation for the allocation shares a<sub>h</sub>)': '(Voir l\'interprétation pour les parts de répartition a<sub>h</sub>)',
+        'Cost {cost}': 'Coût {cost}',
+        'Overall Prevalence (&Sigma;W<sub>h</sub>P<sub>h</sub>)': 'Prévalence globale (&Sigma;W<sub>h</sub>P<sub>h</sub>)',
+        'N without Stratification': 'N sans stratification',
+        'Total Cost': 'Coût total',
+        'n, {stratum}': 'n, {stratum}',
+
+        // --- Calculator page ---
+        'Link Copied!': 'Lien copié !',
+        'Copy Link': 'Copier le lien',
+        'Total before Dropout': 'Total avant abandons',
+        'Total': 'Total',
+        'Events': 'Événements',
+        '{group} Clusters': 'Grappes {group}',
+        'Sample Size Calculator': 'Calculateur de taille d\'échantillon',
+        'Comparison of Methods': 'Comparaison des méthodes',
+        'Method': 'Méthode',
+        'Sample Size Report': 'Rapport de taille d\'échantillon',
+        'Print / Save as PDF': 'Imprimer / enregistrer en PDF',
+        'Sample Size Calculation Report': 'Rapport de calcul de taille d\'échantillon',
+        'Generated {date}': 'Généré le {date}',
+        'Scenario link:': 'Lien du scénario :',
+        'Study Design': 'Plan d\'étude',
+        'Result': 'Résultat',
+        'Input Parameters': 'Paramètres saisis',
+        'Formula': 'Formule',
+        'Interpretation': 'Interprétation',
+        'Visualisation': 'Visualisation',
+        'Sample size visualisation': 'Visualisation de la taille d\'échantillon',
+        'For educational purposes. Please verify results against standard epidemiological textbooks before use in a protocol.': 'À des fins pédagogiques. Vérifiez les résultats dans les manuels d\'épidémiologie de référence avant de les utiliser dans un protocole.',
+        'Scenario {n}': 'Scénario {n}',
+        'No scenarios found in file.': 'Aucun scénario trouvé dans le fichier.',
+        'Could not import scenarios: {error}': 'Impossible d\'importer les scénarios : {error}',
+        'Error': 'Erreur',
+        'Load {name}': 'Charger {name}',
+        'Load': 'Charger',
+        'Delete {name}': 'Supprimer {name}',
+        'Delete': 'Supprimer',
+        'No saved scenarios yet. Save the current inputs to start a comparison.': 'Aucun scénario enregistré. Enregistrez les valeurs actuelles pour commencer une comparaison.',
+        'Highlighted cells are inputs that differ between scenarios.': 'Les cellules en surbrillance sont les valeurs qui diffèrent entre scénarios.',
+        'Simulate thousands of trials at each method\'s N to see the power the intended test actually achieves.': 'Simulez des milliers d\'essais au N de chaque méthode pour voir la puissance réellement atteinte par le test prévu.',
+        'Available for the case-control, cohort, RCT and two-means designs when solving for N (superiority, no clustering).': 'Disponible pour les plans cas-témoins, cohorte, ECR et deux moyennes lors du calcul de N (supériorité, sans grappes).',
+        'This browser does not support web workers, which the simulation needs.': 'Ce navigateur ne prend pas en charge les web workers nécessaires à la simulation.',
+        'Simulation needs the page served over http(s); web workers cannot start from a local file.': 'La simulation exige que la page soit servie en http(s) ; les web workers ne démarrent pas depuis un fichier local.',
+        'Simulating {reps} trials per method (seed {seed})...': 'Simulation de {reps} essais par méthode (graine {seed})...',
+        '{reps} simulated trials per method, seed {seed}. Rerun with the same seed to reproduce.': '{reps} essais simulés par méthode, graine {seed}. Relancez avec la même graine pour reproduire.',
+        'Simulation failed: {error}': 'Échec de la simulation : {error}',
+        'Simulation failed to start.': 'La simulation n\'a pas pu démarrer.',
+        'Target': 'Cible',
+        'Empirical power with 95% Wilson interval, at the analysed N (before dropout). Highlighted cells miss the target power.': 'Puissance empirique avec intervalle de Wilson à 95 %, au N analysé (avant abandons). Les cellules en surbrillance n\'atteignent pas la puissance cible.',
+        'None': 'Aucune',
+        'Input {i}: enter a list of numbers (1.5, 2, 2.5) or a range as start:end:step (20:40:10).': 'Entrée {i} : saisissez une liste de nombres (1,5; 2; 2,5) ou une plage début:fin:pas (20:40:10).',
+        'Input {i}: use at most {max} values.': 'Entrée {i} : {max} valeurs au maximum.',
+        'Input {i} is already in the table.': 'L\'entrée {i} figure déjà dans le tableau.',
+        'Pick at least one input and give it some values.': 'Choisissez au moins une entrée et donnez-lui des valeurs.',
+        'That is {count} combinations; the table holds at most {max}.': 'Cela fait {count} combinaisons ; le tableau en contient au plus {max}.',
+        '{n} combination, {method} method.': '{n} combinaison, méthode {method}.',
+        '{n} combinations, {method} method.': '{n} combinaisons, méthode {method}.',
+        '{n} has no answer (—); hover for the reason.': '{n} sans réponse (—) ; survolez la cellule pour en voir la raison.',
+        '{n} have no answer (—); hover for the reason.': '{n} sans réponse (—) ; survolez les cellules pour en voir la raison.',
+        'Total N{groups}, {method} method. Other inputs as in the calculator.': 'N total{groups}, méthode {method}. Autres entrées comme dans le calculateur.',
+        'Total N': 'N total',
+        'Copied!': 'Copié !',
+        'P<sub>2</sub> (% Exposed in Controls)': 'P<sub>2</sub> (% d\'exposés chez les témoins)',
+        'r (Control/Case Ratio)': 'r (rapport témoins/cas)',
+        'P<sub>0</sub> (% Exposed in Controls)': 'P<sub>0</sub> (% d\'exposés chez les témoins)',
+        '&psi; (Odds Ratio)': '&psi; (odds ratio)',
+        '&phi; (Exposure Correlation)': '&phi; (corrélation d\'exposition)',
+        'M (Controls per Case)': 'M (témoins par cas)',
+        'p<sub>10</sub> (Case Exposed, Control Not)': 'p<sub>10</sub> (cas exposé, témoin non)',
+        'p<sub>01</sub> (Control Exposed, Case Not)': 'p<sub>01</sub> (témoin exposé, cas non)',
+        'P<sub>1</sub> (% Exposed with Outcome)': 'P<sub>1</sub> (% d\'exposés avec l\'événement)',
+        'P<sub>2</sub> (% Unexposed with Outcome)': 'P<sub>2</sub> (% de non-exposés avec l\'événement)',
+        'r (Unexposed/Exposed Ratio)': 'r (rapport non-exposés/exposés)',
+        '&lambda;<sub>0</sub> (Baseline Rate)': '&lambda;<sub>0</sub> (taux de référence)',
+        'RR (Rate Ratio)': 'RR (rapport des taux)',
+        't (Follow-up, years)': 't (suivi, années)',
+        'P<sub>1</sub> (Prop. Group 1)': 'P<sub>1</sub> (prop. groupe 1)',
+        'P<sub>2</sub> (Prop. Group 2)': 'P<sub>2</sub> (prop. groupe 2)',
+        'r (Group Ratio)': 'r (rapport des groupes)',
+        'δ (Margin, %)': 'δ (marge, %)',
+        'Se (Expected Sensitivity)': 'Se (sensibilité attendue)',
+        'Sp (Expected Specificity)': 'Sp (spécificité attendue)',
+        'D (Precision)': 'D (précision)',
+        'Prev (Disease Prevalence)': 'Prév (prévalence de la maladie)',
+        'P (Event Rate at Mean of X)': 'P (taux d\'événements à la moyenne de X)',
+        'P<sub>0</sub> (Event Rate when X = 0)': 'P<sub>0</sub> (taux d\'événements pour X = 0)',
+        'B (Proportion with X = 1)': 'B (proportion avec X = 1)',
+        '&rho;<sup>2</sup> (R² with Other Covariates)': '&rho;<sup>2</sup> (R² avec les autres covariables)',
+        'r (Treatment/Control Ratio)': 'r (rapport traitement/contrôle)',
+        'a (Accrual, months)': 'a (recrutement, mois)',
+        'f (Follow-up, months)': 'f (suivi, mois)',
+        'δ (Margin)': 'δ (marge)',
+        '&mu;<sub>1</sub> (Mean Group 1)': '&mu;<sub>1</sub> (moyenne groupe 1)',
+        '&mu;<sub>2</sub> (Mean Group 2)': '&mu;<sub>2</sub> (moyenne groupe 2)',
+        '&sigma;<sub>1</sub> (SD Group 1)': '&sigma;<sub>1</sub> (ET groupe 1)',
+        '&sigma;<sub>2</sub> (SD Group 2)': '&sigma;<sub>2</sub> (ET groupe 2)',
+        'Yes': 'Oui',
+        'No': 'Non',
+        '{method} Estimate': 'Estimation {method}',
+        'Input Parameters:': 'Paramètres saisis :',
+        'Before Dropout': 'Avant abandons',
+        'Comparison of Methods:': 'Comparaison des méthodes :',
+        'Total Sample Size (N)': 'Taille d\'échantillon totale (N)',
+        '{label} not available.': '{label} non disponible.',
+        'Sample size against prevalence. No curve until the highlighted inputs are corrected.': 'Taille d\'échantillon selon la prévalence. Pas de courbe tant que les entrées en surbrillance ne sont pas corrigées.',
+        'Curve of the Wald sample size against the expected prevalence, falling as prevalence rises. At the chosen prevalence of {P}, N = {n}.': 'Courbe de la taille d\'échantillon de Wald selon la prévalence attendue, décroissante quand la prévalence augmente. À la prévalence choisie de {P}, N = {n}.',
+        'Curve of the Wald sample size against the expected prevalence, highest at 50%. At the chosen prevalence of {P}, N = {n}.': 'Courbe de la taille d\'échantillon de Wald selon la prévalence attendue, maximale à 50 %. À la prévalence choisie de {P}, N = {n}.',
+        'Prevalence (P)': 'Prévalence (P)',
+        'N (Wald)': 'N (Wald)',
+        '(chosen)': '(choisie)',
+        'The current design is at {x} {xValue}, {y} {yValue}.': 'Le plan actuel se situe à {x} {xValue}, {y} {yValue}.',
+        'Line chart of {y} against {x}, one line per method ({methods}).': 'Graphique linéaire de {y} selon {x}, une ligne par méthode ({methods}).',
+        'No chart until the highlighted inputs are corrected.': 'Pas de graphique tant que les entrées en surbrillance ne sont pas corrigées.',
+        'No chart for this design.': 'Pas de graphique pour ce plan.',
+        'Scatter plot of a simulated sample of N = {n} participants with {title}.': 'Nuage de points d\'un échantillon simulé de N = {n} participants avec {title}.',
+        'Expected survival curves over {months} months for {group2} and {group1}, with the participants and expected events in each arm.': 'Courbes de survie attendues sur {months} mois pour {group2} et {group1}, avec les participants et les événements attendus dans chaque bras.',
+        'Arm': 'Bras',
+        'Participants': 'Participants',
+        'Expected events': 'Événements attendus',
+        'Survival at {months} months': 'Survie à {months} mois',
+        'Cumulative expected events over {years} years of follow-up for {group2} and {group1}.': 'Événements attendus cumulés sur {years} ans de suivi pour {group2} et {group1}.',
+        'Person-years': 'Personnes-années',
+        '{sets} matched sets, each of 1 case and {M} controls.': '{sets} groupes appariés, chacun de 1 cas et {M} témoins.',
+        '{sets} matched sets, each of 1 case and 1 control.': '{sets} groupes appariés, chacun de 1 cas et 1 témoin.',
+        'Group': 'Groupe',
+        'Dot grid of the two groups: {groups}.': 'Grille de points des deux groupes : {groups}.',
+        'Participants are grouped into clusters of about {m}.': 'Les participants sont regroupés en grappes d\'environ {m}.',
+        'Equivalence margin ±{delta}, expected difference {diff}.': 'Marge d\'équivalence ±{delta}, différence attendue {diff}.',
+        'Non-inferiority margin -{delta}, expected difference {diff}.': 'Marge de non-infériorité -{delta}, différence attendue {diff}.',
+        '* 1 Dot ≈ {scale} Participants': '* 1 point ≈ {scale} participants',
+        '* 1 Dot = 1 Participant (Actual Size)': '* 1 point = 1 participant (taille réelle)',
+        '(High Density)': '(haute densité)',
+        'Equivalent': 'Équivalent',
+        'Non-inferior': 'Non inférieur',
+        'Expected {diff}': 'Attendu {diff}',
+        '{sets} Matched Sets (1:{M})': '{sets} groupes appariés (1:{M})',
+        '1 Row ≈ {scale} Matched Sets': '1 ligne ≈ {scale} groupes appariés',
+        '1 Row = 1 Matched Set': '1 ligne = 1 groupe apparié',
+        '* {unit}: 1 Case (pink) + {M} Controls (green)': '* {unit} : 1 cas (rose) + {M} témoins (vert)',
+        '* {unit}: 1 Case (pink) + 1 Control (green)': '* {unit} : 1 cas (rose) + 1 témoin (vert)',
+        'Expected Survival, S(t) = e^(-λt)': 'Survie attendue, S(t) = e^(-λt)',
+        'Months': 'Mois',
+        'Accrual ends ({months})': 'Fin du recrutement ({months})',
+        '{events} events / {n}': '{events} événements / {n}',
+        '* Curves: {group2} (pink) vs {group1} (blue). Bars: events (filled) out of participants per arm': '* Courbes : {group2} (rose) vs {group1} (bleu). Barres : événements (pleins) parmi les participants de chaque bras',
+        'Expected Events over Follow-up': 'Événements attendus au cours du suivi',
+        'Years of Follow-up': 'Années de suivi',
+        '{events} expected events in {personYears} person-years ({n} participants)': '{events} événements attendus en {personYears} personnes-années ({n} participants)',
+        '* Lines: cumulative expected events in {group2} (pink) and {group1} (blue)': '* Lignes : événements attendus cumulés, {group2} (rose) et {group1} (bleu)',
+        '* Showing {shown} of {n} simulated participants': '* {shown} participants simulés affichés sur {n}',
+        '* 1 Dot = 1 Simulated Participant': '* 1 point = 1 participant simulé',
+        'N = {n} in {k} clusters': 'N = {n} en {k} grappes',
+        '* Each block = 1 Cluster of ~{m} Participants (1 Dot = 1 Participant)': '* Chaque bloc = 1 grappe d\'environ {m} participants (1 point = 1 participant)',
+        '* 1 Circle ≈ {scale} Clusters of ~{m} Participants': '* 1 cercle ≈ {scale} grappes d\'environ {m} participants',
+        '* 1 Circle = 1 Cluster of ~{m} Participants': '* 1 cercle = 1 grappe d\'environ {m} participants',
+        'Current inputs': 'Valeurs actuelles',
+        'Chi-square': 'Khi-deux',
+        'Fisher Exact': 'Test exact de Fisher',
+        'Welch t-test': 'Test t de Welch',
+        '{column}, {stratum}': '{column}, {stratum}',
+        'Remove': 'Supprimer',
+        'Remove {stratum}': 'Supprimer {stratum}',
+        'Add Stratum': 'Ajouter une strate',
+        '{method} allocation of N = {n} across {count} strata, with each stratum\'s share of the population and of the sample.': 'Répartition {method} de N = {n} entre {count} strates, avec la part de chaque strate dans la population et dans l\'échantillon.',
+        'Stratum': 'Strate',
+        'Prevalence (%)': 'Prévalence (%)',
+        'Cost per Interview': 'Coût par entretien',
+        'Sampling fraction': 'Fraction de sondage',
+        '{method} Allocation, N = {n}': 'Répartition {method}, N = {n}',
+        '* Per stratum: share of the population (grey) and of the sample (blue), with the number to interview': '* Par strate : part de la population (gris) et de l\'échantillon (bleu), avec le nombre de personnes à interroger',
+        'Available when the calculator gives a sample size: solve for N and clear any input errors.': 'Disponible lorsque le calculateur donne une taille d\'échantillon : résolvez pour N et corrigez les erreurs de saisie.',
+        'Screen {screened} people to enrol {n}. At {perMonth} a month across {sites} sites, enrolment takes {months} months.': 'Sélectionnez {screened} personnes pour en inclure {n}. À {perMonth} par mois sur {sites} centres, l\'inclusion prend {months} mois.',
+        'Eligible to Approach': 'Éligibles à solliciter',
+        'People to Screen': 'Personnes à sélectionner',
+        'Enrolled per Month': 'Inclus par mois',
+        'Screened per Month': 'Sélectionnés par mois',
+        'Months to Full Enrolment': 'Mois jusqu\'à l\'inclusion complète',
+        'Target N = {n}': 'N cible = {n}',
+
+        // --- Page text ---
+        'Sample Size Calculation-Visualization': 'Calcul et visualisation de la taille d\'échantillon',
+        'A new version of the calculator is available.': 'Une nouvelle version du calculateur est disponible.',
+        'Reload': 'Recharger',
+        'Skip to inputs': 'Aller aux entrées',
+        'Visual Understanding of Sample Size Calculation for Common Epidemiological Studies': 'Comprendre visuellement le calcul de la taille d\'échantillon pour les études épidémiologiques courantes',
+        'Select Study Design:': 'Choisir le plan d\'étude :',
+        'Prevalence Study (Cross-Sectional)': 'Étude de prévalence (transversale)',
+        'Stratified Prevalence Survey': 'Enquête de prévalence stratifiée',
+        'Case-Control Study': 'Étude cas-témoins',
+        'Matched Case-Control Study': 'Étude cas-témoins appariée',
+        'Cohort Study': 'Étude de cohorte',
+        'Comparing Two Incidence Rates': 'Comparaison de deux taux d\'incidence',
+        'Randomized Controlled Trial (RCT)': 'Essai contrôlé randomisé (ECR)',
+        'Comparing Two Means': 'Comparaison de deux moyennes',
+        'Time-to-Event (Survival) Study': 'Étude de délai d\'événement (survie)',
+        'Correlation Coefficient': 'Coefficient de corrélation',
+        'Linear Regression': 'Régression linéaire',
+        'Logistic Regression': 'Régression logistique',
+        'Diagnostic Accuracy Study': 'Étude de performance diagnostique',
+        'Copy a link to this exact calculation': 'Copier un lien vers ce calcul précis',
+        'Language:': 'Langue :',
+        'Chart view': 'Vue du graphique',
+        'Population': 'Population',
+        'N vs Effect': 'N selon l\'effet',
+        'Power vs N': 'Puissance selon N',
+        'Chart data': 'Données du graphique',
+        'Formula Steps': 'Étapes de calcul',
+        'Export:': 'Exporter :',
+        'Print / PDF': 'Imprimer / PDF',
+        'HTML Report': 'Rapport HTML',
+        'CSV': 'CSV',
+        'JSON': 'JSON',
+        'Recruitment Timeline': 'Calendrier de recrutement',
+        'How many people must be screened to enrol the N above, and how many months enrolment will take. The N is the headline method\'s total after dropout inflation.': 'Combien de personnes sélectionner pour inclure le N ci-dessus, et combien de mois prendra l\'inclusion. Le N est le total de la méthode principale après majoration pour les abandons.',
+        '* Bars: participants enrolled by the end of each month. Dashed line: target N': '* Barres : participants inclus à la fin de chaque mois. Ligne pointillée : N cible',
+        'Sample Size Table': 'Tableau des tailles d\'échantillon',
+        'Required N for every combination of up to three inputs, with the other inputs as set above. Give each input a list of values (1.5, 2, 2.5) or a range as start:end:step (20:40:10).': 'N requis pour chaque combinaison de jusqu\'à trois entrées, les autres entrées restant celles définies plus haut. Donnez à chaque entrée une liste de valeurs (1,5; 2; 2,5) ou une plage début:fin:pas (20:40:10).',
+        'Input 1': 'Entrée 1',
+        'Values for input 1': 'Valeurs de l\'entrée 1',
+        '1.5, 2, 2.5': '1,5; 2; 2,5',
+        'Input 2': 'Entrée 2',
+        'Values for input 2': 'Valeurs de l\'entrée 2',
+        '80, 90': '80; 90',
+        'Input 3': 'Entrée 3',
+        'Values for input 3': 'Valeurs de l\'entrée 3',
+        '20:40:10': '20:40:10',
+        'Build Table': 'Construire le tableau',
+        'Copy Markdown': 'Copier en Markdown',
+        'Copy CSV': 'Copier en CSV',
+        'Monte Carlo Check': 'Vérification Monte-Carlo',
+        'Replicates': 'Répétitions',
+        'Seed': 'Graine',
+        'Run Simulation': 'Lancer la simulation',
+        'Simulation progress': 'Progression de la simulation',
+        'Saved Scenarios': 'Scénarios enregistrés',
+        'Scenario name': 'Nom du scénario',
+        'Scenario name (e.g. Pessimistic, 2:1 controls)': 'Nom du scénario (p. ex. Pessimiste, 2:1 témoins)',
+        'Save Current': 'Enregistrer l\'actuel',
+        'Export Library': 'Exporter la bibliothèque',
+        'Import Library': 'Importer la bibliothèque',
+        'Developed By': 'Développé par',
+        'This is for educational purposes only. Researchers are requested to verify the results based on standard procedures as per standard epidemiological textbooks. For any errors, bugs, or suggestions, please email me at': 'Cet outil est uniquement pédagogique. Les chercheurs sont priés de vérifier les résultats selon les procédures décrites dans les manuels d\'épidémiologie de référence. Pour toute erreur, anomalie ou suggestion, écrivez-moi à'
+    },
+    modes: {
+        prevalence: {
+            interpretation: `
+                <p>Cette formule donne le nombre minimal de participants nécessaire pour estimer une prévalence dans la population avec une précision et un niveau de confiance donnés (généralement 95 %).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Méthodes :</strong><br>
+                    <strong>Wald :</strong> la formule fermée ci-dessus (approximation normale)<br>
+                    <strong>Wilson :</strong> plus petit N dont la demi-largeur du score de Wilson est &le; D<br>
+                    <strong>Clopper-Pearson :</strong> plus petit N dont la demi-largeur de l'intervalle exact (bêta) est &le; D<br>
+                    *Wald sous-estime N quand P est faible (&lt; 5 %) ; les deux autres restent exactes.
+                </div>
+            `
+        },
+        stratified: {
+            interpretation: `
+                <p>Taille d'échantillon pour estimer une prévalence globale à partir d'un échantillon aléatoire stratifié, par exemple une enquête de district stratifiée par région et par milieu urbain/rural. Le N global est fixé pour que la prévalence pondérée &Sigma;W<sub>h</sub>P<sub>h</sub> soit estimée à &plusmn;D près, puis réparti entre les strates ; la part de chaque strate est corrigée pour sa propre population finie (Cochran).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Répartitions :</strong><br>
+                    <strong>Proportionnelle :</strong> a<sub>h</sub> = W<sub>h</sub><br>
+                    <strong>Neyman :</strong> a<sub>h</sub> &prop; W<sub>h</sub>&radic;(P<sub>h</sub>Q<sub>h</sub>), le plus petit N pour la précision<br>
+                    <strong>Coût optimal :</strong> a<sub>h</sub> &prop; W<sub>h</sub>&radic;(P<sub>h</sub>Q<sub>h</sub>) / &radic;c<sub>h</sub>, le coût le plus bas pour la précision<br>
+                    *c<sub>h</sub> = coût par entretien dans la strate h
+                </div>
+            `
+        },
+        'case-control': {
+            interpretation: `
+                <p>Tailles d'échantillon comparées pour les études cas-témoins. Indispensable pour les études rétrospectives recrutées selon l'événement.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Formules utilisées :</strong><br>
+                    <strong>Kelsey :</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss :</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> applique la correction de continuité à N<sub>Fleiss</sub>
+                </div>
+            `
+        },
+        'matched-case-control': {
+            interpretation: `
+                <p>Nombre de groupes appariés (1 cas et M témoins appariés) pour une étude cas-témoins appariée analysée par régression logistique conditionnelle ou test de McNemar. Seuls les groupes discordants pour l'exposition apportent de l'information : un appariement plus fort (&phi; plus élevé) demande donc plus de groupes. Il n'y a pas d'option de grappes : le groupe apparié est déjà l'unité d'analyse, et l'analyse conditionnelle élimine ce que ses membres ont en commun.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Méthodes :</strong><br>
+                    <strong>Dupont :</strong> tout appariement 1:M, à partir de P<sub>0</sub>, de l'OR et de &phi;<br>
+                    <strong>McNemar (Connor) :</strong> paires 1:1, à partir des proportions de paires discordantes
+                </div>
+            `
+        },
+        cohort: {
+            interpretation: `
+                <p>Fournit des tailles d'échantillon comparées selon trois méthodes courantes. Fleiss avec correction de continuité est la plus prudente (la plus grande taille d'échantillon).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Formules utilisées :</strong><br>
+                    <strong>Kelsey :</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss :</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> applique la correction de continuité à N<sub>Fleiss</sub>
+                </div>
+            `
+        },
+        'incidence-rates': {
+            interpretation: `
+                <p>Taille d'échantillon pour comparer deux taux d'incidence mesurés en temps-personne, pour les cohortes où la durée de suivi varie d'un participant à l'autre. Le nombre d'événements suit une loi de Poisson : les taux fixent le temps-personne nécessaire dans chaque groupe, et le nombre de participants est ce temps-personne divisé par le suivi moyen par personne.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Formules utilisées :</strong><br>
+                    <strong>Différence des taux (Smith &amp; Morrow) :</strong> T<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (&lambda;<sub>1</sub> + &lambda;<sub>0</sub>/r) / (&lambda;<sub>1</sub>-&lambda;<sub>0</sub>)<sup>2</sup><br>
+                    <strong>Log du rapport des taux :</strong> T<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (1/&lambda;<sub>1</sub> + 1/(r&lambda;<sub>0</sub>)) / (ln RR)<sup>2</sup><br>
+                    *Événements attendus dans chaque groupe = &lambda; &times; son temps-personne
+                </div>
+            `
+        },
+        rct: {
+            interpretation: `
+                <p>Calcul standard pour les essais contrôlés randomisés comparant des critères binaires. Fleiss CC est recommandé pour une estimation prudente.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Formules utilisées :</strong><br>
+                    <strong>Kelsey :</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss :</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> applique la correction de continuité à N<sub>Fleiss</sub>
+                </div>
+            `
+        },
+        'two-means': {
+            interpretation: `
+                <p>Calcule la taille d'échantillon pour comparer deux moyennes indépendantes (équivalent du test t de Student).</p>
+            `
+        },
+        survival: {
+            interpretation: `
+                <p>Taille d'échantillon pour comparer la survie de deux bras par le test du log-rank. La puissance dépend du nombre d'événements : l'essai a besoin de D événements, et le nombre de patients découle de la probabilité que chacun présente l'événement pendant le recrutement et le suivi.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Formules utilisées :</strong><br>
+                    <strong>Schoenfeld :</strong> D = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup>(1+r)<sup>2</sup> / [r(ln HR)<sup>2</sup>]<br>
+                    <strong>Freedman :</strong> D = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup>(1+r&middot;HR)<sup>2</sup> / [r(1-HR)<sup>2</sup>]<br>
+                    <strong>P(événement) :</strong> 1 - [e<sup>-&lambda;f</sup> - e<sup>-&lambda;(a+f)</sup>] / (&lambda;a) par bras, &lambda; = ln 2 / médiane (survie exponentielle, recrutement uniforme sur a, suivi f)
+                </div>
+            `
+        },
+        correlation: {
+            interpretation: `
+                <p>Taille d'échantillon pour montrer qu'une corrélation de Pearson diffère de r<sub>0</sub> (généralement zéro). La transformation z de Fisher rend la distribution d'échantillonnage de r approximativement normale, d'erreur type 1/&radic;(N-3).</p>
+            `
+        },
+        'linear-regression': {
+            interpretation: `
+                <p>Taille d'échantillon pour le test F de l'apport de u prédicteurs à une régression linéaire multiple. La puissance vient de la loi F non centrale exacte, comme dans G*Power. Une pente unique b est convertie en &Delta;R<sup>2</sup> = (b&sigma;<sub>x</sub>/&sigma;<sub>y</sub>)<sup>2</sup>.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    Repères de Cohen : f<sup>2</sup> = 0,02 faible, 0,15 moyen, 0,35 fort.
+                </div>
+            `
+        },
+        'logistic-regression': {
+            interpretation: `
+                <p>Taille d'échantillon pour détecter un odds ratio d'une covariable dans une régression logistique (Hsieh, Bloch &amp; Larsen 1998). L'ajustement sur d'autres covariables corrélées à X augmente la variance de &beta; : N est donc multiplié par le facteur d'inflation de la variance 1/(1-&rho;<sup>2</sup>).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    La règle empirique d'au moins 10 événements par variable reste valable ; vérifiez le nombre d'événements attendus.
+                </div>
+            `
+        },
+        diagnostic: {
+            interpretation: `
+                <p>Taille d'échantillon pour une étude de performance diagnostique (Buderer 1996). La sensibilité n'est estimée que chez les malades et la spécificité que chez les non-malades : chaque effectif de type 4PQ/D<sup>2</sup> est donc divisé par la part de la population dans ce groupe. Recrutez le plus grand des deux.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    La comparaison appariée applique le test de McNemar (Connor 1987) chez les malades et chez les non-malades, en supposant que les deux tests se trompent indépendamment à statut pathologique donné.
+                </div>
+            `
+        }
+    }
+}));
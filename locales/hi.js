@@ -0,0 +1,723 @@
+/**
+ * Hindi catalogue for the calculator page (see setLocale in sample-size-core.js).
+ * Messages are keyed by the English source text; anything missing falls back to English.
+ */
+(function (root, catalogue) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = catalogue;
+    } else {
+        (root.SampleSizeLocales = root.SampleSizeLocales || {})[catalogue.code] = catalogue;
+    }
+}(typeof self !== 'undefined' ? self : this, {
+    code: 'hi',
+    name: 'हिन्दी',
+    locale: 'hi-IN',
+    messages: {
+        // --- Design inputs ---
+        'Prevalence (P) %': 'व्यापकता (P) %',
+        'Expected proportion of the disease/condition.': 'रोग/स्थिति का अपेक्षित अनुपात।',
+        'Precision Type': 'परिशुद्धता का प्रकार',
+        'Relative precision suits rare conditions, where ±5 points would be wider than P itself.': 'सापेक्ष परिशुद्धता दुर्लभ स्थितियों के लिए उपयुक्त है, जहाँ ±5 अंक स्वयं P से भी अधिक चौड़े होंगे।',
+        'Absolute (± percentage points)': 'निरपेक्ष (± प्रतिशत अंक)',
+        'Relative (± % of P)': 'सापेक्ष (P का ± %)',
+        'Precision (D) %': 'परिशुद्धता (D) %',
+        'Acceptable error margin (absolute precision).': 'स्वीकार्य त्रुटि सीमा (निरपेक्ष परिशुद्धता)।',
+        'Relative Precision (% of P)': 'सापेक्ष परिशुद्धता (P का %)',
+        'Acceptable error margin as a percentage of P (D = P × this).': 'P के प्रतिशत के रूप में स्वीकार्य त्रुटि सीमा (D = P × यह मान)।',
+        'Confidence Level (%)': 'विश्वास स्तर (%)',
+        '1 - Alpha (usually 95%).': '1 - अल्फ़ा (आमतौर पर 95%)।',
+        'Interval Method': 'अंतराल विधि',
+        'Method for the headline N. Wald is unreliable for P < 5%; prefer Wilson or Clopper-Pearson there.': 'मुख्य N की विधि। P < 5% पर वाल्ड विश्वसनीय नहीं है; वहाँ विल्सन या क्लॉपर-पियर्सन चुनें।',
+        'Wald (Normal Approximation)': 'वाल्ड (सामान्य सन्निकटन)',
+        'Wilson Score': 'विल्सन स्कोर',
+        'Clopper-Pearson (Exact)': 'क्लॉपर-पियर्सन (सटीक)',
+        'Cochran\'s Formula with Finite Population Correction (FPC)?': 'परिमित जनसंख्या सुधार (FPC) के साथ कोक्रन सूत्र?',
+        'Use when the total population is small or known.': 'जब कुल जनसंख्या छोटी या ज्ञात हो तब उपयोग करें।',
+        'Non-response Rate (%)': 'अनुत्तर दर (%)',
+        'Expected non-response. N is inflated to N / (1 - rate).': 'अपेक्षित अनुत्तर। N को बढ़ाकर N / (1 - दर) किया जाता है।',
+        'Population Size (N)': 'जनसंख्या का आकार (N)',
+        'Total population size.': 'कुल जनसंख्या का आकार।',
+        'Cluster Sampling / Randomisation?': 'क्लस्टर नमूनाकरण / यादृच्छिकीकरण?',
+        'Participants are sampled or randomised in clusters (villages, schools, clinics).': 'प्रतिभागियों का नमूना या यादृच्छिकीकरण क्लस्टरों (गाँव, स्कूल, क्लिनिक) में होता है।',
+        'Intraclass Correlation (ICC)': 'अंतर्वर्ग सहसंबंध (ICC)',
+        'Correlation of outcomes within a cluster (often 0.01-0.1).': 'एक क्लस्टर के भीतर परिणामों का सहसंबंध (अक्सर 0.01-0.1)।',
+        'Average Cluster Size (m)': 'औसत क्लस्टर आकार (m)',
+        'Participants recruited per cluster.': 'प्रति क्लस्टर भर्ती प्रतिभागी।',
+        'CV of Cluster Sizes': 'क्लस्टर आकारों का CV',
+        'Coefficient of variation of cluster sizes; 0 if all clusters are the same size.': 'क्लस्टर आकारों का विचरण गुणांक; सभी क्लस्टर समान आकार के हों तो 0।',
+        'Solve For': 'किसके लिए हल करें',
+        'Compute N, or the power / smallest effect a fixed N gives.': 'N, या किसी निश्चित N से मिलने वाली शक्ति / सबसे छोटा प्रभाव निकालें।',
+        'Sample Size (N)': 'नमूना आकार (N)',
+        'Achieved Power': 'प्राप्त शक्ति',
+        'Minimum Detectable OR': 'न्यूनतम पता लगाने योग्य OR',
+        'Available Sample Size (Total)': 'उपलब्ध नमूना आकार (कुल)',
+        'Cases + controls you can recruit.': 'जितने केस + नियंत्रण आप भर्ती कर सकते हैं।',
+        '% Exposed in Controls': 'नियंत्रणों में एक्सपोज़्ड %',
+        'Proportion of controls exposed to the risk factor.': 'जोखिम कारक के संपर्क में आए नियंत्रणों का अनुपात।',
+        'Odds Ratio (OR)': 'ऑड्स अनुपात (OR)',
+        'Minimum odds ratio you want to detect.': 'न्यूनतम ऑड्स अनुपात जिसका आप पता लगाना चाहते हैं।',
+        'Power (%)': 'शक्ति (%)',
+        'Probability of detecting a true effect (usually 80%).': 'वास्तविक प्रभाव का पता लगाने की प्रायिकता (आमतौर पर 80%)।',
+        'Hypothesis Test': 'परिकल्पना परीक्षण',
+        'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.': 'एकपक्षीय परीक्षण पूरा अल्फ़ा एक ही पुच्छ में रखता है (Zα/2 के बजाय Zα)। इसका उपयोग तभी करें जब दूसरी दिशा का प्रभाव महत्वपूर्ण न हो।',
+        'Two-sided': 'द्विपक्षीय',
+        'One-sided': 'एकपक्षीय',
+        'Control to Case Ratio (r)': 'नियंत्रण से केस अनुपात (r)',
+        'Number of controls per case (usually 1).': 'प्रति केस नियंत्रणों की संख्या (आमतौर पर 1)।',
+        'Non-response (%)': 'अनुत्तर (%)',
+        'Expected loss in both groups. Each group is inflated to N / (1 - rate).': 'दोनों समूहों में अपेक्षित हानि। प्रत्येक समूह को बढ़ाकर N / (1 - दर) किया जाता है।',
+        'Different Rate per Group?': 'प्रति समूह अलग दर?',
+        'Set a separate rate for each group.': 'प्रत्येक समूह के लिए अलग दर तय करें।',
+        'Non-response, Cases (%)': 'अनुत्तर, केस (%)',
+        'Non-response, Controls (%)': 'अनुत्तर, नियंत्रण (%)',
+        'Specify Matching By': 'मिलान निर्दिष्ट करें',
+        'Correlation of exposure within matched sets, or the expected proportions of discordant pairs from a pilot.': 'मिलान किए गए सेटों के भीतर एक्सपोज़र का सहसंबंध, या पायलट अध्ययन से असंगत जोड़ों के अपेक्षित अनुपात।',
+        'Exposure Correlation (φ)': 'एक्सपोज़र सहसंबंध (φ)',
+        'Discordant-Pair Proportions (1:1)': 'असंगत-जोड़ी अनुपात (1:1)',
+        'Proportion of controls exposed to the risk factor (P0).': 'जोखिम कारक के संपर्क में आए नियंत्रणों का अनुपात (P0)।',
+        'Correlation between case and control exposure within a matched set (0 = matching ineffective).': 'एक मिलान सेट के भीतर केस और नियंत्रण के एक्सपोज़र का सहसंबंध (0 = मिलान अप्रभावी)।',
+        'Controls per Case (M)': 'प्रति केस नियंत्रण (M)',
+        '1 for pair matching; 2-4 for 1:M matching.': 'जोड़ी मिलान के लिए 1; 1:M मिलान के लिए 2-4।',
+        'Pairs: Case Exposed, Control Not (%)': 'जोड़े: केस एक्सपोज़्ड, नियंत्रण नहीं (%)',
+        'Expected proportion of pairs where only the case is exposed.': 'उन जोड़ों का अपेक्षित अनुपात जिनमें केवल केस एक्सपोज़्ड है।',
+        'Pairs: Control Exposed, Case Not (%)': 'जोड़े: नियंत्रण एक्सपोज़्ड, केस नहीं (%)',
+        'Expected proportion of pairs where only the control is exposed.': 'उन जोड़ों का अपेक्षित अनुपात जिनमें केवल नियंत्रण एक्सपोज़्ड है।',
+        'Expected loss of whole matched sets. Sets are inflated to N / (1 - rate).': 'पूरे मिलान सेटों की अपेक्षित हानि। सेटों को बढ़ाकर N / (1 - दर) किया जाता है।',
+        'Minimum Detectable RR': 'न्यूनतम पता लगाने योग्य RR',
+        'Exposed + unexposed participants you can follow.': 'एक्सपोज़्ड + अनएक्सपोज़्ड प्रतिभागी जिनका आप अनुवर्तन कर सकते हैं।',
+        '% Unexposed with Outcome': 'परिणाम वाले अनएक्सपोज़्ड %',
+        'Baseline risk in unexposed group (P2).': 'अनएक्सपोज़्ड समूह में आधार जोखिम (P2)।',
+        '% Exposed with Outcome': 'परिणाम वाले एक्सपोज़्ड %',
+        'Risk in exposed group (P1).': 'एक्सपोज़्ड समूह में जोखिम (P1)।',
+        'Probability of detecting a true effect.': 'वास्तविक प्रभाव का पता लगाने की प्रायिकता।',
+        'Unexposed to Exposed Ratio (r)': 'अनएक्सपोज़्ड से एक्सपोज़्ड अनुपात (r)',
+        'Number of unexposed per exposed (usually 1).': 'प्रति एक्सपोज़्ड अनएक्सपोज़्ड की संख्या (आमतौर पर 1)।',
+        'Loss to Follow-up (%)': 'अनुवर्तन में हानि (%)',
+        'Loss to Follow-up, Exposed (%)': 'अनुवर्तन में हानि, एक्सपोज़्ड (%)',
+        'Loss to Follow-up, Unexposed (%)': 'अनुवर्तन में हानि, अनएक्सपोज़्ड (%)',
+        'Risk Ratio (RR)': 'जोखिम अनुपात (RR)',
+        'Baseline Incidence Rate (per 1,000 person-years)': 'आधार घटना दर (प्रति 1,000 व्यक्ति-वर्ष)',
+        'Events per 1,000 person-years in the unexposed group (λ0).': 'अनएक्सपोज़्ड समूह में प्रति 1,000 व्यक्ति-वर्ष घटनाएँ (λ0)।',
+        'Rate Ratio (RR)': 'दर अनुपात (RR)',
+        'Rate in the exposed group divided by the baseline rate.': 'एक्सपोज़्ड समूह की दर को आधार दर से भाग देकर।',
+        'Follow-up per Person (years)': 'प्रति व्यक्ति अनुवर्तन (वर्ष)',
+        'Average person-time each participant contributes.': 'प्रत्येक प्रतिभागी द्वारा दिया गया औसत व्यक्ति-समय।',
+        'Minimum Detectable P2': 'न्यूनतम पता लगाने योग्य P2',
+        'Participants you can randomise across both groups.': 'प्रतिभागी जिन्हें आप दोनों समूहों में यादृच्छिक रूप से बाँट सकते हैं।',
+        'Prop. Group 1 (%)': 'समूह 1 अनुपात (%)',
+        'Anticipated outcome in Control Group (e.g., Unexposed).': 'नियंत्रण समूह में अनुमानित परिणाम (जैसे, अनएक्सपोज़्ड)।',
+        'Prop. Group 2 (%)': 'समूह 2 अनुपात (%)',
+        'Anticipated outcome in Treatment Group (e.g., Exposed).': 'उपचार समूह में अनुमानित परिणाम (जैसे, एक्सपोज़्ड)।',
+        'Trial Hypothesis': 'परीक्षण परिकल्पना',
+        'Margin tests assume higher is better for Group 2 (new) vs Group 1 (reference). Their one-sided α is 1 - confidence, so set 97.5% for the usual α = 0.025.': 'सीमा परीक्षण मानते हैं कि समूह 2 (नया) के लिए समूह 1 (संदर्भ) की तुलना में अधिक मान बेहतर है। इनका एकपक्षीय α = 1 - विश्वास है, इसलिए सामान्य α = 0.025 के लिए 97.5% चुनें।',
+        'Superiority': 'श्रेष्ठता',
+        'Non-inferiority': 'गैर-हीनता',
+        'Equivalence': 'समतुल्यता',
+        'Margin (δ) %': 'सीमा (δ) %',
+        'Largest difference still considered clinically unimportant.': 'सबसे बड़ा अंतर जिसे अब भी नैदानिक रूप से महत्वहीन माना जाए।',
+        'Group Ratio (N1/N2) (r)': 'समूह अनुपात (N1/N2) (r)',
+        'Dropout (%)': 'ड्रॉपआउट (%)',
+        'Dropout, Group 1 (%)': 'ड्रॉपआउट, समूह 1 (%)',
+        'Dropout, Group 2 (%)': 'ड्रॉपआउट, समूह 2 (%)',
+        'Minimum Detectable Difference': 'न्यूनतम पता लगाने योग्य अंतर',
+        'Participants you can recruit across both groups.': 'प्रतिभागी जिन्हें आप दोनों समूहों में भर्ती कर सकते हैं।',
+        'Mean Group 1': 'समूह 1 का माध्य',
+        'Expected mean of Group 1.': 'समूह 1 का अपेक्षित माध्य।',
+        'SD Group 1': 'समूह 1 का SD',
+        'Standard Deviation of Group 1.': 'समूह 1 का मानक विचलन।',
+        'Mean Group 2': 'समूह 2 का माध्य',
+        'Expected mean of Group 2.': 'समूह 2 का अपेक्षित माध्य।',
+        'SD Group 2': 'समूह 2 का SD',
+        'Standard Deviation of Group 2.': 'समूह 2 का मानक विचलन।',
+        'Group Ratio (N2/N1) (r)': 'समूह अनुपात (N2/N1) (r)',
+        'Margin (δ)': 'सीमा (δ)',
+        'Mean Difference (μ1 - μ2)': 'माध्य अंतर (μ1 - μ2)',
+        'Specify Effect By': 'प्रभाव निर्दिष्ट करें',
+        'Medians are converted to a hazard ratio assuming exponential survival.': 'घातांकी उत्तरजीविता मानकर माध्यिकाओं को हैज़र्ड अनुपात में बदला जाता है।',
+        'Hazard Ratio': 'हैज़र्ड अनुपात',
+        'Median Survival per Arm': 'प्रति भुजा माध्यिका उत्तरजीविता',
+        'Hazard Ratio (HR)': 'हैज़र्ड अनुपात (HR)',
+        'Treatment vs control hazard; below 1 means treatment is better.': 'उपचार बनाम नियंत्रण हैज़र्ड; 1 से कम का अर्थ है उपचार बेहतर है।',
+        'Median Survival, Control (months)': 'माध्यिका उत्तरजीविता, नियंत्रण (महीने)',
+        'Sets the control hazard, and so the chance of an event by the analysis.': 'नियंत्रण हैज़र्ड तय करता है, और इस प्रकार विश्लेषण तक घटना की संभावना।',
+        'Median Survival, Treatment (months)': 'माध्यिका उत्तरजीविता, उपचार (महीने)',
+        'Expected median in the treatment arm.': 'उपचार भुजा में अपेक्षित माध्यिका।',
+        'Accrual Time (months)': 'भर्ती अवधि (महीने)',
+        'Recruitment period; patients enter uniformly over it.': 'भर्ती की अवधि; रोगी इसमें समान रूप से प्रवेश करते हैं।',
+        'Additional Follow-up (months)': 'अतिरिक्त अनुवर्तन (महीने)',
+        'Follow-up after the last patient is recruited.': 'अंतिम रोगी की भर्ती के बाद का अनुवर्तन।',
+        'Allocation Ratio (Treatment : Control) (r)': 'आवंटन अनुपात (उपचार : नियंत्रण) (r)',
+        'Patients on treatment per patient on control.': 'प्रति नियंत्रण रोगी उपचार वाले रोगी।',
+        'Loss to Follow-up, Control (%)': 'अनुवर्तन में हानि, नियंत्रण (%)',
+        'Loss to Follow-up, Treatment (%)': 'अनुवर्तन में हानि, उपचार (%)',
+        'Expected Correlation (r)': 'अपेक्षित सहसंबंध (r)',
+        'Pearson correlation you expect between the two measures.': 'दोनों मापों के बीच अपेक्षित पियर्सन सहसंबंध।',
+        'Null Correlation (r₀)': 'शून्य सहसंबंध (r₀)',
+        'Value under the null hypothesis; usually 0 (no association).': 'शून्य परिकल्पना के अंतर्गत मान; आमतौर पर 0 (कोई संबंध नहीं)।',
+        'Expected loss or missing data. N is inflated to N / (1 - rate).': 'अपेक्षित हानि या अनुपलब्ध डेटा। N को बढ़ाकर N / (1 - दर) किया जाता है।',
+        'The R² the tested predictors add, or the slope of one predictor.': 'परीक्षित प्रेडिक्टरों द्वारा जोड़ा गया R², या एक प्रेडिक्टर का ढलान।',
+        'R² Increment': 'R² वृद्धि',
+        'Single Slope': 'एकल ढलान',
+        'R² Increment (ΔR²)': 'R² वृद्धि (ΔR²)',
+        'Extra variance explained by the tested predictors.': 'परीक्षित प्रेडिक्टरों द्वारा समझाया गया अतिरिक्त प्रसरण।',
+        'Tested Predictors (u)': 'परीक्षित प्रेडिक्टर (u)',
+        'Number of predictors whose joint contribution is tested.': 'प्रेडिक्टरों की संख्या जिनके संयुक्त योगदान का परीक्षण होता है।',
+        'Slope (b)': 'ढलान (b)',
+        'Expected change in outcome per unit of the predictor.': 'प्रेडिक्टर की प्रति इकाई परिणाम में अपेक्षित परिवर्तन।',
+        'SD of Predictor (σx)': 'प्रेडिक्टर का SD (σx)',
+        'Standard deviation of the predictor.': 'प्रेडिक्टर का मानक विचलन।',
+        'SD of Outcome (σy)': 'परिणाम का SD (σy)',
+        'Standard deviation of the outcome.': 'परिणाम का मानक विचलन।',
+        'Other Predictors in Model': 'मॉडल में अन्य प्रेडिक्टर',
+        'Covariates adjusted for but not tested.': 'समायोजित परंतु परीक्षित नहीं किए गए सहचर।',
+        'R² of Other Predictors': 'अन्य प्रेडिक्टरों का R²',
+        'Variance the covariates already explain.': 'सहचर पहले से जितना प्रसरण समझाते हैं।',
+        'Covariate of Interest': 'रुचि का सहचर',
+        'Hsieh (1998) has a formula for each.': 'Hsieh (1998) में प्रत्येक के लिए एक सूत्र है।',
+        'Continuous': 'सतत',
+        'Binary': 'द्विआधारी',
+        'Event Rate at Mean of X (%)': 'X के माध्य पर घटना दर (%)',
+        'Outcome probability for a participant at the covariate mean.': 'सहचर के माध्य पर किसी प्रतिभागी के लिए परिणाम की प्रायिकता।',
+        'Event Rate when X = 0 (%)': 'X = 0 पर घटना दर (%)',
+        'Outcome probability in the unexposed (X = 0).': 'अनएक्सपोज़्ड (X = 0) में परिणाम की प्रायिकता।',
+        'Per 1 SD increase of a continuous X, or for X = 1 vs X = 0.': 'सतत X में 1 SD वृद्धि पर, या X = 1 बनाम X = 0 के लिए।',
+        'Proportion with X = 1 (%)': 'X = 1 वाला अनुपात (%)',
+        'Share of participants in the X = 1 group.': 'X = 1 समूह में प्रतिभागियों का हिस्सा।',
+        'R² of X with Other Covariates': 'अन्य सहचरों के साथ X का R²',
+        'Multiple correlation of X with the other covariates. N is multiplied by the VIF, 1 / (1 - R²).': 'अन्य सहचरों के साथ X का बहु-सहसंबंध। N को VIF, 1 / (1 - R²) से गुणा किया जाता है।',
+        'Expected Sensitivity (%)': 'अपेक्षित संवेदनशीलता (%)',
+        'Proportion of diseased people the test detects.': 'रोगग्रस्त लोगों का वह अनुपात जिसे परीक्षण पकड़ता है।',
+        'Expected Specificity (%)': 'अपेक्षित विशिष्टता (%)',
+        'Proportion of non-diseased people the test clears.': 'रोगमुक्त लोगों का वह अनुपात जिसे परीक्षण नकारात्मक बताता है।',
+        'Precision (±%) (D)': 'परिशुद्धता (±%) (D)',
+        'Half-width of the confidence interval for sensitivity and specificity.': 'संवेदनशीलता और विशिष्टता के विश्वास अंतराल की अर्ध-चौड़ाई।',
+        'Disease Prevalence (%)': 'रोग व्यापकता (%)',
+        'Prevalence in the population being tested; sets how many must be recruited to find enough diseased.': 'परीक्षित जनसंख्या में व्यापकता; तय करती है कि पर्याप्त रोगग्रस्त पाने के लिए कितने भर्ती करने होंगे।',
+        'Compare Two Tests (Paired)?': 'दो परीक्षणों की तुलना (युग्मित)?',
+        'Every participant gets both tests; sensitivities and specificities are compared with McNemar\'s test.': 'प्रत्येक प्रतिभागी को दोनों परीक्षण दिए जाते हैं; संवेदनशीलता और विशिष्टता की तुलना मैकनेमार परीक्षण से होती है।',
+        'Sensitivity, Test 2 (%)': 'संवेदनशीलता, परीक्षण 2 (%)',
+        'Expected sensitivity of the comparator test.': 'तुलनात्मक परीक्षण की अपेक्षित संवेदनशीलता।',
+        'Specificity, Test 2 (%)': 'विशिष्टता, परीक्षण 2 (%)',
+        'Expected specificity of the comparator test.': 'तुलनात्मक परीक्षण की अपेक्षित विशिष्टता।',
+        'Probability of detecting the difference between tests.': 'परीक्षणों के बीच अंतर का पता लगाने की प्रायिकता।',
+        'Expected loss or unverified results. N is inflated to N / (1 - rate).': 'अपेक्षित हानि या असत्यापित परिणाम। N को बढ़ाकर N / (1 - दर) किया जाता है।',
+        'Strata': 'स्तर',
+        'One row per stratum: its population, expected prevalence and, for cost-optimal allocation, the cost per interview.': 'प्रत्येक स्तर के लिए एक पंक्ति: उसकी जनसंख्या, अपेक्षित व्यापकता और, लागत-इष्टतम आवंटन के लिए, प्रति साक्षात्कार लागत।',
+        'Allocation': 'आवंटन',
+        'How N is split across strata: by population share, towards strata whose prevalence is nearer 50% (Neyman), or also away from costly interviews (cost-optimal).': 'N को स्तरों में कैसे बाँटा जाए: जनसंख्या के हिस्से के अनुसार, उन स्तरों की ओर जिनकी व्यापकता 50% के निकट है (नेमैन), या साथ ही महँगे साक्षात्कारों से दूर (लागत-इष्टतम)।',
+        'Proportional': 'आनुपातिक',
+        'Neyman': 'नेमैन',
+        'Cost-optimal': 'लागत-इष्टतम',
+        'Acceptable error margin for the overall prevalence (absolute precision).': 'समग्र व्यापकता के लिए स्वीकार्य त्रुटि सीमा (निरपेक्ष परिशुद्धता)।',
+        'Expected non-response. Each stratum is inflated to n / (1 - rate).': 'अपेक्षित अनुत्तर। प्रत्येक स्तर को बढ़ाकर n / (1 - दर) किया जाता है।',
+        'Screened per Eligible': 'प्रति पात्र स्क्रीन किए गए',
+        'People screened to find one eligible participant (3 means 1 in 3 is eligible).': 'एक पात्र प्रतिभागी खोजने के लिए स्क्रीन किए गए लोग (3 का अर्थ है 3 में से 1 पात्र है)।',
+        'Consent Rate (%)': 'सहमति दर (%)',
+        'Share of eligible people who agree to take part.': 'भाग लेने के लिए सहमत पात्र लोगों का हिस्सा।',
+        'Enrolled per Site per Month': 'प्रति केंद्र प्रति माह नामांकित',
+        'Participants each site enrols in a month.': 'प्रत्येक केंद्र एक माह में जितने प्रतिभागी नामांकित करता है।',
+        'Sites': 'केंद्र',
+        'Recruiting sites, all enrolling from month 0.': 'भर्ती करने वाले केंद्र, सभी माह 0 से नामांकन करते हुए।',
+
+        // --- Results, formulas and errors ---
+        'Z<sub>α</sub> (One-sided)': 'Z<sub>α</sub> (एकपक्षीय)',
+        'Z<sub>α/2</sub> (Two-sided)': 'Z<sub>α/2</sub> (द्विपक्षीय)',
+        '(N={before} before {rate} dropout, {total} to recruit)': '(N={before} {rate} ड्रॉपआउट से पहले, {total} भर्ती करने हैं)',
+        'Design Effect (DEFF)': 'डिज़ाइन प्रभाव (DEFF)',
+        'Clusters per Arm': 'प्रति भुजा क्लस्टर',
+        'Clusters': 'क्लस्टर',
+        'Equivalence (TOST)': 'समतुल्यता (TOST)',
+        'Non-inferiority (Z-test)': 'गैर-हीनता (Z-परीक्षण)',
+        '(One-sided Z<sub>α</sub> for each of the two tests; δ = margin)': '(दोनों परीक्षणों में से प्रत्येक के लिए एकपक्षीय Z<sub>α</sub>; δ = सीमा)',
+        '(One-sided Z<sub>α</sub>; δ = margin)': '(एकपक्षीय Z<sub>α</sub>; δ = सीमा)',
+        'Effective N (after DEFF)': 'प्रभावी N (DEFF के बाद)',
+        'Effective N (after Dropout)': 'प्रभावी N (ड्रॉपआउट के बाद)',
+        'Z<sub>β</sub> (Solved, Kelsey)': 'Z<sub>β</sub> (हल किया गया, Kelsey)',
+        'Not detectable': 'पता नहीं लगाया जा सकता',
+        'Achieved Power (Kelsey):': 'प्राप्त शक्ति (Kelsey):',
+        'Minimum Detectable Effect:': 'न्यूनतम पता लगाने योग्य प्रभाव:',
+        'Solve N<sub>1</sub>(P<sub>1</sub>) = N / (1+r) for P<sub>1</sub>': 'P<sub>1</sub> के लिए N<sub>1</sub>(P<sub>1</sub>) = N / (1+r) हल करें',
+        '(Inverted numerically for Kelsey, Fleiss & Fleiss CC)': '(Kelsey, Fleiss और Fleiss CC के लिए संख्यात्मक रूप से उलटा गया)',
+        'Enter a number.': 'एक संख्या दर्ज करें।',
+        'Must be a whole number.': 'पूर्ण संख्या होनी चाहिए।',
+        'Must be at least {limit}.': 'कम से कम {limit} होना चाहिए।',
+        'Must be at most {limit}.': 'अधिकतम {limit} होना चाहिए।',
+        'Must be greater than {limit}.': '{limit} से अधिक होना चाहिए।',
+        'Must be less than {limit}.': '{limit} से कम होना चाहिए।',
+        'Precision (±{precision}) must be smaller than P and 1 - P. Lower D or use relative precision.': 'परिशुद्धता (±{precision}) P और 1 - P से छोटी होनी चाहिए। D घटाएँ या सापेक्ष परिशुद्धता चुनें।',
+        'D = ε × P (relative precision)': 'D = ε × P (सापेक्ष परिशुद्धता)',
+        '(Headline N solves the chosen interval\'s half-width = D; see Interpretation)': '(मुख्य N चुने गए अंतराल की अर्ध-चौड़ाई = D हल करता है; व्याख्या देखें)',
+        'Not reachable': 'पहुँच से बाहर',
+        '{n} before dropout': 'ड्रॉपआउट से पहले {n}',
+        '{n} clusters': '{n} क्लस्टर',
+        'D (Absolute Precision)': 'D (निरपेक्ष परिशुद्धता)',
+        'OR=1 implies no effect. N is infinite.': 'OR=1 का अर्थ है कोई प्रभाव नहीं। N अनंत है।',
+        'Impossible inputs: exposure in cases (P1) reaches 100%. Lower the control exposure or the OR.': 'असंभव मान: केसों में एक्सपोज़र (P1) 100% तक पहुँचता है। नियंत्रण एक्सपोज़र या OR घटाएँ।',
+        'Kelsey Formula (Main):': 'Kelsey सूत्र (मुख्य):',
+        '(See Interpretation regarding Fleiss & Fleiss CC methods)': '(Fleiss और Fleiss CC विधियों के लिए व्याख्या देखें)',
+        '(Incl. {rate} Dropout)': '({rate} ड्रॉपआउट सहित)',
+        'Power': 'शक्ति',
+        'Detectable OR': 'पता लगाने योग्य OR',
+        'Controls': 'नियंत्रण',
+        'Cases': 'केस',
+        'P<sub>1</sub> (Calc. % Exposed in Cases)': 'P<sub>1</sub> (केसों में परिकलित एक्सपोज़्ड %)',
+        'Discordant proportions cannot sum to more than 100%.': 'असंगत अनुपातों का योग 100% से अधिक नहीं हो सकता।',
+        'Equal discordant proportions imply OR=1. N is infinite.': 'समान असंगत अनुपातों का अर्थ OR=1 है। N अनंत है।',
+        'Dupont (Matched Sets):': 'Dupont (मिलान सेट):',
+        '(Sums over m = 1..M exposed subjects per set; see Formula Steps)': '(प्रति सेट m = 1..M एक्सपोज़्ड व्यक्तियों पर योग; सूत्र के चरण देखें)',
+        'Correlation φ is too strong for these exposure prevalences. Lower φ.': 'इन एक्सपोज़र व्यापकताओं के लिए सहसंबंध φ बहुत प्रबल है। φ घटाएँ।',
+        '{cases} cases + {controls} controls': '{cases} केस + {controls} नियंत्रण',
+        '(1:1 pairs)': '(1:1 जोड़े)',
+        '(1:{M} matching)': '(1:{M} मिलान)',
+        'P(Control Exposed | Case Exposed)': 'P(नियंत्रण एक्सपोज़्ड | केस एक्सपोज़्ड)',
+        'P(Control Exposed | Case Not)': 'P(नियंत्रण एक्सपोज़्ड | केस नहीं)',
+        'OR (p<sub>10</sub> / p<sub>01</sub>)': 'OR (p<sub>10</sub> / p<sub>01</sub>)',
+        'Matched Sets': 'मिलान सेट',
+        'P1 and P2 cannot be equal.': 'P1 और P2 बराबर नहीं हो सकते।',
+        'Detectable RR': 'पता लगाने योग्य RR',
+        'Unexposed': 'अनएक्सपोज़्ड',
+        'Exposed': 'एक्सपोज़्ड',
+        'Expected Difference (P<sub>2</sub> - P<sub>1</sub>)': 'अपेक्षित अंतर (P<sub>2</sub> - P<sub>1</sub>)',
+        'N<sub>1</sub> / N<sub>2</sub> (Analysed)': 'N<sub>1</sub> / N<sub>2</sub> (विश्लेषित)',
+        'Group 1': 'समूह 1',
+        'Group 2': 'समूह 2',
+        'Expected difference is outside the equivalence margin (|P2 - P1| ≥ δ).': 'अपेक्षित अंतर समतुल्यता सीमा से बाहर है (|P2 - P1| ≥ δ)।',
+        'Expected difference is at or below -δ: non-inferiority cannot be shown.': 'अपेक्षित अंतर -δ या उससे कम है: गैर-हीनता सिद्ध नहीं की जा सकती।',
+        'Diff = {diff}': 'अंतर = {diff}',
+        'Detectable P2': 'पता लगाने योग्य P2',
+        'Means cannot be equal.': 'माध्य बराबर नहीं हो सकते।',
+        'Expected Difference (&mu;<sub>2</sub> - &mu;<sub>1</sub>)': 'अपेक्षित अंतर (&mu;<sub>2</sub> - &mu;<sub>1</sub>)',
+        'Expected difference is outside the equivalence margin (|μ2 - μ1| ≥ δ).': 'अपेक्षित अंतर समतुल्यता सीमा से बाहर है (|μ2 - μ1| ≥ δ)।',
+        'Z<sub>β</sub> (Solved)': 'Z<sub>β</sub> (हल किया गया)',
+        '&mu;<sub>2</sub> at Detectable Diff': 'पता लगाने योग्य अंतर पर &mu;<sub>2</sub>',
+        'Normal Approximation': 'सामान्य सन्निकटन',
+        'HR=1 implies no effect. N is infinite.': 'HR=1 का अर्थ है कोई प्रभाव नहीं। N अनंत है।',
+        'Equal medians imply HR=1. N is infinite.': 'समान माध्यिकाओं का अर्थ HR=1 है। N अनंत है।',
+        'Accrual plus follow-up time must be greater than 0.': 'भर्ती और अनुवर्तन का कुल समय 0 से अधिक होना चाहिए।',
+        'Schoenfeld (Events):': 'Schoenfeld (घटनाएँ):',
+        '(See Interpretation for Freedman and P(event))': '(Freedman और P(घटना) के लिए व्याख्या देखें)',
+        'HR (Hazard Ratio)': 'HR (हैज़र्ड अनुपात)',
+        '&lambda; Control / Treatment (per month)': '&lambda; नियंत्रण / उपचार (प्रति माह)',
+        'P(event) Control / Treatment': 'P(घटना) नियंत्रण / उपचार',
+        'P(event) Overall': 'P(घटना) समग्र',
+        'D (Events, Schoenfeld)': 'D (घटनाएँ, Schoenfeld)',
+        'RR=1 implies no effect. N is infinite.': 'RR=1 का अर्थ है कोई प्रभाव नहीं। N अनंत है।',
+        'Rate Difference (Main):': 'दर अंतर (मुख्य):',
+        '(See Interpretation for the log rate ratio method)': '(लॉग दर अनुपात विधि के लिए व्याख्या देखें)',
+        'Rate Difference': 'दर अंतर',
+        'Log Rate Ratio': 'लॉग दर अनुपात',
+        '&lambda;<sub>1</sub> / &lambda;<sub>0</sub> (per 1,000 person-years)': '&lambda;<sub>1</sub> / &lambda;<sub>0</sub> (प्रति 1,000 व्यक्ति-वर्ष)',
+        'Person-years Needed, Exposed / Unexposed': 'आवश्यक व्यक्ति-वर्ष, एक्सपोज़्ड / अनएक्सपोज़्ड',
+        'Expected Events, Exposed / Unexposed': 'अपेक्षित घटनाएँ, एक्सपोज़्ड / अनएक्सपोज़्ड',
+        'Treatment': 'उपचार',
+        'Control': 'नियंत्रण समूह',
+        'r equals r₀ (no effect). N is infinite.': 'r बराबर r₀ (कोई प्रभाव नहीं)। N अनंत है।',
+        'C (Fisher z of r)': 'C (r का फ़िशर z)',
+        'C<sub>0</sub> (Fisher z of r<sub>0</sub>)': 'C<sub>0</sub> (r<sub>0</sub> का फ़िशर z)',
+        'A slope of 0 implies no effect. N is infinite.': '0 ढलान का अर्थ है कोई प्रभाव नहीं। N अनंत है।',
+        'R² of the full model (other + increment) must be below 1.': 'पूर्ण मॉडल (अन्य + वृद्धि) का R² 1 से कम होना चाहिए।',
+        'Smallest N with': 'सबसे छोटा N जिसमें',
+        'Effect too small: N exceeds 100,000.': 'प्रभाव बहुत छोटा: N 1,00,000 से अधिक है।',
+        'f<sup>2</sup> (Effect Size)': 'f<sup>2</sup> (प्रभाव आकार)',
+        'Degrees of Freedom (u, N-k-1)': 'स्वतंत्रता की कोटियाँ (u, N-k-1)',
+        '&lambda; (Noncentrality)': '&lambda; (अकेंद्रीयता)',
+        'Partial r = {r}': 'आंशिक r = {r}',
+        'P<sub>1</sub> (Event Rate when X = 1)': 'P<sub>1</sub> (X = 1 पर घटना दर)',
+        'P&#772; (Overall Event Rate)': 'P&#772; (समग्र घटना दर)',
+        '&beta; (ln OR per SD)': '&beta; (प्रति SD ln OR)',
+        'N (Unadjusted)': 'N (असमायोजित)',
+        'Expected Events': 'अपेक्षित घटनाएँ',
+        'Precision (±{precision}) must be smaller than Se, Sp and their complements.': 'परिशुद्धता (±{precision}) Se, Sp और उनके पूरकों से छोटी होनी चाहिए।',
+        'Both tests have the same accuracy. N is infinite.': 'दोनों परीक्षणों की सटीकता समान है। N अनंत है।',
+        'Diseased pairs:': 'रोगग्रस्त जोड़े:',
+        '(likewise for Sp with 1-Prev)': '(इसी प्रकार Sp के लिए 1-Prev के साथ)',
+        '{n} diseased': '{n} रोगग्रस्त',
+        '{n} non-diseased': '{n} रोगमुक्त',
+        'Sensitivity': 'संवेदनशीलता',
+        'Specificity': 'विशिष्टता',
+        'Diseased for Se (TP + FN)': 'Se के लिए रोगग्रस्त (TP + FN)',
+        'Non-diseased for Sp (TN + FP)': 'Sp के लिए रोगमुक्त (TN + FP)',
+        '{n} diseased pairs': '{n} रोगग्रस्त जोड़े',
+        'Compare Se (McNemar)': 'Se की तुलना (McNemar)',
+        '{n} non-diseased pairs': '{n} रोगमुक्त जोड़े',
+        'Compare Sp (McNemar)': 'Sp की तुलना (McNemar)',
+        'N to Recruit': 'भर्ती हेतु N',
+        'Diseased': 'रोगग्रस्त',
+        'Non-diseased': 'रोगमुक्त',
+        'Stratum {n}': 'स्तर {n}',
+        'Add at least one stratum.': 'कम से कम एक स्तर जोड़ें।',
+        '{stratum}: population must be a whole number of at least 1.': '{stratum}: जनसंख्या कम से कम 1 की पूर्ण संख्या होनी चाहिए।',
+        '{stratum}: prevalence must be between 0 and 100%.': '{stratum}: व्यापकता 0 और 100% के बीच होनी चाहिए।',
+        '{stratum}: cost must be greater than 0.': '{stratum}: लागत 0 से अधिक होनी चाहिए।',
+        'Enter a cost for every stratum, or leave them all blank.': 'हर स्तर के लिए लागत दर्ज करें, या सभी को खाली छोड़ दें।',
+        'Precision (±{precision}) must be smaller than the overall prevalence and 1 - P.': 'परिशुद्धता (±{precision}) समग्र व्यापकता और 1 - P दोनों से छोटी होनी चाहिए।',
+        '(See Interpretation for the allocation shares a<sub>h</sub>)': '(आवंटन हिस्सों a<sub>h</sub> के लिए व्याख्या देखें)',
+        'Cost {cost}': 'लागत {cost}',
+        'Overall Prevalence (&Sigma;W<sub>h</sub>P<sub>h</sub>)': 'समग्र व्यापकता (&Sigma;W<sub>h</sub>P<sub>h</sub>)',
+        'N without Stratification': 'स्तरीकरण के बिना N',
+        'Total Cost': 'कुल लागत',
+        'n, {stratum}': 'n, {stratum}',
+
+        // --- Calculator page ---
+        'Link Copied!': 'लिंक कॉपी हो गया!',
+        'Copy Link': 'लिंक कॉपी करें',
+        'Total before Dropout': 'ड्रॉपआउट से पहले कुल',
+        'Total': 'कुल',
+        'Events': 'घटनाएँ',
+        '{group} Clusters': '{group} क्लस्टर',
+        'Sample Size Calculator': 'नमूना आकार कैलकुलेटर',
+        'Comparison of Methods': 'विधियों की तुलना',
+        'Method': 'विधि',
+        'Sample Size Report': 'नमूना आकार रिपोर्ट',
+        'Print / Save as PDF': 'प्रिंट / PDF के रूप में सहेजें',
+        'Sample Size Calculation Report': 'नमूना आकार गणना रिपोर्ट',
+        'Generated {date}': '{date} को बनाई गई',
+        'Scenario link:': 'परिदृश्य लिंक:',
+        'Study Design': 'अध्ययन डिज़ाइन',
+        'Result': 'परिणाम',
+        'Input Parameters': 'इनपुट पैरामीटर',
+        'Formula': 'सूत्र',
+        'Interpretation': 'व्याख्या',
+        'Visualisation': 'दृश्यांकन',
+        'Sample size visualisation': 'नमूना आकार का दृश्यांकन',
+        'For educational purposes. Please verify results against standard epidemiological textbooks before use in a protocol.': 'शैक्षिक उद्देश्यों के लिए। प्रोटोकॉल में उपयोग से पहले परिणामों को मानक महामारी विज्ञान पाठ्यपुस्तकों से सत्यापित करें।',
+        'Scenario {n}': 'परिदृश्य {n}',
+        'No scenarios found in file.': 'फ़ाइल में कोई परिदृश्य नहीं मिला।',
+        'Could not import scenarios: {error}': 'परिदृश्य आयात नहीं हो सके: {error}',
+        'Error': 'त्रुटि',
+        'Load {name}': '{name} लोड करें',
+        'Load': 'लोड करें',
+        'Delete {name}': '{name} हटाएँ',
+        'Delete': 'हटाएँ',
+        'No saved scenarios yet. Save the current inputs to start a comparison.': 'अभी कोई सहेजा गया परिदृश्य नहीं है। तुलना शुरू करने के लिए वर्तमान इनपुट सहेजें।',
+        'Highlighted cells are inputs that differ between scenarios.': 'हाइलाइट किए गए सेल वे इनपुट हैं जो परिदृश्यों के बीच भिन्न हैं।',
+        'Simulate thousands of trials at each method\'s N to see the power the intended test actually achieves.': 'प्रत्येक विधि के N पर हज़ारों परीक्षणों का अनुकरण करें और देखें कि इच्छित परीक्षण वास्तव में कितनी शक्ति प्राप्त करता है।',
+        'Available for the case-control, cohort, RCT and two-means designs when solving for N (superiority, no clustering).': 'केस-नियंत्रण, कोहोर्ट, RCT और दो-माध्य डिज़ाइनों के लिए N हल करते समय उपलब्ध (श्रेष्ठता, क्लस्टरिंग नहीं)।',
+        'This browser does not support web workers, which the simulation needs.': 'यह ब्राउज़र वेब वर्कर्स का समर्थन नहीं करता, जिनकी अनुकरण को आवश्यकता है।',
+        'Simulation needs the page served over http(s); web workers cannot start from a local file.': 'अनुकरण के लिए पेज http(s) पर परोसा जाना चाहिए; वेब वर्कर्स स्थानीय फ़ाइल से शुरू नहीं हो सकते।',
+        'Simulating {reps} trials per method (seed {seed})...': 'प्रति विधि {reps} परीक्षणों का अनुकरण (सीड {seed})...',
+        '{reps} simulated trials per method, seed {seed}. Rerun with the same seed to reproduce.': 'प्रति विधि {reps} अनुकरणित परीक्षण, सीड {seed}। दोहराने के लिए उसी सीड से फिर चलाएँ।',
+        'Simulation failed: {error}': 'अनुकरण विफल: {error}',
+        'Simulation failed to start.': 'अनुकरण शुरू नहीं हो सका।',
+        'Target': 'लक्ष्य',
+        'Empirical power with 95% Wilson interval, at the analysed N (before dropout). Highlighted cells miss the target power.': 'विश्लेषित N (ड्रॉपआउट से पहले) पर 95% विल्सन अंतराल सहित अनुभवजन्य शक्ति। हाइलाइट किए गए सेल लक्ष्य शक्ति से कम हैं।',
+        'None': 'कोई नहीं',
+        'Input {i}: enter a list of numbers (1.5, 2, 2.5) or a range as start:end:step (20:40:10).': 'इनपुट {i}: संख्याओं की सूची (1.5, 2, 2.5) या आरंभ:अंत:चरण के रूप में परास (20:40:10) दर्ज करें।',
+        'Input {i}: use at most {max} values.': 'इनपुट {i}: अधिकतम {max} मान उपयोग करें।',
+        'Input {i} is already in the table.': 'इनपुट {i} पहले से तालिका में है।',
+        'Pick at least one input and give it some values.': 'कम से कम एक इनपुट चुनें और उसे कुछ मान दें।',
+        'That is {count} combinations; the table holds at most {max}.': 'यह {count} संयोजन हैं; तालिका में अधिकतम {max} आ सकते हैं।',
+        '{n} combination, {method} method.': '{n} संयोजन, {method} विधि।',
+        '{n} combinations, {method} method.': '{n} संयोजन, {method} विधि।',
+        '{n} has no answer (—); hover for the reason.': '{n} का कोई उत्तर नहीं (—); कारण के लिए होवर करें।',
+        '{n} have no answer (—); hover for the reason.': '{n} का कोई उत्तर नहीं (—); कारण के लिए होवर करें।',
+        'Total N{groups}, {method} method. Other inputs as in the calculator.': 'कुल N{groups}, {method} विधि। अन्य इनपुट कैलकुलेटर के अनुसार।',
+        'Total N': 'कुल N',
+        'Copied!': 'कॉपी हो गया!',
+        'P<sub>2</sub> (% Exposed in Controls)': 'P<sub>2</sub> (नियंत्रणों में एक्सपोज़्ड %)',
+        'r (Control/Case Ratio)': 'r (नियंत्रण/केस अनुपात)',
+        'P<sub>0</sub> (% Exposed in Controls)': 'P<sub>0</sub> (नियंत्रणों में एक्सपोज़्ड %)',
+        '&psi; (Odds Ratio)': '&psi; (ऑड्स अनुपात)',
+        '&phi; (Exposure Correlation)': '&phi; (एक्सपोज़र सहसंबंध)',
+        'M (Controls per Case)': 'M (प्रति केस नियंत्रण)',
+        'p<sub>10</sub> (Case Exposed, Control Not)': 'p<sub>10</sub> (केस एक्सपोज़्ड, नियंत्रण नहीं)',
+        'p<sub>01</sub> (Control Exposed, Case Not)': 'p<sub>01</sub> (नियंत्रण एक्सपोज़्ड, केस नहीं)',
+        'P<sub>1</sub> (% Exposed with Outcome)': 'P<sub>1</sub> (परिणाम वाले एक्सपोज़्ड %)',
+        'P<sub>2</sub> (% Unexposed with Outcome)': 'P<sub>2</sub> (परिणाम वाले अनएक्सपोज़्ड %)',
+        'r (Unexposed/Exposed Ratio)': 'r (अनएक्सपोज़्ड/एक्सपोज़्ड अनुपात)',
+        '&lambda;<sub>0</sub> (Baseline Rate)': '&lambda;<sub>0</sub> (आधार दर)',
+        'RR (Rate Ratio)': 'RR (दर अनुपात)',
+        't (Follow-up, years)': 't (अनुवर्तन, वर्ष)',
+        'P<sub>1</sub> (Prop. Group 1)': 'P<sub>1</sub> (समूह 1 अनुपात)',
+        'P<sub>2</sub> (Prop. Group 2)': 'P<sub>2</sub> (समूह 2 अनुपात)',
+        'r (Group Ratio)': 'r (समूह अनुपात)',
+        'δ (Margin, %)': 'δ (सीमा, %)',
+        'Se (Expected Sensitivity)': 'Se (अपेक्षित संवेदनशीलता)',
+        'Sp (Expected Specificity)': 'Sp (अपेक्षित विशिष्टता)',
+        'D (Precision)': 'D (परिशुद्धता)',
+        'Prev (Disease Prevalence)': 'Prev (रोग व्यापकता)',
+        'P (Event Rate at Mean of X)': 'P (X के माध्य पर घटना दर)',
+        'P<sub>0</sub> (Event Rate when X = 0)': 'P<sub>0</sub> (X = 0 पर घटना दर)',
+        'B (Proportion with X = 1)': 'B (X = 1 वाला अनुपात)',
+        '&rho;<sup>2</sup> (R² with Other Covariates)': '&rho;<sup>2</sup> (अन्य सहचरों के साथ R²)',
+        'r (Treatment/Control Ratio)': 'r (उपचार/नियंत्रण अनुपात)',
+        'a (Accrual, months)': 'a (भर्ती, महीने)',
+        'f (Follow-up, months)': 'f (अनुवर्तन, महीने)',
+        'δ (Margin)': 'δ (सीमा)',
+        '&mu;<sub>1</sub> (Mean Group 1)': '&mu;<sub>1</sub> (समूह 1 का माध्य)',
+        '&mu;<sub>2</sub> (Mean Group 2)': '&mu;<sub>2</sub> (समूह 2 का माध्य)',
+        '&sigma;<sub>1</sub> (SD Group 1)': '&sigma;<sub>1</sub> (समूह 1 का SD)',
+        '&sigma;<sub>2</sub> (SD Group 2)': '&sigma;<sub>2</sub> (समूह 2 का SD)',
+        'Yes': 'हाँ',
+        'No': 'नहीं',
+        '{method} Estimate': '{method} अनुमान',
+        'Input Parameters:': 'इनपुट पैरामीटर:',
+        'Before Dropout': 'ड्रॉपआउट से पहले',
+        'Comparison of Methods:': 'विधियों की तुलना:',
+        'Total Sample Size (N)': 'कुल नमूना आकार (N)',
+        '{label} not available.': '{label} उपलब्ध नहीं।',
+        'Sample size against prevalence. No curve until the highlighted inputs are corrected.': 'व्यापकता के सापेक्ष नमूना आकार। हाइलाइट किए गए इनपुट ठीक होने तक कोई वक्र नहीं।',
+        'Curve of the Wald sample size against the expected prevalence, falling as prevalence rises. At the chosen prevalence of {P}, N = {n}.': 'अपेक्षित व्यापकता के सापेक्ष वाल्ड नमूना आकार का वक्र, जो व्यापकता बढ़ने पर घटता है। चुनी गई व्यापकता {P} पर, N = {n}।',
+        'Curve of the Wald sample size against the expected prevalence, highest at 50%. At the chosen prevalence of {P}, N = {n}.': 'अपेक्षित व्यापकता के सापेक्ष वाल्ड नमूना आकार का वक्र, जो 50% पर सबसे ऊँचा है। चुनी गई व्यापकता {P} पर, N = {n}।',
+        'Prevalence (P)': 'व्यापकता (P)',
+        'N (Wald)': 'N (वाल्ड)',
+        '(chosen)': '(चुना गया)',
+        'The current design is at {x} {xValue}, {y} {yValue}.': 'वर्तमान डिज़ाइन {x} {xValue}, {y} {yValue} पर है।',
+        'Line chart of {y} against {x}, one line per method ({methods}).': '{x} के सापेक्ष {y} का रेखा चार्ट, प्रति विधि एक रेखा ({methods})।',
+        'No chart until the highlighted inputs are corrected.': 'हाइलाइट किए गए इनपुट ठीक होने तक कोई चार्ट नहीं।',
+        'No chart for this design.': 'इस डिज़ाइन के लिए कोई चार्ट नहीं।',
+        'Scatter plot of a simulated sample of N = {n} participants with {title}.': '{title} के साथ N = {n} प्रतिभागियों के अनुकरणित नमूने का प्रकीर्ण आरेख।',
+        'Expected survival curves over {months} months for {group2} and {group1}, with the participants and expected events in each arm.': '{group2} और {group1} के लिए {months} महीनों तक अपेक्षित उत्तरजीविता वक्र, प्रत्येक भुजा में प्रतिभागियों और अपेक्षित घटनाओं के साथ।',
+        'Arm': 'भुजा',
+        'Participants': 'प्रतिभागी',
+        'Expected events': 'अपेक्षित घटनाएँ',
+        'Survival at {months} months': '{months} महीनों पर उत्तरजीविता',
+        'Cumulative expected events over {years} years of follow-up for {group2} and {group1}.': '{group2} और {group1} के लिए {years} वर्ष के अनुवर्तन में संचयी अपेक्षित घटनाएँ।',
+        'Person-years': 'व्यक्ति-वर्ष',
+        '{sets} matched sets, each of 1 case and {M} controls.': '{sets} मिलान सेट, प्रत्येक में 1 केस और {M} नियंत्रण।',
+        '{sets} matched sets, each of 1 case and 1 control.': '{sets} मिलान सेट, प्रत्येक में 1 केस और 1 नियंत्रण।',
+        'Group': 'समूह',
+        'Dot grid of the two groups: {groups}.': 'दोनों समूहों का बिंदु ग्रिड: {groups}।',
+        'Participants are grouped into clusters of about {m}.': 'प्रतिभागियों को लगभग {m} के क्लस्टरों में बाँटा गया है।',
+        'Equivalence margin ±{delta}, expected difference {diff}.': 'समतुल्यता सीमा ±{delta}, अपेक्षित अंतर {diff}।',
+        'Non-inferiority margin -{delta}, expected difference {diff}.': 'गैर-हीनता सीमा -{delta}, अपेक्षित अंतर {diff}।',
+        '* 1 Dot ≈ {scale} Participants': '* 1 बिंदु ≈ {scale} प्रतिभागी',
+        '* 1 Dot = 1 Participant (Actual Size)': '* 1 बिंदु = 1 प्रतिभागी (वास्तविक आकार)',
+        '(High Density)': '(उच्च घनत्व)',
+        'Equivalent': 'समतुल्य',
+        'Non-inferior': 'गैर-हीन',
+        'Expected {diff}': 'अपेक्षित {diff}',
+        '{sets} Matched Sets (1:{M})': '{sets} मिलान सेट (1:{M})',
+        '1 Row ≈ {scale} Matched Sets': '1 पंक्ति ≈ {scale} मिलान सेट',
+        '1 Row = 1 Matched Set': '1 पंक्ति = 1 मिलान सेट',
+        '* {unit}: 1 Case (pink) + {M} Controls (green)': '* {unit}: 1 केस (गुलाबी) + {M} नियंत्रण (हरा)',
+        '* {unit}: 1 Case (pink) + 1 Control (green)': '* {unit}: 1 केस (गुलाबी) + 1 नियंत्रण (हरा)',
+        'Expected Survival, S(t) = e^(-λt)': 'अपेक्षित उत्तरजीविता, S(t) = e^(-λt)',
+        'Months': 'महीने',
+        'Accrual ends ({months})': 'भर्ती समाप्त ({months})',
+        '{events} events / {n}': '{events} घटनाएँ / {n}',
+        '* Curves: {group2} (pink) vs {group1} (blue). Bars: events (filled) out of participants per arm': '* वक्र: {group2} (गुलाबी) बनाम {group1} (नीला)। बार: प्रति भुजा प्रतिभागियों में से घटनाएँ (भरी हुई)',
+        'Expected Events over Follow-up': 'अनुवर्तन के दौरान अपेक्षित घटनाएँ',
+        'Years of Follow-up': 'अनुवर्तन के वर्ष',
+        '{events} expected events in {personYears} person-years ({n} participants)': '{personYears} व्यक्ति-वर्ष में {events} अपेक्षित घटनाएँ ({n} प्रतिभागी)',
+        '* Lines: cumulative expected events in {group2} (pink) and {group1} (blue)': '* रेखाएँ: संचयी अपेक्षित घटनाएँ, {group2} (गुलाबी) और {group1} (नीला)',
+        '* Showing {shown} of {n} simulated participants': '* {n} अनुकरणित प्रतिभागियों में से {shown} दिखाए गए',
+        '* 1 Dot = 1 Simulated Participant': '* 1 बिंदु = 1 अनुकरणित प्रतिभागी',
+        'N = {n} in {k} clusters': 'N = {n}, {k} क्लस्टरों में',
+        '* Each block = 1 Cluster of ~{m} Participants (1 Dot = 1 Participant)': '* प्रत्येक ब्लॉक = ~{m} प्रतिभागियों का 1 क्लस्टर (1 बिंदु = 1 प्रतिभागी)',
+        '* 1 Circle ≈ {scale} Clusters of ~{m} Participants': '* 1 वृत्त ≈ ~{m} प्रतिभागियों के {scale} क्लस्टर',
+        '* 1 Circle = 1 Cluster of ~{m} Participants': '* 1 वृत्त = ~{m} प्रतिभागियों का 1 क्लस्टर',
+        'Current inputs': 'वर्तमान इनपुट',
+        'Chi-square': 'काई-वर्ग',
+        'Fisher Exact': 'फ़िशर सटीक',
+        'Welch t-test': 'वेल्च t-परीक्षण',
+        '{column}, {stratum}': '{column}, {stratum}',
+        'Remove': 'हटाएँ',
+        'Remove {stratum}': '{stratum} हटाएँ',
+        'Add Stratum': 'स्तर जोड़ें',
+        '{method} allocation of N = {n} across {count} strata, with each stratum\'s share of the population and of the sample.': '{count} स्तरों में N = {n} का {method} आवंटन, जनसंख्या और नमूने में प्रत्येक स्तर के हिस्से के साथ।',
+        'Stratum': 'स्तर',
+        'Prevalence (%)': 'व्यापकता (%)',
+        'Cost per Interview': 'प्रति साक्षात्कार लागत',
+        'Sampling fraction': 'प्रतिचयन अंश',
+        '{method} Allocation, N = {n}': '{method} आवंटन, N = {n}',
+        '* Per stratum: share of the population (grey) and of the sample (blue), with the number to interview': '* प्रति स्तर: जनसंख्या (धूसर) और नमूने (नीला) में हिस्सा, साक्षात्कार की जाने वाली संख्या के साथ',
+        'Available when the calculator gives a sample size: solve for N and clear any input errors.': 'तब उपलब्ध जब कैलकुलेटर नमूना आकार देता है: N के लिए हल करें और इनपुट त्रुटियाँ ठीक करें।',
+        'Screen {screened} people to enrol {n}. At {perMonth} a month across {sites} sites, enrolment takes {months} months.': '{n} को नामांकित करने के लिए {screened} लोगों की स्क्रीनिंग करें। {sites} केंद्रों में प्रति माह {perMonth} की दर से नामांकन में {months} माह लगेंगे।',
+        'Eligible to Approach': 'संपर्क किए जाने वाले पात्र',
+        'People to Screen': 'स्क्रीन किए जाने वाले लोग',
+        'Enrolled per Month': 'प्रति माह नामांकित',
+        'Screened per Month': 'प्रति माह स्क्रीन किए गए',
+        'Months to Full Enrolment': 'पूर्ण नामांकन तक माह',
+        'Target N = {n}': 'लक्ष्य N = {n}',
+
+        // --- Page text ---
+        'Sample Size Calculation-Visualization': 'नमूना आकार गणना और दृश्यांकन',
+        'A new version of the calculator is available.': 'कैलकुलेटर का नया संस्करण उपलब्ध है।',
+        'Reload': 'फिर से लोड करें',
+        'Skip to inputs': 'इनपुट पर जाएँ',
+        'Visual Understanding of Sample Size Calculation for Common Epidemiological Studies': 'सामान्य महामारी विज्ञान अध्ययनों के लिए नमूना आकार गणना की दृश्य समझ',
+        'Select Study Design:': 'अध्ययन डिज़ाइन चुनें:',
+        'Prevalence Study (Cross-Sectional)': 'व्यापकता अध्ययन (अनुप्रस्थ)',
+        'Stratified Prevalence Survey': 'स्तरीकृत व्यापकता सर्वेक्षण',
+        'Case-Control Study': 'केस-नियंत्रण अध्ययन',
+        'Matched Case-Control Study': 'मिलान केस-नियंत्रण अध्ययन',
+        'Cohort Study': 'कोहोर्ट अध्ययन',
+        'Comparing Two Incidence Rates': 'दो घटना दरों की तुलना',
+        'Randomized Controlled Trial (RCT)': 'यादृच्छिक नियंत्रित परीक्षण (RCT)',
+        'Comparing Two Means': 'दो माध्यों की तुलना',
+        'Time-to-Event (Survival) Study': 'घटना-तक-समय (उत्तरजीविता) अध्ययन',
+        'Correlation Coefficient': 'सहसंबंध गुणांक',
+        'Linear Regression': 'रैखिक समाश्रयण',
+        'Logistic Regression': 'लॉजिस्टिक समाश्रयण',
+        'Diagnostic Accuracy Study': 'नैदानिक सटीकता अध्ययन',
+        'Copy a link to this exact calculation': 'इस सटीक गणना का लिंक कॉपी करें',
+        'Language:': 'भाषा:',
+        'Chart view': 'चार्ट दृश्य',
+        'Population': 'जनसंख्या',
+        'N vs Effect': 'N बनाम प्रभाव',
+        'Power vs N': 'शक्ति बनाम N',
+        'Chart data': 'चार्ट डेटा',
+        'Formula Steps': 'सूत्र के चरण',
+        'Export:': 'निर्यात:',
+        'Print / PDF': 'प्रिंट / PDF',
+        'HTML Report': 'HTML रिपोर्ट',
+        'CSV': 'CSV',
+        'JSON': 'JSON',
+        'Recruitment Timeline': 'भर्ती समयरेखा',
+        'How many people must be screened to enrol the N above, and how many months enrolment will take. The N is the headline method\'s total after dropout inflation.': 'ऊपर दिए N को नामांकित करने के लिए कितने लोगों की स्क्रीनिंग करनी होगी, और नामांकन में कितने माह लगेंगे। N मुख्य विधि का ड्रॉपआउट समायोजन के बाद का कुल है।',
+        '* Bars: participants enrolled by the end of each month. Dashed line: target N': '* पट्टियाँ: प्रत्येक माह के अंत तक नामांकित प्रतिभागी। धराशायी रेखा: लक्ष्य N',
+        'Sample Size Table': 'नमूना आकार तालिका',
+        'Required N for every combination of up to three inputs, with the other inputs as set above. Give each input a list of values (1.5, 2, 2.5) or a range as start:end:step (20:40:10).': 'अधिकतम तीन इनपुट के हर संयोजन के लिए आवश्यक N, बाकी इनपुट ऊपर जैसे। प्रत्येक इनपुट को मानों की सूची (1.5, 2, 2.5) या आरंभ:अंत:चरण के रूप में परास (20:40:10) दें।',
+        'Input 1': 'इनपुट 1',
+        'Values for input 1': 'इनपुट 1 के मान',
+        '1.5, 2, 2.5': '1.5, 2, 2.5',
+        'Input 2': 'इनपुट 2',
+        'Values for input 2': 'इनपुट 2 के मान',
+        '80, 90': '80, 90',
+        'Input 3': 'इनपुट 3',
+        'Values for input 3': 'इनपुट 3 के मान',
+        '20:40:10': '20:40:10',
+        'Build Table': 'तालिका बनाएँ',
+        'Copy Markdown': 'Markdown कॉपी करें',
+        'Copy CSV': 'CSV कॉपी करें',
+        'Monte Carlo Check': 'मोंटे कार्लो जाँच',
+        'Replicates': 'प्रतिकृतियाँ',
+        'Seed': 'सीड',
+        'Run Simulation': 'अनुकरण चलाएँ',
+        'Simulation progress': 'अनुकरण की प्रगति',
+        'Saved Scenarios': 'सहेजे गए परिदृश्य',
+        'Scenario name': 'परिदृश्य का नाम',
+        'Scenario name (e.g. Pessimistic, 2:1 controls)': 'परिदृश्य का नाम (जैसे निराशावादी, 2:1 नियंत्रण)',
+        'Save Current': 'वर्तमान सहेजें',
+        'Export Library': 'लाइब्रेरी निर्यात करें',
+        'Import Library': 'लाइब्रेरी आयात करें',
+        'Developed By': 'विकसितकर्ता',
+        'This is for educational purposes only. Researchers are requested to verify the results based on standard procedures as per standard epidemiological textbooks. For any errors, bugs, or suggestions, please email me at': 'यह केवल शैक्षिक उद्देश्यों के लिए है। शोधकर्ताओं से अनुरोध है कि परिणामों को मानक महामारी विज्ञान पाठ्यपुस्तकों की मानक प्रक्रियाओं के अनुसार सत्यापित करें। किसी भी त्रुटि, बग या सुझाव के लिए कृपया मुझे ईमेल करें:'
+    },
+    modes: {
+        prevalence: {
+            interpretation: `
+                <p>यह सूत्र निर्दिष्ट परिशुद्धता और विश्वास स्तर (आमतौर पर 95%) के साथ जनसंख्या व्यापकता का अनुमान लगाने के लिए आवश्यक प्रतिभागियों की न्यूनतम संख्या निर्धारित करता है।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>विधियाँ:</strong><br>
+                    <strong>वाल्ड:</strong> ऊपर दिया गया बंद सूत्र (सामान्य सन्निकटन)<br>
+                    <strong>विल्सन:</strong> सबसे छोटा N जिसमें विल्सन स्कोर अर्ध-चौड़ाई &le; D हो<br>
+                    <strong>क्लॉपर-पियर्सन:</strong> सबसे छोटा N जिसमें सटीक (बीटा) अंतराल की अर्ध-चौड़ाई &le; D हो<br>
+                    *P छोटा (&lt; 5%) होने पर वाल्ड N को कम आँकता है; बाकी दो विधियाँ वहाँ भी सटीक रहती हैं।
+                </div>
+            `
+        },
+        stratified: {
+            interpretation: `
+                <p>स्तरीकृत यादृच्छिक नमूने से समग्र व्यापकता का अनुमान लगाने के लिए नमूना आकार, जैसे क्षेत्र और शहरी/ग्रामीण निवास के अनुसार स्तरीकृत ज़िला सर्वेक्षण। समग्र N इस प्रकार तय किया जाता है कि भारित व्यापकता &Sigma;W<sub>h</sub>P<sub>h</sub> का अनुमान &plusmn;D के भीतर हो, फिर उसे स्तरों में बाँटा जाता है; प्रत्येक स्तर के हिस्से को उसकी अपनी परिमित जनसंख्या के लिए सुधारा जाता है (कोक्रन)।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>आवंटन:</strong><br>
+                    <strong>आनुपातिक:</strong> a<sub>h</sub> = W<sub>h</sub><br>
+                    <strong>नेमैन:</strong> a<sub>h</sub> &prop; W<sub>h</sub>&radic;(P<sub>h</sub>Q<sub>h</sub>), दी गई परिशुद्धता के लिए सबसे छोटा N<br>
+                    <strong>लागत-इष्टतम:</strong> a<sub>h</sub> &prop; W<sub>h</sub>&radic;(P<sub>h</sub>Q<sub>h</sub>) / &radic;c<sub>h</sub>, दी गई परिशुद्धता के लिए सबसे कम लागत<br>
+                    *c<sub>h</sub> = स्तर h में प्रति साक्षात्कार लागत
+                </div>
+            `
+        },
+        'case-control': {
+            interpretation: `
+                <p>केस-नियंत्रण अध्ययनों के लिए तुलनात्मक नमूना आकार। परिणाम के आधार पर भर्ती किए गए पूर्वव्यापी अध्ययनों के लिए आवश्यक।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>प्रयुक्त सूत्र:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> में N<sub>Fleiss</sub> पर सांतत्य सुधार लगाया जाता है
+                </div>
+            `
+        },
+        'matched-case-control': {
+            interpretation: `
+                <p>सशर्त लॉजिस्टिक समाश्रयण या मैकनेमार परीक्षण से विश्लेषित मिलान केस-नियंत्रण अध्ययन के लिए मिलान सेटों (1 केस और M मिलान नियंत्रण) की संख्या। केवल एक्सपोज़र पर असंगत सेट ही सूचना देते हैं, इसलिए प्रबल मिलान (अधिक &phi;) के लिए अधिक सेट चाहिए। क्लस्टर विकल्प नहीं है: मिलान सेट स्वयं विश्लेषण की इकाई है, और सशर्त विश्लेषण उसके सदस्यों में साझा प्रभाव को हटा देता है।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>विधियाँ:</strong><br>
+                    <strong>Dupont:</strong> कोई भी 1:M मिलान, P<sub>0</sub>, OR और &phi; से<br>
+                    <strong>McNemar (Connor):</strong> 1:1 जोड़े, असंगत-जोड़ी अनुपातों से
+                </div>
+            `
+        },
+        cohort: {
+            interpretation: `
+                <p>तीन सामान्य विधियों से तुलनात्मक नमूना आकार देता है। सांतत्य सुधार सहित Fleiss सबसे रूढ़िवादी (सबसे बड़ा नमूना आकार) है।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>प्रयुक्त सूत्र:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> में N<sub>Fleiss</sub> पर सांतत्य सुधार लगाया जाता है
+                </div>
+            `
+        },
+        'incidence-rates': {
+            interpretation: `
+                <p>व्यक्ति-समय के आधार पर मापी गई दो घटना दरों की तुलना के लिए नमूना आकार, उन कोहोर्ट के लिए जिनमें प्रतिभागियों का अनुवर्तन अलग-अलग होता है। घटनाओं की गिनती को प्वासों माना जाता है, इसलिए दरें तय करती हैं कि प्रत्येक समूह को कितना व्यक्ति-समय चाहिए; प्रतिभागियों की संख्या उस व्यक्ति-समय को प्रति व्यक्ति औसत अनुवर्तन से भाग देकर मिलती है।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>प्रयुक्त सूत्र:</strong><br>
+                    <strong>दर अंतर (Smith &amp; Morrow):</strong> T<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (&lambda;<sub>1</sub> + &lambda;<sub>0</sub>/r) / (&lambda;<sub>1</sub>-&lambda;<sub>0</sub>)<sup>2</sup><br>
+                    <strong>लॉग दर अनुपात:</strong> T<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (1/&lambda;<sub>1</sub> + 1/(r&lambda;<sub>0</sub>)) / (ln RR)<sup>2</sup><br>
+                    *प्रत्येक समूह में अपेक्षित घटनाएँ = &lambda; &times; उसका व्यक्ति-समय
+                </div>
+            `
+        },
+        rct: {
+            interpretation: `
+                <p>द्विआधारी परिणामों की तुलना करने वाले यादृच्छिक नियंत्रित परीक्षणों के लिए मानक गणना। रूढ़िवादी अनुमान के लिए Fleiss CC की सिफ़ारिश की जाती है।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>प्रयुक्त सूत्र:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> में N<sub>Fleiss</sub> पर सांतत्य सुधार लगाया जाता है
+                </div>
+            `
+        },
+        'two-means': {
+            interpretation: `
+                <p>दो स्वतंत्र माध्यों की तुलना के लिए नमूना आकार की गणना करता है (स्टूडेंट t-परीक्षण के समतुल्य)।</p>
+            `
+        },
+        survival: {
+            interpretation: `
+                <p>लॉग-रैंक परीक्षण से दो भुजाओं के बीच उत्तरजीविता की तुलना के लिए नमूना आकार। शक्ति घटनाओं की संख्या पर निर्भर करती है, इसलिए परीक्षण को D घटनाएँ चाहिए; रोगियों की संख्या इस बात से निकलती है कि भर्ती और अनुवर्तन के दौरान प्रत्येक में घटना की कितनी संभावना है।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>प्रयुक्त सूत्र:</strong><br>
+                    <strong>Schoenfeld:</strong> D = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup>(1+r)<sup>2</sup> / [r(ln HR)<sup>2</sup>]<br>
+                    <strong>Freedman:</strong> D = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup>(1+r&middot;HR)<sup>2</sup> / [r(1-HR)<sup>2</sup>]<br>
+                    <strong>P(घटना):</strong> प्रति भुजा 1 - [e<sup>-&lambda;f</sup> - e<sup>-&lambda;(a+f)</sup>] / (&lambda;a), &lambda; = ln 2 / माध्यिका (घातांकी उत्तरजीविता, a अवधि में समान भर्ती, अनुवर्तन f)
+                </div>
+            `
+        },
+        correlation: {
+            interpretation: `
+                <p>यह दिखाने के लिए नमूना आकार कि पियर्सन सहसंबंध r<sub>0</sub> (आमतौर पर शून्य) से भिन्न है। फ़िशर का z रूपांतरण r के प्रतिचयन वितरण को लगभग सामान्य बनाता है, जिसकी मानक त्रुटि 1/&radic;(N-3) है।</p>
+            `
+        },
+        'linear-regression': {
+            interpretation: `
+                <p>बहु रैखिक समाश्रयण में u प्रेडिक्टरों के योगदान के F परीक्षण के लिए नमूना आकार। शक्ति G*Power की तरह सटीक अकेंद्रीय F वितरण से निकाली जाती है। एकल ढलान b को &Delta;R<sup>2</sup> = (b&sigma;<sub>x</sub>/&sigma;<sub>y</sub>)<sup>2</sup> में बदला जाता है।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    कोहेन के मानदंड: f<sup>2</sup> = 0.02 छोटा, 0.15 मध्यम, 0.35 बड़ा।
+                </div>
+            `
+        },
+        'logistic-regression': {
+            interpretation: `
+                <p>लॉजिस्टिक समाश्रयण में एक सहचर के ऑड्स अनुपात का पता लगाने के लिए नमूना आकार (Hsieh, Bloch &amp; Larsen 1998)। X से सहसंबद्ध अन्य सहचरों के लिए समायोजन &beta; का प्रसरण बढ़ाता है, इसलिए N को प्रसरण स्फीति गुणक 1/(1-&rho;<sup>2</sup>) से गुणा किया जाता है।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    प्रति चर कम से कम 10 घटनाओं का सामान्य नियम अब भी लागू होता है; घटनाओं की अपेक्षित संख्या जाँचें।
+                </div>
+            `
+        },
+        diagnostic: {
+            interpretation: `
+                <p>नैदानिक सटीकता अध्ययन के लिए नमूना आकार (Buderer 1996)। संवेदनशीलता का अनुमान केवल रोगग्रस्तों में और विशिष्टता का केवल रोगमुक्तों में लगाया जाता है, इसलिए 4PQ/D<sup>2</sup> प्रकार की प्रत्येक गिनती को जनसंख्या में उस समूह के हिस्से से भाग दिया जाता है। दोनों में से बड़ी संख्या भर्ती करें।</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    युग्मित तुलना रोगग्रस्तों और रोगमुक्तों के भीतर मैकनेमार परीक्षण (Connor 1987) लागू करती है, यह मानते हुए कि रोग की स्थिति ज्ञात होने पर दोनों परीक्षण स्वतंत्र रूप से त्रुटि करते हैं।
+                </div>
+            `
+        }
+    }
+}));
@@ -0,0 +1,2979 @@
+/**
+ * Sample size calculation core: every design's maths, free of the DOM, shared by the
+ * calculator page (index.html), the simulation worker and Node (CLI, tests).
+ *
+ *   const { sampleSize } = require('./sample-size-core.js');
+ *   sampleSize({ design: 'cohort', p1: 9.5, p2: 5, power: 80, alpha: 0.05, ratio: 1 });
+ *
+ * In a browser or worker the same exports hang off the SampleSizeCore global.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SampleSizeCore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- Localisation ---
+    // English is the source language. A catalogue (see locales/) maps English text to its
+    // translation, gettext style, and carries each mode's translated HTML fields:
+    //   { code, name, locale, messages: { 'English text': 'translation' }, modes: { <mode>: { interpretation } } }
+    // Without one (Node, the CLI, English in the page) text and numbers come out as before.
+    let catalogue = null;
+    let numberLocale; // undefined: the runtime's default, as toLocaleString() always used
+    let numerals = null; // { decimal, group, digits } when the locale writes numbers differently
+
+    // Native digits accepted on input whatever the locale (Devanagari, Bengali)
+    const NATIVE_DIGITS = /[\u0966-\u096F\u09E6-\u09EF]/g;
+
+    function setLocale(next) {
+        catalogue = next || null;
+        numberLocale = next ? next.locale : undefined;
+        numerals = null;
+        if (!numberLocale) return;
+        const format = new Intl.NumberFormat(numberLocale);
+        const parts = format.formatToParts(1234567.5);
+        const decimal = parts.find(part => part.type === 'decimal').value;
+        const group = (parts.find(part => part.type === 'group') || { value: '' }).value;
+        const digits = '0123456789'.split('').map(d => format.format(Number(d)));
+        if (decimal !== '.' || digits.join('') !== '0123456789' || group !== ',') numerals = { decimal, group, digits };
+    }
+
+    // Translation of English text; {name} placeholders are filled from params
+    function tr(text, params) {
+        const out = (catalogue && catalogue.messages[text]) || text;
+        return params ? out.replace(/\{(\w+)\}/g, (m, key) => (key in params ? params[key] : m)) : out;
+    }
+
+    // A mode's HTML field (interpretation, formulaSteps) in the current language, else English
+    function modeText(mode, field) {
+        const local = catalogue && catalogue.modes && catalogue.modes[mode];
+        return (local && local[field]) || MODES[mode][field];
+    }
+
+    // Plain ASCII number text ('12.5') in the locale's decimal mark and digits
+    function localDigits(text) {
+        if (!numerals) return text;
+        return text.replace(/[0-9.]/g, ch => (ch === '.' ? numerals.decimal : numerals.digits[ch]));
+    }
+
+    // value.toFixed(digits) written the locale's way; without digits the number is written
+    // in full. trim drops trailing zeros (2.50 -> 2.5). Non-numbers come back unchanged.
+    function formatNumber(value, digits, trim = false) {
+        const num = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(num)) return String(value);
+        let text = digits === undefined ? String(num) : num.toFixed(digits);
+        if (trim) text = String(+text);
+        return localDigits(text);
+    }
+
+    // Whole numbers with the locale's grouping, e.g. 1,234 / 1 234 / 1.234 / 1,00,000
+    function formatCount(value) {
+        return value.toLocaleString(numberLocale);
+    }
+
+    // A number typed in the current locale: decimal comma where the locale uses one, group
+    // separators, native digits. A point still reads as a decimal point unless it can only be
+    // grouping (1.500.000 in Spanish); where a point groups, one point before exactly three
+    // digits (1.500, 0.500) could be either, so it is NaN and the field asks for a number.
+    // NaN for anything else, including empty text.
+    function parseNumber(text) {
+        if (typeof text === 'number') return text;
+        let s = String(text ?? '')
+            .replace(NATIVE_DIGITS, ch => String(ch.charCodeAt(0) - (ch >= '\u09E6' ? 0x09E6 : 0x0966)))
+            .replace(/−/g, '-')
+            .replace(/\s/g, '');
+        const decimal = numerals ? numerals.decimal : '.';
+        const group = numerals ? numerals.group.replace(/\s/g, '') : ',';
+        if (group === '.' && /^[-+]?\d+\.\d{3}$/.test(s)) return NaN;
+        if (group) {
+            const esc = (ch) => ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const grouped = new RegExp(`^[-+]?[1-9]\\d{0,2}(?:${esc(group)}\\d{2,3})*${esc(group)}\\d{3}(?:${esc(decimal)}\\d*)?$`);
+            if (grouped.test(s)) s = s.split(group).join('');
+        }
+        if (decimal !== '.') s = s.replace(decimal, '.');
+        return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(s) ? Number(s) : NaN;
+    }
+
+    // --- Normal Distribution Helpers ---
+    // Inverse of the standard normal CDF (Wichura, Algorithm AS 241, PPND16).
+    // Accurate to about 1e-16 over the whole open interval (0, 1).
+    function normInv(p) {
+        if (!(p > 0 && p < 1)) return NaN;
+        const q = p - 0.5;
+        let r, val;
+
+        if (Math.abs(q) <= 0.425) {
+            r = 0.180625 - q * q;
+            val = q * (((((((r * 2509.0809287301226727 + 33430.575583588128105) * r + 67265.770927008700853) * r
+                + 45921.953931549871457) * r + 13731.693765509461125) * r + 1971.5909503065514427) * r
+                + 133.14166789178437745) * r + 3.387132872796366608)
+                / (((((((r * 5226.495278852545925 + 28729.085735721942674) * r + 39307.89580009271061) * r
+                    + 21213.794301586595867) * r + 5394.1960214247511077) * r + 687.1870074920579083) * r
+                    + 42.313330701600911252) * r + 1.0);
+            return val;
+        }
+
+        r = q < 0 ? p : 1 - p;
+        r = Math.sqrt(-Math.log(r));
+
+        if (r <= 5) {
+            r -= 1.6;
+            val = (((((((r * 7.7454501427834140764e-4 + 0.0227238449892691845833) * r + 0.24178072517745061177) * r
+                + 1.27045825245236838258) * r + 3.64784832476320460504) * r + 5.7694972214606914055) * r
+                + 4.6303378461565452959) * r + 1.42343711074968357734)
+                / (((((((r * 1.05075007164441684324e-9 + 5.475938084995344946e-4) * r + 0.0151986665636164571966) * r
+                    + 0.14810397642748007459) * r + 0.68976733498510000455) * r + 1.6763848301838038494) * r
+                    + 2.05319162663775882187) * r + 1.0);
+        } else {
+            r -= 5;
+            val = (((((((r * 2.01033439929228813265e-7 + 2.71155556874348757815e-5) * r + 0.0012426609473880784386) * r
+                + 0.026532189526576123093) * r + 0.29656057182850489123) * r + 1.7848265399172913358) * r
+                + 5.4637849111641143699) * r + 6.6579046435011037772)
+                / (((((((r * 2.04426310338993978564e-15 + 1.4215117583164458887e-7) * r + 1.8463183175100546818e-5) * r
+                    + 7.868691311456132591e-4) * r + 0.0148753612908506148525) * r + 0.13692988092273580531) * r
+                    + 0.59983220655588793769) * r + 1.0);
+        }
+
+        return q < 0 ? -val : val;
+    }
+
+    // Z for a given power, e.g. 80 -> 0.8416
+    function getZBeta(powerPct) {
+        return normInv(powerPct / 100);
+    }
+
+    // Z for a given confidence level (1 - alpha). Two-sided tests split alpha across both tails.
+    function getZAlpha(confidencePct, sided = 'two') {
+        const alpha = 1 - confidencePct / 100;
+        return normInv(sided === 'one' ? 1 - alpha : 1 - alpha / 2);
+    }
+
+    // Rows for the "Formula Steps" panel showing the exact Z values in use
+    function zSteps(za, zb, sided) {
+        return [
+            { label: sided === 'one' ? tr('Z<sub>α</sub> (One-sided)') : tr('Z<sub>α/2</sub> (Two-sided)'), value: formatNumber(za, 4) },
+            { label: 'Z<sub>β</sub>', value: formatNumber(zb, 4) }
+        ];
+    }
+
+    // Standard normal CDF (Hart's double precision algorithm, as given by West 2005).
+    function normCdf(z) {
+        const x = Math.abs(z);
+        let c = 0;
+
+        if (x <= 37) {
+            const e = Math.exp(-x * x / 2);
+            if (x < 7.07106781186547) {
+                let num = 3.52624965998911e-2 * x + 0.700383064443688;
+                num = num * x + 6.37396220353165;
+                num = num * x + 33.912866078383;
+                num = num * x + 112.079291497871;
+                num = num * x + 221.213596169931;
+                num = num * x + 220.206867912376;
+                let den = 8.83883476483184e-2 * x + 1.75566716318264;
+                den = den * x + 16.064177579207;
+                den = den * x + 86.7807322029461;
+                den = den * x + 296.564248779674;
+                den = den * x + 637.333633378831;
+                den = den * x + 793.826512519948;
+                den = den * x + 440.413735824752;
+                c = e * num / den;
+            } else {
+                let den = x + 0.65;
+                den = x + 4 / den;
+                den = x + 3 / den;
+                den = x + 2 / den;
+                den = x + 1 / den;
+                c = e / den / 2.506628274631;
+            }
+        }
+
+        return z > 0 ? 1 - c : c;
+    }
+
+    // Bisection for a monotone function: the x in [a, b] where f(x) crosses target.
+    // Returns null if f(a) and f(b) are on the same side of target.
+    function bisect(f, a, b, target) {
+        let fa = f(a) - target;
+        const fb = f(b) - target;
+        if (fa * fb > 0) return null;
+
+        for (let i = 0; i < 200 && Math.abs(b - a) > 1e-12; i++) {
+            const mid = (a + b) / 2;
+            const fm = f(mid) - target;
+            if (fa * fm <= 0) {
+                b = mid;
+            } else {
+                a = mid;
+                fa = fm;
+            }
+        }
+        return (a + b) / 2;
+    }
+
+    // --- Beta Distribution ---
+
+    // Log-gamma via the Lanczos approximation (g = 7, n = 9)
+    function lnGamma(x) {
+        const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+        if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+        x -= 1;
+        let a = c[0];
+        const t = x + 7.5;
+        for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+    }
+
+    // Regularized incomplete beta I_x(a, b), continued fraction evaluated by Lentz's method
+    function betaInc(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        // The fraction converges fast only below the mean; use the symmetry I_x(a,b) = 1 - I_1-x(b,a)
+        if (x > (a + 1) / (a + b + 2)) return 1 - betaInc(1 - x, b, a);
+
+        const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - (lnGamma(a) + lnGamma(b) - lnGamma(a + b))) / a;
+        const tiny = 1e-300;
+        let f = 1, c = 1, d = 0;
+        for (let i = 0; i <= 10000; i++) {
+            const m = i >> 1;
+            let num;
+            if (i === 0) num = 1;
+            else if (i % 2 === 0) num = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+            else num = -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+
+            d = 1 + num * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            d = 1 / d;
+            c = 1 + num / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            const cd = c * d;
+            f *= cd;
+            if (Math.abs(1 - cd) < 1e-12) break;
+        }
+        return front * (f - 1);
+    }
+
+    // Quantile of the Beta(a, b) distribution
+    function betaInv(p, a, b) {
+        return bisect((x) => betaInc(x, a, b), 0, 1, p);
+    }
+
+    // --- F Distribution ---
+
+    // Upper-tail critical value of the central F(df1, df2) distribution at level alpha
+    function fCritical(alpha, df1, df2) {
+        const b = betaInv(1 - alpha, df1 / 2, df2 / 2);
+        return (df2 * b) / (df1 * (1 - b));
+    }
+
+    // CDF of the noncentral F(df1, df2, λ): Poisson(λ/2)-weighted sum of incomplete betas
+    function noncentralFCdf(x, df1, df2, lambda) {
+        const y = (df1 * x) / (df1 * x + df2);
+        const half = lambda / 2;
+        if (!(half > 0)) return betaInc(y, df1 / 2, df2 / 2);
+        let sum = 0;
+        for (let j = 0; j < 5000; j++) {
+            const weight = Math.exp(-half + j * Math.log(half) - lnGamma(j + 1));
+            sum += weight * betaInc(y, df1 / 2 + j, df2 / 2);
+            if (j > half && weight < 1e-12) break;
+        }
+        return Math.min(1, sum);
+    }
+
+    // Seedable uniform generator (mulberry32), so drawn samples stay put between frames
+    function seededRandom(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // --- Prevalence Interval Methods ---
+    // Each returns the CI half-width for an observed proportion p in a sample of n
+    // (n may be fractional while solving). z is the two-sided critical value.
+    const PREVALENCE_METHODS = [['wald', 'Wald'], ['wilson', 'Wilson'], ['clopper_pearson', 'Clopper-Pearson']];
+
+    function waldHalfWidth(p, n, z) {
+        return z * Math.sqrt(p * (1 - p) / n);
+    }
+
+    function wilsonHalfWidth(p, n, z) {
+        return (z / (1 + z * z / n)) * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n));
+    }
+
+    // Exact interval from beta quantiles, with x = n * p expected cases
+    function clopperPearsonInterval(p, n, alpha) {
+        const x = n * p;
+        const lower = x > 0 ? betaInv(alpha / 2, x, n - x + 1) : 0;
+        const upper = x < n ? betaInv(1 - alpha / 2, x + 1, n - x) : 1;
+        return [lower, upper];
+    }
+
+    // Smallest N whose interval half-width is within D, for each method (null if out of reach)
+    function prevalenceRawN(p, D, confidence) {
+        const z = getZAlpha(confidence);
+        const alpha = 1 - confidence / 100;
+        const wald = z * z * p * (1 - p) / (D * D);
+        const upperN = 20 * wald + 1000;
+        const solve = (halfWidth) => bisect((n) => halfWidth(n) - D, 1, upperN, 0);
+
+        return {
+            wald: wald,
+            wilson: solve((n) => wilsonHalfWidth(p, n, z)),
+            clopper_pearson: solve((n) => {
+                const [lower, upper] = clopperPearsonInterval(p, n, alpha);
+                return (upper - lower) / 2;
+            })
+        };
+    }
+
+    // Cochran's finite population correction of an unrounded n drawn from a population of size pop
+    function cochranFpc(n, pop) {
+        return n / (1 + n / pop);
+    }
+
+    // Absolute precision (as a proportion) at prevalence p; relative precision is a % of p
+    function prevalencePrecision(state, p) {
+        return state.precisionType === 'relative'
+            ? p * (parseFloat(state.relPrecision) || 0) / 100
+            : (parseFloat(state.precision) || 0) / 100;
+    }
+
+    // --- Stratified Sampling ---
+    // Strata are [{ name, size, prevalence, cost }], prevalence in % and cost per interview
+    // (null when not given). In links, the CLI and CSV they are written as text:
+    // "Name:size:prevalence[:cost]; ..." with plain numbers.
+    const STRATA_ALLOCATIONS = [['proportional', 'Proportional'], ['neyman', 'Neyman'], ['optimal', 'Cost-optimal']];
+
+    // Strata from an array (copied) or the text form; unreadable numbers come back as NaN
+    function parseStrata(value) {
+        const number = (v) => (v === '' || v === null || v === undefined ? NaN : Number(v));
+        if (Array.isArray(value)) {
+            return value.map(row => ({
+                name: String(row.name ?? ''),
+                size: typeof row.size === 'number' ? row.size : number(row.size),
+                prevalence: typeof row.prevalence === 'number' ? row.prevalence : number(row.prevalence),
+                cost: row.cost === null || row.cost === undefined || row.cost === '' ? null : number(row.cost)
+            }));
+        }
+        return String(value ?? '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+            const [name, size, prevalence, cost] = part.split(':').map(field => field.trim());
+            return { name, size: number(size), prevalence: number(prevalence), cost: cost ? number(cost) : null };
+        });
+    }
+
+    function strataText(strata) {
+        return parseStrata(strata).map(row => {
+            const fields = [row.name.replace(/[:;]/g, ' ').trim(), row.size, row.prevalence];
+            if (row.cost !== null) fields.push(row.cost);
+            return fields.join(':');
+        }).join('; ');
+    }
+
+    // A stratum's name for messages, e.g. "Urban" or "Stratum 2" when left blank. Names come
+    // from users and links, so html escapes them for labels that are written as HTML.
+    function stratumName(row, i, html = false) {
+        const name = row.name || tr('Stratum {n}', { n: i + 1 });
+        return html ? escapeHtml(name) : name;
+    }
+
+    // Text made safe to write into HTML, inside elements and quoted attributes alike. Every
+    // renderer uses this one, for anything that comes from users, links or imported files.
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // First problem with a strata table, or null
+    function strataProblem(state) {
+        const strata = parseStrata(state.strata);
+        if (!strata.length) return tr('Add at least one stratum.');
+        for (let i = 0; i < strata.length; i++) {
+            const row = strata[i];
+            const stratum = stratumName(row, i);
+            if (!(Number.isInteger(row.size) && row.size >= 1)) return tr('{stratum}: population must be a whole number of at least 1.', { stratum });
+            if (!(row.prevalence > 0 && row.prevalence < 100)) return tr('{stratum}: prevalence must be between 0 and 100%.', { stratum });
+            if (row.cost !== null && !(row.cost > 0)) return tr('{stratum}: cost must be greater than 0.', { stratum });
+        }
+        const costs = strata.filter(row => row.cost !== null).length;
+        if (costs && costs < strata.length) return tr('Enter a cost for every stratum, or leave them all blank.');
+        return null;
+    }
+
+    // Sample per stratum for an overall prevalence estimated within ±D. With stratum weights
+    // W = N_h / N, S = √(PQ) and cost c (1 if not given), the share of an infinite-population
+    // n0 = Σ W²S²/a / V (V = (D/z)²) going to each stratum is a = W for proportional allocation,
+    // ∝ WS for Neyman and ∝ WS/√c for cost-optimal. Cochran's FPC is then applied within each
+    // stratum, n_h = n0_h / (1 + n0_h / N_h), which keeps the variance of the estimate at V.
+    function strataAllocation(strata, D, z, allocation, deff = 1) {
+        const N = strata.reduce((sum, row) => sum + row.size, 0);
+        const rows = strata.map(row => {
+            const P = row.prevalence / 100;
+            return { ...row, W: row.size / N, S: Math.sqrt(P * (1 - P)), c: row.cost || 1 };
+        });
+        const score = (row) => (allocation === 'proportional' ? row.W
+            : allocation === 'neyman' ? row.W * row.S
+                : row.W * row.S / Math.sqrt(row.c));
+        const scoreSum = rows.reduce((sum, row) => sum + score(row), 0);
+        const V = Math.pow(D / z, 2);
+        const n0 = rows.reduce((sum, row) => sum + Math.pow(row.W * row.S, 2) / (score(row) / scoreSum), 0) / V;
+
+        return rows.map(row => {
+            const share = score(row) / scoreSum;
+            return { name: row.name, size: row.size, prevalence: row.prevalence, cost: row.cost, share, n: Math.ceil(cochranFpc(n0 * share, row.size) * deff) };
+        });
+    }
+
+    // --- Advanced Sample Size Helpers ---
+
+    // Exposure among cases implied by exposure p0 among controls and the odds ratio
+    function casesExposure(p0, OR) {
+        return (OR * p0) / (1 + p0 * (OR - 1));
+    }
+
+    // Unrounded group-1 size (N1, with N2 = r * N1) for each method.
+    function advancedRawN(p1, p2, r, za, zb) {
+        const p_avg = (p1 + r * p2) / (1 + r);
+        const p1_q1 = p1 * (1 - p1);
+        const p2_q2 = p2 * (1 - p2);
+        const p_avg_q_avg = p_avg * (1 - p_avg);
+
+        // KELSEY
+        // N_exposed = ((Za + Zb)^2 * P_avg * (1-P_avg) * (r+1)) / (r * (P1-P2)^2)
+        // Note: Some sources use slightly different variance terms, but this is the standard Kelsey approximation.
+        // However, OpenEpi uses:
+        // n1 = ( (Za+Zb)^2 * p_avg * (1-p_avg) * (r+1) ) / ( r * (p1-p2)^2 )
+        const kelsey_num = Math.pow(za + zb, 2) * p_avg_q_avg * (r + 1);
+        const kelsey_den = r * Math.pow(p1 - p2, 2);
+
+        // FLEISS
+        // OpenEpi / Fleiss with Levin's modification
+        // n1 = ( Za * sqrt((r+1) * p_avg * (1-p_avg)) + Zb * sqrt(r * p1 * (1-p1) + p2 * (1-p2)) )^2 / (r * (p1-p2)^2)
+        const term1 = za * Math.sqrt((r + 1) * p_avg_q_avg);
+        const term2 = zb * Math.sqrt((r * p1_q1) + p2_q2);
+        const fleiss_num = Math.pow(term1 + term2, 2);
+        const fleiss_den = r * Math.pow(p1 - p2, 2);
+
+        // FLEISS WITH CONTINUITY CORRECTION (CC)
+        // Non-iterative approximation
+        // n1_cc = (n1_fleiss / 4) * (1 + sqrt(1 + (2*(r+1)) / (n1_fleiss * r * |p1-p2|)))^2
+        const n1_uncorrected = fleiss_num / fleiss_den; // Using unrounded for intermediate step
+        const cc_term = 2 * (r + 1) / (n1_uncorrected * r * Math.abs(p1 - p2));
+        const n1_cc = (n1_uncorrected / 4) * Math.pow(1 + Math.sqrt(1 + cc_term), 2);
+
+        return {
+            kelsey: kelsey_num / kelsey_den,
+            fleiss: n1_uncorrected,
+            fleiss_cc: n1_cc
+        };
+    }
+
+    // --- Non-response / Attrition ---
+    // Rates are entered as percentages (0-60). Scenarios saved before the rate input
+    // existed stored a checkbox meaning a flat 10%.
+    function dropoutPct(value) {
+        if (typeof value === 'boolean') return value ? 10 : 0;
+        return Math.min(60, Math.max(0, parseFloat(value) || 0));
+    }
+
+    // [group 1, group 2] dropout as fractions, in the order the mode's inputs name the groups
+    function armDropout(state) {
+        if (!state.dropoutPerArm) {
+            const rate = dropoutPct(state.dropout) / 100;
+            return [rate, rate];
+        }
+        return [dropoutPct(state.dropout1) / 100, dropoutPct(state.dropout2) / 100];
+    }
+
+    // Recruit enough that n remain after losing the given fraction
+    function inflateForDropout(n, rate) {
+        return rate > 0 ? Math.ceil(n / (1 - rate)) : n;
+    }
+
+    // e.g. "10%" or "10% / 25%" when the arms differ
+    function dropoutLabel(rates) {
+        const pct = rates.map(rate => `${formatNumber(rate * 100, 1, true)}%`);
+        return pct[0] === pct[1] ? pct[0] : pct.join(' / ');
+    }
+
+    // Display-string note putting the un-inflated and inflated totals side by side
+    function dropoutNote(rates, row) {
+        if (!row.beforeDropout) return '';
+        return ` ${tr('(N={before} before {rate} dropout, {total} to recruit)', { before: formatNumber(row.beforeDropout.total), rate: dropoutLabel(rates), total: formatNumber(row.total) })}`;
+    }
+
+    // Dropout inputs shared by the two-group designs; group names follow each mode's inputs
+    function dropoutInputs(label, group1, group2) {
+        return [
+            { id: 'dropout', label: `${label} (%)`, type: 'range', min: 0, max: 60, step: 1, val: 0, desc: 'Expected loss in both groups. Each group is inflated to N / (1 - rate).', showIf: (state) => !state.dropoutPerArm },
+            { id: 'dropoutPerArm', label: 'Different Rate per Group?', type: 'checkbox', val: false, desc: 'Set a separate rate for each group.' },
+            { id: 'dropout1', label: `${label}, ${group1} (%)`, type: 'range', min: 0, max: 60, step: 1, val: 0, desc: '', showIf: (state) => state.dropoutPerArm },
+            { id: 'dropout2', label: `${label}, ${group2} (%)`, type: 'range', min: 0, max: 60, step: 1, val: 0, desc: '', showIf: (state) => state.dropoutPerArm }
+        ];
+    }
+
+    // --- Cluster Design ---
+    // Design effect for clusters of average size m whose sizes vary with coefficient of
+    // variation CV (Eldridge et al. 2006): DEFF = 1 + ((CV^2 + 1) m - 1) ICC.
+    // Returns null when the design is not clustered.
+    function clusterDesign(state) {
+        if (!state.cluster) return null;
+        const icc = Math.min(1, Math.max(0, parseFloat(state.icc) || 0));
+        const size = Math.max(1, parseFloat(state.clusterSize) || 1);
+        const cv = Math.max(0, parseFloat(state.clusterCv) || 0);
+        return { icc, size, cv, deff: 1 + ((cv * cv + 1) * size - 1) * icc };
+    }
+
+    // Clusters needed to recruit n participants
+    function clustersFor(n, cluster) {
+        return Math.ceil(n / cluster.size);
+    }
+
+    // Cluster inputs shared by every design
+    function clusterInputs() {
+        return [
+            { id: 'cluster', label: 'Cluster Sampling / Randomisation?', type: 'checkbox', val: false, desc: 'Participants are sampled or randomised in clusters (villages, schools, clinics).' },
+            { id: 'icc', label: 'Intraclass Correlation (ICC)', type: 'number', min: 0, max: 1, step: 0.001, val: 0.05, desc: 'Correlation of outcomes within a cluster (often 0.01-0.1).', showIf: (state) => state.cluster },
+            { id: 'clusterSize', label: 'Average Cluster Size (m)', type: 'number', min: 1, val: 20, desc: 'Participants recruited per cluster.', showIf: (state) => state.cluster },
+            { id: 'clusterCv', label: 'CV of Cluster Sizes', type: 'number', min: 0, step: 0.05, val: 0, desc: 'Coefficient of variation of cluster sizes; 0 if all clusters are the same size.', showIf: (state) => state.cluster }
+        ];
+    }
+
+    // Derived rows for the formula steps; clusters, if given, is [group 1, group 2] in the
+    // mode's own order (the methods table shows them otherwise)
+    function clusterDerived(cluster, clusters) {
+        if (!cluster) return [];
+        const rows = [{ label: tr('Design Effect (DEFF)'), value: formatNumber(cluster.deff, 3) }];
+        if (clusters) rows.push({ label: clusters.length > 1 ? tr('Clusters per Arm') : tr('Clusters'), value: clusters.map(c => formatNumber(c)).join(' / ') });
+        return rows;
+    }
+
+    // Group sizes to recruit from an unrounded group-1 size (N2 = r * N1). dropout is [rate for
+    // group 1, rate for group 2] as fractions; the row carries beforeDropout with the un-inflated
+    // sizes whenever either rate is non-zero. With a cluster design N is first multiplied by
+    // its DEFF and the row carries the clusters needed per group.
+    function armSizes(rawN1, r, dropout = [0, 0], cluster = null) {
+        const n1 = Math.ceil(rawN1 * (cluster ? cluster.deff : 1));
+        const n2 = Math.ceil(n1 * r);
+        const row = { n1: inflateForDropout(n1, dropout[0]), n2: inflateForDropout(n2, dropout[1]) };
+        row.total = row.n1 + row.n2;
+        if (dropout[0] > 0 || dropout[1] > 0) row.beforeDropout = { n1, n2, total: n1 + n2 };
+        if (cluster) row.clusters = { n1: clustersFor(row.n1, cluster), n2: clustersFor(row.n2, cluster) };
+        return row;
+    }
+
+    // Effective (analysed, independent) group sizes from a fixed total recruited at ratio r:
+    // each group loses its dropout and clustering shrinks it to N / DEFF. The analysed ratio
+    // n2 / n1 can differ from r.
+    function analysedArms(nAvailable, r, dropout, cluster) {
+        const deff = cluster ? cluster.deff : 1;
+        return {
+            n1: nAvailable / (1 + r) * (1 - dropout[0]) / deff,
+            n2: nAvailable * r / (1 + r) * (1 - dropout[1]) / deff,
+            deff
+        };
+    }
+
+    // dropout and cluster as in armSizes, with group 1 the p1 group
+    function calculateAdvanced(p1, p2, ratio, alpha, beta, dropout = [0, 0], sided = 'two', cluster = null) {
+        const r = parseFloat(ratio) || 1;
+        const za = getZAlpha((1 - alpha) * 100, sided);
+        const zb = getZBeta((1 - beta) * 100);
+
+        const raw = advancedRawN(p1, p2, r, za, zb);
+
+        return {
+            za: za,
+            zb: zb,
+            kelsey: armSizes(raw.kelsey, r, dropout, cluster),
+            fleiss: armSizes(raw.fleiss, r, dropout, cluster),
+            fleiss_cc: armSizes(raw.fleiss_cc, r, dropout, cluster)
+        };
+    }
+
+    // Monte Carlo spec for the two-proportion designs: the analysed (pre-dropout) arm sizes of
+    // each method, with group 1 the p1 group as in calculateAdvanced
+    function binarySimulation(results, p1, p2) {
+        return {
+            outcome: 'binary',
+            p1,
+            p2,
+            arms: METHOD_NAMES.map(([key, name]) => {
+                const row = results[key].beforeDropout || results[key];
+                return { name, n1: row.n1, n2: row.n2 };
+            })
+        };
+    }
+
+    // Achieved power for a fixed group-1 size n1: each method's N1 formula solved for Z_β.
+    function advancedPower(p1, p2, r, n1, za) {
+        const p_avg = (p1 + r * p2) / (1 + r);
+        const p_avg_q_avg = p_avg * (1 - p_avg);
+        const d = Math.abs(p1 - p2);
+
+        // Kelsey: Z_β = sqrt(r * N1 * d^2 / ((r+1) * P(1-P))) - Z_α
+        const zb_kelsey = Math.sqrt(r * n1 * d * d / ((r + 1) * p_avg_q_avg)) - za;
+
+        // Fleiss: Z_β = (d * sqrt(r * N1) - Z_α * sqrt((r+1) * P(1-P))) / sqrt(r * P1(1-P1) + P2(1-P2))
+        const fleissZb = (n) => (d * Math.sqrt(r * n) - za * Math.sqrt((r + 1) * p_avg_q_avg))
+            / Math.sqrt(r * p1 * (1 - p1) + p2 * (1 - p2));
+
+        // Fleiss CC: undo the continuity correction first.
+        // With a = 2(r+1) / (r * d) and m = N_cc - a/4, the uncorrected N = 4m^2 / (a + 4m).
+        const a = 2 * (r + 1) / (r * d);
+        const m = n1 - a / 4;
+        const zb_cc = m > 0 ? fleissZb(4 * m * m / (a + 4 * m)) : -Infinity;
+
+        return {
+            zb: { kelsey: zb_kelsey, fleiss: fleissZb(n1), fleiss_cc: zb_cc },
+            kelsey: normCdf(zb_kelsey),
+            fleiss: normCdf(fleissZb(n1)),
+            fleiss_cc: normCdf(zb_cc)
+        };
+    }
+
+    // Minimum detectable P1 for a fixed group-1 size n1. No closed form, so each method's
+    // N1(P1) is inverted by bisection on the side of P2 given by direction (+1 above, -1 below).
+    // A method returns null when even the most extreme P1 needs more than n1.
+    function advancedDetectable(p2, r, n1, za, zb, direction) {
+        const near = p2 + direction * 1e-6;
+        const far = direction > 0 ? 0.9999 : 0.0001;
+        const solve = (method) => bisect((p1) => advancedRawN(p1, p2, r, za, zb)[method], near, far, n1);
+
+        return {
+            kelsey: solve('kelsey'),
+            fleiss: solve('fleiss'),
+            fleiss_cc: solve('fleiss_cc')
+        };
+    }
+
+    // --- Non-inferiority / Equivalence ---
+    // Margin tests compare new (treatment) against reference (control) with a margin delta > 0,
+    // for an outcome where higher is better. var1 is the variance of the difference times the
+    // group-1 size, e.g. σ1² + σ2²/r. Both tests use a one-sided Z_α; equivalence is two
+    // one-sided tests (TOST), so its N uses Z_β/2.
+
+    // Margin tests apply when solving for N or power; a detectable effect is always superiority
+    function hypothesisOf(state) {
+        return state.solveFor === 'effect' ? 'superiority' : (state.hypothesis || 'superiority');
+    }
+
+    // Display name of a margin test, e.g. for the methods table
+    function hypothesisName(hypothesis) {
+        return hypothesis === 'equivalence' ? tr('Equivalence (TOST)') : tr('Non-inferiority (Z-test)');
+    }
+
+    // Unrounded group-1 size for expected difference d (new - reference), or null when d is
+    // already outside what the test can show (with a little slack for floating-point margins)
+    function marginN1(hypothesis, d, delta, var1, za, powerPct) {
+        if (hypothesis === 'noninferiority') {
+            const gap = d + delta;
+            return gap > 1e-9 ? Math.pow(za + getZBeta(powerPct), 2) * var1 / (gap * gap) : null;
+        }
+        const gap = delta - Math.abs(d);
+        const zbHalf = getZBeta(100 - (100 - powerPct) / 2);
+        return gap > 1e-9 ? Math.pow(za + zbHalf, 2) * var1 / (gap * gap) : null;
+    }
+
+    // Power (0-1) of the margin test with group-1 size n1
+    function marginPower(hypothesis, d, delta, var1, n1, za) {
+        const se = Math.sqrt(var1 / n1);
+        if (hypothesis === 'noninferiority') return normCdf((d + delta) / se - za);
+        return Math.max(0, normCdf((delta - d) / se - za) + normCdf((delta + d) / se - za) - 1);
+    }
+
+    // Formula-steps row for the Z_β term the margin test uses
+    function marginZBeta(hypothesis, powerPct) {
+        return hypothesis === 'equivalence'
+            ? { label: 'Z<sub>β/2</sub>', value: formatNumber(getZBeta(100 - (100 - powerPct) / 2), 4) }
+            : { label: 'Z<sub>β</sub>', value: formatNumber(getZBeta(powerPct), 4) };
+    }
+
+    // Formula display for a margin test; names are HTML for the solved group, the difference
+    // and var1
+    function marginFormula(hypothesis, solveFor, groupN, diff, variance) {
+        const zb = hypothesis === 'equivalence' ? 'Z<sub>β/2</sub>' : 'Z<sub>β</sub>';
+        const gap = hypothesis === 'equivalence' ? `(δ - |${diff}|)` : `(${diff} + δ)`;
+        const title = `<strong>${hypothesisName(hypothesis)}:</strong><br>`;
+        if (solveFor === 'power') {
+            const se = `SE = &radic;[(${variance}) / ${groupN}]`;
+            const power = hypothesis === 'equivalence'
+                ? `Power = &Phi;((δ - (${diff}))/SE - Z<sub>α</sub>) + &Phi;((δ + (${diff}))/SE - Z<sub>α</sub>) - 1`
+                : `Power = &Phi;((${diff} + δ)/SE - Z<sub>α</sub>)`;
+            return `
+                <div style="font-size:0.8em; line-height:1.4">
+                    ${title}${se}<br>${power}
+                </div>
+            `;
+        }
+        return `
+                <div style="font-size:0.8em; line-height:1.4">
+                    ${title}${groupN} = (Z<sub>α</sub>+${zb})<sup>2</sup> (${variance}) / ${gap}<sup>2</sup>
+                    <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
+                        ${hypothesis === 'equivalence' ? tr('(One-sided Z<sub>α</sub> for each of the two tests; δ = margin)') : tr('(One-sided Z<sub>α</sub>; δ = margin)')}
+                    </div>
+                </div>
+            `;
+    }
+
+    // Inputs shared by the designs with margin tests; unit is '%' or '' for the margin label
+    function hypothesisInputs(marginVal, unit) {
+        return [
+            { id: 'hypothesis', label: 'Trial Hypothesis', type: 'select', options: [{ value: 'superiority', label: 'Superiority' }, { value: 'noninferiority', label: 'Non-inferiority' }, { value: 'equivalence', label: 'Equivalence' }], val: 'superiority', desc: 'Margin tests assume higher is better for Group 2 (new) vs Group 1 (reference). Their one-sided α is 1 - confidence, so set 97.5% for the usual α = 0.025.', showIf: (state) => state.solveFor !== 'effect' },
+            { id: 'margin', label: `Margin (δ)${unit ? ' ' + unit : ''}`, type: 'number', above: 0, step: 0.5, val: marginVal, desc: 'Largest difference still considered clinically unimportant.', showIf: (state) => state.solveFor !== 'effect' && state.hypothesis && state.hypothesis !== 'superiority' }
+        ];
+    }
+
+    // --- Association Helpers ---
+
+    // Fisher z transformation of a correlation coefficient
+    function fisherZ(r) {
+        return 0.5 * Math.log((1 + r) / (1 - r));
+    }
+
+    // Power of the F test for u tested predictors out of k in a linear regression of N
+    // participants, with Cohen's effect size f² (noncentrality λ = f²N)
+    function regressionPower(N, u, k, f2, alpha) {
+        const df2 = N - k - 1;
+        if (df2 < 1) return 0;
+        return 1 - noncentralFCdf(fCritical(alpha, u, df2), u, df2, f2 * N);
+    }
+
+    // Smallest N reaching the target power (as a fraction); null if beyond 100,000
+    function regressionN(u, k, f2, alpha, target) {
+        let lo = k + 1;
+        let hi = k + 2;
+        while (regressionPower(hi, u, k, f2, alpha) < target) {
+            lo = hi;
+            hi *= 2;
+            if (hi > 100000) return null;
+        }
+        while (hi - lo > 1) {
+            const mid = Math.floor((lo + hi) / 2);
+            if (regressionPower(mid, u, k, f2, alpha) >= target) hi = mid;
+            else lo = mid;
+        }
+        return hi;
+    }
+
+    // ΔR² the tested predictors add: given directly, or (b σx / σy)² for a single slope
+    function regressionR2Change(state) {
+        if (state.effectInput !== 'slope') return parseFloat(state.r2Change);
+        return Math.pow(parseFloat(state.slope) * parseFloat(state.sdX) / parseFloat(state.sdY), 2);
+    }
+
+    // Hsieh (1998) N for the log odds ratio of a single covariate in logistic regression.
+    // Continuous: P is the event rate at the covariate mean and OR is per 1 SD.
+    // Binary: p0 is the event rate when X = 0 and B the proportion with X = 1.
+    function hsiehContinuousN(P, OR, za, zb) {
+        return Math.pow(za + zb, 2) / (P * (1 - P) * Math.pow(Math.log(OR), 2));
+    }
+
+    function hsiehBinaryN(p0, OR, B, za, zb) {
+        const p1 = OR * p0 / (1 - p0 + OR * p0);
+        const pBar = (1 - B) * p0 + B * p1;
+        const num = za * Math.sqrt(pBar * (1 - pBar) / B) + zb * Math.sqrt(p0 * (1 - p0) + p1 * (1 - p1) * (1 - B) / B);
+        return { n: Math.pow(num, 2) / (Math.pow(p0 - p1, 2) * (1 - B)), p1, pBar };
+    }
+
+    // --- Survival Helpers ---
+
+    // Probability an exponential(λ) patient has the event by the analysis, with uniform
+    // accrual over a and further follow-up f after accrual closes
+    function eventProbability(lambda, accrual, followup) {
+        if (accrual <= 0) return 1 - Math.exp(-lambda * followup);
+        return 1 - (Math.exp(-lambda * followup) - Math.exp(-lambda * (accrual + followup))) / (lambda * accrual);
+    }
+
+    // Events required for the log-rank test with allocation r (treatment : control)
+    function survivalEvents(hr, r, za, zb) {
+        const z2 = Math.pow(za + zb, 2);
+        return {
+            schoenfeld: z2 * Math.pow(1 + r, 2) / (r * Math.pow(Math.log(hr), 2)),
+            freedman: z2 * Math.pow(1 + r * hr, 2) / (r * Math.pow(1 - hr, 2))
+        };
+    }
+
+    // --- Incidence Rate Helpers ---
+
+    // Person-time in group 1 (rate λ1) to compare it with group 2 (rate λ2), group 2 following
+    // r times as much, with Poisson event counts: by the difference in rates (Smith & Morrow
+    // 1996) and by the log rate ratio
+    function ratePersonTime(lambda1, lambda2, r, za, zb) {
+        const z2 = Math.pow(za + zb, 2);
+        return {
+            difference: z2 * (lambda1 + lambda2 / r) / Math.pow(lambda1 - lambda2, 2),
+            logRatio: z2 * (1 / lambda1 + 1 / (r * lambda2)) / Math.pow(Math.log(lambda1 / lambda2), 2)
+        };
+    }
+
+    // --- Matched Case-Control Helpers ---
+
+    // Exposure probabilities of a matched control given its case is exposed (plus) or not
+    // (minus), for control exposure p0, case exposure p1 and within-set correlation phi.
+    // Returns null when phi is too strong for these prevalences.
+    function matchedControlExposure(p0, p1, phi) {
+        const cov = phi * Math.sqrt(p0 * (1 - p0) * p1 * (1 - p1));
+        const plus = (p0 * p1 + cov) / p1;
+        const minus = (p0 * (1 - p1) - cov) / (1 - p1);
+        if (plus < 0 || plus > 1 || minus < 0 || minus > 1) return null;
+        return { plus, minus };
+    }
+
+    // Matched sets (1 case : M controls) by Dupont (1988). t_m is the chance a set holds m
+    // exposed subjects with the case among them or not; e/v are the conditional mean and
+    // variance of exposed cases under the alternative, e0/v0 under the null (OR = 1).
+    function dupontSets(p1, control, psi, M, za, zb) {
+        const choose = (n, k) => {
+            let c = 1;
+            for (let i = 1; i <= k; i++) c = c * (n - k + i) / i;
+            return c;
+        };
+
+        let e = 0, v = 0, e0 = 0, v0 = 0;
+        for (let m = 1; m <= M; m++) {
+            const t = p1 * choose(M, m - 1) * Math.pow(control.plus, m - 1) * Math.pow(1 - control.plus, M - m + 1)
+                + (1 - p1) * choose(M, m) * Math.pow(control.minus, m) * Math.pow(1 - control.minus, M - m);
+            const denom = m * psi + M - m + 1;
+            e += m * t * psi / denom;
+            v += m * t * psi * (M - m + 1) / (denom * denom);
+            e0 += m * t / (M + 1);
+            v0 += m * t * (M - m + 1) / ((M + 1) * (M + 1));
+        }
+
+        return Math.pow(za * Math.sqrt(v0) + zb * Math.sqrt(v), 2) / Math.pow(e - e0, 2);
+    }
+
+    // Matched pairs for McNemar's test (Connor 1987) from the discordant-pair proportions:
+    // p10 = case exposed / control not, p01 = control exposed / case not.
+    function mcnemarPairs(p10, p01, za, zb) {
+        const pd = p10 + p01;
+        const delta = p10 - p01;
+        return Math.pow(za * Math.sqrt(pd) + zb * Math.sqrt(pd - delta * delta), 2) / (delta * delta);
+    }
+
+    // Reverse mode shared by the two-proportion designs: achieved power or minimum detectable P1
+    // from a fixed total N. p1/p2/r/dropout follow calculateAdvanced (N2 = r * N1); formatEffect
+    // turns a solved P1 into the design's effect measure, e.g. P1 -> OR, as { value, detail, raw }.
+    function calculateAdvancedReverse(state, p1, p2, r, dropout, formatEffect) {
+        const conf = parseFloat(state.confidence) || 95;
+        const za = getZAlpha(conf, state.sided);
+        const nAvailable = parseFloat(state.n_available) || 0;
+
+        const cluster = clusterDesign(state);
+        const { n1, n2, deff } = analysedArms(nAvailable, r, dropout, cluster);
+        const rEffective = n2 / n1;
+
+        const derived = [...clusterDerived(cluster)];
+        if (dropout[0] > 0 || dropout[1] > 0 || cluster) derived.push({ label: cluster ? tr('Effective N (after DEFF)') : tr('Effective N (after Dropout)'), value: formatNumber(n1 + n2, 1) });
+        derived.push({ label: 'N<sub>1</sub> / N<sub>2</sub>', value: `${formatNumber(n1, 1)} / ${formatNumber(n2, 1)}` });
+
+        let table;
+        if (state.solveFor === 'power') {
+            const power = advancedPower(p1, p2, rEffective, n1, za);
+            const fmt = (pw) => ({ value: `${formatNumber(pw * 100, 1)}%`, raw: pw * 100 });
+            table = { kelsey: fmt(power.kelsey), fleiss: fmt(power.fleiss), fleiss_cc: fmt(power.fleiss_cc) };
+            derived.push(
+                { label: zSteps(za, 0, state.sided)[0].label, value: formatNumber(za, 4) },
+                { label: tr('Z<sub>β</sub> (Solved, Kelsey)'), value: formatNumber(power.zb.kelsey, 4) }
+            );
+        } else {
+            const zb = getZBeta(parseFloat(state.power));
+            const detectable = advancedDetectable(p2, rEffective, n1, za, zb, p1 >= p2 ? 1 : -1);
+            const fmt = (p) => (p === null ? { value: tr('Not detectable'), raw: null } : formatEffect(p));
+            table = { kelsey: fmt(detectable.kelsey), fleiss: fmt(detectable.fleiss), fleiss_cc: fmt(detectable.fleiss_cc) };
+            derived.push(...zSteps(za, zb, state.sided));
+        }
+
+        // Group sizes for the grid are participants analysed, not their effective (DEFF) size
+        return { table, derived, n1: Math.floor(n1 * deff), n2: Math.floor(n2 * deff) };
+    }
+
+    // Formula shown in place of the Kelsey N formula when solving in reverse; undefined for N
+    function reverseFormula(solveFor) {
+        if (solveFor === 'power') {
+            return `
+                <div style="font-size:0.9em; line-height:1.4">
+                    <strong>${tr('Achieved Power (Kelsey):')}</strong><br>
+                    Z<sub>β</sub> = &radic;[rN<sub>1</sub>(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup> / ((r+1)P(1-P))] - Z<sub>α/2</sub><br>
+                    Power = &Phi;(Z<sub>β</sub>)
+                </div>
+            `;
+        }
+        if (solveFor === 'effect') {
+            return `
+                <div style="font-size:0.9em; line-height:1.4">
+                    <strong>${tr('Minimum Detectable Effect:')}</strong><br>
+                    ${tr('Solve N<sub>1</sub>(P<sub>1</sub>) = N / (1+r) for P<sub>1</sub>')}<br>
+                    <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
+                        ${tr('(Inverted numerically for Kelsey, Fleiss & Fleiss CC)')}
+                    </div>
+                </div>
+            `;
+        }
+        return undefined;
+    }
+
+    // Method keys in calculateAdvanced results, in display order
+    const METHOD_NAMES = [['kelsey', 'Kelsey'], ['fleiss', 'Fleiss'], ['fleiss_cc', 'Fleiss CC']];
+
+    // Methods in a result's table: designs with their own methods set methodNames (and
+    // headlineMethod when the big number is not the first of them)
+    function tableMethods(result) {
+        return result.methodNames || METHOD_NAMES;
+    }
+
+    // --- Validation ---
+    // Inputs declare their own limits, checked before a mode's calc runs:
+    //   min / max        inclusive bounds (also set on the HTML control)
+    //   above / below    exclusive bounds, e.g. above: 0 for an odds ratio
+    //   integer          whole numbers only
+    // Every shown number or slider must hold a number. A mode's rules check inputs against
+    // each other: { inputs: [ids], check: (state) => message or null }. Rules run once every
+    // shown input is in range, and only when all the inputs they name are shown.
+
+    function isShown(input, state) {
+        return !input.showIf || input.showIf(state);
+    }
+
+    // What is wrong with one input's value, worded to sit next to its control. Booleans come
+    // from scenarios saved when dropout was a checkbox (see dropoutPct).
+    function inputProblem(input, raw) {
+        const value = typeof raw === 'boolean' ? Number(raw) : parseFloat(raw);
+        const unit = input.label.includes('%') ? '%' : '';
+        const limit = (bound) => `${formatNumber(bound)}${unit}`;
+        if (!Number.isFinite(value)) return tr('Enter a number.');
+        if (input.integer && !Number.isInteger(value)) return tr('Must be a whole number.');
+        if (input.min !== undefined && value < input.min) return tr('Must be at least {limit}.', { limit: limit(input.min) });
+        if (input.max !== undefined && value > input.max) return tr('Must be at most {limit}.', { limit: limit(input.max) });
+        if (input.above !== undefined && !(value > input.above)) return tr('Must be greater than {limit}.', { limit: limit(input.above) });
+        if (input.below !== undefined && !(value < input.below)) return tr('Must be less than {limit}.', { limit: limit(input.below) });
+        return null;
+    }
+
+    // Problems with a mode's shown inputs as [{ inputs: [ids], message, label? }]; empty if none
+    function validateInputs(mode, state) {
+        const shown = mode.inputs.filter(input => isShown(input, state));
+        const errors = [];
+        shown.forEach(input => {
+            if (input.type !== 'number' && input.type !== 'range') return;
+            const message = inputProblem(input, state[input.id]);
+            if (message) errors.push({ inputs: [input.id], message, label: input.label });
+        });
+        if (errors.length) return errors;
+
+        const ids = new Set(shown.map(input => input.id));
+        (mode.rules || []).forEach(rule => {
+            if (!rule.inputs.every(id => ids.has(id))) return;
+            const message = rule.check(state);
+            if (message) errors.push({ inputs: rule.inputs, message });
+        });
+        return errors;
+    }
+
+    // Result for inputs with no answer: error.fields lists each problem with the inputs at
+    // fault, so the page can mark those controls, and error.message sums up the first
+    function errorResult(fields) {
+        const [first] = fields;
+        const message = first.label ? `${tr(first.label)}: ${first.message}` : first.message;
+        return { n: null, error: { message, fields }, display: message, table: null, visualData: null };
+    }
+
+    // A problem found while calculating, blamed on the given inputs
+    function calcError(message, inputs = []) {
+        return errorResult([{ inputs, message }]);
+    }
+
+    // A mode's calc behind its declared validation
+    function evaluate(mode, state) {
+        const errors = validateInputs(MODES[mode], state);
+        return errors.length ? errorResult(errors) : MODES[mode].calc(state);
+    }
+
+    // P and D for a prevalence survey must leave the interval inside 0-100%
+    function prevalencePrecisionProblem(state) {
+        const P = state.prevalence / 100;
+        const D = prevalencePrecision(state, P);
+        if (D < Math.min(P, 1 - P)) return null;
+        return tr('Precision (±{precision}) must be smaller than P and 1 - P. Lower D or use relative precision.', { precision: `${formatNumber(D * 100, 2)}%` });
+    }
+
+    // Mode Configurations
+    const MODES = {
+        'prevalence': {
+            inputs: [
+                { id: 'prevalence', label: 'Prevalence (P) %', type: 'range', min: 0.1, max: 99, step: 0.1, val: 50, desc: 'Expected proportion of the disease/condition.' },
+                { id: 'precisionType', label: 'Precision Type', type: 'select', options: [{ value: 'absolute', label: 'Absolute (± percentage points)' }, { value: 'relative', label: 'Relative (± % of P)' }], val: 'absolute', desc: 'Relative precision suits rare conditions, where ±5 points would be wider than P itself.' },
+                { id: 'precision', label: 'Precision (D) %', type: 'range', min: 0.1, max: 20, step: 0.1, val: 5, desc: 'Acceptable error margin (absolute precision).', showIf: (state) => state.precisionType !== 'relative' },
+                { id: 'relPrecision', label: 'Relative Precision (% of P)', type: 'range', min: 1, max: 50, step: 1, val: 20, desc: 'Acceptable error margin as a percentage of P (D = P × this).', showIf: (state) => state.precisionType === 'relative' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '1 - Alpha (usually 95%).' },
+                { id: 'method', label: 'Interval Method', type: 'select', options: [{ value: 'wald', label: 'Wald (Normal Approximation)' }, { value: 'wilson', label: 'Wilson Score' }, { value: 'clopper_pearson', label: 'Clopper-Pearson (Exact)' }], val: 'wald', desc: 'Method for the headline N. Wald is unreliable for P < 5%; prefer Wilson or Clopper-Pearson there.' },
+                { id: 'fpc', label: "Cochran's Formula with Finite Population Correction (FPC)?", type: 'checkbox', val: false, desc: 'Use when the total population is small or known.' },
+                { id: 'dropout', label: 'Non-response Rate (%)', type: 'range', min: 0, max: 60, step: 1, val: 0, desc: 'Expected non-response. N is inflated to N / (1 - rate).' },
+                { id: 'popSize', label: 'Population Size (N)', type: 'number', min: 1, integer: true, val: 1000, desc: 'Total population size.', showIf: (state) => state.fpc },
+                ...clusterInputs()
+            ],
+            rules: [
+                { inputs: ['prevalence', 'precision'], check: prevalencePrecisionProblem },
+                { inputs: ['prevalence', 'relPrecision'], check: prevalencePrecisionProblem }
+            ],
+            formulaStr: 'N = Z<sub>α/2</sub><sup>2</sup> PQ / D<sup>2</sup>',
+            formulaFor: (state) => {
+                let formula = state.fpc
+                    ? 'N<sub>adj</sub> = (Z<sub>α/2</sub><sup>2</sup>PQ/D<sup>2</sup>) / [1 + (Z<sub>α/2</sub><sup>2</sup>PQ/D<sup>2</sup>)/Population]'
+                    : MODES['prevalence'].formulaStr;
+                if (state.precisionType === 'relative') formula += `<div style="font-size:0.8em; margin-top:5px; opacity:0.8">${tr('D = ε × P (relative precision)')}</div>`;
+                if (state.method && state.method !== 'wald') formula += `<div style="font-size:0.8em; margin-top:5px; opacity:0.8">${tr('(Headline N solves the chosen interval\'s half-width = D; see Interpretation)')}</div>`;
+                return formula;
+            },
+            formulaSteps: `
+                <p>1. <strong>N</strong> = Sample Size</p>
+                <p>2. <strong>P</strong> = Prevalence (as decimal)</p>
+                <p>3. <strong>Q</strong> = 1 - P</p>
+                <p>4. <strong>D</strong> = Precision (as decimal); with relative precision D = εP</p>
+                <p>5. <strong>Z<sub>α/2</sub></strong> = Critical value for the confidence level (1.96 at 95%)</p>
+            `,
+            interpretation: `
+                <p>This formula determines the minimum number of participants needed to estimate a population prevalence with a specified level of precision and confidence (usually 95%).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Methods:</strong><br>
+                    <strong>Wald:</strong> the closed form above (normal approximation)<br>
+                    <strong>Wilson:</strong> smallest N with Wilson score half-width &le; D<br>
+                    <strong>Clopper-Pearson:</strong> smallest N with exact (beta) interval half-width &le; D<br>
+                    *Wald understates N when P is small (&lt; 5%); the other two stay accurate there.
+                </div>
+            `,
+            calc: (state) => {
+                const P = state.prevalence / 100;
+                const Q = 1 - P;
+                const D = prevalencePrecision(state, P);
+                const conf = parseFloat(state.confidence) || 95;
+                const z = getZAlpha(conf);
+
+                const raw = prevalenceRawN(P, D, conf);
+                const pop = state.fpc && state.popSize > 0 ? parseInt(state.popSize) : 0;
+                const rate = dropoutPct(state.dropout) / 100;
+                const cluster = clusterDesign(state);
+
+                // Each method: FPC on the unrounded N, then the design effect, then dropout on the rounded one.
+                // The detail line shows the interval the method expects at that N.
+                const table = {};
+                PREVALENCE_METHODS.forEach(([key]) => {
+                    if (raw[key] === null) {
+                        table[key] = { value: tr('Not reachable'), raw: null };
+                        return;
+                    }
+                    const nFpc = pop ? cochranFpc(raw[key], pop) : raw[key];
+                    const nBase = Math.ceil(cluster ? nFpc * cluster.deff : nFpc);
+                    const nFinal = inflateForDropout(nBase, rate);
+
+                    let lower, upper;
+                    if (key === 'clopper_pearson') {
+                        [lower, upper] = clopperPearsonInterval(P, raw[key], 1 - conf / 100);
+                    } else {
+                        const center = key === 'wilson' ? (P + z * z / (2 * raw[key])) / (1 + z * z / raw[key]) : P;
+                        const halfWidth = key === 'wilson' ? wilsonHalfWidth(P, raw[key], z) : waldHalfWidth(P, raw[key], z);
+                        [lower, upper] = [center - halfWidth, center + halfWidth];
+                    }
+
+                    let detail = `${formatNumber(conf, 1, true)}% CI ${formatNumber(lower * 100, 2)}–${formatNumber(upper * 100, 2)}%`;
+                    if (nFinal !== nBase) detail += ` · ${tr('{n} before dropout', { n: formatNumber(nBase) })}`;
+                    if (cluster) detail += ` · ${tr('{n} clusters', { n: formatNumber(clustersFor(nFinal, cluster)) })}`;
+                    table[key] = { value: formatCount(nFinal), detail, raw: nFinal };
+                    if (nFinal !== nBase) table[key].beforeDropout = { total: nBase };
+                });
+
+                const method = table[state.method] ? state.method : 'wald';
+                const methodName = PREVALENCE_METHODS.find(([key]) => key === method)[1];
+                const headline = table[method];
+
+                let displayStr = `P=${formatNumber(P, 3)} Q=${formatNumber(Q, 3)} D=${formatNumber(D, 3)} Z=${formatNumber(z, 3)} (${methodName})`;
+                if (headline.raw !== null) displayStr += dropoutNote([rate, rate], { total: headline.raw, beforeDropout: headline.beforeDropout });
+
+                const derived = [{ label: 'Z<sub>α/2</sub>', value: formatNumber(z, 4) }];
+                if (state.precisionType === 'relative') derived.push({ label: tr('D (Absolute Precision)'), value: `${formatNumber(D * 100, 3)}%` });
+                if (cluster && headline.raw !== null) {
+                    derived.push(...clusterDerived(cluster, [clustersFor(headline.raw, cluster)]));
+                    displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+                }
+
+                return {
+                    n: headline.raw ?? headline.value,
+                    display: displayStr,
+                    table: table,
+                    methodNames: PREVALENCE_METHODS,
+                    headlineMethod: method,
+                    tableLabel: 'N',
+                    derived: derived,
+                    visualData: null // prevalence uses its own specific renderer
+                };
+            }
+        },
+        'stratified': {
+            inputs: [
+                {
+                    id: 'strata', label: 'Strata', type: 'strata', desc: 'One row per stratum: its population, expected prevalence and, for cost-optimal allocation, the cost per interview.',
+                    val: [
+                        { name: 'North Urban', size: 120000, prevalence: 25, cost: 10 },
+                        { name: 'North Rural', size: 380000, prevalence: 40, cost: 25 },
+                        { name: 'South Urban', size: 90000, prevalence: 15, cost: 10 },
+                        { name: 'South Rural', size: 410000, prevalence: 35, cost: 25 }
+                    ]
+                },
+                { id: 'allocation', label: 'Allocation', type: 'select', options: [{ value: 'proportional', label: 'Proportional' }, { value: 'neyman', label: 'Neyman' }, { value: 'optimal', label: 'Cost-optimal' }], val: 'proportional', desc: 'How N is split across strata: by population share, towards strata whose prevalence is nearer 50% (Neyman), or also away from costly interviews (cost-optimal).' },
+                { id: 'precision', label: 'Precision (D) %', type: 'range', min: 0.1, max: 20, step: 0.1, val: 3, desc: 'Acceptable error margin for the overall prevalence (absolute precision).' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '1 - Alpha (usually 95%).' },
+                { id: 'dropout', label: 'Non-response Rate (%)', type: 'range', min: 0, max: 60, step: 1, val: 0, desc: 'Expected non-response. Each stratum is inflated to n / (1 - rate).' },
+                ...clusterInputs()
+            ],
+            rules: [
+                { inputs: ['strata'], check: strataProblem },
+                {
+                    inputs: ['strata', 'precision'],
+                    check: (state) => {
+                        const strata = parseStrata(state.strata);
+                        const N = strata.reduce((sum, row) => sum + row.size, 0);
+                        const P = strata.reduce((sum, row) => sum + row.size * row.prevalence, 0) / N / 100;
+                        const D = parseFloat(state.precision) / 100;
+                        if (D < Math.min(P, 1 - P)) return null;
+                        return tr('Precision (±{precision}) must be smaller than the overall prevalence and 1 - P.', { precision: `${formatNumber(D * 100, 2)}%` });
+                    }
+                }
+            ],
+            get formulaStr() {
+                return `
+                <div style="font-size:0.9em; line-height:1.4">
+                    n<sub>0</sub> = &Sigma; (W<sub>h</sub><sup>2</sup>P<sub>h</sub>Q<sub>h</sub> / a<sub>h</sub>) / (D / Z<sub>α/2</sub>)<sup>2</sup><br>
+                    n<sub>h</sub> = n<sub>0</sub>a<sub>h</sub> / (1 + n<sub>0</sub>a<sub>h</sub> / N<sub>h</sub>)
+                    <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
+                        ${tr('(See Interpretation for the allocation shares a<sub>h</sub>)')}
+                    </div>
+                </div>
+            `;
+            },
+            formulaSteps: `
+                <p><strong>N<sub>h</sub></strong> = Population of stratum h; W<sub>h</sub> = N<sub>h</sub> / N</p>
+                <p><strong>P<sub>h</sub></strong> = Expected prevalence in stratum h; Q<sub>h</sub> = 1 - P<sub>h</sub></p>
+                <p><strong>a<sub>h</sub></strong> = Share of the sample allocated to stratum h</p>
+                <p><strong>D</strong> = Precision of the overall prevalence</p>
+            `,
+            interpretation: `
+                <p>Sample size for estimating an overall prevalence from a stratified random sample, such as a district survey stratified by region and urban/rural residence. The overall N is set so the weighted prevalence &Sigma;W<sub>h</sub>P<sub>h</sub> is estimated within &plusmn;D, then split across the strata; each stratum's share is corrected for its own finite population (Cochran).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Allocations:</strong><br>
+                    <strong>Proportional:</strong> a<sub>h</sub> = W<sub>h</sub><br>
+                    <strong>Neyman:</strong> a<sub>h</sub> &prop; W<sub>h</sub>&radic;(P<sub>h</sub>Q<sub>h</sub>), the smallest N for the precision<br>
+                    <strong>Cost-optimal:</strong> a<sub>h</sub> &prop; W<sub>h</sub>&radic;(P<sub>h</sub>Q<sub>h</sub>) / &radic;c<sub>h</sub>, the lowest cost for the precision<br>
+                    *c<sub>h</sub> = cost per interview in stratum h
+                </div>
+            `,
+            calc: (state) => {
+                const strata = parseStrata(state.strata);
+                const D = parseFloat(state.precision) / 100;
+                const conf = parseFloat(state.confidence) || 95;
+                const z = getZAlpha(conf);
+                const rate = dropoutPct(state.dropout) / 100;
+                const hasCost = strata.every(row => row.cost !== null);
+                const cluster = clusterDesign(state);
+                const deff = cluster ? cluster.deff : 1;
+
+                const N = strata.reduce((sum, row) => sum + row.size, 0);
+                const P = strata.reduce((sum, row) => sum + row.size * row.prevalence, 0) / N / 100;
+                const srs = Math.ceil(cochranFpc(z * z * P * (1 - P) / (D * D), N) * deff);
+
+                // Each allocation: per-stratum n (FPC, then the design effect), non-response on each
+                // stratum's rounded n. Clusters are drawn within strata, so each stratum rounds up its own.
+                const allocations = {};
+                const table = {};
+                STRATA_ALLOCATIONS.forEach(([key]) => {
+                    const rows = strataAllocation(strata, D, z, key, deff).map(row => ({ ...row, recruit: inflateForDropout(row.n, rate) }));
+                    const nBase = rows.reduce((sum, row) => sum + row.n, 0);
+                    const total = rows.reduce((sum, row) => sum + row.recruit, 0);
+                    const cost = rows.reduce((sum, row) => sum + row.recruit * row.cost, 0);
+                    const clusters = cluster ? rows.reduce((sum, row) => sum + clustersFor(row.recruit, cluster), 0) : 0;
+
+                    const details = [];
+                    if (hasCost) details.push(tr('Cost {cost}', { cost: formatCount(cost) }));
+                    if (total !== nBase) details.push(tr('{n} before dropout', { n: formatNumber(nBase) }));
+                    if (cluster) details.push(tr('{n} clusters', { n: formatNumber(clusters) }));
+                    allocations[key] = { rows, cost, clusters };
+                    table[key] = { value: formatCount(total), detail: details.join(' · '), raw: total };
+                    if (total !== nBase) table[key].beforeDropout = { total: nBase };
+                });
+
+                const method = table[state.allocation] ? state.allocation : 'proportional';
+                const headline = table[method];
+                const chosen = allocations[method];
+
+                let displayStr = `Strata=${strata.length} P=${formatNumber(P, 3)} D=${formatNumber(D, 3)} Z=${formatNumber(z, 3)} (${tr(STRATA_ALLOCATIONS.find(([key]) => key === method)[1])})`;
+                displayStr += dropoutNote([rate, rate], { total: headline.raw, beforeDropout: headline.beforeDropout });
+
+                const derived = [
+                    { label: 'Z<sub>α/2</sub>', value: formatNumber(z, 4) },
+                    { label: tr('Overall Prevalence (&Sigma;W<sub>h</sub>P<sub>h</sub>)'), value: `${formatNumber(P * 100, 2)}%` },
+                    { label: tr('N without Stratification'), value: formatCount(srs) }
+                ];
+                if (hasCost) derived.push({ label: tr('Total Cost'), value: formatCount(chosen.cost) });
+                if (cluster) {
+                    derived.push(...clusterDerived(cluster, [chosen.clusters]));
+                    displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+                }
+                chosen.rows.forEach((row, i) => derived.push({
+                    label: tr('n, {stratum}', { stratum: stratumName(row, i, true) }),
+                    value: `${formatCount(row.recruit)} / ${formatCount(row.size)}`
+                }));
+
+                return {
+                    n: headline.raw,
+                    display: displayStr,
+                    table: table,
+                    methodNames: STRATA_ALLOCATIONS.map(([key, name]) => [key, tr(name)]),
+                    headlineMethod: method,
+                    tableLabel: 'N',
+                    derived: derived,
+                    visualData: {
+                        method: tr(STRATA_ALLOCATIONS.find(([key]) => key === method)[1]),
+                        total: headline.raw,
+                        strata: chosen.rows.map((row, i) => ({ name: stratumName(row, i), size: row.size, prevalence: row.prevalence, n: row.recruit }))
+                    }
+                };
+            }
+        },
+        'case-control': {
+            inputs: [
+                { id: 'solveFor', label: 'Solve For', type: 'select', options: [{ value: 'n', label: 'Sample Size (N)' }, { value: 'power', label: 'Achieved Power' }, { value: 'effect', label: 'Minimum Detectable OR' }], val: 'n', desc: 'Compute N, or the power / smallest effect a fixed N gives.' },
+                { id: 'n_available', label: 'Available Sample Size (Total)', type: 'number', min: 4, val: 240, desc: 'Cases + controls you can recruit.', showIf: (state) => state.solveFor !== 'n' },
+                { id: 'p_controls', label: '% Exposed in Controls', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 30, desc: 'Proportion of controls exposed to the risk factor.' },
+                { id: 'or', label: 'Odds Ratio (OR)', type: 'number', above: 0, val: 2.0, desc: 'Minimum odds ratio you want to detect.', showIf: (state) => state.solveFor !== 'effect' },
+                { id: 'power', label: 'Power (%)', type: 'range', min: 50, max: 99.5, step: 0.5, val: 80, desc: 'Probability of detecting a true effect (usually 80%).', showIf: (state) => state.solveFor !== 'power' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '1 - Alpha (usually 95%).' },
+                { id: 'sided', label: 'Hypothesis Test', type: 'select', options: [{ value: 'two', label: 'Two-sided' }, { value: 'one', label: 'One-sided' }], val: 'two', desc: 'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.' },
+                { id: 'ratio', label: 'Control to Case Ratio (r)', type: 'number', above: 0, val: 1, desc: 'Number of controls per case (usually 1).' },
+                ...dropoutInputs('Non-response', 'Cases', 'Controls'),
+                ...clusterInputs()
+            ],
+            rules: [
+                { inputs: ['or'], check: (state) => (Math.abs(state.or - 1) < 0.001 ? tr('OR=1 implies no effect. N is infinite.') : null) },
+                {
+                    inputs: ['p_controls', 'or'],
+                    check: (state) => (casesExposure(state.p_controls / 100, state.or) > 0.999
+                        ? tr('Impossible inputs: exposure in cases (P1) reaches 100%. Lower the control exposure or the OR.')
+                        : null)
+                }
+            ],
+            get formulaStr() {
+                return `
+                <div style="font-size:0.9em; line-height:1.4">
+                    <strong>${tr('Kelsey Formula (Main):')}</strong><br>
+                    N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
+                        ${tr('(See Interpretation regarding Fleiss & Fleiss CC methods)')}
+                    </div>
+                </div>
+            `;
+            },
+            formulaFor: (state) => reverseFormula(state.solveFor) || MODES['case-control'].formulaStr,
+            formulaSteps: `
+                <p><strong>P<sub>1</sub></strong> = % Exposed in Cases (Calculated from OR)</p>
+                <p><strong>P<sub>2</sub></strong> = % Exposed in Controls (User Input)</p>
+                <p><strong>r</strong> = Ratio (Controls / Cases)</p>
+                <p>Calculates Sample Size using:</p>
+                <ul>
+                    <li><strong>Kelsey</strong>: Standard approximation</li>
+                    <li><strong>Fleiss</strong>: With Levin's modification</li>
+                    <li><strong>Fleiss CC</strong>: With Continuity Correction</li>
+                </ul>
+            `,
+            interpretation: `
+                <p>Comparative sample sizes for Case-Control studies. Essential for retrospective studies recruited based on outcome.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Formulas Used:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> applies continuity correction to N<sub>Fleiss</sub>
+                </div>
+            `,
+            sweep: {
+                label: 'Odds Ratio (OR)',
+                value: (state) => parseFloat(state.or),
+                range: (state) => {
+                    const OR = parseFloat(state.or);
+                    return OR >= 1 ? [1.1, Math.max(3, OR * 1.5)] : [Math.min(0.3, OR / 1.5), 0.9];
+                },
+                apply: (state, x) => ({ ...state, or: x })
+            },
+            calc: (state) => {
+                const P0 = parseFloat(state.p_controls) / 100;
+                const OR = parseFloat(state.or);
+                const r = parseFloat(state.ratio);
+                const power = parseFloat(state.power);
+                const conf = parseFloat(state.confidence) || 95;
+                const alpha = (100 - conf) / 100;
+                const beta = (100 - power) / 100;
+                const dropout = armDropout(state); // [Cases, Controls]
+                const cluster = clusterDesign(state);
+
+                // Calc P1 (Percent Exposed in Cases) based on OR
+                let P1 = casesExposure(P0, OR);
+
+                // Case-Control Mapping for calculateAdvanced(p1, p2, r...)
+                // Standard Formula typically:
+                // n1 = number of CASES
+                // n2 = number of CONTROLS = r * n1
+                // p1 = Proportion exposed in CASES
+                // p2 = Proportion exposed in CONTROLS
+                //
+                // calculateAdvanced(p1, p2, ratio...)
+                // Returns { n1, n2 ... } where n2 = n1*ratio.
+                // So if we pass p1=P_cases, p2=P_controls, ratio=Controls/Cases
+                // Then n1 = Cases, n2 = Controls.
+
+                // Reverse mode: achieved power, or the smallest OR detectable with the available N
+                if (state.solveFor === 'power' || state.solveFor === 'effect') {
+                    const reverse = calculateAdvancedReverse(state, P1, P0, r, dropout, (p) => {
+                        const detectableOR = (p * (1 - P0)) / (P0 * (1 - p));
+                        return { value: formatNumber(detectableOR, 2), detail: `P<sub>1</sub> = ${formatNumber(p * 100, 2)}%`, raw: detectableOR };
+                    });
+
+                    let displayStr = `N=${formatNumber(state.n_available)} P_controls=${formatNumber(P0 * 100, 2)}%`;
+                    displayStr += state.solveFor === 'power' ? ` OR=${formatNumber(OR)}` : ` Power=${formatNumber(power)}%`;
+                    if (dropout[0] > 0 || dropout[1] > 0) displayStr += ` ${tr('(Incl. {rate} Dropout)', { rate: dropoutLabel(dropout) })}`;
+                    if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                    return {
+                        n: reverse.table.kelsey.value,
+                        metricLabel: state.solveFor === 'power' ? tr('Achieved Power') : tr('Minimum Detectable OR'),
+                        display: displayStr,
+                        table: reverse.table,
+                        tableLabel: state.solveFor === 'power' ? tr('Power') : tr('Detectable OR'),
+                        derived: reverse.derived,
+                        visualData: {
+                            n1: reverse.n2, // Controls
+                            n2: reverse.n1, // Cases
+                            label1: tr('Controls'),
+                            label2: tr('Cases'),
+                            clusterSize: cluster ? cluster.size : 0
+                        }
+                    };
+                }
+
+                const results = calculateAdvanced(P1, P0, r, alpha, beta, dropout, state.sided, cluster);
+
+                let displayStr = `P_cases=${formatNumber(P1 * 100, 2)}% P_controls=${formatNumber(P0 * 100, 2)}% OR=${formatNumber(OR)}`;
+                displayStr += dropoutNote(dropout, results.fleiss);
+                if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                return {
+                    n: results.fleiss.total,
+                    display: displayStr,
+                    table: results,
+                    derived: [
+                        { label: tr('P<sub>1</sub> (Calc. % Exposed in Cases)'), value: `${formatNumber(P1 * 100, 2)}%` },
+                        ...zSteps(results.za, results.zb, state.sided),
+                        ...clusterDerived(cluster)
+                    ],
+                    simulation: cluster ? null : binarySimulation(results, P1, P0),
+                    visualData: {
+                        n1: results.fleiss.n2, // Controls (Group 2 in helper)
+                        n2: results.fleiss.n1, // Cases (Group 1 in helper)
+                        label1: tr('Controls'),
+                        label2: tr('Cases'),
+                        clusterSize: cluster ? cluster.size : 0
+                    }
+                };
+            }
+        },
+        'matched-case-control': {
+            inputs: [
+                { id: 'matchInput', label: 'Specify Matching By', type: 'select', options: [{ value: 'correlation', label: 'Exposure Correlation (φ)' }, { value: 'discordant', label: 'Discordant-Pair Proportions (1:1)' }], val: 'correlation', desc: 'Correlation of exposure within matched sets, or the expected proportions of discordant pairs from a pilot.' },
+                { id: 'p_controls', label: '% Exposed in Controls', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 30, desc: 'Proportion of controls exposed to the risk factor (P0).', showIf: (state) => state.matchInput !== 'discordant' },
+                { id: 'or', label: 'Odds Ratio (OR)', type: 'number', above: 0, val: 2.0, desc: 'Minimum odds ratio you want to detect.', showIf: (state) => state.matchInput !== 'discordant' },
+                { id: 'phi', label: 'Exposure Correlation (φ)', type: 'number', min: 0, max: 0.99, step: 0.01, val: 0.2, desc: 'Correlation between case and control exposure within a matched set (0 = matching ineffective).', showIf: (state) => state.matchInput !== 'discordant' },
+                { id: 'controlsPerCase', label: 'Controls per Case (M)', type: 'number', min: 1, max: 10, integer: true, step: 1, val: 1, desc: '1 for pair matching; 2-4 for 1:M matching.', showIf: (state) => state.matchInput !== 'discordant' },
+                { id: 'p10', label: 'Pairs: Case Exposed, Control Not (%)', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 25, desc: 'Expected proportion of pairs where only the case is exposed.', showIf: (state) => state.matchInput === 'discordant' },
+                { id: 'p01', label: 'Pairs: Control Exposed, Case Not (%)', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 12.5, desc: 'Expected proportion of pairs where only the control is exposed.', showIf: (state) => state.matchInput === 'discordant' },
+                { id: 'power', label: 'Power (%)', type: 'range', min: 50, max: 99.5, step: 0.5, val: 80, desc: 'Probability of detecting a true effect (usually 80%).' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '1 - Alpha (usually 95%).' },
+                { id: 'sided', label: 'Hypothesis Test', type: 'select', options: [{ value: 'two', label: 'Two-sided' }, { value: 'one', label: 'One-sided' }], val: 'two', desc: 'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.' },
+                { id: 'dropout', label: 'Non-response Rate (%)', type: 'range', min: 0, max: 60, step: 1, val: 0, desc: 'Expected loss of whole matched sets. Sets are inflated to N / (1 - rate).' }
+            ],
+            rules: [
+                { inputs: ['or'], check: (state) => (Math.abs(state.or - 1) < 0.001 ? tr('OR=1 implies no effect. N is infinite.') : null) },
+                { inputs: ['p10', 'p01'], check: (state) => (parseFloat(state.p10) + parseFloat(state.p01) > 100 ? tr('Discordant proportions cannot sum to more than 100%.') : null) },
+                { inputs: ['p10', 'p01'], check: (state) => (Math.abs(state.p10 - state.p01) < 0.01 ? tr('Equal discordant proportions imply OR=1. N is infinite.') : null) }
+            ],
+            get formulaStr() {
+                return `
+                <div style="font-size:0.9em; line-height:1.4">
+                    <strong>${tr('Dupont (Matched Sets):')}</strong><br>
+                    n = [Z<sub>α/2</sub>&radic;&Sigma;v<sub>0</sub>(m) + Z<sub>β</sub>&radic;&Sigma;v(m)]<sup>2</sup> / [&Sigma;e(m) - &Sigma;e<sub>0</sub>(m)]<sup>2</sup><br>
+                    <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
+                        ${tr('(Sums over m = 1..M exposed subjects per set; see Formula Steps)')}
+                    </div>
+                </div>
+            `;
+            },
+            formulaFor: (state) => state.matchInput === 'discordant'
+                ? `
+                <div style="font-size:0.9em; line-height:1.4">
+                    <strong>McNemar (Connor):</strong><br>
+                    n = [Z<sub>α/2</sub>&radic;p<sub>d</sub> + Z<sub>β</sub>&radic;(p<sub>d</sub> - &delta;<sup>2</sup>)]<sup>2</sup> / &delta;<sup>2</sup><br>
+                    p<sub>d</sub> = p<sub>10</sub> + p<sub>01</sub>, &delta; = p<sub>10</sub> - p<sub>01</sub>
+                </div>
+            `
+                : MODES['matched-case-control'].formulaStr,
+            formulaSteps: `
+                <p><strong>P<sub>0</sub></strong> = % Exposed in Controls; <strong>P<sub>1</sub></strong> = P<sub>0</sub>&psi; / (1 + P<sub>0</sub>(&psi;-1))</p>
+                <p><strong>&phi;</strong> = Exposure correlation within a set; <strong>M</strong> = Controls per case</p>
+                <p><strong>t<sub>m</sub></strong> = Probability a set has m exposed subjects</p>
+                <p><strong>e(m)</strong> = m t<sub>m</sub>&psi; / (m&psi; + M - m + 1), <strong>v(m)</strong> = e(m)(M - m + 1) / (m&psi; + M - m + 1)</p>
+                <p><strong>e<sub>0</sub>, v<sub>0</sub></strong> = The same with &psi; = 1</p>
+            `,
+            interpretation: `
+                <p>Number of matched sets (1 case with M matched controls) for a matched case-control study analysed by conditional logistic regression or McNemar's test. Only sets discordant on exposure carry information, so stronger matching (higher &phi;) needs more sets. There is no cluster option: the matched set is already the unit of analysis, and the conditional analysis removes whatever its members share.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Methods:</strong><br>
+                    <strong>Dupont:</strong> any 1:M matching, from P<sub>0</sub>, OR and &phi;<br>
+                    <strong>McNemar (Connor):</strong> 1:1 pairs, from the discordant-pair proportions
+                </div>
+            `,
+            calc: (state) => {
+                const power = parseFloat(state.power);
+                const conf = parseFloat(state.confidence) || 95;
+                const za = getZAlpha(conf, state.sided);
+                const zb = getZBeta(power);
+                const rate = dropoutPct(state.dropout) / 100;
+
+                // Both input routes end at P1, the control exposure given the case's, and M
+                let P0, P1, OR, control, M;
+                if (state.matchInput === 'discordant') {
+                    const p10 = parseFloat(state.p10) / 100;
+                    const p01 = parseFloat(state.p01) / 100;
+
+                    // Any pair table with these off-diagonals gives the same McNemar and M=1 Dupont
+                    // result, so take P1 midway through its feasible range [p10, 1 - p01]
+                    OR = p10 / p01;
+                    M = 1;
+                    P1 = (p10 + 1 - p01) / 2;
+                    control = { plus: 1 - p10 / P1, minus: p01 / (1 - P1) };
+                    P0 = null;
+                } else {
+                    P0 = parseFloat(state.p_controls) / 100;
+                    OR = parseFloat(state.or);
+                    M = Math.max(1, Math.round(parseFloat(state.controlsPerCase) || 1));
+                    P1 = casesExposure(P0, OR);
+                    control = matchedControlExposure(P0, P1, parseFloat(state.phi) || 0);
+                    if (!control) return calcError(tr('Correlation φ is too strong for these exposure prevalences. Lower φ.'), ['phi']);
+                }
+
+                const methods = [['dupont', 'Dupont']];
+                const raw = { dupont: dupontSets(P1, control, OR, M, za, zb) };
+                if (M === 1) {
+                    methods.push(['mcnemar', 'McNemar (Connor)']);
+                    // Split the discordant probability by the conditional OR, as Dupont's model does
+                    const discordant = P1 * (1 - control.plus) + (1 - P1) * control.minus;
+                    raw.mcnemar = mcnemarPairs(discordant * OR / (1 + OR), discordant / (1 + OR), za, zb);
+                }
+
+                const table = {};
+                methods.forEach(([key]) => {
+                    const base = Math.ceil(raw[key]);
+                    const sets = inflateForDropout(base, rate);
+                    let detail = tr('{cases} cases + {controls} controls', { cases: formatCount(sets), controls: formatCount(sets * M) });
+                    if (sets !== base) detail += ` · ${tr('{n} before dropout', { n: formatNumber(base) })}`;
+                    table[key] = { value: formatCount(sets), detail, raw: sets };
+                    if (sets !== base) table[key].beforeDropout = { total: base };
+                });
+
+                const headline = table[methods[0][0]];
+                let displayStr = state.matchInput === 'discordant'
+                    ? `p10=${formatNumber(state.p10)}% p01=${formatNumber(state.p01)}% OR=${formatNumber(OR, 2)} ${tr('(1:1 pairs)')}`
+                    : `P0=${formatNumber(P0 * 100, 2)}% OR=${formatNumber(OR)} φ=${formatNumber(state.phi)} ${tr('(1:{M} matching)', { M: formatNumber(M) })}`;
+                displayStr += dropoutNote([rate, rate], { total: headline.raw, beforeDropout: headline.beforeDropout });
+
+                const derived = [];
+                if (P0 !== null) {
+                    derived.push(
+                        { label: tr('P<sub>1</sub> (Calc. % Exposed in Cases)'), value: `${formatNumber(P1 * 100, 2)}%` },
+                        { label: tr('P(Control Exposed | Case Exposed)'), value: `${formatNumber(control.plus * 100, 2)}%` },
+                        { label: tr('P(Control Exposed | Case Not)'), value: `${formatNumber(control.minus * 100, 2)}%` }
+                    );
+                } else {
+                    derived.push({ label: tr('OR (p<sub>10</sub> / p<sub>01</sub>)'), value: formatNumber(OR, 3) });
+                }
+                derived.push(...zSteps(za, zb, state.sided));
+
+                return {
+                    n: headline.raw,
+                    participants: headline.raw * (1 + M),
+                    metricLabel: tr('Matched Sets'),
+                    display: displayStr,
+                    table: table,
+                    methodNames: methods,
+                    tableLabel: tr('Matched Sets'),
+                    derived: derived,
+                    visualData: {
+                        sets: headline.raw,
+                        controlsPerCase: M,
+                        label1: tr('Controls'),
+                        label2: tr('Cases')
+                    }
+                };
+            }
+        },
+        'cohort': {
+            inputs: [
+                { id: 'solveFor', label: 'Solve For', type: 'select', options: [{ value: 'n', label: 'Sample Size (N)' }, { value: 'power', label: 'Achieved Power' }, { value: 'effect', label: 'Minimum Detectable RR' }], val: 'n', desc: 'Compute N, or the power / smallest effect a fixed N gives.' },
+                { id: 'n_available', label: 'Available Sample Size (Total)', type: 'number', min: 4, val: 240, desc: 'Exposed + unexposed participants you can follow.', showIf: (state) => state.solveFor !== 'n' },
+                { id: 'p_unexposed', label: '% Unexposed with Outcome', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 5, desc: 'Baseline risk in unexposed group (P2).' },
+                { id: 'p_exposed', label: '% Exposed with Outcome', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 9.5, desc: 'Risk in exposed group (P1).', showIf: (state) => state.solveFor !== 'effect' },
+                { id: 'power', label: 'Power (%)', type: 'range', min: 50, max: 99.5, step: 0.5, val: 80, desc: 'Probability of detecting a true effect.', showIf: (state) => state.solveFor !== 'power' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '1 - Alpha (usually 95%).' },
+                { id: 'sided', label: 'Hypothesis Test', type: 'select', options: [{ value: 'two', label: 'Two-sided' }, { value: 'one', label: 'One-sided' }], val: 'two', desc: 'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.' },
+                { id: 'ratio', label: 'Unexposed to Exposed Ratio (r)', type: 'number', above: 0, val: 1, desc: 'Number of unexposed per exposed (usually 1).' },
+                ...dropoutInputs('Loss to Follow-up', 'Exposed', 'Unexposed'),
+                ...clusterInputs()
+            ],
+            rules: [
+                { inputs: ['p_unexposed', 'p_exposed'], check: (state) => (Math.abs(state.p_exposed - state.p_unexposed) < 0.01 ? tr('P1 and P2 cannot be equal.') : null) }
+            ],
+            get formulaStr() {
+                return `
+                <div style="font-size:0.9em; line-height:1.4">
+                    <strong>${tr('Kelsey Formula (Main):')}</strong><br>
+                    N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
+                        ${tr('(See Interpretation regarding Fleiss & Fleiss CC methods)')}
+                    </div>
+                </div>
+            `;
+            },
+            formulaFor: (state) => reverseFormula(state.solveFor) || MODES['cohort'].formulaStr,
+            formulaSteps: `
+                <p><strong>P<sub>1</sub></strong> = % Exposed with Outcome</p>
+                <p><strong>P<sub>2</sub></strong> = % Unexposed with Outcome</p>
+                <p><strong>r</strong> = Ratio (Unexposed / Exposed)</p>
+                <p>Calculates Sample Size using:</p>
+                <ul>
+                    <li><strong>Kelsey</strong>: Standard approximation</li>
+                    <li><strong>Fleiss</strong>: With Levin's modification</li>
+                    <li><strong>Fleiss CC</strong>: With Continuity Correction</li>
+                </ul>
+            `,
+            interpretation: `
+                <p>Provides comparative sample sizes using three common methods. Fleiss with Continuity Correction is the most conservative (largest sample size).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Formulas Used:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> applies continuity correction to N<sub>Fleiss</sub>
+                </div>
+            `,
+            sweep: {
+                label: 'Risk Ratio (RR)',
+                value: (state) => state.p_exposed / state.p_unexposed,
+                range: (state) => {
+                    const RR = state.p_exposed / state.p_unexposed;
+                    const maxRR = 99.9 / state.p_unexposed; // Keeps P1 below 100%
+                    return RR >= 1 ? [1.05, Math.min(maxRR, Math.max(3, RR * 1.5))] : [Math.min(0.3, RR / 1.5), 0.95];
+                },
+                apply: (state, x) => ({ ...state, p_exposed: x * state.p_unexposed })
+            },
+            calc: (state) => {
+                const P2 = parseFloat(state.p_unexposed) / 100; // Unexposed
+                const P1 = parseFloat(state.p_exposed) / 100;   // Exposed
+
+                // Auto-calculate RR/OR etc for display if needed, but primarily we use the raw proportions
+                const RR = (P2 > 0) ? (P1 / P2) : 0;
+                const RD = (P1 - P2) * 100;
+
+                const r = parseFloat(state.ratio);
+                const power = parseFloat(state.power);
+                const conf = parseFloat(state.confidence) || 95;
+                const alpha = (100 - conf) / 100;
+                const beta = (100 - power) / 100;
+                const dropout = armDropout(state); // [Exposed, Unexposed]
+                const cluster = clusterDesign(state);
+
+                // Reverse mode: achieved power, or the smallest RR detectable with the available N
+                if (state.solveFor === 'power' || state.solveFor === 'effect') {
+                    const reverse = calculateAdvancedReverse(state, P1, P2, r, dropout, (p) => ({
+                        value: formatNumber(p / P2, 2),
+                        detail: `P<sub>1</sub> = ${formatNumber(p * 100, 2)}%`,
+                        raw: p / P2
+                    }));
+
+                    let displayStr = `N=${formatNumber(state.n_available)} P2=${formatNumber(P2 * 100, 2)}%`;
+                    displayStr += state.solveFor === 'power' ? ` P1=${formatNumber(P1 * 100, 2)}% RR=${formatNumber(RR, 2)}` : ` Power=${formatNumber(power)}%`;
+                    if (dropout[0] > 0 || dropout[1] > 0) displayStr += ` ${tr('(Incl. {rate} Dropout)', { rate: dropoutLabel(dropout) })}`;
+                    if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                    return {
+                        n: reverse.table.kelsey.value,
+                        metricLabel: state.solveFor === 'power' ? tr('Achieved Power') : tr('Minimum Detectable RR'),
+                        display: displayStr,
+                        table: reverse.table,
+                        tableLabel: state.solveFor === 'power' ? tr('Power') : tr('Detectable RR'),
+                        derived: reverse.derived,
+                        visualData: {
+                            n1: reverse.n2, // Unexposed
+                            n2: reverse.n1, // Exposed
+                            label1: tr('Unexposed'),
+                            label2: tr('Exposed'),
+                            clusterSize: cluster ? cluster.size : 0
+                        }
+                    };
+                }
+
+                const results = calculateAdvanced(P1, P2, r, alpha, beta, dropout, state.sided, cluster);
+
+                let displayStr = `P1=${formatNumber(P1 * 100, 2)}% P2=${formatNumber(P2 * 100, 2)}% RR=${formatNumber(RR, 2)} RD=${formatNumber(RD, 2)}%`;
+                displayStr += dropoutNote(dropout, results.fleiss);
+                if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                return {
+                    n: results.fleiss.total, // Default to Fleiss for big display
+                    display: displayStr,
+                    table: results,
+                    derived: [...zSteps(results.za, results.zb, state.sided), ...clusterDerived(cluster)],
+                    simulation: cluster ? null : binarySimulation(results, P1, P2),
+                    visualData: {
+                        n1: results.fleiss.n2, // Unexposed (Group 2)
+                        n2: results.fleiss.n1, // Exposed (Group 1)
+                        label1: tr('Unexposed'),
+                        label2: tr('Exposed'),
+                        clusterSize: cluster ? cluster.size : 0
+                    }
+                };
+            }
+        },
+        'incidence-rates': {
+            inputs: [
+                { id: 'rate0', label: 'Baseline Incidence Rate (per 1,000 person-years)', type: 'number', above: 0, val: 10, desc: 'Events per 1,000 person-years in the unexposed group (λ0).' },
+                { id: 'rr', label: 'Rate Ratio (RR)', type: 'number', above: 0, step: 0.05, val: 1.5, desc: 'Rate in the exposed group divided by the baseline rate.' },
+                { id: 'followup', label: 'Follow-up per Person (years)', type: 'number', above: 0, val: 2, desc: 'Average person-time each participant contributes.' },
+                { id: 'ratio', label: 'Unexposed to Exposed Ratio (r)', type: 'number', above: 0, val: 1, desc: 'Number of unexposed per exposed (usually 1).' },
+                { id: 'power', label: 'Power (%)', type: 'range', min: 50, max: 99.5, step: 0.5, val: 80, desc: 'Probability of detecting a true effect.' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '1 - Alpha (usually 95%).' },
+                { id: 'sided', label: 'Hypothesis Test', type: 'select', options: [{ value: 'two', label: 'Two-sided' }, { value: 'one', label: 'One-sided' }], val: 'two', desc: 'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.' },
+                ...dropoutInputs('Loss to Follow-up', 'Exposed', 'Unexposed'),
+                ...clusterInputs()
+            ],
+            rules: [
+                { inputs: ['rr'], check: (state) => (Math.abs(state.rr - 1) < 0.001 ? tr('RR=1 implies no effect. N is infinite.') : null) }
+            ],
+            get formulaStr() {
+                return `
+                <div style="font-size:0.9em; line-height:1.4">
+                    <strong>${tr('Rate Difference (Main):')}</strong><br>
+                    T<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (&lambda;<sub>1</sub> + &lambda;<sub>0</sub>/r) / (&lambda;<sub>1</sub>-&lambda;<sub>0</sub>)<sup>2</sup><br>
+                    N<sub>1</sub> = T<sub>1</sub> / t, N<sub>0</sub> = r N<sub>1</sub>
+                    <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
+                        ${tr('(See Interpretation for the log rate ratio method)')}
+                    </div>
+                </div>
+            `;
+            },
+            formulaSteps: `
+                <p><strong>&lambda;<sub>0</sub></strong> = Baseline incidence rate (unexposed)</p>
+                <p><strong>&lambda;<sub>1</sub></strong> = RR &times; &lambda;<sub>0</sub>, the rate in the exposed</p>
+                <p><strong>T<sub>1</sub>, T<sub>0</sub></strong> = Person-time needed per group (T<sub>0</sub> = rT<sub>1</sub>)</p>
+                <p><strong>t</strong> = Follow-up per person</p>
+            `,
+            interpretation: `
+                <p>Sample size for comparing two incidence rates measured per person-time, for cohorts where follow-up varies between participants. Event counts are treated as Poisson, so the rates fix the person-time each group needs; the number of participants is that person-time divided by the average follow-up per person.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Formulas Used:</strong><br>
+                    <strong>Rate Difference (Smith &amp; Morrow):</strong> T<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (&lambda;<sub>1</sub> + &lambda;<sub>0</sub>/r) / (&lambda;<sub>1</sub>-&lambda;<sub>0</sub>)<sup>2</sup><br>
+                    <strong>Log Rate Ratio:</strong> T<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (1/&lambda;<sub>1</sub> + 1/(r&lambda;<sub>0</sub>)) / (ln RR)<sup>2</sup><br>
+                    *Expected events in each group = &lambda; &times; its person-time
+                </div>
+            `,
+            calc: (state) => {
+                const rate0 = parseFloat(state.rate0); // Per 1,000 person-years
+                const rr = parseFloat(state.rr);
+                const rate1 = rate0 * rr;
+                const followup = parseFloat(state.followup);
+                const r = parseFloat(state.ratio);
+                const power = parseFloat(state.power);
+                const conf = parseFloat(state.confidence) || 95;
+                const za = getZAlpha(conf, state.sided);
+                const zb = getZBeta(power);
+                const dropout = armDropout(state); // [Exposed, Unexposed]
+                const cluster = clusterDesign(state);
+
+                // Person-time in years, so the rates are per person-year
+                const time = ratePersonTime(rate1 / 1000, rate0 / 1000, r, za, zb);
+                const table = {};
+                ['difference', 'logRatio'].forEach(key => {
+                    table[key] = armSizes(time[key] / followup, r, dropout, cluster);
+                    // Expected in the person-time actually followed, i.e. before dropout
+                    const followed = table[key].beforeDropout || table[key];
+                    table[key].events = Math.round((rate1 * followed.n1 + rate0 * followed.n2) * followup / 1000);
+                });
+
+                const followed = table.difference.beforeDropout || table.difference;
+                const personYears = [followed.n1 * followup, followed.n2 * followup]; // [Exposed, Unexposed]
+                const events = [rate1 * personYears[0] / 1000, rate0 * personYears[1] / 1000];
+                const deff = cluster ? cluster.deff : 1;
+
+                let displayStr = `Rate0=${formatNumber(rate0)} Rate1=${formatNumber(rate1, 2, true)} RR=${formatNumber(rr, 2)} Follow-up=${formatNumber(followup)}`;
+                displayStr += dropoutNote(dropout, table.difference);
+                if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                return {
+                    n: table.difference.total,
+                    display: displayStr,
+                    table: table,
+                    methodNames: [['difference', tr('Rate Difference')], ['logRatio', tr('Log Rate Ratio')]],
+                    derived: [
+                        { label: tr('&lambda;<sub>1</sub> / &lambda;<sub>0</sub> (per 1,000 person-years)'), value: `${formatNumber(rate1, 2, true)} / ${formatNumber(rate0, 2, true)}` },
+                        { label: tr('Person-years Needed, Exposed / Unexposed'), value: `${formatCount(Math.ceil(time.difference * deff))} / ${formatCount(Math.ceil(time.difference * r * deff))}` },
+                        { label: tr('Expected Events, Exposed / Unexposed'), value: `${formatCount(Math.round(events[0]))} / ${formatCount(Math.round(events[1]))}` },
+                        ...zSteps(za, zb, state.sided),
+                        ...clusterDerived(cluster)
+                    ],
+                    visualData: {
+                        n1: table.difference.n2, // Unexposed (Group 2)
+                        n2: table.difference.n1, // Exposed (Group 1)
+                        label1: tr('Unexposed'),
+                        label2: tr('Exposed'),
+                        personYears, // [Exposed, Unexposed]
+                        events,
+                        followup
+                    }
+                };
+            }
+        },
+        'rct': {
+            inputs: [
+                { id: 'solveFor', label: 'Solve For', type: 'select', options: [{ value: 'n', label: 'Sample Size (N)' }, { value: 'power', label: 'Achieved Power' }, { value: 'effect', label: 'Minimum Detectable P2' }], val: 'n', desc: 'Compute N, or the power / smallest effect a fixed N gives.' },
+                { id: 'n_available', label: 'Available Sample Size (Total)', type: 'number', min: 4, val: 240, desc: 'Participants you can randomise across both groups.', showIf: (state) => state.solveFor !== 'n' },
+                { id: 'p1', label: 'Prop. Group 1 (%)', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 50, desc: 'Anticipated outcome in Control Group (e.g., Unexposed).' },
+                { id: 'p2', label: 'Prop. Group 2 (%)', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 40, desc: 'Anticipated outcome in Treatment Group (e.g., Exposed).', showIf: (state) => state.solveFor !== 'effect' },
+                { id: 'power', label: 'Power (%)', type: 'range', min: 50, max: 99.5, step: 0.5, val: 80, desc: '', showIf: (state) => state.solveFor !== 'power' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '' },
+                ...hypothesisInputs(10, '%'),
+                { id: 'sided', label: 'Hypothesis Test', type: 'select', options: [{ value: 'two', label: 'Two-sided' }, { value: 'one', label: 'One-sided' }], val: 'two', desc: 'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.', showIf: (state) => hypothesisOf(state) === 'superiority' },
+                { id: 'ratio', label: 'Group Ratio (N1/N2) (r)', type: 'number', above: 0, val: 1, desc: '' },
+                ...dropoutInputs('Dropout', 'Group 1', 'Group 2'),
+                ...clusterInputs()
+            ],
+            rules: [
+                {
+                    inputs: ['p1', 'p2'],
+                    check: (state) => (hypothesisOf(state) === 'superiority' && Math.abs(state.p1 - state.p2) < 0.01 ? tr('P1 and P2 cannot be equal.') : null)
+                }
+            ],
+            get formulaStr() {
+                return `
+                <div style="font-size:0.9em; line-height:1.4">
+                    <strong>${tr('Kelsey Formula (Main):')}</strong><br>
+                    N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
+                        ${tr('(See Interpretation regarding Fleiss & Fleiss CC methods)')}
+                    </div>
+                </div>
+            `;
+            },
+            formulaFor: (state) => {
+                const hypothesis = hypothesisOf(state);
+                if (hypothesis !== 'superiority') {
+                    return marginFormula(hypothesis, state.solveFor, 'N<sub>2</sub>', 'P<sub>2</sub>-P<sub>1</sub>', 'P<sub>2</sub>(1-P<sub>2</sub>) + P<sub>1</sub>(1-P<sub>1</sub>)/r');
+                }
+                return reverseFormula(state.solveFor) || MODES['rct'].formulaStr;
+            },
+            formulaSteps: `
+                <p><strong>P<sub>1</sub></strong> = Prop. Group 1 (Control)</p>
+                <p><strong>P<sub>2</sub></strong> = Prop. Group 2 (Treatment)</p>
+                <p><strong>r</strong> = Ratio (Group 1 / Group 2)</p>
+                <p>Calculates Sample Size using:</p>
+                <ul>
+                    <li><strong>Kelsey</strong>: Standard approximation</li>
+                    <li><strong>Fleiss</strong>: With Levin's modification</li>
+                    <li><strong>Fleiss CC</strong>: With Continuity Correction</li>
+                </ul>
+            `,
+            interpretation: `
+                <p>Standard calculation for Randomized Controlled Trials comparing binary outcomes. Fleiss CC is recommended for conservative estimates.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Formulas Used:</strong><br>
+                    <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
+                    *N<sub>Fleiss,CC</sub> applies continuity correction to N<sub>Fleiss</sub>
+                </div>
+            `,
+            sweep: {
+                label: 'Prop. Group 2 (%)',
+                value: (state) => parseFloat(state.p2),
+                range: () => [0.5, 99.5],
+                apply: (state, x) => ({ ...state, p2: x })
+            },
+            calc: (state) => {
+                const P1 = parseFloat(state.p1) / 100; // Control / Group 1
+                const P2 = parseFloat(state.p2) / 100; // Treatment / Group 2
+                const r = parseFloat(state.ratio);
+                const power = parseFloat(state.power);
+                const conf = parseFloat(state.confidence) || 95;
+                const alpha = (100 - conf) / 100;
+                const beta = (100 - power) / 100;
+                const dropout = armDropout(state); // [Group 1, Group 2]
+                const helperDropout = [dropout[1], dropout[0]]; // Helper order below is Treatment first
+                const cluster = clusterDesign(state);
+                const hypothesis = hypothesisOf(state);
+
+                // Non-inferiority / equivalence of Treatment (P2) against Control (P1). Group 1 of the
+                // margin helpers is Treatment, as in calculateAdvanced below, so var1 = P2Q2 + P1Q1/r.
+                if (hypothesis !== 'superiority') {
+                    const za1 = getZAlpha(conf, 'one');
+                    const d = P2 - P1;
+                    const delta = (parseFloat(state.margin) || 0) / 100;
+                    const margin = { hypothesis, delta: delta * 100, diff: d * 100, unit: '%' };
+                    const methodNames = [[hypothesis, hypothesisName(hypothesis)]];
+                    const derived = [
+                        { label: tr('Expected Difference (P<sub>2</sub> - P<sub>1</sub>)'), value: `${formatNumber(d * 100, 2)}%` },
+                        { label: tr('Margin (δ)'), value: `${formatNumber(delta * 100, 2)}%` },
+                        { label: tr('Z<sub>α</sub> (One-sided)'), value: formatNumber(za1, 4) }
+                    ];
+
+                    if (state.solveFor === 'power') {
+                        const arms = analysedArms(parseFloat(state.n_available) || 0, r, helperDropout, cluster);
+                        const var1 = P2 * (1 - P2) + P1 * (1 - P1) * arms.n1 / arms.n2;
+                        const pw = marginPower(hypothesis, d, delta, var1, arms.n1, za1) * 100;
+                        derived.push(...clusterDerived(cluster), { label: tr('N<sub>1</sub> / N<sub>2</sub> (Analysed)'), value: `${formatNumber(arms.n2, 1)} / ${formatNumber(arms.n1, 1)}` });
+
+                        let displayStr = `N=${formatNumber(state.n_available)} P1=${formatNumber(P1 * 100, 2)}% P2=${formatNumber(P2 * 100, 2)}% δ=${formatNumber(delta * 100, 2)}% Conf=${formatNumber(conf)}%`;
+                        if (dropout[0] > 0 || dropout[1] > 0) displayStr += ` ${tr('(Incl. {rate} Dropout)', { rate: dropoutLabel(dropout) })}`;
+
+                        return {
+                            n: `${formatNumber(pw, 1)}%`,
+                            metricLabel: tr('Achieved Power'),
+                            display: displayStr,
+                            table: { [hypothesis]: { value: `${formatNumber(pw, 1)}%`, raw: pw } },
+                            methodNames,
+                            tableLabel: tr('Power'),
+                            derived,
+                            visualData: {
+                                n1: Math.floor(arms.n2 * arms.deff), // Control (Group 1)
+                                n2: Math.floor(arms.n1 * arms.deff), // Treatment (Group 2)
+                                label1: tr('Group 1'),
+                                label2: tr('Group 2'),
+                                clusterSize: cluster ? cluster.size : 0,
+                                margin
+                            }
+                        };
+                    }
+
+                    const rawN = marginN1(hypothesis, d, delta, P2 * (1 - P2) + P1 * (1 - P1) / r, za1, power);
+                    if (rawN === null) {
+                        return calcError(hypothesis === 'equivalence'
+                            ? tr('Expected difference is outside the equivalence margin (|P2 - P1| ≥ δ).')
+                            : tr('Expected difference is at or below -δ: non-inferiority cannot be shown.'), ['p1', 'p2', 'margin']);
+                    }
+                    const row = armSizes(rawN, r, helperDropout, cluster);
+                    derived.push(marginZBeta(hypothesis, power), ...clusterDerived(cluster));
+
+                    let displayStr = `P1=${formatNumber(P1 * 100, 2)}% P2=${formatNumber(P2 * 100, 2)}% δ=${formatNumber(delta * 100, 2)}% Power=${formatNumber(power)}% Conf=${formatNumber(conf)}%`;
+                    displayStr += dropoutNote(dropout, row);
+                    if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                    return {
+                        n: row.total,
+                        display: displayStr,
+                        table: { [hypothesis]: row },
+                        methodNames,
+                        derived,
+                        visualData: {
+                            n1: row.n2, // Control (Group 1)
+                            n2: row.n1, // Treatment (Group 2)
+                            label1: tr('Group 1'),
+                            label2: tr('Group 2'),
+                            clusterSize: cluster ? cluster.size : 0,
+                            margin
+                        }
+                    };
+                }
+
+                // Reverse mode: achieved power, or the smallest Group 2 proportion detectable with the
+                // available N. Same argument order as calculateAdvanced below (Treatment first).
+                if (state.solveFor === 'power' || state.solveFor === 'effect') {
+                    const reverse = calculateAdvancedReverse(state, P2, P1, r, helperDropout, (p) => ({
+                        value: `${formatNumber(p * 100, 2)}%`,
+                        detail: tr('Diff = {diff}', { diff: `${formatNumber((p - P1) * 100, 2)}%` }),
+                        raw: p * 100
+                    }));
+
+                    let displayStr = `N=${formatNumber(state.n_available)} P1=${formatNumber(P1 * 100, 2)}%`;
+                    displayStr += state.solveFor === 'power' ? ` P2=${formatNumber(P2 * 100, 2)}%` : ` Power=${formatNumber(power)}%`;
+                    displayStr += ` Conf=${formatNumber(conf)}%`;
+                    if (dropout[0] > 0 || dropout[1] > 0) displayStr += ` ${tr('(Incl. {rate} Dropout)', { rate: dropoutLabel(dropout) })}`;
+                    if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                    return {
+                        n: reverse.table.kelsey.value,
+                        metricLabel: state.solveFor === 'power' ? tr('Achieved Power') : tr('Minimum Detectable P2'),
+                        display: displayStr,
+                        table: reverse.table,
+                        tableLabel: state.solveFor === 'power' ? tr('Power') : tr('Detectable P2'),
+                        derived: reverse.derived,
+                        visualData: {
+                            n1: reverse.n2, // Control (Group 1)
+                            n2: reverse.n1, // Treatment (Group 2)
+                            label1: tr('Group 1'),
+                            label2: tr('Group 2'),
+                            clusterSize: cluster ? cluster.size : 0
+                        }
+                    };
+                }
+
+                // We pass P2 (Treatment/Exposed) as p1, and P1 (Control/Unexposed) as p2 to match our helper's logic
+                // Helper assumes p1=Exposed, p2=Unexposed for variance naming, but mathematically symmetric except for r
+                // If r = N1/N2 (Control/Treatment). 
+                // In helper: r = ratio argument. 
+                // Helper logic: p_avg = (p1 + r*p2)/(1+r).
+                // If we want p_avg = (P_treatment + r*P_control)/(1+r)? 
+                // Usually Pooled P = (n1*p1 + n2*p2)/(n1+n2).
+                // = (n1*p1 + (n1/r)*p2) ... no r=n1/n2.
+                // Let's check Cohort r definition: r = Unexposed/Exposed = N_unexposed / N_exposed.
+                // Cohort passed: calcAdvanced(P_exposed, P_unexposed, r).  (p1, p2, r)
+                // Helper p_avg = (p1 + r*p2) / (1+r) = (P_exp + (N_unexp/N_exp)*P_unexp) / (1 + N_unexp/N_exp)
+                // Multiply by N_exp: (N_exp*P_exp + N_unexp*P_unexp) / (N_exp + N_unexp). Correct.
+
+                // Now RCT: r = N1/N2 = Control/Treatment.
+                // We want (N_control*P_control + N_treat*P_treatment) / Total.
+                // Target: (N1*P1 + N2*P2) / (N1+N2)
+                // If we use helper(p_A, p_B, r):
+                // (p_A + r*p_B)/(1+r)
+                // If r = N1/N2.
+                // = (p_A + (N1/N2)*p_B) / (1 + N1/N2)
+                // Multiply by N2: (N2*p_A + N1*p_B) / (N2 + N1).
+                // So p_B must be P1 (Control), p_A must be P2 (Treatment).
+
+                // So: calculateAdvanced(P2, P1, r).
+
+                const results = calculateAdvanced(P2, P1, r, alpha, beta, helperDropout, state.sided, cluster);
+
+                let displayStr = `P1=${formatNumber(P1 * 100, 2)}% P2=${formatNumber(P2 * 100, 2)}% Power=${formatNumber(power)}% Conf=${formatNumber(conf)}%`;
+                displayStr += dropoutNote(dropout, results.fleiss);
+                if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                return {
+                    n: results.fleiss.total,
+                    display: displayStr,
+                    table: results,
+                    derived: [...zSteps(results.za, results.zb, state.sided), ...clusterDerived(cluster)],
+                    simulation: cluster ? null : binarySimulation(results, P2, P1),
+                    visualData: {
+                        n1: results.fleiss.n2, // n2 in struct is derived from n1*r. n1 was passed as P2 (Treatment). So n1_out is Treatment N.
+                        // n2_out = n1_out * r = Treatment * (Control/Treatment) = Control N.
+                        // So n2 in struct is Control (Group 1).
+                        n2: results.fleiss.n1, // Treatment (Group 2)
+                        label1: tr('Group 1'),
+                        label2: tr('Group 2'),
+                        clusterSize: cluster ? cluster.size : 0
+                    }
+                };
+            }
+        },
+        'two-means': {
+            inputs: [
+                { id: 'solveFor', label: 'Solve For', type: 'select', options: [{ value: 'n', label: 'Sample Size (N)' }, { value: 'power', label: 'Achieved Power' }, { value: 'effect', label: 'Minimum Detectable Difference' }], val: 'n', desc: 'Compute N, or the power / smallest effect a fixed N gives.' },
+                { id: 'n_available', label: 'Available Sample Size (Total)', type: 'number', min: 4, val: 240, desc: 'Participants you can recruit across both groups.', showIf: (state) => state.solveFor !== 'n' },
+                { id: 'mean1', label: 'Mean Group 1', type: 'number', val: 132.86, desc: 'Expected mean of Group 1.' },
+                { id: 'sd1', label: 'SD Group 1', type: 'number', above: 0, val: 15.34, desc: 'Standard Deviation of Group 1.' },
+                { id: 'mean2', label: 'Mean Group 2', type: 'number', val: 127.44, desc: 'Expected mean of Group 2.', showIf: (state) => state.solveFor !== 'effect' },
+                { id: 'sd2', label: 'SD Group 2', type: 'number', above: 0, val: 18.23, desc: 'Standard Deviation of Group 2.' },
+                { id: 'ratio', label: 'Group Ratio (N2/N1) (r)', type: 'number', above: 0, val: 1, desc: '' },
+                { id: 'power', label: 'Power (%)', type: 'range', min: 50, max: 99.5, step: 0.5, val: 80, desc: '', showIf: (state) => state.solveFor !== 'power' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '' },
+                ...hypothesisInputs(5, ''),
+                { id: 'sided', label: 'Hypothesis Test', type: 'select', options: [{ value: 'two', label: 'Two-sided' }, { value: 'one', label: 'One-sided' }], val: 'two', desc: 'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.', showIf: (state) => hypothesisOf(state) === 'superiority' },
+                ...dropoutInputs('Dropout', 'Group 1', 'Group 2'),
+                ...clusterInputs()
+            ],
+            rules: [
+                {
+                    inputs: ['mean1', 'mean2'],
+                    check: (state) => (hypothesisOf(state) === 'superiority' && parseFloat(state.mean1) === parseFloat(state.mean2) ? tr('Means cannot be equal.') : null)
+                }
+            ],
+            formulaStr: `
+                <div style="font-size:0.8em; line-height:1.4">
+                    N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (&sigma;<sub>1</sub><sup>2</sup> + &sigma;<sub>2</sub><sup>2</sup>/r) / (&mu;<sub>1</sub>-&mu;<sub>2</sub>)<sup>2</sup><br>
+                    N<sub>2</sub> = r * N<sub>1</sub>
+                </div>
+            `,
+            formulaFor: (state) => {
+                const hypothesis = hypothesisOf(state);
+                if (hypothesis !== 'superiority') {
+                    return marginFormula(hypothesis, state.solveFor, 'N<sub>1</sub>', '&mu;<sub>2</sub>-&mu;<sub>1</sub>', '&sigma;<sub>1</sub><sup>2</sup> + &sigma;<sub>2</sub><sup>2</sup>/r');
+                }
+                if (state.solveFor === 'power') {
+                    return `
+                <div style="font-size:0.8em; line-height:1.4">
+                    Z<sub>β</sub> = |&mu;<sub>1</sub>-&mu;<sub>2</sub>|&radic;N<sub>1</sub> / &radic;(&sigma;<sub>1</sub><sup>2</sup> + &sigma;<sub>2</sub><sup>2</sup>/r) - Z<sub>α/2</sub><br>
+                    Power = &Phi;(Z<sub>β</sub>)
+                </div>
+            `;
+                }
+                if (state.solveFor === 'effect') {
+                    return `
+                <div style="font-size:0.8em; line-height:1.4">
+                    |&mu;<sub>1</sub>-&mu;<sub>2</sub>| = (Z<sub>α/2</sub>+Z<sub>β</sub>) &radic;[(&sigma;<sub>1</sub><sup>2</sup> + &sigma;<sub>2</sub><sup>2</sup>/r) / N<sub>1</sub>]<br>
+                    N<sub>1</sub> = N / (1+r)
+                </div>
+            `;
+                }
+                return MODES['two-means'].formulaStr;
+            },
+            formulaSteps: '', // Will be dynamic
+            interpretation: `
+                <p>Calculates sample size for comparing two independent means (Student's t-test equivalent).</p>
+            `,
+            sweep: {
+                label: 'Mean Difference (μ1 - μ2)',
+                value: (state) => state.mean1 - state.mean2,
+                range: (state) => {
+                    const diff = (state.mean1 - state.mean2) || 1;
+                    return diff > 0 ? [diff * 0.25, diff * 3] : [diff * 3, diff * 0.25];
+                },
+                apply: (state, x) => ({ ...state, mean2: state.mean1 - x })
+            },
+            calc: (state) => {
+                const m1 = parseFloat(state.mean1);
+                const s1 = parseFloat(state.sd1);
+                const m2 = parseFloat(state.mean2);
+                const s2 = parseFloat(state.sd2);
+                const r = parseFloat(state.ratio);
+                const power = parseFloat(state.power);
+                const conf = parseFloat(state.confidence) || 95;
+                const alpha = (100 - conf) / 100;
+                const beta = (100 - power) / 100;
+                const za = getZAlpha(conf, state.sided);
+                const zb = getZBeta(power);
+                const dropout = armDropout(state); // [Group 1, Group 2]
+                const cluster = clusterDesign(state);
+                const deff = cluster ? cluster.deff : 1;
+                const hypothesis = hypothesisOf(state);
+
+                // Non-inferiority / equivalence of Group 2 (new) against Group 1 (reference)
+                if (hypothesis !== 'superiority') {
+                    const za1 = getZAlpha(conf, 'one');
+                    const d = m2 - m1;
+                    const delta = parseFloat(state.margin) || 0;
+                    const margin = { hypothesis, delta, diff: d, unit: '' };
+                    const derived = [
+                        { label: tr('Expected Difference (&mu;<sub>2</sub> - &mu;<sub>1</sub>)'), value: formatNumber(d, 2) },
+                        { label: tr('Margin (δ)'), value: formatNumber(delta, 2) },
+                        { label: tr('Z<sub>α</sub> (One-sided)'), value: formatNumber(za1, 4) }
+                    ];
+
+                    if (state.solveFor === 'power') {
+                        const arms = analysedArms(parseFloat(state.n_available) || 0, r, dropout, cluster);
+                        const pw = marginPower(hypothesis, d, delta, s1 * s1 + s2 * s2 * arms.n1 / arms.n2, arms.n1, za1) * 100;
+                        derived.push(...clusterDerived(cluster), { label: tr('N<sub>1</sub> / N<sub>2</sub> (Analysed)'), value: `${formatNumber(arms.n1, 1)} / ${formatNumber(arms.n2, 1)}` });
+
+                        let displayStr = `N=${formatNumber(state.n_available)} M1=${formatNumber(m1)} M2=${formatNumber(m2)} δ=${formatNumber(delta)} Conf=${formatNumber(conf)}%`;
+                        if (dropout[0] > 0 || dropout[1] > 0) displayStr += ` ${tr('(Incl. {rate} Dropout)', { rate: dropoutLabel(dropout) })}`;
+
+                        return {
+                            n: `${formatNumber(pw, 1)}%`,
+                            raw: pw,
+                            metricLabel: tr('Achieved Power'),
+                            display: displayStr,
+                            derived,
+                            visualData: {
+                                n1: Math.floor(arms.n1 * deff), // Group 1
+                                n2: Math.floor(arms.n2 * deff), // Group 2
+                                label1: tr('Group 1'),
+                                label2: tr('Group 2'),
+                                clusterSize: cluster ? cluster.size : 0,
+                                margin
+                            }
+                        };
+                    }
+
+                    const rawN = marginN1(hypothesis, d, delta, s1 * s1 + (s2 * s2) / r, za1, power);
+                    if (rawN === null) {
+                        return calcError(hypothesis === 'equivalence'
+                            ? tr('Expected difference is outside the equivalence margin (|μ2 - μ1| ≥ δ).')
+                            : tr('Expected difference is at or below -δ: non-inferiority cannot be shown.'), ['mean1', 'mean2', 'margin']);
+                    }
+                    const row = armSizes(rawN, r, dropout, cluster);
+                    derived.push(marginZBeta(hypothesis, power), ...clusterDerived(cluster, cluster ? [row.clusters.n1, row.clusters.n2] : null));
+
+                    let displayStr = `M1=${formatNumber(m1)} SD1=${formatNumber(s1)} M2=${formatNumber(m2)} SD2=${formatNumber(s2)} δ=${formatNumber(delta)}`;
+                    displayStr += dropoutNote(dropout, row);
+                    if (cluster) displayStr += ` DEFF=${formatNumber(deff, 2)}`;
+
+                    return {
+                        n: row.total,
+                        display: displayStr,
+                        derived,
+                        visualData: {
+                            n1: row.n1, // Group 1
+                            n2: row.n2, // Group 2
+                            label1: tr('Group 1'),
+                            label2: tr('Group 2'),
+                            clusterSize: cluster ? cluster.size : 0,
+                            margin
+                        }
+                    };
+                }
+
+                // Reverse mode (closed form): achieved power or minimum detectable difference
+                if (state.solveFor === 'power' || state.solveFor === 'effect') {
+                    const { n1, n2 } = analysedArms(parseFloat(state.n_available) || 0, r, dropout, cluster);
+                    const sdTerm = Math.sqrt(s1 * s1 + (s2 * s2) * n1 / n2);
+
+                    const derived = [...clusterDerived(cluster)];
+                    if (dropout[0] > 0 || dropout[1] > 0 || cluster) derived.push({ label: cluster ? tr('Effective N (after DEFF)') : tr('Effective N (after Dropout)'), value: formatNumber(n1 + n2, 1) });
+                    derived.push({ label: 'N<sub>1</sub> / N<sub>2</sub>', value: `${formatNumber(n1, 1)} / ${formatNumber(n2, 1)}` });
+
+                    let value, raw, displayStr;
+                    if (state.solveFor === 'power') {
+                        const zbSolved = Math.abs(m1 - m2) * Math.sqrt(n1) / sdTerm - za;
+                        raw = normCdf(zbSolved) * 100;
+                        value = `${formatNumber(raw, 1)}%`;
+                        derived.push(zSteps(za, zbSolved, state.sided)[0], { label: tr('Z<sub>β</sub> (Solved)'), value: formatNumber(zbSolved, 4) });
+                        displayStr = `N=${formatNumber(state.n_available)} M1=${formatNumber(m1)} M2=${formatNumber(m2)} Diff=${formatNumber(m1 - m2, 2)}`;
+                    } else {
+                        const diff = (za + zb) * sdTerm / Math.sqrt(n1);
+                        const mean2 = m2 > m1 ? m1 + diff : m1 - diff; // Same direction as the current inputs
+                        raw = diff;
+                        value = formatNumber(diff, 2);
+                        derived.push(...zSteps(za, zb, state.sided), { label: tr('&mu;<sub>2</sub> at Detectable Diff'), value: formatNumber(mean2, 2) });
+                        displayStr = `N=${formatNumber(state.n_available)} M1=${formatNumber(m1)} SD1=${formatNumber(s1)} SD2=${formatNumber(s2)} Power=${formatNumber(power)}%`;
+                    }
+                    if (dropout[0] > 0 || dropout[1] > 0) displayStr += ` ${tr('(Incl. {rate} Dropout)', { rate: dropoutLabel(dropout) })}`;
+                    if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                    return {
+                        n: value,
+                        raw: raw,
+                        metricLabel: state.solveFor === 'power' ? tr('Achieved Power') : tr('Minimum Detectable Difference'),
+                        display: displayStr,
+                        derived: derived,
+                        visualData: {
+                            n1: Math.floor(n1 * deff), // Group 1
+                            n2: Math.floor(n2 * deff), // Group 2
+                            label1: tr('Group 1'),
+                            label2: tr('Group 2'),
+                            clusterSize: cluster ? cluster.size : 0
+                        }
+                    };
+                }
+
+                const num = Math.pow(za + zb, 2) * (s1 * s1 + (s2 * s2) / r);
+                const den = Math.pow(m1 - m2, 2);
+
+                const base1 = Math.ceil(num / den * deff);
+                const base2 = Math.ceil(base1 * r);
+                const n1 = inflateForDropout(base1, dropout[0]);
+                const n2 = inflateForDropout(base2, dropout[1]);
+                const total = n1 + n2;
+
+                let displayStr = `M1=${formatNumber(m1)} SD1=${formatNumber(s1)} M2=${formatNumber(m2)} SD2=${formatNumber(s2)} Diff=${formatNumber(m1 - m2, 2)}`;
+                if (total > base1 + base2) displayStr += dropoutNote(dropout, { total, beforeDropout: { total: base1 + base2 } });
+                if (cluster) displayStr += ` DEFF=${formatNumber(deff, 2)}`;
+
+                return {
+                    n: total,
+                    display: displayStr,
+                    derived: [...zSteps(za, zb, state.sided), ...clusterDerived(cluster, cluster ? [clustersFor(n1, cluster), clustersFor(n2, cluster)] : null)],
+                    simulation: cluster ? null : { outcome: 'continuous', mean1: m1, sd1: s1, mean2: m2, sd2: s2, arms: [{ name: tr('Normal Approximation'), n1: base1, n2: base2 }] },
+                    visualData: {
+                        n1: n1, // Group 1
+                        n2: n2, // Group 2
+                        label1: tr('Group 1'),
+                        label2: tr('Group 2'),
+                        clusterSize: cluster ? cluster.size : 0
+                    }
+                };
+            }
+        },
+        'survival': {
+            inputs: [
+                { id: 'effectInput', label: 'Specify Effect By', type: 'select', options: [{ value: 'hr', label: 'Hazard Ratio' }, { value: 'median', label: 'Median Survival per Arm' }], val: 'hr', desc: 'Medians are converted to a hazard ratio assuming exponential survival.' },
+                { id: 'hr', label: 'Hazard Ratio (HR)', type: 'number', min: 0.01, step: 0.05, val: 0.7, desc: 'Treatment vs control hazard; below 1 means treatment is better.', showIf: (state) => state.effectInput !== 'median' },
+                { id: 'median1', label: 'Median Survival, Control (months)', type: 'number', min: 0.1, val: 12, desc: 'Sets the control hazard, and so the chance of an event by the analysis.' },
+                { id: 'median2', label: 'Median Survival, Treatment (months)', type: 'number', min: 0.1, val: 17, desc: 'Expected median in the treatment arm.', showIf: (state) => state.effectInput === 'median' },
+                { id: 'accrual', label: 'Accrual Time (months)', type: 'number', min: 0, val: 24, desc: 'Recruitment period; patients enter uniformly over it.' },
+                { id: 'followup', label: 'Additional Follow-up (months)', type: 'number', min: 0, val: 12, desc: 'Follow-up after the last patient is recruited.' },
+                { id: 'ratio', label: 'Allocation Ratio (Treatment : Control) (r)', type: 'number', above: 0, val: 1, desc: 'Patients on treatment per patient on control.' },
+                { id: 'power', label: 'Power (%)', type: 'range', min: 50, max: 99.5, step: 0.5, val: 80, desc: 'Probability of detecting a true effect (usually 80%).' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '1 - Alpha (usually 95%).' },
+                { id: 'sided', label: 'Hypothesis Test', type: 'select', options: [{ value: 'two', label: 'Two-sided' }, { value: 'one', label: 'One-sided' }], val: 'two', desc: 'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.' },
+                ...dropoutInputs('Loss to Follow-up', 'Control', 'Treatment'),
+                ...clusterInputs()
+            ],
+            rules: [
+                { inputs: ['hr'], check: (state) => (Math.abs(state.hr - 1) < 0.001 ? tr('HR=1 implies no effect. N is infinite.') : null) },
+                { inputs: ['median1', 'median2'], check: (state) => (parseFloat(state.median1) === parseFloat(state.median2) ? tr('Equal medians imply HR=1. N is infinite.') : null) },
+                { inputs: ['accrual', 'followup'], check: (state) => (parseFloat(state.accrual) + parseFloat(state.followup) > 0 ? null : tr('Accrual plus follow-up time must be greater than 0.')) }
+            ],
+            get formulaStr() {
+                return `
+                <div style="font-size:0.9em; line-height:1.4">
+                    <strong>${tr('Schoenfeld (Events):')}</strong><br>
+                    D = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (1+r)<sup>2</sup> / [r (ln HR)<sup>2</sup>]<br>
+                    N = D / P(event)
+                    <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
+                        ${tr('(See Interpretation for Freedman and P(event))')}
+                    </div>
+                </div>
+            `;
+            },
+            formulaSteps: `
+                <p><strong>D</strong> = Number of events (deaths, relapses) required</p>
+                <p><strong>HR</strong> = Hazard ratio, treatment vs control</p>
+                <p><strong>r</strong> = Allocation ratio (Treatment / Control)</p>
+                <p><strong>P(event)</strong> = Chance a patient has the event by the final analysis</p>
+            `,
+            interpretation: `
+                <p>Sample size for comparing survival between two arms with the log-rank test. Power depends on the number of events, so the trial needs D events; the number of patients follows from how likely each is to have the event during accrual and follow-up.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    <strong>Formulas Used:</strong><br>
+                    <strong>Schoenfeld:</strong> D = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup>(1+r)<sup>2</sup> / [r(ln HR)<sup>2</sup>]<br>
+                    <strong>Freedman:</strong> D = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup>(1+r&middot;HR)<sup>2</sup> / [r(1-HR)<sup>2</sup>]<br>
+                    <strong>P(event):</strong> 1 - [e<sup>-&lambda;f</sup> - e<sup>-&lambda;(a+f)</sup>] / (&lambda;a) per arm, &lambda; = ln 2 / median (exponential survival, uniform accrual over a, follow-up f)
+                </div>
+            `,
+            calc: (state) => {
+                const median1 = parseFloat(state.median1);
+                const accrual = parseFloat(state.accrual);
+                const followup = parseFloat(state.followup);
+                const r = parseFloat(state.ratio);
+                const power = parseFloat(state.power);
+                const conf = parseFloat(state.confidence) || 95;
+                const za = getZAlpha(conf, state.sided);
+                const zb = getZBeta(power);
+                const dropout = armDropout(state); // [Control, Treatment]
+                const cluster = clusterDesign(state);
+
+                // Exponential survival: λ = ln 2 / median, HR = λ_treatment / λ_control
+                const lambda1 = Math.LN2 / median1;
+                const hr = state.effectInput === 'median' ? median1 / parseFloat(state.median2) : parseFloat(state.hr);
+                const lambda2 = lambda1 * hr;
+
+                const pEvent1 = eventProbability(lambda1, accrual, followup);
+                const pEvent2 = eventProbability(lambda2, accrual, followup);
+                const pEvent = (pEvent1 + r * pEvent2) / (1 + r);
+
+                const events = survivalEvents(hr, r, za, zb);
+                const table = {};
+                ['schoenfeld', 'freedman'].forEach(key => {
+                    table[key] = armSizes(events[key] / pEvent / (1 + r), r, dropout, cluster);
+                    table[key].events = Math.ceil(events[key]);
+                });
+
+                let displayStr = `HR=${formatNumber(hr, 3)} Events=${formatNumber(table.schoenfeld.events)} P(event)=${formatNumber(pEvent, 3)} Accrual=${formatNumber(accrual)} Follow-up=${formatNumber(followup)}`;
+                displayStr += dropoutNote(dropout, table.schoenfeld);
+                if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                return {
+                    n: table.schoenfeld.total,
+                    display: displayStr,
+                    table: table,
+                    methodNames: [['schoenfeld', 'Schoenfeld'], ['freedman', 'Freedman']],
+                    derived: [
+                        { label: tr('HR (Hazard Ratio)'), value: formatNumber(hr, 3) },
+                        { label: tr('&lambda; Control / Treatment (per month)'), value: `${formatNumber(lambda1, 4)} / ${formatNumber(lambda2, 4)}` },
+                        { label: tr('P(event) Control / Treatment'), value: `${formatNumber(pEvent1, 3)} / ${formatNumber(pEvent2, 3)}` },
+                        { label: tr('P(event) Overall'), value: formatNumber(pEvent, 3) },
+                        { label: tr('D (Events, Schoenfeld)'), value: table.schoenfeld.events },
+                        ...zSteps(za, zb, state.sided),
+                        ...clusterDerived(cluster)
+                    ],
+                    visualData: {
+                        n1: table.schoenfeld.n2, // Treatment
+                        n2: table.schoenfeld.n1, // Control
+                        label1: tr('Treatment'),
+                        label2: tr('Control'),
+                        events: [Math.round(table.schoenfeld.n1 * pEvent1), Math.round(table.schoenfeld.n2 * pEvent2)], // [Control, Treatment]
+                        lambdas: [lambda1, lambda2],
+                        accrual,
+                        followup
+                    }
+                };
+            }
+        },
+        'correlation': {
+            inputs: [
+                { id: 'r', label: 'Expected Correlation (r)', type: 'number', min: -0.99, max: 0.99, step: 0.05, val: 0.3, desc: 'Pearson correlation you expect between the two measures.' },
+                { id: 'r0', label: 'Null Correlation (r₀)', type: 'number', min: -0.99, max: 0.99, step: 0.05, val: 0, desc: 'Value under the null hypothesis; usually 0 (no association).' },
+                { id: 'power', label: 'Power (%)', type: 'range', min: 50, max: 99.5, step: 0.5, val: 80, desc: 'Probability of detecting a true effect (usually 80%).' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '1 - Alpha (usually 95%).' },
+                { id: 'sided', label: 'Hypothesis Test', type: 'select', options: [{ value: 'two', label: 'Two-sided' }, { value: 'one', label: 'One-sided' }], val: 'two', desc: 'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.' },
+                { id: 'dropout', label: 'Non-response Rate (%)', type: 'range', min: 0, max: 60, step: 1, val: 0, desc: 'Expected loss or missing data. N is inflated to N / (1 - rate).' },
+                ...clusterInputs()
+            ],
+            rules: [
+                { inputs: ['r', 'r0'], check: (state) => (Math.abs(state.r - state.r0) < 0.001 ? tr('r equals r₀ (no effect). N is infinite.') : null) }
+            ],
+            formulaStr: `
+                <div style="font-size:0.9em; line-height:1.4">
+                    N = [(Z<sub>α/2</sub>+Z<sub>β</sub>) / (C - C<sub>0</sub>)]<sup>2</sup> + 3<br>
+                    C = &frac12; ln[(1+r) / (1-r)]
+                </div>
+            `,
+            formulaSteps: `
+                <p><strong>r</strong> = Expected correlation coefficient</p>
+                <p><strong>r<sub>0</sub></strong> = Correlation under the null hypothesis</p>
+                <p><strong>C, C<sub>0</sub></strong> = Fisher z transforms of r and r<sub>0</sub></p>
+            `,
+            interpretation: `
+                <p>Sample size to show that a Pearson correlation differs from r<sub>0</sub> (usually zero). Fisher's z transformation makes the sampling distribution of r approximately normal with standard error 1/&radic;(N-3).</p>
+            `,
+            calc: (state) => {
+                const r = parseFloat(state.r);
+                const r0 = parseFloat(state.r0) || 0;
+                const power = parseFloat(state.power);
+                const conf = parseFloat(state.confidence) || 95;
+                const za = getZAlpha(conf, state.sided);
+                const zb = getZBeta(power);
+                const rate = dropoutPct(state.dropout) / 100;
+                const cluster = clusterDesign(state);
+
+                const C = fisherZ(r);
+                const C0 = fisherZ(r0);
+                const nBase = Math.ceil((Math.pow((za + zb) / (C - C0), 2) + 3) * (cluster ? cluster.deff : 1));
+                const n = inflateForDropout(nBase, rate);
+
+                let displayStr = `r=${formatNumber(r)} r₀=${formatNumber(r0)} C=${formatNumber(C, 4)} C₀=${formatNumber(C0, 4)}`;
+                displayStr += dropoutNote([rate, rate], n !== nBase ? { total: n, beforeDropout: { total: nBase } } : {});
+                if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                return {
+                    n: n,
+                    display: displayStr,
+                    table: null,
+                    derived: [
+                        { label: tr('C (Fisher z of r)'), value: formatNumber(C, 4) },
+                        { label: tr('C<sub>0</sub> (Fisher z of r<sub>0</sub>)'), value: formatNumber(C0, 4) },
+                        ...zSteps(za, zb, state.sided),
+                        ...clusterDerived(cluster, cluster ? [clustersFor(n, cluster)] : null)
+                    ],
+                    visualData: { n, rho: r, title: `r = ${formatNumber(r)}` }
+                };
+            }
+        },
+        'linear-regression': {
+            inputs: [
+                { id: 'effectInput', label: 'Specify Effect By', type: 'select', options: [{ value: 'r2', label: 'R² Increment' }, { value: 'slope', label: 'Single Slope' }], val: 'r2', desc: 'The R² the tested predictors add, or the slope of one predictor.' },
+                { id: 'r2Change', label: 'R² Increment (ΔR²)', type: 'number', min: 0.001, max: 0.99, step: 0.01, val: 0.05, desc: 'Extra variance explained by the tested predictors.', showIf: (state) => state.effectInput !== 'slope' },
+                { id: 'tested', label: 'Tested Predictors (u)', type: 'number', min: 1, integer: true, step: 1, val: 1, desc: 'Number of predictors whose joint contribution is tested.', showIf: (state) => state.effectInput !== 'slope' },
+                { id: 'slope', label: 'Slope (b)', type: 'number', step: 0.1, val: 0.5, desc: 'Expected change in outcome per unit of the predictor.', showIf: (state) => state.effectInput === 'slope' },
+                { id: 'sdX', label: 'SD of Predictor (σx)', type: 'number', min: 0.001, val: 1, desc: 'Standard deviation of the predictor.', showIf: (state) => state.effectInput === 'slope' },
+                { id: 'sdY', label: 'SD of Outcome (σy)', type: 'number', min: 0.001, val: 2, desc: 'Standard deviation of the outcome.', showIf: (state) => state.effectInput === 'slope' },
+                { id: 'covariates', label: 'Other Predictors in Model', type: 'number', min: 0, integer: true, step: 1, val: 0, desc: 'Covariates adjusted for but not tested.' },
+                { id: 'r2Other', label: 'R² of Other Predictors', type: 'number', min: 0, max: 0.99, step: 0.05, val: 0, desc: 'Variance the covariates already explain.' },
+                { id: 'power', label: 'Power (%)', type: 'range', min: 50, max: 99.5, step: 0.5, val: 80, desc: 'Probability of detecting a true effect (usually 80%).' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '1 - Alpha (usually 95%).' },
+                { id: 'dropout', label: 'Non-response Rate (%)', type: 'range', min: 0, max: 60, step: 1, val: 0, desc: 'Expected loss or missing data. N is inflated to N / (1 - rate).' },
+                ...clusterInputs()
+            ],
+            rules: [
+                { inputs: ['slope'], check: (state) => (parseFloat(state.slope) === 0 ? tr('A slope of 0 implies no effect. N is infinite.') : null) },
+                { inputs: ['r2Other'], check: (state) => (parseFloat(state.r2Other) + regressionR2Change(state) >= 1 ? tr('R² of the full model (other + increment) must be below 1.') : null) }
+            ],
+            get formulaStr() {
+                return `
+                <div style="font-size:0.9em; line-height:1.4">
+                    f<sup>2</sup> = &Delta;R<sup>2</sup> / (1 - R<sup>2</sup><sub>full</sub>)<br>
+                    ${tr('Smallest N with')} P[F'(u, N-k-1, f<sup>2</sup>N) &gt; F<sub>crit</sub>] &ge; 1-&beta;
+                </div>
+            `;
+            },
+            formulaSteps: `
+                <p><strong>&Delta;R<sup>2</sup></strong> = Variance explained by the tested predictors</p>
+                <p><strong>u, k</strong> = Tested and total predictors</p>
+                <p><strong>f<sup>2</sup></strong> = Cohen's effect size</p>
+                <p><strong>F'</strong> = Noncentral F with noncentrality f<sup>2</sup>N</p>
+            `,
+            interpretation: `
+                <p>Sample size for the F test that u predictors add to a multiple linear regression. Power comes from the exact noncentral F distribution, as in G*Power. A single slope b is converted to &Delta;R<sup>2</sup> = (b&sigma;<sub>x</sub>/&sigma;<sub>y</sub>)<sup>2</sup>.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    Cohen's benchmarks: f<sup>2</sup> = 0.02 small, 0.15 medium, 0.35 large.
+                </div>
+            `,
+            calc: (state) => {
+                const slopeMode = state.effectInput === 'slope';
+                const u = slopeMode ? 1 : Math.max(1, parseInt(state.tested) || 1);
+                const k = u + Math.max(0, parseInt(state.covariates) || 0);
+                const r2Other = parseFloat(state.r2Other) || 0;
+                const power = parseFloat(state.power);
+                const conf = parseFloat(state.confidence) || 95;
+                const alpha = (100 - conf) / 100;
+                const rate = dropoutPct(state.dropout) / 100;
+                const cluster = clusterDesign(state);
+
+                const r2Change = regressionR2Change(state);
+
+                // The F test runs on the effective (independent) N; a cluster design recruits DEFF times it
+                const f2 = r2Change / (1 - r2Other - r2Change);
+                const nEffective = regressionN(u, k, f2, alpha, power / 100);
+                if (nEffective === null) return calcError(tr('Effect too small: N exceeds 100,000.'), slopeMode ? ['slope'] : ['r2Change']);
+                const nBase = Math.ceil(nEffective * (cluster ? cluster.deff : 1));
+                const n = inflateForDropout(nBase, rate);
+                const fCrit = fCritical(alpha, u, nEffective - k - 1);
+
+                let displayStr = `f²=${formatNumber(f2, 4)} u=${formatNumber(u)} k=${formatNumber(k)} λ=${formatNumber(f2 * nEffective, 2)} F crit=${formatNumber(fCrit, 3)}`;
+                displayStr += dropoutNote([rate, rate], n !== nBase ? { total: n, beforeDropout: { total: nBase } } : {});
+                if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                return {
+                    n: n,
+                    display: displayStr,
+                    table: null,
+                    derived: [
+                        { label: '&Delta;R<sup>2</sup>', value: formatNumber(r2Change, 4) },
+                        { label: tr('f<sup>2</sup> (Effect Size)'), value: formatNumber(f2, 4) },
+                        { label: tr('Degrees of Freedom (u, N-k-1)'), value: `${u}, ${nEffective - k - 1}` },
+                        { label: tr('&lambda; (Noncentrality)'), value: formatNumber(f2 * nEffective, 3) },
+                        { label: 'F<sub>crit</sub>', value: formatNumber(fCrit, 4) },
+                        { label: tr('Achieved Power'), value: `${formatNumber(regressionPower(nEffective, u, k, f2, alpha) * 100, 1)}%` },
+                        ...clusterDerived(cluster, cluster ? [clustersFor(n, cluster)] : null),
+                        ...(cluster ? [{ label: tr('Effective N (after DEFF)'), value: formatNumber(nEffective) }] : [])
+                    ],
+                    // Scatter of the partial association: f² = ρ² / (1 - ρ²)
+                    visualData: { n, rho: Math.sqrt(f2 / (1 + f2)), title: tr('Partial r = {r}', { r: formatNumber(Math.sqrt(f2 / (1 + f2)), 2) }) }
+                };
+            }
+        },
+        'logistic-regression': {
+            inputs: [
+                { id: 'covariateType', label: 'Covariate of Interest', type: 'select', options: [{ value: 'continuous', label: 'Continuous' }, { value: 'binary', label: 'Binary' }], val: 'continuous', desc: 'Hsieh (1998) has a formula for each.' },
+                { id: 'pEvent', label: 'Event Rate at Mean of X (%)', type: 'range', min: 0.5, max: 99.5, step: 0.5, val: 10, desc: 'Outcome probability for a participant at the covariate mean.', showIf: (state) => state.covariateType !== 'binary' },
+                { id: 'p0', label: 'Event Rate when X = 0 (%)', type: 'range', min: 0.5, max: 99.5, step: 0.5, val: 10, desc: 'Outcome probability in the unexposed (X = 0).', showIf: (state) => state.covariateType === 'binary' },
+                { id: 'or', label: 'Odds Ratio (OR)', type: 'number', min: 0.01, step: 0.1, val: 1.5, desc: 'Per 1 SD increase of a continuous X, or for X = 1 vs X = 0.' },
+                { id: 'b', label: 'Proportion with X = 1 (%)', type: 'range', min: 1, max: 99, step: 1, val: 50, desc: 'Share of participants in the X = 1 group.', showIf: (state) => state.covariateType === 'binary' },
+                { id: 'rho2', label: 'R² of X with Other Covariates', type: 'number', min: 0, max: 0.95, step: 0.05, val: 0, desc: 'Multiple correlation of X with the other covariates. N is multiplied by the VIF, 1 / (1 - R²).' },
+                { id: 'power', label: 'Power (%)', type: 'range', min: 50, max: 99.5, step: 0.5, val: 80, desc: 'Probability of detecting a true effect (usually 80%).' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '1 - Alpha (usually 95%).' },
+                { id: 'sided', label: 'Hypothesis Test', type: 'select', options: [{ value: 'two', label: 'Two-sided' }, { value: 'one', label: 'One-sided' }], val: 'two', desc: 'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.' },
+                { id: 'dropout', label: 'Non-response Rate (%)', type: 'range', min: 0, max: 60, step: 1, val: 0, desc: 'Expected loss or missing data. N is inflated to N / (1 - rate).' },
+                ...clusterInputs()
+            ],
+            rules: [
+                { inputs: ['or'], check: (state) => (Math.abs(state.or - 1) < 0.001 ? tr('OR=1 implies no effect. N is infinite.') : null) }
+            ],
+            formulaStr: `
+                <div style="font-size:0.9em; line-height:1.4">
+                    N = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> / [P(1-P) &beta;<sup>2</sup>]<br>
+                    N<sub>adj</sub> = N / (1-&rho;<sup>2</sup>)
+                </div>
+            `,
+            formulaFor: (state) => {
+                if (state.covariateType !== 'binary') return MODES['logistic-regression'].formulaStr;
+                return `
+                <div style="font-size:0.8em; line-height:1.4">
+                    N = [Z<sub>α/2</sub>&radic;(P&#772;Q&#772;/B) + Z<sub>β</sub>&radic;(P<sub>0</sub>Q<sub>0</sub> + P<sub>1</sub>Q<sub>1</sub>(1-B)/B)]<sup>2</sup> / [(P<sub>0</sub>-P<sub>1</sub>)<sup>2</sup>(1-B)]<br>
+                    N<sub>adj</sub> = N / (1-&rho;<sup>2</sup>)
+                </div>
+            `;
+            },
+            formulaSteps: `
+                <p><strong>P</strong> = Event rate at the mean of X</p>
+                <p><strong>&beta;</strong> = ln(OR), the log odds ratio per SD (continuous) or for X = 1 (binary)</p>
+                <p><strong>B</strong> = Proportion with X = 1; P&#772; = (1-B)P<sub>0</sub> + BP<sub>1</sub></p>
+                <p><strong>&rho;<sup>2</sup></strong> = R<sup>2</sup> of X on the other covariates</p>
+            `,
+            interpretation: `
+                <p>Sample size to detect an odds ratio for one covariate in a logistic regression (Hsieh, Bloch &amp; Larsen 1998). Adjusting for other covariates correlated with X inflates the variance of &beta;, so N is multiplied by the variance inflation factor 1/(1-&rho;<sup>2</sup>).</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    The rule of thumb of at least 10 events per variable still applies; check the expected number of events.
+                </div>
+            `,
+            calc: (state) => {
+                const binary = state.covariateType === 'binary';
+                const OR = parseFloat(state.or);
+                const rho2 = parseFloat(state.rho2) || 0;
+                const power = parseFloat(state.power);
+                const conf = parseFloat(state.confidence) || 95;
+                const za = getZAlpha(conf, state.sided);
+                const zb = getZBeta(power);
+                const rate = dropoutPct(state.dropout) / 100;
+                const cluster = clusterDesign(state);
+
+                const vif = 1 / (1 - rho2);
+                let raw, pEvent, derived, groups;
+                if (binary) {
+                    const p0 = parseFloat(state.p0) / 100;
+                    const B = parseFloat(state.b) / 100;
+                    const res = hsiehBinaryN(p0, OR, B, za, zb);
+                    raw = res.n;
+                    pEvent = res.pBar;
+                    derived = [
+                        { label: tr('P<sub>1</sub> (Event Rate when X = 1)'), value: `${formatNumber(res.p1 * 100, 2)}%` },
+                        { label: tr('P&#772; (Overall Event Rate)'), value: `${formatNumber(res.pBar * 100, 2)}%` }
+                    ];
+                    groups = [B, 'X = 1', 'X = 0'];
+                } else {
+                    pEvent = parseFloat(state.pEvent) / 100;
+                    raw = hsiehContinuousN(pEvent, OR, za, zb);
+                    derived = [{ label: tr('&beta; (ln OR per SD)'), value: formatNumber(Math.log(OR), 4) }];
+                    groups = [pEvent, 'Events', 'No Event'];
+                }
+
+                const nBase = Math.ceil(raw * vif * (cluster ? cluster.deff : 1));
+                const n = inflateForDropout(nBase, rate);
+                const events = Math.round(nBase * pEvent);
+
+                let displayStr = `OR=${formatNumber(OR)} P=${formatNumber(pEvent, 3)} VIF=${formatNumber(vif, 2)} Events≈${formatNumber(events)}`;
+                displayStr += dropoutNote([rate, rate], n !== nBase ? { total: n, beforeDropout: { total: nBase } } : {});
+                if (cluster) displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+
+                return {
+                    n: n,
+                    display: displayStr,
+                    table: null,
+                    derived: [
+                        ...derived,
+                        { label: tr('N (Unadjusted)'), value: Math.ceil(raw) },
+                        { label: 'VIF = 1/(1-&rho;<sup>2</sup>)', value: formatNumber(vif, 3) },
+                        { label: tr('Expected Events'), value: events },
+                        ...zSteps(za, zb, state.sided),
+                        ...clusterDerived(cluster, cluster ? [clustersFor(n, cluster)] : null)
+                    ],
+                    visualData: {
+                        n1: Math.round(n * groups[0]),
+                        n2: n - Math.round(n * groups[0]),
+                        label1: groups[1],
+                        label2: groups[2]
+                    }
+                };
+            }
+        },
+        'diagnostic': {
+            inputs: [
+                { id: 'sensitivity', label: 'Expected Sensitivity (%)', type: 'range', min: 1, max: 99.5, step: 0.5, val: 90, desc: 'Proportion of diseased people the test detects.' },
+                { id: 'specificity', label: 'Expected Specificity (%)', type: 'range', min: 1, max: 99.5, step: 0.5, val: 85, desc: 'Proportion of non-diseased people the test clears.' },
+                { id: 'precision', label: 'Precision (±%) (D)', type: 'range', min: 1, max: 20, step: 0.5, val: 5, desc: 'Half-width of the confidence interval for sensitivity and specificity.' },
+                { id: 'prevalence', label: 'Disease Prevalence (%)', type: 'range', min: 0.5, max: 99, step: 0.5, val: 10, desc: 'Prevalence in the population being tested; sets how many must be recruited to find enough diseased.' },
+                { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 80, max: 99.9, step: 0.1, val: 95, desc: '1 - Alpha (usually 95%).' },
+                { id: 'compare', label: 'Compare Two Tests (Paired)?', type: 'checkbox', val: false, desc: 'Every participant gets both tests; sensitivities and specificities are compared with McNemar\'s test.' },
+                { id: 'sensitivity2', label: 'Sensitivity, Test 2 (%)', type: 'range', min: 1, max: 99.5, step: 0.5, val: 80, desc: 'Expected sensitivity of the comparator test.', showIf: (state) => state.compare },
+                { id: 'specificity2', label: 'Specificity, Test 2 (%)', type: 'range', min: 1, max: 99.5, step: 0.5, val: 75, desc: 'Expected specificity of the comparator test.', showIf: (state) => state.compare },
+                { id: 'power', label: 'Power (%)', type: 'range', min: 50, max: 99.5, step: 0.5, val: 80, desc: 'Probability of detecting the difference between tests.', showIf: (state) => state.compare },
+                { id: 'sided', label: 'Hypothesis Test', type: 'select', options: [{ value: 'two', label: 'Two-sided' }, { value: 'one', label: 'One-sided' }], val: 'two', desc: 'One-sided puts all of alpha in one tail (Zα instead of Zα/2). Use only when an effect in the other direction is of no interest.', showIf: (state) => state.compare },
+                { id: 'dropout', label: 'Non-response Rate (%)', type: 'range', min: 0, max: 60, step: 1, val: 0, desc: 'Expected loss or unverified results. N is inflated to N / (1 - rate).' },
+                ...clusterInputs()
+            ],
+            rules: [
+                {
+                    inputs: ['sensitivity', 'specificity', 'precision'],
+                    check: (state) => (parseFloat(state.precision) >= Math.min(state.sensitivity, 100 - state.sensitivity, state.specificity, 100 - state.specificity)
+                        ? tr('Precision (±{precision}) must be smaller than Se, Sp and their complements.', { precision: `${formatNumber(state.precision)}%` })
+                        : null)
+                },
+                {
+                    inputs: ['sensitivity2', 'specificity2'],
+                    check: (state) => (Math.abs(state.sensitivity - state.sensitivity2) < 0.1 && Math.abs(state.specificity - state.specificity2) < 0.1
+                        ? tr('Both tests have the same accuracy. N is infinite.')
+                        : null)
+                }
+            ],
+            formulaStr: `
+                <div style="font-size:0.9em; line-height:1.4">
+                    N<sub>Se</sub> = Z<sup>2</sup> Se(1-Se) / (D<sup>2</sup> &times; Prev)<br>
+                    N<sub>Sp</sub> = Z<sup>2</sup> Sp(1-Sp) / [D<sup>2</sup> &times; (1-Prev)]<br>
+                    N = max(N<sub>Se</sub>, N<sub>Sp</sub>)
+                </div>
+            `,
+            formulaFor: (state) => {
+                if (!state.compare) return MODES['diagnostic'].formulaStr;
+                return `
+                <div style="font-size:0.8em; line-height:1.4">
+                    ${tr('Diseased pairs:')} n = [Z<sub>α/2</sub>&radic;&psi; + Z<sub>β</sub>&radic;(&psi;-&Delta;<sup>2</sup>)]<sup>2</sup> / &Delta;<sup>2</sup><br>
+                    &psi; = Se<sub>1</sub>(1-Se<sub>2</sub>) + Se<sub>2</sub>(1-Se<sub>1</sub>), &Delta; = Se<sub>1</sub>-Se<sub>2</sub><br>
+                    N = n / Prev ${tr('(likewise for Sp with 1-Prev)')}
+                </div>
+            `;
+            },
+            formulaSteps: `
+                <p><strong>Se, Sp</strong> = Expected sensitivity and specificity</p>
+                <p><strong>D</strong> = Precision (half-width of the CI)</p>
+                <p><strong>Prev</strong> = Disease prevalence in the tested population</p>
+            `,
+            interpretation: `
+                <p>Sample size for a diagnostic accuracy study (Buderer 1996). Sensitivity is estimated only in the diseased and specificity only in the non-diseased, so each 4PQ/D<sup>2</sup>-type count is divided by the share of the population in that group. Recruit the larger of the two.</p>
+                <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
+                    The paired comparison applies McNemar's test (Connor 1987) within the diseased and within the non-diseased, assuming the two tests err independently given disease status.
+                </div>
+            `,
+            calc: (state) => {
+                const se = parseFloat(state.sensitivity) / 100;
+                const sp = parseFloat(state.specificity) / 100;
+                const D = parseFloat(state.precision) / 100;
+                const prev = parseFloat(state.prevalence) / 100;
+                const conf = parseFloat(state.confidence) || 95;
+                const z = getZAlpha(conf);
+                const rate = dropoutPct(state.dropout) / 100;
+                const cluster = clusterDesign(state);
+
+                // Each row: participants with the condition needed, then everyone to screen to find them
+                // (times the design effect when screening by cluster).
+                // detail is the translated template for that count, e.g. '{n} diseased'.
+                const row = (group, share, detail) => {
+                    const total = Math.ceil(group / share * (cluster ? cluster.deff : 1));
+                    const nFinal = inflateForDropout(total, rate);
+                    const entry = { value: formatCount(nFinal), detail: detail.replace('{n}', formatNumber(Math.ceil(group))), raw: nFinal };
+                    if (cluster) entry.detail += ` · ${tr('{n} clusters', { n: formatNumber(clustersFor(nFinal, cluster)) })}`;
+                    if (nFinal !== total) entry.beforeDropout = { total };
+                    return entry;
+                };
+                const nDiseased = z * z * se * (1 - se) / (D * D);
+                const nHealthy = z * z * sp * (1 - sp) / (D * D);
+                const table = {
+                    sensitivity: row(nDiseased, prev, tr('{n} diseased')),
+                    specificity: row(nHealthy, 1 - prev, tr('{n} non-diseased'))
+                };
+                const methodNames = [['sensitivity', tr('Sensitivity')], ['specificity', tr('Specificity')]];
+                const derived = [
+                    { label: 'Z<sub>α/2</sub>', value: formatNumber(z, 4) },
+                    { label: tr('Diseased for Se (TP + FN)'), value: Math.ceil(nDiseased) },
+                    { label: tr('Non-diseased for Sp (TN + FP)'), value: Math.ceil(nHealthy) }
+                ];
+
+                if (state.compare) {
+                    const se2 = parseFloat(state.sensitivity2) / 100;
+                    const sp2 = parseFloat(state.specificity2) / 100;
+                    const za = getZAlpha(conf, state.sided);
+                    const zb = getZBeta(parseFloat(state.power));
+                    // Discordant pairs under conditional independence of the two tests
+                    if (Math.abs(se - se2) >= 0.001) {
+                        table.compareSe = row(mcnemarPairs(se * (1 - se2), se2 * (1 - se), za, zb), prev, tr('{n} diseased pairs'));
+                        methodNames.push(['compareSe', tr('Compare Se (McNemar)')]);
+                    }
+                    if (Math.abs(sp - sp2) >= 0.001) {
+                        table.compareSp = row(mcnemarPairs(sp * (1 - sp2), sp2 * (1 - sp), za, zb), 1 - prev, tr('{n} non-diseased pairs'));
+                        methodNames.push(['compareSp', tr('Compare Sp (McNemar)')]);
+                    }
+                    if (state.sided === 'one') derived.push({ label: tr('Z<sub>α</sub> (One-sided)'), value: formatNumber(za, 4) });
+                    derived.push({ label: 'Z<sub>β</sub>', value: formatNumber(zb, 4) });
+                }
+
+                // The study must satisfy every requirement, so the largest row is the headline
+                const headlineMethod = methodNames.reduce((best, [key]) => (table[key].raw > table[best].raw ? key : best), methodNames[0][0]);
+                const headline = table[headlineMethod];
+                const diseased = Math.round(headline.raw * prev);
+
+                let displayStr = `Se=${formatNumber(se, 3)} Sp=${formatNumber(sp, 3)} D=${formatNumber(D, 3)} Prev=${formatNumber(prev, 3)} Z=${formatNumber(z, 3)}`;
+                displayStr += dropoutNote([rate, rate], { total: headline.raw, beforeDropout: headline.beforeDropout });
+                if (cluster) {
+                    derived.push(...clusterDerived(cluster, [clustersFor(headline.raw, cluster)]));
+                    displayStr += ` DEFF=${formatNumber(cluster.deff, 2)}`;
+                }
+
+                return {
+                    n: headline.raw,
+                    display: displayStr,
+                    table: table,
+                    methodNames: methodNames,
+                    headlineMethod: headlineMethod,
+                    tableLabel: tr('N to Recruit'),
+                    derived: derived,
+                    visualData: {
+                        n1: diseased,
+                        n2: headline.raw - diseased,
+                        label1: tr('Diseased'),
+                        label2: tr('Non-diseased')
+                    }
+                };
+            }
+        }
+    };
+
+    // --- Public API ---
+
+    // Defaults for the mode, overridden by any known input ids in values
+    function stateWithDefaults(mode, values) {
+        const state = {};
+        MODES[mode].inputs.forEach(input => {
+            state[input.id] = values && input.id in values ? values[input.id] : input.val;
+        });
+        return state;
+    }
+
+    // The values a design can take from raw { id: value } pairs (a link's strings or a library
+    // file's JSON): unknown ids and values that do not fit their input are dropped
+    function knownInputValues(mode, raw) {
+        const values = {};
+        MODES[mode].inputs.forEach(input => {
+            if (raw[input.id] === undefined || raw[input.id] === null) return;
+            const value = inputValue(input, raw[input.id]);
+            if (value !== undefined) values[input.id] = value;
+        });
+        return values;
+    }
+
+    function inputValue(input, raw) {
+        if (input.type === 'checkbox') return raw === true || raw === 1 || raw === '1' || raw === 'true';
+        if (input.type === 'select') return input.options.some(opt => opt.value === raw) ? raw : undefined;
+        if (input.type === 'strata') return parseStrata(Array.isArray(raw) ? raw.filter(row => row && typeof row === 'object') : String(raw));
+        if (typeof raw === 'boolean') return raw; // dropout saved when it was a checkbox (see dropoutPct)
+        const num = typeof raw === 'number' ? raw : parseFloat(raw);
+        return Number.isFinite(num) ? num : undefined;
+    }
+
+    // The scenarios of an exported library file ({ scenarios: [...] } or a bare list) as
+    // [{ name, mode, inputs, savedAt }]. Files are shared, so untrusted: entries for unknown
+    // designs are skipped and each keeps only valid values for its design's inputs; a missing
+    // name or savedAt is null. Throws when the file holds no scenario list.
+    function libraryScenarios(payload) {
+        const incoming = Array.isArray(payload) ? payload : payload && payload.scenarios;
+        if (!Array.isArray(incoming)) throw new Error(tr('No scenarios found in file.'));
+        return incoming.filter(sc => sc && isDesign(sc.mode) && sc.inputs && typeof sc.inputs === 'object').map(sc => ({
+            name: sc.name ? String(sc.name) : null,
+            mode: sc.mode,
+            inputs: knownInputValues(sc.mode, sc.inputs),
+            savedAt: sc.savedAt ? String(sc.savedAt) : null
+        }));
+    }
+
+    // The methods-table row behind the headline number: the result's headlineMethod, else the
+    // first row (Kelsey for the two-proportion designs). [key, name], or null without a table.
+    function headlineMethod(result) {
+        if (!result.table) return null;
+        return tableMethods(result).find(([key]) => key === result.headlineMethod) || tableMethods(result)[0];
+    }
+
+    // One method's sizes from a result: { n1, n2, total } for group designs, { total } for
+    // single-number rows and designs without a table, or { error }
+    function methodSizes(result, method) {
+        if (result.error) return { error: result.error.message };
+        if (!result.table) return { total: typeof result.n === 'number' ? result.n : null };
+        const row = result.table[method] || result.table[headlineMethod(result)[0]];
+        if (row.value !== undefined) return { total: row.raw };
+        return { n1: row.n1, n2: row.n2, total: row.total };
+    }
+
+    // Required N for every combination of values of up to three inputs, the rest of state held
+    // fixed: axes is [{ id, values }], method a methods-table key (default: the headline one).
+    // Returns one cell per combination, first axis slowest: { values, n1?, n2?, total?, error? }
+    function parameterGrid(mode, state, axes, method) {
+        const base = 'solveFor' in state ? { ...state, solveFor: 'n' } : { ...state };
+        let combos = [[]];
+        axes.forEach(axis => { combos = combos.flatMap(combo => axis.values.map(value => [...combo, value])); });
+        return combos.map(values => {
+            const cellState = { ...base };
+            axes.forEach((axis, i) => { cellState[axis.id] = values[i]; });
+            return { values, ...methodSizes(evaluate(mode, cellState), method) };
+        });
+    }
+
+    // --- Recruitment Timeline ---
+    // How long enrolling a result's N takes. Enrolment is steady at a rate per site per month;
+    // to enrol one participant, screenRatio people are screened per eligible one and only
+    // consent % of the eligible agree.
+    const RECRUITMENT_INPUTS = [
+        { id: 'screenRatio', label: 'Screened per Eligible', type: 'number', min: 1, val: 3, desc: 'People screened to find one eligible participant (3 means 1 in 3 is eligible).' },
+        { id: 'consent', label: 'Consent Rate (%)', type: 'number', above: 0, max: 100, val: 70, desc: 'Share of eligible people who agree to take part.' },
+        { id: 'perSite', label: 'Enrolled per Site per Month', type: 'number', above: 0, val: 4, desc: 'Participants each site enrols in a month.' },
+        { id: 'sites', label: 'Sites', type: 'number', min: 1, integer: true, val: 5, desc: 'Recruiting sites, all enrolling from month 0.' }
+    ];
+
+    // Participants to enrol for a result: the headline method's total after any dropout
+    // inflation (every case and control for matched sets), or null when there is no N
+    function recruitmentTarget(result, state) {
+        if (result.error || state.solveFor === 'power' || state.solveFor === 'effect') return null;
+        if (result.participants !== undefined) return result.participants;
+        const method = headlineMethod(result);
+        const { total } = methodSizes(result, method && method[0]);
+        return Number.isFinite(total) ? total : null;
+    }
+
+    // Points on the enrolment curve at most, so a very slow rate cannot build a huge array
+    const RECRUITMENT_CURVE_POINTS = 120;
+
+    // Screening and enrolment for n participants: { eligible, screened, perMonth,
+    // screenedPerMonth, months, step, curve } where curve holds [month, enrolled] at the end of
+    // every step months (1 unless enrolment outlasts RECRUITMENT_CURVE_POINTS months) and at
+    // full enrolment, or { error } as for a mode's inputs
+    function recruitmentPlan(n, settings) {
+        const errors = validateInputs({ inputs: RECRUITMENT_INPUTS }, settings);
+        if (errors.length) return { error: errorResult(errors).error };
+
+        const consent = parseFloat(settings.consent) / 100;
+        const screenRatio = parseFloat(settings.screenRatio);
+        const perMonth = parseFloat(settings.perSite) * parseFloat(settings.sites);
+        const eligible = Math.ceil(n / consent);
+        const months = n / perMonth;
+        const last = Math.ceil(months);
+        const step = Math.max(1, Math.ceil(last / RECRUITMENT_CURVE_POINTS));
+        const curve = [];
+        for (let m = 0; m < last; m += step) curve.push([m, m * perMonth]);
+        curve.push([last, n]);
+
+        return {
+            n,
+            eligible,
+            screened: Math.ceil(eligible * screenRatio),
+            perMonth,
+            screenedPerMonth: perMonth / consent * screenRatio,
+            months,
+            step,
+            curve
+        };
+    }
+
+    const HTML_ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', ge: '≥', le: '≤', times: '×', middot: '·', frac12: '½', radic: '√',
+        alpha: 'α', beta: 'β', delta: 'δ', Delta: 'Δ', lambda: 'λ', mu: 'μ', phi: 'φ', Phi: 'Φ',
+        psi: 'ψ', rho: 'ρ', sigma: 'σ', Sigma: 'Σ'
+    };
+
+    // Plain text of the label HTML used in results, e.g. 'Z<sub>α/2</sub>' -> 'Zα/2'
+    function plainText(html) {
+        return String(html)
+            .replace(/<sup>2<\/sup>/g, '²')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(code))
+            .replace(/&(\w+);/g, (m, name) => HTML_ENTITIES[name] ?? m)
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Option names accepted on top of each design's input ids
+    const DESIGN_ALIASES = {
+        'case-control': { p0: 'p_controls' },
+        'matched-case-control': { p0: 'p_controls' },
+        cohort: { p1: 'p_exposed', p2: 'p_unexposed' }
+    };
+
+    function designs() {
+        return Object.keys(MODES);
+    }
+
+    // Whether name is a design of MODES (not a key inherited from Object, such as 'constructor')
+    function isDesign(name) {
+        return typeof name === 'string' && Object.hasOwn(MODES, name);
+    }
+
+    const LIMIT_KEYS = ['min', 'max', 'above', 'below', 'integer'];
+
+    // Inputs a design accepts, with the calculator's defaults and limits:
+    // [{ id, label, type, default, options?, min?, max?, above?, below?, integer? }]
+    function describeDesign(design) {
+        if (!isDesign(design)) throw new Error(`Unknown design "${design}". Expected one of: ${designs().join(', ')}`);
+        return MODES[design].inputs.map(input => {
+            const spec = { id: input.id, label: input.label, type: input.type, default: input.val };
+            if (input.options) spec.options = input.options.map(opt => opt.value);
+            LIMIT_KEYS.forEach(key => { if (input[key] !== undefined) spec[key] = input[key]; });
+            return spec;
+        });
+    }
+
+    /**
+     * Sample size (or achieved power / detectable effect) for one design.
+     *
+     * options.design names an entry of MODES (see designs()); the other keys are that design's
+     * input ids (see describeDesign) in the calculator's units: percentages for proportions,
+     * power and confidence, so p1: 9.5 means 9.5%. alpha (e.g. 0.05) may be given instead of
+     * confidence. Cohort takes p1/p2 for p_exposed/p_unexposed and the case-control designs p0
+     * for p_controls (see DESIGN_ALIASES). Omitted inputs take the calculator's defaults.
+     *
+     * Returns { design, inputs, metric, value, n, headlineMethod, methods, derived, summary, error, errors }:
+     *   value    the headline number (N, power % or detectable effect), null on error
+     *   n        value when solving for the sample size, otherwise null
+     *   methods  one entry per method: { id, name, n1, n2, total, beforeDropout?, clusters?, events? }
+     *            when the rows are group sizes, or { id, name, value, text, detail? } otherwise
+     *   derived  intermediate quantities as { label, value }
+     *   error    why the inputs have no answer (e.g. OR = 1), else null
+     *   errors   every problem found, as { inputs: [ids], message }; empty when error is null
+     * Throws on an unknown design.
+     */
+    function sampleSize(options) {
+        const { design, alpha, ...rest } = options || {};
+        if (!isDesign(design)) throw new Error(`Unknown design "${design}". Expected one of: ${designs().join(', ')}`);
+
+        const values = {};
+        const aliases = DESIGN_ALIASES[design] || {};
+        Object.entries(rest).forEach(([key, val]) => { values[aliases[key] || key] = val; });
+        if (alpha !== undefined) values.confidence = (1 - alpha) * 100;
+
+        const inputs = stateWithDefaults(design, values);
+        const result = evaluate(design, inputs);
+        const reverse = inputs.solveFor === 'power' || inputs.solveFor === 'effect';
+        const error = result.error ? result.error.message : null;
+
+        let methods = [];
+        let value = null;
+        if (!error && result.table) {
+            methods = tableMethods(result).map(([id, name]) => {
+                const row = result.table[id];
+                if (row.value === undefined) return { id, name, ...row };
+                return { id, name, value: row.raw, text: row.value, ...(row.detail ? { detail: plainText(row.detail) } : {}) };
+            });
+            const [key] = headlineMethod(result);
+            value = result.table[key].raw ?? result.table[key].total ?? null;
+        } else if (!error) {
+            value = typeof result.raw === 'number' ? result.raw : (typeof result.n === 'number' ? result.n : null);
+        }
+
+        return {
+            design,
+            inputs,
+            metric: result.metricLabel || 'Sample Size (N)',
+            value,
+            n: reverse ? null : value,
+            headlineMethod: result.table && !error ? headlineMethod(result)[0] : null,
+            methods,
+            derived: (result.derived || []).map(item => ({ label: plainText(item.label), value: item.value })),
+            summary: result.display,
+            error,
+            errors: result.error ? result.error.fields.map(({ inputs: ids, message }) => ({ inputs: ids, message })) : []
+        };
+    }
+
+    return {
+        sampleSize,
+        designs,
+        isDesign,
+        describeDesign,
+        DESIGN_ALIASES,
+        evaluate,
+        validateInputs,
+        parameterGrid,
+        RECRUITMENT_INPUTS,
+        recruitmentTarget,
+        recruitmentPlan,
+        stateWithDefaults,
+        knownInputValues,
+        libraryScenarios,
+        headlineMethod,
+        tableMethods,
+        plainText,
+        setLocale,
+        tr,
+        modeText,
+        formatNumber,
+        formatCount,
+        parseNumber,
+        MODES,
+        METHOD_NAMES,
+        normInv,
+        normCdf,
+        getZAlpha,
+        getZBeta,
+        lnGamma,
+        betaInc,
+        betaInv,
+        seededRandom,
+        prevalencePrecision,
+        cochranFpc,
+        parseStrata,
+        strataText,
+        escapeHtml,
+        calculateAdvanced,
+        advancedPower
+    };
+}));
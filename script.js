@@ -2,467 +2,44 @@
 const studySelector = document.getElementById('study-type');
 const controlsContainer = document.getElementById('controls-container');
 const nValueDisplay = document.getElementById('n-value');
+const nLabelDisplay = document.getElementById('n-label');
+const nAnnouncer = document.getElementById('n-announcer');
 const formulaDisplay = document.getElementById('formula-display');
 const dynamicParamsDisplay = document.getElementById('dynamic-params');
 const formulaStepsContent = document.getElementById('formula-steps-content');
 const interpretationContent = document.getElementById('interpretation-content');
 const bgCanvas = document.getElementById('bg-canvas');
 const sampleCanvas = document.getElementById('sample-canvas');
+const viewSwitcher = document.getElementById('view-switcher');
+const visualSummary = document.getElementById('visual-summary');
+const visualTable = document.getElementById('visual-table');
+const copyLinkBtn = document.getElementById('copy-link');
+const exportBar = document.getElementById('export-bar');
+const scenarioNameInput = document.getElementById('scenario-name');
+const scenarioList = document.getElementById('scenario-list');
+const scenarioCompare = document.getElementById('scenario-compare');
+const simulationStatus = document.getElementById('simulation-status');
+const simulationProgress = document.getElementById('simulation-progress');
+const simulationResults = document.getElementById('simulation-results');
+const simulationRunBtn = document.getElementById('simulation-run');
+const gridMethodSelect = document.getElementById('grid-method');
+const gridStatus = document.getElementById('grid-status');
+const gridOutput = document.getElementById('grid-output');
+const gridCopyMarkdownBtn = document.getElementById('grid-copy-markdown');
+const gridCopyCsvBtn = document.getElementById('grid-copy-csv');
+const languageSelect = document.getElementById('language');
+const recruitmentInputs = document.getElementById('recruitment-inputs');
+const recruitmentSummary = document.getElementById('recruitment-summary');
+const recruitmentResults = document.getElementById('recruitment-results');
+const recruitmentCanvas = document.getElementById('recruitment-canvas');
 
 // State
 let currentMode = 'prevalence';
 let inputsState = {};
 
-// Z-score constants
-const Z_ALPHA = 1.96; // Default
-const Z_MAP = {
-    80: 0.842, 81: 0.878, 82: 0.915, 83: 0.954, 84: 0.994,
-    85: 1.036, 86: 1.080, 87: 1.126, 88: 1.175, 89: 1.227,
-    90: 1.282, 91: 1.341, 92: 1.405, 93: 1.476, 94: 1.555,
-    95: 1.645, 96: 1.751, 97: 1.881, 98: 2.054, 99: 2.326
-};
-
-const Z_ALPHA_MAP = {
-    90: 1.645,
-    95: 1.96,
-    98: 2.326,
-    99: 2.576
-};
-
-function getZBeta(p) {
-    // Return exact match or default to 80% if out of range (though UI constrains it)
-    return Z_MAP[p] || 0.842;
-}
-
-function getZAlpha(c) {
-    // Exact match
-    if (Z_ALPHA_MAP[c]) return Z_ALPHA_MAP[c];
-    // Range approx
-    if (c < 95) return 1.645; // 90%
-    if (c < 98) return 1.96;  // 95%
-    if (c < 99) return 2.326; // 98%
-    return 2.576;             // 99%
-}
-
-// --- Advanced Sample Size Helpers ---
-function calculateAdvanced(p1, p2, ratio, alpha, beta, dropout) {
-    const r = parseFloat(ratio) || 1;
-    const za = getZAlpha((1 - alpha) * 100);
-    const zb = getZBeta((1 - beta) * 100);
-
-    const p_avg = (p1 + r * p2) / (1 + r);
-    const p1_q1 = p1 * (1 - p1);
-    const p2_q2 = p2 * (1 - p2);
-    const p_avg_q_avg = p_avg * (1 - p_avg);
-
-    // KELSEY
-    // N_exposed = ((Za + Zb)^2 * P_avg * (1-P_avg) * (r+1)) / (r * (P1-P2)^2)
-    // Note: Some sources use slightly different variance terms, but this is the standard Kelsey approximation.
-    // However, OpenEpi uses:
-    // n1 = ( (Za+Zb)^2 * p_avg * (1-p_avg) * (r+1) ) / ( r * (p1-p2)^2 )
-    const kelsey_num = Math.pow(za + zb, 2) * p_avg_q_avg * (r + 1);
-    const kelsey_den = r * Math.pow(p1 - p2, 2);
-    let n1_kelsey = Math.ceil(kelsey_num / kelsey_den);
-
-    // FLEISS
-    // OpenEpi / Fleiss with Levin's modification
-    // n1 = ( Za * sqrt((r+1) * p_avg * (1-p_avg)) + Zb * sqrt(r * p1 * (1-p1) + p2 * (1-p2)) )^2 / (r * (p1-p2)^2)
-    const term1 = za * Math.sqrt((r + 1) * p_avg_q_avg);
-    const term2 = zb * Math.sqrt((r * p1_q1) + p2_q2);
-    const fleiss_num = Math.pow(term1 + term2, 2);
-    const fleiss_den = r * Math.pow(p1 - p2, 2);
-    let n1_fleiss = Math.ceil(fleiss_num / fleiss_den);
-
-    // FLEISS WITH CONTINUITY CORRECTION (CC)
-    // Non-iterative approximation
-    // n1_cc = (n1_fleiss / 4) * (1 + sqrt(1 + (2*(r+1)) / (n1_fleiss * r * |p1-p2|)))^2
-    const n1_uncorrected = fleiss_num / fleiss_den; // Using unrounded for intermediate step
-    const cc_term = 2 * (r + 1) / (n1_uncorrected * r * Math.abs(p1 - p2));
-    const n1_cc = (n1_uncorrected / 4) * Math.pow(1 + Math.sqrt(1 + cc_term), 2);
-    let n1_fleiss_cc = Math.ceil(n1_cc);
-
-    // Apply Dropout
-    if (dropout) {
-        n1_kelsey = Math.ceil(n1_kelsey / 0.9);
-        n1_fleiss = Math.ceil(n1_fleiss / 0.9);
-        n1_fleiss_cc = Math.ceil(n1_fleiss_cc / 0.9);
-    }
-
-    return {
-        kelsey: { n1: n1_kelsey, n2: Math.ceil(n1_kelsey * r), total: n1_kelsey + Math.ceil(n1_kelsey * r) },
-        fleiss: { n1: n1_fleiss, n2: Math.ceil(n1_fleiss * r), total: n1_fleiss + Math.ceil(n1_fleiss * r) },
-        fleiss_cc: { n1: n1_fleiss_cc, n2: Math.ceil(n1_fleiss_cc * r), total: n1_fleiss_cc + Math.ceil(n1_fleiss_cc * r) }
-    };
-}
-
-// Mode Configurations
-const MODES = {
-    'prevalence': {
-        inputs: [
-            { id: 'prevalence', label: 'Prevalence (P) %', type: 'range', min: 1, max: 99, val: 50, desc: 'Expected proportion of the disease/condition.' },
-            { id: 'precision', label: 'Precision (D) %', type: 'range', min: 1, max: 20, val: 5, desc: 'Acceptable error margin (absolute precision).' },
-            { id: 'fpc', label: "Cochran's Formula with Finite Population Correction (FPC)?", type: 'checkbox', val: false, desc: 'Use when the total population is small or known.' },
-            { id: 'dropout', label: 'Add 10% for Non-response?', type: 'checkbox', val: false, desc: 'Increases sample size to account for 10% dropout (N / 0.9).' },
-            { id: 'popSize', label: 'Population Size (N)', type: 'number', val: 1000, desc: 'Total population size.', hidden: true }
-        ],
-        formulaStr: 'N = 4PQ / D<sup>2</sup>',
-        formulaSteps: `
-            <p>1. <strong>N</strong> = Sample Size</p>
-            <p>2. <strong>P</strong> = Prevalence (as decimal)</p>
-            <p>3. <strong>Q</strong> = 1 - P</p>
-            <p>4. <strong>D</strong> = Precision (as decimal)</p>
-            <p>5. <strong>4</strong> = Constant for 95% Confidence (approx 1.96² ≈ 4)</p>
-        `,
-        interpretation: `
-            <p>This formula determines the minimum number of participants needed to estimate a population prevalence with a specified level of precision and confidence (usually 95%).</p>
-        `,
-        calc: (state) => {
-            const P = state.prevalence / 100;
-            const Q = 1 - P;
-            const D = state.precision / 100;
-            let n = (4 * P * Q) / (D * D);
-
-            if (state.fpc && state.popSize > 0) {
-                const pop = parseInt(state.popSize);
-                n = n / (1 + (n / pop));
-            }
-
-            // Dropout Correction
-            if (state.dropout) {
-                n = n / 0.9;
-            }
-
-            let displayStr = `P=${P.toFixed(2)} Q=${Q.toFixed(2)} D=${D.toFixed(2)}`;
-            if (state.dropout) displayStr += " (Incl. 10% Dropout)";
-
-            return {
-                n: Math.ceil(n),
-                display: displayStr,
-                visualData: null // prevalence uses its own specific renderer
-            };
-        }
-    },
-    'case-control': {
-        inputs: [
-            { id: 'p_controls', label: '% Exposed in Controls', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 30, desc: 'Proportion of controls exposed to the risk factor.' },
-            { id: 'or', label: 'Odds Ratio (OR)', type: 'number', val: 2.0, desc: 'Minimum odds ratio you want to detect.' },
-            { id: 'power', label: 'Power (%)', type: 'range', min: 80, max: 99, val: 80, desc: 'Probability of detecting a true effect (usually 80%).' },
-            { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 90, max: 99, val: 95, desc: '1 - Alpha (usually 95%).' },
-            { id: 'ratio', label: 'Control to Case Ratio (r)', type: 'number', val: 1, desc: 'Number of controls per case (usually 1).' },
-            { id: 'dropout', label: 'Add 10% for Non-response?', type: 'checkbox', val: false, desc: 'Increases sample size to account for 10% dropout.' }
-        ],
-        formulaStr: `
-            <div style="font-size:0.9em; line-height:1.4">
-                <strong>Kelsey Formula (Main):</strong><br>
-                N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
-                <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
-                    (See Interpretation regarding Fleiss & Fleiss CC methods)
-                </div>
-            </div>
-        `,
-        formulaSteps: `
-            <p><strong>P<sub>1</sub></strong> = % Exposed in Cases (Calculated from OR)</p>
-            <p><strong>P<sub>2</sub></strong> = % Exposed in Controls (User Input)</p>
-            <p><strong>r</strong> = Ratio (Controls / Cases)</p>
-            <p>Calculates Sample Size using:</p>
-            <ul>
-                <li><strong>Kelsey</strong>: Standard approximation</li>
-                <li><strong>Fleiss</strong>: With Levin's modification</li>
-                <li><strong>Fleiss CC</strong>: With Continuity Correction</li>
-            </ul>
-        `,
-        interpretation: `
-            <p>Comparative sample sizes for Case-Control studies. Essential for retrospective studies recruited based on outcome.</p>
-            <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
-                <strong>Formulas Used:</strong><br>
-                <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
-                <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
-                *N<sub>Fleiss,CC</sub> applies continuity correction to N<sub>Fleiss</sub>
-            </div>
-        `,
-        calc: (state) => {
-            const P0 = parseFloat(state.p_controls) / 100;
-            const OR = parseFloat(state.or);
-            const r = parseFloat(state.ratio) || 1;
-            const power = parseInt(state.power);
-            const conf = parseInt(state.confidence) || 95;
-            const alpha = (100 - conf) / 100;
-            const beta = (100 - power) / 100;
-
-            // Floating point safety for OR=1
-            if (Math.abs(OR - 1) < 0.001) {
-                return { n: 0, display: 'OR=1 implies no effect. N is infinite.', table: null };
-            }
-
-            // Calc P1 (Percent Exposed in Cases) based on OR
-            let P1 = (OR * P0) / (1 + P0 * (OR - 1));
-
-            // Safety Cap for P1
-            if (P1 > 0.999) {
-                return { n: 'Error', display: 'Impossible inputs: P1 > 100%. Lower Baseline or OR.', table: null };
-            }
-
-            // Case-Control Mapping for calculateAdvanced(p1, p2, r...)
-            // Standard Formula typically:
-            // n1 = number of CASES
-            // n2 = number of CONTROLS = r * n1
-            // p1 = Proportion exposed in CASES
-            // p2 = Proportion exposed in CONTROLS
-            //
-            // calculateAdvanced(p1, p2, ratio...)
-            // Returns { n1, n2 ... } where n2 = n1*ratio.
-            // So if we pass p1=P_cases, p2=P_controls, ratio=Controls/Cases
-            // Then n1 = Cases, n2 = Controls.
-
-            const results = calculateAdvanced(P1, P0, r, alpha, beta, state.dropout);
-
-            let displayStr = `P_cases=${(P1 * 100).toFixed(2)}% P_controls=${(P0 * 100).toFixed(2)}% OR=${OR}`;
-            if (state.dropout) displayStr += " (Incl. 10% Dropout)";
-
-            return {
-                n: results.fleiss.total,
-                display: displayStr,
-                table: results,
-                visualData: {
-                    n1: results.fleiss.n2, // Controls (Group 2 in helper)
-                    n2: results.fleiss.n1, // Cases (Group 1 in helper)
-                    label1: 'Controls',
-                    label2: 'Cases'
-                }
-            };
-        }
-    },
-    'cohort': {
-        inputs: [
-            { id: 'p_unexposed', label: '% Unexposed with Outcome', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 5, desc: 'Baseline risk in unexposed group (P2).' },
-            { id: 'p_exposed', label: '% Exposed with Outcome', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 9.5, desc: 'Risk in exposed group (P1).' },
-            { id: 'power', label: 'Power (%)', type: 'range', min: 80, max: 99, val: 80, desc: 'Probability of detecting a true effect.' },
-            { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 90, max: 99, val: 95, desc: '1 - Alpha (usually 95%).' },
-            { id: 'ratio', label: 'Unexposed to Exposed Ratio (r)', type: 'number', val: 1, desc: 'Number of unexposed per exposed (usually 1).' },
-            { id: 'dropout', label: 'Add 10% for Non-response?', type: 'checkbox', val: false, desc: 'Increases sample size to account for 10% dropout.' }
-        ],
-        formulaStr: `
-            <div style="font-size:0.9em; line-height:1.4">
-                <strong>Kelsey Formula (Main):</strong><br>
-                N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
-                <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
-                    (See Interpretation regarding Fleiss & Fleiss CC methods)
-                </div>
-            </div>
-        `,
-        formulaSteps: `
-            <p><strong>P<sub>1</sub></strong> = % Exposed with Outcome</p>
-            <p><strong>P<sub>2</sub></strong> = % Unexposed with Outcome</p>
-            <p><strong>r</strong> = Ratio (Unexposed / Exposed)</p>
-            <p>Calculates Sample Size using:</p>
-            <ul>
-                <li><strong>Kelsey</strong>: Standard approximation</li>
-                <li><strong>Fleiss</strong>: With Levin's modification</li>
-                <li><strong>Fleiss CC</strong>: With Continuity Correction</li>
-            </ul>
-        `,
-        interpretation: `
-            <p>Provides comparative sample sizes using three common methods. Fleiss with Continuity Correction is the most conservative (largest sample size).</p>
-            <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
-                <strong>Formulas Used:</strong><br>
-                <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
-                <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
-                *N<sub>Fleiss,CC</sub> applies continuity correction to N<sub>Fleiss</sub>
-            </div>
-        `,
-        calc: (state) => {
-            const P2 = parseFloat(state.p_unexposed) / 100; // Unexposed
-            const P1 = parseFloat(state.p_exposed) / 100;   // Exposed
-
-            // Auto-calculate RR/OR etc for display if needed, but primarily we use the raw proportions
-            const RR = (P2 > 0) ? (P1 / P2) : 0;
-            const RD = (P1 - P2) * 100;
-
-            const r = parseFloat(state.ratio) || 1;
-            const power = parseInt(state.power);
-            const conf = parseInt(state.confidence) || 95;
-            const alpha = (100 - conf) / 100;
-            const beta = (100 - power) / 100;
-
-            if (Math.abs(P1 - P2) < 0.0001) {
-                return { n: 'Error', display: 'P1 and P2 cannot be equal.', table: null };
-            }
-
-            const results = calculateAdvanced(P1, P2, r, alpha, beta, state.dropout);
-
-            let displayStr = `P1=${(P1 * 100).toFixed(2)}% P2=${(P2 * 100).toFixed(2)}% RR=${RR.toFixed(2)} RD=${RD.toFixed(2)}%`;
-            if (state.dropout) displayStr += " (Incl. 10% Dropout)";
-
-            return {
-                n: results.fleiss.total, // Default to Fleiss for big display
-                display: displayStr,
-                table: results,
-                visualData: {
-                    n1: results.fleiss.n2, // Unexposed (Group 2)
-                    n2: results.fleiss.n1, // Exposed (Group 1)
-                    label1: 'Unexposed',
-                    label2: 'Exposed'
-                }
-            };
-        }
-    },
-    'rct': {
-        inputs: [
-            { id: 'p1', label: 'Prop. Group 1 (%)', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 50, desc: 'Anticipated outcome in Control Group (e.g., Unexposed).' },
-            { id: 'p2', label: 'Prop. Group 2 (%)', type: 'range', min: 0.1, max: 99.9, step: 0.1, val: 40, desc: 'Anticipated outcome in Treatment Group (e.g., Exposed).' },
-            { id: 'power', label: 'Power (%)', type: 'range', min: 80, max: 99, val: 80, desc: '' },
-            { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 90, max: 99, val: 95, desc: '' },
-            { id: 'ratio', label: 'Group Ratio (N1/N2) (r)', type: 'number', val: 1, desc: '' },
-            { id: 'dropout', label: 'Add 10% for Non-response?', type: 'checkbox', val: false, desc: '' }
-        ],
-        formulaStr: `
-            <div style="font-size:0.9em; line-height:1.4">
-                <strong>Kelsey Formula (Main):</strong><br>
-                N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
-                <div style="font-size:0.8em; margin-top:5px; opacity:0.8">
-                    (See Interpretation regarding Fleiss & Fleiss CC methods)
-                </div>
-            </div>
-        `,
-        formulaSteps: `
-            <p><strong>P<sub>1</sub></strong> = Prop. Group 1 (Control)</p>
-            <p><strong>P<sub>2</sub></strong> = Prop. Group 2 (Treatment)</p>
-            <p><strong>r</strong> = Ratio (Group 1 / Group 2)</p>
-            <p>Calculates Sample Size using:</p>
-            <ul>
-                <li><strong>Kelsey</strong>: Standard approximation</li>
-                <li><strong>Fleiss</strong>: With Levin's modification</li>
-                <li><strong>Fleiss CC</strong>: With Continuity Correction</li>
-            </ul>
-        `,
-        interpretation: `
-            <p>Standard calculation for Randomized Controlled Trials comparing binary outcomes. Fleiss CC is recommended for conservative estimates.</p>
-            <div style="font-size:0.85em; margin-top:10px; border-top:1px solid rgba(255,255,255,0.2); padding-top:5px;">
-                <strong>Formulas Used:</strong><br>
-                <strong>Kelsey:</strong> N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> P(1-P)(r+1) / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
-                <strong>Fleiss:</strong> N<sub>1</sub> = [Z<sub>α/2</sub>&radic;((r+1)P(1-P)) + Z<sub>β</sub>&radic;(rP<sub>1</sub>(1-P<sub>1</sub>)+P<sub>2</sub>(1-P<sub>2</sub>))]<sup>2</sup> / [r(P<sub>1</sub>-P<sub>2</sub>)<sup>2</sup>]<br>
-                *N<sub>Fleiss,CC</sub> applies continuity correction to N<sub>Fleiss</sub>
-            </div>
-        `,
-        calc: (state) => {
-            const P1 = parseFloat(state.p1) / 100; // Control / Group 1
-            const P2 = parseFloat(state.p2) / 100; // Treatment / Group 2
-            const r = parseFloat(state.ratio) || 1;
-            const power = parseInt(state.power);
-            const conf = parseInt(state.confidence) || 95;
-            const alpha = (100 - conf) / 100;
-            const beta = (100 - power) / 100;
-
-            if (Math.abs(P1 - P2) < 0.0001) {
-                return { n: 'Error', display: 'P1 and P2 cannot be equal.', table: null };
-            }
-
-            // We pass P2 (Treatment/Exposed) as p1, and P1 (Control/Unexposed) as p2 to match our helper's logic
-            // Helper assumes p1=Exposed, p2=Unexposed for variance naming, but mathematically symmetric except for r
-            // If r = N1/N2 (Control/Treatment). 
-            // In helper: r = ratio argument. 
-            // Helper logic: p_avg = (p1 + r*p2)/(1+r).
-            // If we want p_avg = (P_treatment + r*P_control)/(1+r)? 
-            // Usually Pooled P = (n1*p1 + n2*p2)/(n1+n2).
-            // = (n1*p1 + (n1/r)*p2) ... no r=n1/n2.
-            // Let's check Cohort r definition: r = Unexposed/Exposed = N_unexposed / N_exposed.
-            // Cohort passed: calcAdvanced(P_exposed, P_unexposed, r).  (p1, p2, r)
-            // Helper p_avg = (p1 + r*p2) / (1+r) = (P_exp + (N_unexp/N_exp)*P_unexp) / (1 + N_unexp/N_exp)
-            // Multiply by N_exp: (N_exp*P_exp + N_unexp*P_unexp) / (N_exp + N_unexp). Correct.
-
-            // Now RCT: r = N1/N2 = Control/Treatment.
-            // We want (N_control*P_control + N_treat*P_treatment) / Total.
-            // Target: (N1*P1 + N2*P2) / (N1+N2)
-            // If we use helper(p_A, p_B, r):
-            // (p_A + r*p_B)/(1+r)
-            // If r = N1/N2.
-            // = (p_A + (N1/N2)*p_B) / (1 + N1/N2)
-            // Multiply by N2: (N2*p_A + N1*p_B) / (N2 + N1).
-            // So p_B must be P1 (Control), p_A must be P2 (Treatment).
-
-            // So: calculateAdvanced(P2, P1, r).
-
-            const results = calculateAdvanced(P2, P1, r, alpha, beta, state.dropout);
-
-            let displayStr = `P1=${(P1 * 100).toFixed(2)}% P2=${(P2 * 100).toFixed(2)}% Power=${power}% Conf=${conf}%`;
-            if (state.dropout) displayStr += " (Incl. 10% Dropout)";
-
-            return {
-                n: results.fleiss.total,
-                display: displayStr,
-                table: results,
-                visualData: {
-                    n1: results.fleiss.n2, // n2 in struct is derived from n1*r. n1 was passed as P2 (Treatment). So n1_out is Treatment N.
-                    // n2_out = n1_out * r = Treatment * (Control/Treatment) = Control N.
-                    // So n2 in struct is Control (Group 1).
-                    n2: results.fleiss.n1, // Treatment (Group 2)
-                    label1: 'Group 1',
-                    label2: 'Group 2'
-                }
-            };
-        }
-    },
-    'two-means': {
-        inputs: [
-            { id: 'mean1', label: 'Mean Group 1', type: 'number', val: 132.86, desc: 'Expected mean of Group 1.' },
-            { id: 'sd1', label: 'SD Group 1', type: 'number', val: 15.34, desc: 'Standard Deviation of Group 1.' },
-            { id: 'mean2', label: 'Mean Group 2', type: 'number', val: 127.44, desc: 'Expected mean of Group 2.' },
-            { id: 'sd2', label: 'SD Group 2', type: 'number', val: 18.23, desc: 'Standard Deviation of Group 2.' },
-            { id: 'ratio', label: 'Group Ratio (N2/N1) (r)', type: 'number', val: 1, desc: '' },
-            { id: 'power', label: 'Power (%)', type: 'range', min: 80, max: 99, val: 80, desc: '' },
-            { id: 'confidence', label: 'Confidence Level (%)', type: 'range', min: 90, max: 99, val: 95, desc: '' },
-            { id: 'dropout', label: 'Add 10% for Non-response?', type: 'checkbox', val: false, desc: 'Increases sample size to account for 10% dropout.' }
-        ],
-        formulaStr: `
-            <div style="font-size:0.8em; line-height:1.4">
-                N<sub>1</sub> = (Z<sub>α/2</sub>+Z<sub>β</sub>)<sup>2</sup> (&sigma;<sub>1</sub><sup>2</sup> + &sigma;<sub>2</sub><sup>2</sup>/r) / (&mu;<sub>1</sub>-&mu;<sub>2</sub>)<sup>2</sup><br>
-                N<sub>2</sub> = r * N<sub>1</sub>
-            </div>
-        `,
-        formulaSteps: '', // Will be dynamic
-        interpretation: `
-            <p>Calculates sample size for comparing two independent means (Student's t-test equivalent).</p>
-        `,
-        calc: (state) => {
-            const m1 = parseFloat(state.mean1);
-            const s1 = parseFloat(state.sd1);
-            const m2 = parseFloat(state.mean2);
-            const s2 = parseFloat(state.sd2);
-            const r = parseFloat(state.ratio) || 1;
-            const power = parseInt(state.power);
-            const conf = parseInt(state.confidence) || 95;
-            const alpha = (100 - conf) / 100;
-            const beta = (100 - power) / 100;
-            const za = getZAlpha(conf);
-            const zb = getZBeta(power);
-
-            if (m1 === m2) return { n: 'Error', display: 'Means cannot be equal.', visualData: null };
-
-            const num = Math.pow(za + zb, 2) * (s1 * s1 + (s2 * s2) / r);
-            const den = Math.pow(m1 - m2, 2);
-
-            let n1 = Math.ceil(num / den);
-            if (state.dropout) n1 = Math.ceil(n1 / 0.9);
-
-            let n2 = Math.ceil(n1 * r);
-            let total = n1 + n2;
-
-            let displayStr = `M1=${m1} SD1=${s1} M2=${m2} SD2=${s2} Diff=${(m1 - m2).toFixed(2)}`;
-            if (state.dropout) displayStr += " (Incl. 10% Dropout)";
-
-            return {
-                n: total,
-                display: displayStr,
-                visualData: {
-                    n1: n1, // Group 1
-                    n2: n2, // Group 2
-                    label1: 'Group 1',
-                    label2: 'Group 2'
-                }
-            };
-        }
-    }
-};
+// The maths and the design registry live in sample-size-core.js
+const { MODES, isDesign, knownInputValues, libraryScenarios, evaluate, parameterGrid, RECRUITMENT_INPUTS, recruitmentTarget, recruitmentPlan, plainText, getZAlpha, seededRandom, prevalencePrecision, tableMethods, headlineMethod, stateWithDefaults,
+    setLocale, tr, modeText, formatNumber, formatCount, parseNumber, parseStrata, strataText, escapeHtml } = SampleSizeCore;
 
 // Visualization State
 let bgCtx = null;
@@ -471,6 +48,10 @@ let bgParticles = [];
 let width = window.innerWidth;
 let height = window.innerHeight;
 let currentVisualData = null;
+let currentResult = null;
+let currentView = 'grid'; // 'grid' | 'effect' | 'power' for comparative designs
+let currentCurveData = null;
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
 
 function init() {
     // Canvas Setup
@@ -496,13 +77,54 @@ function init() {
         observer.observe(sampleCanvas);
     }
 
-    // Initialize logic
-    const initialMode = studySelector.value || 'prevalence';
-    setupMode(initialMode);
+    initLanguage();
+    renderRecruitmentInputs();
+
+    // Initialize logic (a permalink takes precedence over the defaults)
+    restoreFromUrl();
+    history.replaceState(null, '', buildPermalinkQuery());
 
     // UI Listeners
     studySelector.addEventListener('change', (e) => {
         setupMode(e.target.value);
+        syncUrl();
+    });
+
+    viewSwitcher.querySelectorAll('[data-view]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setView(btn.dataset.view);
+            calculate();
+            syncUrl();
+        });
+    });
+
+    // Back/forward steps through earlier scenarios
+    window.addEventListener('popstate', () => restoreFromUrl());
+
+    exportBar.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', () => exportReport(btn.dataset.export));
+    });
+
+    document.getElementById('scenario-save').addEventListener('click', saveCurrentScenario);
+    document.getElementById('scenario-export').addEventListener('click', exportScenarios);
+    document.getElementById('scenario-import-btn').addEventListener('click', () => document.getElementById('scenario-import').click());
+    document.getElementById('scenario-import').addEventListener('change', (e) => {
+        if (e.target.files[0]) importScenarios(e.target.files[0]);
+        e.target.value = '';
+    });
+    initScenarioStore().then(renderScenarios);
+
+    simulationRunBtn.addEventListener('click', runSimulation);
+
+    document.getElementById('grid-build').addEventListener('click', buildGrid);
+    gridCopyMarkdownBtn.addEventListener('click', () => copyGrid(gridCopyMarkdownBtn, gridMarkdown));
+    gridCopyCsvBtn.addEventListener('click', () => copyGrid(gridCopyCsvBtn, gridCSV));
+
+    copyLinkBtn.addEventListener('click', () => {
+        navigator.clipboard.writeText(window.location.href).then(() => {
+            copyLinkBtn.innerText = tr('Link Copied!');
+            setTimeout(() => { copyLinkBtn.innerText = tr('Copy Link'); }, 2000);
+        }).catch(e => console.error("Copy Link Error:", e));
     });
 
     window.addEventListener('resize', () => {
@@ -511,10 +133,44 @@ function init() {
         if (bgCanvas) resizeCanvas(bgCanvas);
         // sampleCanvas handled by Observer mostly, but good to ensure
         initBgParticles();
+        drawRecruitmentChart();
     });
 
     initBgParticles();
     loop();
+    registerServiceWorker();
+}
+
+// --- Offline Support ---
+// sw.js precaches the app shell so the installed app works without connectivity, and fetches
+// the page and its code network-first. A new deployment's worker installs alongside the running
+// one and waits; the banner lets the user switch to it.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+    const banner = document.getElementById('update-banner');
+    const showUpdate = (worker) => {
+        banner.hidden = false;
+        document.getElementById('update-reload').onclick = () => worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) showUpdate(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // A controller already exists only when this is an update, not the first install
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdate(worker);
+            });
+        });
+    }).catch(e => console.error("Service Worker Error:", e));
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
 }
 
 function resizeCanvas(canvas) {
@@ -548,7 +204,8 @@ function resizeSampleCanvas() {
     }
 }
 
-function setupMode(mode) {
+// overrides: input values to start from instead of the defaults (e.g. restored from a permalink)
+function setupMode(mode, overrides = {}) {
     try {
         currentMode = mode;
         const config = MODES[mode];
@@ -558,13 +215,17 @@ function setupMode(mode) {
         // interpretationContent.innerHTML = config.interpretation; // Moved to calculate() to append table
         formulaDisplay.innerHTML = config.formulaStr;
 
+        // Chart views only exist for designs that define an effect sweep
+        viewSwitcher.style.display = config.sweep ? 'flex' : 'none';
+
         // Clear Container
         controlsContainer.innerHTML = '';
         inputsState = {}; // Reset State
 
         // Generate Inputs
         config.inputs.forEach(input => {
-            inputsState[input.id] = input.val;
+            inputsState[input.id] = input.id in overrides ? overrides[input.id] : input.val;
+            const startVal = inputsState[input.id];
 
             const group = document.createElement('div');
             group.className = 'control-group';
@@ -577,96 +238,1402 @@ function setupMode(mode) {
 
                 const label = document.createElement('label');
                 label.className = 'selector-label';
-                label.innerText = input.label;
+                label.htmlFor = input.id;
+                label.innerText = tr(input.label);
 
+                // The switch graphic is an empty label; the visible text above names the control
                 const toggleHtml = `
-                    <input class="tgl tgl-ios" id="${input.id}" type="checkbox">
-                    <label class="tgl-btn" for="${input.id}"></label>
+                    <input class="tgl tgl-ios" id="${input.id}" type="checkbox" role="switch">
+                    <label class="tgl-btn" for="${input.id}" aria-hidden="true"></label>
                  `;
 
                 wrapper.insertAdjacentHTML('beforeend', toggleHtml);
                 wrapper.appendChild(label);
                 group.appendChild(wrapper);
 
-                if (input.desc) {
-                    const p = document.createElement('p');
-                    p.className = 'description-text';
-                    p.innerText = input.desc;
-                    group.appendChild(p);
-                }
+                appendDescription(group, input);
+
+                const el = group.querySelector(`#${input.id}`);
+                el.checked = startVal;
+                if (input.desc) el.setAttribute('aria-describedby', `desc-${input.id}`);
+                el.addEventListener('change', (e) => {
+                    inputsState[input.id] = e.target.checked;
+                    calculate();
+                    syncUrl();
+                });
+
+            } else if (input.type === 'select') {
+                const labelRow = document.createElement('label');
+                labelRow.htmlFor = input.id;
+                labelRow.innerText = tr(input.label);
+                group.appendChild(labelRow);
+
+                appendDescription(group, input);
+
+                const el = document.createElement('select');
+                el.id = input.id;
+                el.className = 'study-dropdown';
+                input.options.forEach(opt => {
+                    const option = document.createElement('option');
+                    option.value = opt.value;
+                    option.innerText = tr(opt.label);
+                    el.appendChild(option);
+                });
+                el.value = startVal;
+                if (input.desc) el.setAttribute('aria-describedby', `desc-${input.id}`);
+                el.addEventListener('change', (e) => {
+                    inputsState[input.id] = e.target.value;
+                    calculate();
+                    syncUrl();
+                });
+                group.appendChild(el);
+
+            } else if (input.type === 'strata') {
+                const labelRow = document.createElement('label');
+                labelRow.id = `label-${input.id}`;
+                labelRow.innerText = tr(input.label);
+                group.appendChild(labelRow);
+
+                appendDescription(group, input);
+
+                const el = document.createElement('div');
+                el.id = input.id;
+                el.className = 'strata-editor';
+                el.setAttribute('role', 'group');
+                el.setAttribute('aria-labelledby', `label-${input.id}`);
+                if (input.desc) el.setAttribute('aria-describedby', `desc-${input.id}`);
+                group.appendChild(el);
+                renderStrataEditor(el, input.id);
+
+            } else {
+                const labelRow = document.createElement('label');
+                labelRow.htmlFor = input.id;
+                labelRow.innerHTML = `${tr(input.label)} <span id="val-${input.id}">${valueText(input, startVal)}</span>`;
+                group.appendChild(labelRow);
+
+                appendDescription(group, input);
+
+                // Number fields are text so they take the locale's decimal comma; sliders stay
+                // native (their value is always written with a point)
+                const el = document.createElement('input');
+                el.id = input.id;
+                if (input.type === 'range') {
+                    el.type = 'range';
+                    el.value = startVal;
+                    if (input.min) el.min = input.min;
+                    if (input.max) el.max = input.max;
+                    if (input.step) el.step = input.step;
+                    el.className = 'slider';
+                    el.setAttribute('aria-valuetext', valueText(input, startVal));
+                } else {
+                    el.type = 'text';
+                    el.inputMode = 'decimal';
+                    el.className = 'number-input';
+                    el.value = formatNumber(startVal);
+                }
+                if (input.desc) el.setAttribute('aria-describedby', `desc-${input.id}`);
+
+                el.addEventListener('input', (e) => {
+                    const val = input.type === 'range' ? parseFloat(e.target.value) : parseNumber(e.target.value);
+                    inputsState[input.id] = val;
+                    const badge = document.getElementById(`val-${input.id}`);
+                    if (badge) badge.innerText = Number.isFinite(val) ? valueText(input, val) : e.target.value;
+                    if (input.type === 'range') el.setAttribute('aria-valuetext', valueText(input, val));
+                    calculate();
+                });
+                // Sliders fire 'change' on release, so a drag becomes a single history entry
+                el.addEventListener('change', () => syncUrl());
+                group.appendChild(el);
+            }
+            controlsContainer.appendChild(group);
+        });
+
+        // Force initial calc
+        calculate();
+
+    } catch (e) {
+        console.error("Setup Mode Error:", e);
+    }
+}
+
+// Help text under a control, referenced by the control's aria-describedby
+function appendDescription(group, input) {
+    if (!input.desc) return;
+    const p = document.createElement('p');
+    p.id = `desc-${input.id}`;
+    p.className = 'description-text';
+    p.innerText = tr(input.desc);
+    group.appendChild(p);
+}
+
+// --- Strata Table ---
+// The stratified design's strata as an editable table. Typing updates inputsState and
+// recalculates; adding or removing a row redraws the table.
+const STRATA_COLUMNS = [['name', 'Stratum'], ['size', 'Population'], ['prevalence', 'Prevalence (%)'], ['cost', 'Cost per Interview']];
+
+function renderStrataEditor(container, id) {
+    const strata = parseStrata(inputsState[id]);
+    inputsState[id] = strata;
+    const rowName = (row, i) => row.name || tr('Stratum {n}', { n: i + 1 });
+    const update = (next) => {
+        inputsState[id] = next;
+        renderStrataEditor(container, id);
+        calculate();
+        syncUrl();
+    };
+
+    const table = document.createElement('table');
+    table.className = 'strata-table';
+    table.innerHTML = `<thead><tr>${STRATA_COLUMNS.map(([, label]) => `<th scope="col">${tr(label)}</th>`).join('')}<th></th></tr></thead>`;
+    const body = document.createElement('tbody');
+
+    strata.forEach((row, i) => {
+        const tableRow = document.createElement('tr');
+        STRATA_COLUMNS.forEach(([key, label]) => {
+            const cell = document.createElement('td');
+            const field = document.createElement('input');
+            field.type = 'text';
+            if (key === 'name') {
+                field.value = row.name;
+            } else {
+                field.inputMode = 'decimal';
+                field.value = Number.isFinite(row[key]) ? formatNumber(row[key]) : '';
+            }
+            field.setAttribute('aria-label', tr('{column}, {stratum}', { column: tr(label), stratum: rowName(row, i) }));
+            field.addEventListener('input', (e) => {
+                const next = parseStrata(inputsState[id]);
+                const text = e.target.value;
+                if (key === 'name') next[i].name = text;
+                else next[i][key] = key === 'cost' && !text.trim() ? null : parseNumber(text);
+                inputsState[id] = next;
+                calculate();
+            });
+            field.addEventListener('change', () => syncUrl());
+            cell.appendChild(field);
+            tableRow.appendChild(cell);
+        });
+
+        const cell = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'scenario-btn';
+        remove.innerText = tr('Remove');
+        remove.setAttribute('aria-label', tr('Remove {stratum}', { stratum: rowName(row, i) }));
+        remove.disabled = strata.length === 1;
+        remove.addEventListener('click', () => update(parseStrata(inputsState[id]).filter((_, j) => j !== i)));
+        cell.appendChild(remove);
+        tableRow.appendChild(cell);
+        body.appendChild(tableRow);
+    });
+    table.appendChild(body);
+
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'scenario-btn';
+    add.innerText = tr('Add Stratum');
+    add.addEventListener('click', () => update([...parseStrata(inputsState[id]), { name: '', size: NaN, prevalence: NaN, cost: null }]));
+
+    const scroller = document.createElement('div');
+    scroller.className = 'strata-scroll';
+    scroller.appendChild(table);
+    container.replaceChildren(scroller, add);
+}
+
+// Slider value as shown in its badge, e.g. '80%' or '2,5' with a decimal comma
+function valueText(input, val) {
+    const text = formatNumber(val);
+    return input.label.includes('%') ? text + '%' : text;
+}
+
+function setView(view) {
+    currentView = view;
+    viewSwitcher.querySelectorAll('[data-view]').forEach(b => {
+        b.classList.toggle('active', b.dataset.view === view);
+        b.setAttribute('aria-pressed', String(b.dataset.view === view));
+    });
+}
+
+// --- Language ---
+// Catalogues in locales/ register themselves on window.SampleSizeLocales; English needs none.
+// Static page text is marked up with data-i18n (text), data-i18n-placeholder, data-i18n-aria-label
+// and data-i18n-title, and keeps its English source so it can be translated again on each switch.
+const LANGUAGE_STORAGE_KEY = 'sampleSize.language';
+const I18N_ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+let languageReady = false;
+
+function languages() {
+    return { en: { code: 'en', name: 'English' }, ...(window.SampleSizeLocales || {}) };
+}
+
+// Saved choice, else the browser's language when there is a catalogue for it, else English
+function initLanguage() {
+    const available = languages();
+    languageSelect.innerHTML = Object.values(available)
+        .map(lang => `<option value="${lang.code}">${lang.name}</option>`).join('');
+
+    let code = null;
+    try {
+        code = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    } catch (e) { /* storage blocked: fall back to the browser language */ }
+    if (!available[code]) code = (navigator.language || 'en').split('-')[0].toLowerCase();
+    if (!available[code]) code = 'en';
+
+    languageSelect.addEventListener('change', (e) => applyLanguage(e.target.value));
+    applyLanguage(code);
+    languageReady = true;
+}
+
+// Switches every text and number on the page; the current design and its inputs are kept
+function applyLanguage(code) {
+    const lang = languages()[code] || languages().en;
+    setLocale(lang.code === 'en' ? null : lang);
+    languageSelect.value = lang.code;
+    document.documentElement.lang = lang.code;
+    translatePage();
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, lang.code);
+    } catch (e) { /* the choice just won't persist */ }
+
+    if (!languageReady) return; // init() goes on to build the controls
+    renderRecruitmentInputs();
+    setupMode(currentMode, inputsState);
+    renderScenarios();
+}
+
+function translatePage() {
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim().replace(/\s+/g, ' ');
+        el.textContent = tr(el.dataset.i18n);
+    });
+    I18N_ATTRIBUTES.forEach(attr => {
+        document.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+            const key = `i18n${attr.replace(/(^|-)(\w)/g, (m, dash, ch) => ch.toUpperCase())}`;
+            if (!el.dataset[key]) el.dataset[key] = el.getAttribute(attr);
+            el.setAttribute(attr, tr(el.dataset[key]));
+        });
+    });
+    document.querySelectorAll('#simulation-reps option').forEach(opt => {
+        opt.textContent = formatCount(Number(opt.value));
+    });
+}
+
+// --- Permalinks ---
+// The URL query holds the design, every input and the chart view, e.g.
+// ?design=cohort&p_unexposed=5&p_exposed=9.5&power=80&...&dropout=0
+
+function buildPermalinkQuery() {
+    const params = new URLSearchParams();
+    params.set('design', currentMode);
+    MODES[currentMode].inputs.forEach(input => {
+        const val = inputsState[input.id];
+        const text = input.type === 'checkbox' ? (val ? '1' : '0') : input.type === 'strata' ? strataText(val) : String(val);
+        params.set(input.id, text);
+    });
+    if (currentView !== 'grid') params.set('view', currentView);
+    return '?' + params.toString();
+}
+
+// Parses a query string back into { mode, values, view }. Unknown keys and invalid values are ignored.
+function parsePermalinkQuery(search) {
+    const params = new URLSearchParams(search);
+    const mode = params.get('design');
+    if (!isDesign(mode)) return null;
+
+    const values = knownInputValues(mode, Object.fromEntries(params));
+    const view = params.get('view');
+    return { mode, values, view: ['effect', 'power'].includes(view) ? view : 'grid' };
+}
+
+function restoreFromUrl() {
+    // A link that cannot be read opens the defaults rather than a dead page
+    let link = null;
+    try {
+        link = parsePermalinkQuery(window.location.search);
+    } catch (e) {
+        console.error("Permalink Error:", e);
+    }
+    const mode = link ? link.mode : (studySelector.value || 'prevalence');
+    studySelector.value = mode;
+    setView(link ? link.view : 'grid');
+    setupMode(mode, link ? link.values : {});
+}
+
+// Records a committed change as a new history entry (no-op if nothing changed)
+function syncUrl() {
+    const query = buildPermalinkQuery();
+    if (query !== window.location.search) history.pushState(null, '', query);
+}
+
+// --- Export ---
+// One snapshot of the current calculation feeds the HTML report, CSV and JSON exports.
+
+function htmlToText(html) {
+    const div = document.createElement('div');
+    div.innerHTML = html.replace(/<sup>2<\/sup>/g, '²');
+    return div.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function buildReportData() {
+    const mode = MODES[currentMode];
+    const result = currentResult;
+    const headline = headlineValue(result);
+
+    let methods = [];
+    if (result.table) {
+        const valueRows = result.table[tableMethods(result)[0][0]].value !== undefined;
+        methods = tableMethods(result).map(([key, name]) => {
+            const row = result.table[key];
+            if (valueRows) return { method: name, [result.tableLabel]: row.value, detail: row.detail ? htmlToText(row.detail) : '' };
+            return {
+                method: name,
+                [result.visualData.label2]: row.n1,
+                [result.visualData.label1]: row.n2,
+                ...(row.beforeDropout ? { [tr('Total before Dropout')]: row.beforeDropout.total } : {}),
+                [tr('Total')]: row.total,
+                ...(row.events !== undefined ? { [tr('Events')]: row.events } : {}),
+                ...(row.clusters ? {
+                    [tr('{group} Clusters', { group: result.visualData.label2 })]: row.clusters.n1,
+                    [tr('{group} Clusters', { group: result.visualData.label1 })]: row.clusters.n2
+                } : {})
+            };
+        });
+    }
+
+    return {
+        tool: tr('Sample Size Calculator'),
+        version: APP_VERSION,
+        generatedAt: new Date().toISOString(),
+        permalink: window.location.href,
+        design: { id: currentMode, name: studySelector.options[studySelector.selectedIndex].text },
+        // Values are HTML for the Formula Steps (stratum names arrive escaped), plain text here
+        inputs: stepInputs().map(item => ({ id: item.id, label: htmlToText(item.label), value: typeof item.value === 'string' ? plainText(item.value) : item.value, labelHTML: item.label })),
+        derived: (result.derived || []).map(item => ({ label: htmlToText(item.label), value: item.value, labelHTML: item.label })),
+        result: {
+            label: result.metricLabel || tr('Sample Size (N)'),
+            value: headline.value,
+            basis: headline.basis,
+            summary: result.display
+        },
+        methods,
+        formula: htmlToText(formulaDisplay.innerHTML),
+        formulaHTML: formulaDisplay.innerHTML,
+        interpretation: htmlToText(withSidedZ(modeText(currentMode, 'interpretation'))),
+        interpretationHTML: withSidedZ(modeText(currentMode, 'interpretation'))
+    };
+}
+
+// Standalone, print-ready document (no external resources) with the chart embedded as an image
+function buildReportHTML(data, chartDataUrl) {
+    const rows = (items) => items.map(item =>
+        `<tr><td>${item.labelHTML}</td><td class="num">${escapeHtml(displayValue(item.value))}</td></tr>`).join('');
+
+    let methodsHTML = '';
+    if (data.methods.length) {
+        const cols = Object.keys(data.methods[0]).filter(col => col !== 'method' && col !== 'detail');
+        methodsHTML = `
+        <h2>${tr('Comparison of Methods')}</h2>
+        <table>
+            <thead><tr><th>${tr('Method')}</th>${cols.map(col => `<th class="num">${escapeHtml(col)}</th>`).join('')}</tr></thead>
+            <tbody>${data.methods.map(row => `<tr><td>${row.method}</td>${cols.map(col =>
+                `<td class="num">${escapeHtml(displayValue(row[col]))}${row.detail ? ` <small>(${escapeHtml(row.detail)})</small>` : ''}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="${document.documentElement.lang}">
+<head>
+<meta charset="UTF-8">
+<title>${tr('Sample Size Report')} - ${escapeHtml(data.design.name)}</title>
+<style>
+    @page { size: A4; margin: 18mm; }
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.45; }
+    h1 { font-size: 1.5rem; margin: 0 0 0.25rem; color: #007bff; }
+    h2 { font-size: 1.1rem; margin: 1.5rem 0 0.5rem; border-bottom: 2px solid #007bff; padding-bottom: 0.2rem; }
+    .meta { color: #666; font-size: 0.85rem; }
+    .meta a { color: #666; word-break: break-all; }
+    .headline { font-size: 2.2rem; font-weight: 700; color: #007bff; }
+    .formula { font-family: 'Courier New', monospace; background: #f4f6f8; padding: 0.6rem; border-radius: 6px; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.35rem 0.5rem; text-align: left; }
+    .num { text-align: right; }
+    img { max-width: 100%; border: 1px solid #ddd; border-radius: 6px; }
+    footer { margin-top: 2rem; font-size: 0.75rem; color: #777; }
+    @media print { .no-print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+    <button class="no-print" onclick="window.print()">${tr('Print / Save as PDF')}</button>
+    <h1>${tr('Sample Size Calculation Report')}</h1>
+    <div class="meta">
+        ${escapeHtml(data.tool)} v${escapeHtml(data.version)} &middot; ${tr('Generated {date}', { date: escapeHtml(new Date(data.generatedAt).toLocaleString(document.documentElement.lang)) })}<br>
+        ${tr('Scenario link:')} <a href="${escapeHtml(data.permalink)}">${escapeHtml(data.permalink)}</a>
+    </div>
+
+    <h2>${tr('Study Design')}</h2>
+    <p>${escapeHtml(data.design.name)}</p>
+
+    <h2>${tr('Result')}</h2>
+    <div>${escapeHtml(data.result.label)}${data.result.basis ? ` (${escapeHtml(data.result.basis)})` : ''}</div>
+    <div class="headline">${escapeHtml(typeof data.result.value === 'number' ? formatCount(data.result.value) : data.result.value)}</div>
+    <div class="meta">${escapeHtml(data.result.summary)}</div>
+
+    <h2>${tr('Input Parameters')}</h2>
+    <table><tbody>${rows(data.inputs)}${rows(data.derived)}</tbody></table>
+
+    <h2>${tr('Formula')}</h2>
+    <div class="formula">${data.formulaHTML}</div>
+    ${methodsHTML}
+
+    <h2>${tr('Interpretation')}</h2>
+    ${data.interpretationHTML}
+
+    ${chartDataUrl ? `<h2>${tr('Visualisation')}</h2><img src="${chartDataUrl}" alt="${tr('Sample size visualisation')}">` : ''}
+
+    <footer>
+        ${tr('For educational purposes. Please verify results against standard epidemiological textbooks before use in a protocol.')}
+    </footer>
+</body>
+</html>`;
+}
+
+function csvCell(v) {
+    const str = String(v ?? '');
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Long format (Section, Item, Value) so it pastes cleanly into a spreadsheet
+function buildReportCSV(data) {
+    const lines = [['Section', 'Item', 'Value']];
+    lines.push(['Report', 'Tool', data.tool], ['Report', 'Version', data.version],
+        ['Report', 'Generated', data.generatedAt], ['Report', 'Permalink', data.permalink],
+        ['Design', 'Study Design', data.design.name]);
+    data.inputs.forEach(item => lines.push(['Input', item.label, item.value]));
+    data.derived.forEach(item => lines.push(['Derived', item.label, item.value]));
+    lines.push(['Result', data.result.label, data.result.value]);
+    if (data.result.basis) lines.push(['Result', 'Basis', data.result.basis]);
+    data.methods.forEach(row => {
+        Object.keys(row).filter(col => col !== 'method' && row[col] !== '').forEach(col => {
+            lines.push(['Method', `${row.method} - ${col}`, row[col]]);
+        });
+    });
+    lines.push(['Formula', 'Formula', data.formula], ['Interpretation', 'Interpretation', data.interpretation]);
+    return lines.map(line => line.map(csvCell).join(',')).join('\r\n');
+}
+
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportReport(format) {
+    try {
+        if (!currentResult) return;
+        const data = buildReportData();
+        const stamp = data.generatedAt.slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+        const base = `sample-size-${currentMode}-${stamp}`;
+
+        if (format === 'csv') {
+            // BOM so spreadsheet apps read the Greek symbols as UTF-8
+            downloadFile(`${base}.csv`, '\uFEFF' + buildReportCSV(data), 'text/csv;charset=utf-8');
+        } else if (format === 'json') {
+            const { formulaHTML, interpretationHTML, ...plain } = data;
+            plain.inputs = data.inputs.map(({ labelHTML, ...item }) => item);
+            plain.derived = data.derived.map(({ labelHTML, ...item }) => item);
+            downloadFile(`${base}.json`, JSON.stringify(plain, null, 2), 'application/json');
+        } else {
+            const html = buildReportHTML(data, sampleCanvas ? sampleCanvas.toDataURL('image/png') : '');
+            if (format === 'print') {
+                const win = window.open('', '_blank');
+                if (!win) return;
+                win.document.write(html);
+                win.document.close();
+                win.focus();
+                win.print();
+            } else {
+                downloadFile(`${base}.html`, html, 'text/html;charset=utf-8');
+            }
+        }
+    } catch (e) {
+        console.error("Export Error:", e);
+    }
+}
+
+// --- Saved Scenarios ---
+// Named snapshots of { mode, inputs }, compared side by side. They live in IndexedDB so
+// they survive offline sessions of the installed app; scenarioLibrary is the in-memory
+// copy the UI reads, written through to the database on every change.
+const SCENARIO_STORAGE_KEY = 'sampleSize.scenarios'; // Legacy localStorage key, migrated once
+const SCENARIO_FILE_FORMAT = 'sample-size-scenarios';
+const SCENARIO_DB_NAME = 'sample-size';
+const SCENARIO_DB_STORE = 'scenarios';
+
+let scenarioLibrary = [];
+let scenarioDb = null; // null when IndexedDB is unavailable; localStorage is used instead
+
+function openScenarioDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SCENARIO_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(SCENARIO_DB_STORE, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function readLegacyScenarios() {
+    try {
+        const list = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        console.error("Scenario Load Error:", e);
+        return [];
+    }
+}
+
+// Loads the library at startup, moving any scenarios saved by older versions out of localStorage
+async function initScenarioStore() {
+    try {
+        if (typeof indexedDB === 'undefined') throw new Error('IndexedDB unavailable');
+        scenarioDb = await openScenarioDb();
+        const stored = await new Promise((resolve, reject) => {
+            const request = scenarioDb.transaction(SCENARIO_DB_STORE).objectStore(SCENARIO_DB_STORE).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        const legacy = readLegacyScenarios();
+        if (legacy.length) {
+            const known = new Set(stored.map(sc => sc.id));
+            const merged = [...stored.sort((a, b) => a.position - b.position), ...legacy.filter(sc => !known.has(sc.id))];
+            await writeScenarioDb(merged);
+            localStorage.removeItem(SCENARIO_STORAGE_KEY);
+            scenarioLibrary = merged;
+        } else {
+            scenarioLibrary = stored.sort((a, b) => a.position - b.position);
+        }
+    } catch (e) {
+        console.warn("Scenario Store: falling back to localStorage.", e);
+        scenarioDb = null;
+        scenarioLibrary = readLegacyScenarios();
+    }
+    scenarioLibrary = scenarioLibrary.map(({ position, ...sc }) => sc);
+}
+
+// Replaces the stored library; position keeps the user's order
+function writeScenarioDb(list) {
+    return new Promise((resolve, reject) => {
+        const tx = scenarioDb.transaction(SCENARIO_DB_STORE, 'readwrite');
+        const store = tx.objectStore(SCENARIO_DB_STORE);
+        store.clear();
+        list.forEach((sc, position) => store.put({ ...sc, position }));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function loadScenarios() {
+    return scenarioLibrary.filter(sc => sc && isDesign(sc.mode));
+}
+
+function storeScenarios(list) {
+    scenarioLibrary = list;
+    if (scenarioDb) {
+        writeScenarioDb(list).catch(e => console.error("Scenario Save Error:", e));
+        return;
+    }
+    try {
+        localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(list));
+    } catch (e) {
+        console.error("Scenario Save Error:", e);
+    }
+}
+
+function designName(mode) {
+    const option = [...studySelector.options].find(opt => opt.value === mode);
+    return option ? option.text : mode;
+}
+
+function saveCurrentScenario() {
+    const list = loadScenarios();
+    const name = scenarioNameInput.value.trim() || tr('Scenario {n}', { n: formatCount(list.length + 1) });
+    list.push({
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name,
+        mode: currentMode,
+        inputs: { ...inputsState },
+        savedAt: new Date().toISOString()
+    });
+    storeScenarios(list);
+    scenarioNameInput.value = '';
+    renderScenarios();
+}
+
+function loadScenario(id) {
+    const scenario = loadScenarios().find(sc => sc.id === id);
+    if (!scenario) return;
+    studySelector.value = scenario.mode;
+    setupMode(scenario.mode, knownInputValues(scenario.mode, scenario.inputs));
+    syncUrl();
+}
+
+function deleteScenario(id) {
+    storeScenarios(loadScenarios().filter(sc => sc.id !== id));
+    renderScenarios();
+}
+
+function exportScenarios() {
+    const payload = { format: SCENARIO_FILE_FORMAT, version: 1, exportedAt: new Date().toISOString(), scenarios: loadScenarios() };
+    downloadFile('sample-size-scenarios.json', JSON.stringify(payload, null, 2), 'application/json');
+}
+
+// Appends scenarios from an exported library file (see libraryScenarios for what is kept)
+function importScenarios(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const incoming = libraryScenarios(JSON.parse(reader.result));
+            const list = loadScenarios();
+            incoming.forEach(sc => {
+                list.push({
+                    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+                    name: sc.name || tr('Scenario {n}', { n: formatCount(list.length + 1) }),
+                    mode: sc.mode,
+                    inputs: sc.inputs,
+                    savedAt: sc.savedAt || new Date().toISOString()
+                });
+            });
+            storeScenarios(list);
+            renderScenarios();
+        } catch (e) {
+            console.error("Scenario Import Error:", e);
+            alert(tr('Could not import scenarios: {error}', { error: e.message }));
+        }
+    };
+    reader.readAsText(file);
+}
+
+// Per-method result text for a scenario, e.g. [{ name: 'Kelsey', text: '284' }, ...]
+function scenarioResults(scenario) {
+    try {
+        const result = evaluate(scenario.mode, stateWithDefaults(scenario.mode, scenario.inputs));
+        if (result.error) return [{ name: result.metricLabel || 'N', text: tr('Error') }];
+        if (result.table) {
+            return tableMethods(result).map(([key, name]) => {
+                const row = result.table[key];
+                return { name, text: row.value ?? formatCount(row.total) };
+            });
+        }
+        const text = typeof result.n === 'number' ? formatCount(result.n) : result.n;
+        return [{ name: result.metricLabel || 'N', text }];
+    } catch (e) {
+        console.error("Scenario Calc Error:", e);
+        return [{ name: 'N', text: tr('Error') }];
+    }
+}
+
+function renderScenarios() {
+    const list = loadScenarios();
+
+    scenarioList.innerHTML = list.length ? list.map(sc => `
+        <div class="scenario-item">
+            <span><strong>${escapeHtml(sc.name)}</strong> <span class="scenario-design">${escapeHtml(designName(sc.mode))}</span></span>
+            <span></span>
+        </div>`).join('') : `<p class="description-text">${tr('No saved scenarios yet. Save the current inputs to start a comparison.')}</p>`;
+
+    // The buttons are built as elements so imported names and ids never pass through an attribute
+    scenarioList.querySelectorAll('.scenario-item').forEach((item, i) => {
+        const sc = list[i];
+        [['Load', 'Load {name}', loadScenario], ['Delete', 'Delete {name}', deleteScenario]].forEach(([text, label, action]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'scenario-btn';
+            btn.textContent = tr(text);
+            btn.setAttribute('aria-label', tr(label, { name: sc.name }));
+            btn.addEventListener('click', () => action(sc.id));
+            item.lastElementChild.appendChild(btn);
+        });
+    });
+
+    if (list.length < 2) {
+        scenarioCompare.innerHTML = '';
+        return;
+    }
+
+    // Input rows: union of all inputs across the scenarios' designs, in first-seen order
+    const rows = [];
+    list.forEach(sc => {
+        MODES[sc.mode].inputs.forEach(input => {
+            if (!rows.some(row => row.id === input.id)) rows.push({ id: input.id, label: tr(input.label) });
+        });
+    });
+
+    const cellsFor = (id) => list.map(sc => {
+        const input = MODES[sc.mode].inputs.find(inp => inp.id === id);
+        if (!input) return '—';
+        const state = stateWithDefaults(sc.mode, sc.inputs);
+        if (input.showIf && !input.showIf(state)) return '—';
+        return plainText(displayValue(formatInputValue(input, state[id])));
+    });
+
+    let html = `<table class="compare-table"><thead><tr><th></th>${list.map(sc => `<th>${escapeHtml(sc.name)}</th>`).join('')}</tr></thead><tbody>`;
+
+    const designs = list.map(sc => designName(sc.mode));
+    const designsDiffer = new Set(designs).size > 1;
+    html += `<tr><td>${tr('Study Design')}</td>${designs.map(d => `<td class="${designsDiffer ? 'diff' : ''}">${escapeHtml(d)}</td>`).join('')}</tr>`;
+
+    rows.forEach(row => {
+        const cells = cellsFor(row.id);
+        if (cells.every(c => c === '—')) return;
+        const differs = new Set(cells).size > 1;
+        html += `<tr><td>${escapeHtml(row.label)}</td>${cells.map(c => `<td class="${differs ? 'diff' : ''}">${escapeHtml(c)}</td>`).join('')}</tr>`;
+    });
+
+    // Result rows, one per method name found in any scenario
+    const results = list.map(scenarioResults);
+    const methodNames = [...new Set(results.flatMap(res => res.map(r => r.name)))];
+    methodNames.forEach(name => {
+        html += `<tr class="result-row"><td>${escapeHtml(name)}</td>${results.map(res => {
+            const hit = res.find(r => r.name === name);
+            return `<td>${hit ? escapeHtml(hit.text) : '—'}</td>`;
+        }).join('')}</tr>`;
+    });
+
+    html += `</tbody></table><p class="description-text">${tr('Highlighted cells are inputs that differ between scenarios.')}</p>`;
+    scenarioCompare.innerHTML = html;
+}
+
+// --- Monte Carlo Simulation ---
+// Comparative modes return result.simulation (see binarySimulation in the core); the worker simulates
+// each method's analysed N and applies the test the design would use.
+
+let simulationWorker = null;
+
+function stopSimulation() {
+    if (simulationWorker) {
+        simulationWorker.terminate();
+        simulationWorker = null;
+    }
+    simulationProgress.hidden = true;
+    simulationRunBtn.disabled = false;
+}
+
+// New inputs make earlier simulation results stale, so clear them
+function updateSimulationPanel(result) {
+    stopSimulation();
+    simulationResults.innerHTML = '';
+    simulationRunBtn.disabled = !result.simulation;
+    simulationStatus.textContent = result.simulation
+        ? tr('Simulate thousands of trials at each method\'s N to see the power the intended test actually achieves.')
+        : tr('Available for the case-control, cohort, RCT and two-means designs when solving for N (superiority, no clustering).');
+}
+
+function runSimulation() {
+    const spec = currentResult && currentResult.simulation;
+    if (!spec) return;
+    stopSimulation();
+
+    if (typeof Worker === 'undefined') {
+        simulationStatus.textContent = tr('This browser does not support web workers, which the simulation needs.');
+        return;
+    }
+    try {
+        simulationWorker = new Worker('simulation-worker.js');
+    } catch (e) {
+        console.error("Simulation Worker Error:", e);
+        simulationStatus.textContent = tr('Simulation needs the page served over http(s); web workers cannot start from a local file.');
+        return;
+    }
+
+    const reps = parseInt(document.getElementById('simulation-reps').value) || 2000;
+    const seed = parseInt(document.getElementById('simulation-seed').value) || 0;
+    const targetPower = parseFloat(inputsState.power);
+
+    simulationRunBtn.disabled = true;
+    simulationProgress.value = 0;
+    simulationProgress.hidden = false;
+    simulationStatus.textContent = tr('Simulating {reps} trials per method (seed {seed})...', { reps: formatCount(reps), seed: formatNumber(seed) });
+
+    simulationWorker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === 'progress') {
+            simulationProgress.value = msg.done / msg.total;
+        } else if (msg.type === 'done') {
+            stopSimulation();
+            simulationStatus.textContent = tr('{reps} simulated trials per method, seed {seed}. Rerun with the same seed to reproduce.', { reps: formatCount(reps), seed: formatNumber(seed) });
+            renderSimulationResults(msg.rows, targetPower);
+        } else if (msg.type === 'error') {
+            stopSimulation();
+            simulationStatus.textContent = tr('Simulation failed: {error}', { error: msg.message });
+        }
+    };
+    simulationWorker.onerror = (e) => {
+        console.error("Simulation Worker Error:", e);
+        stopSimulation();
+        simulationStatus.textContent = tr('Simulation failed to start.');
+    };
+    simulationWorker.postMessage({
+        spec,
+        alpha: 1 - (parseFloat(inputsState.confidence) || 95) / 100,
+        sided: inputsState.sided || 'two',
+        reps,
+        seed
+    });
+}
+
+// Empirical power per method and test; cells whose 95% interval misses the target are highlighted
+function renderSimulationResults(rows, targetPower) {
+    const tests = rows[0].tests.map(t => t.name);
+    const pct = (v) => `${formatNumber(v * 100, 1)}%`;
+
+    let html = `<table class="compare-table"><thead><tr><th>${tr('Method')}</th><th>N<sub>1</sub> / N<sub>2</sub></th><th>${tr('Target')}</th>${tests.map(t => `<th>${tr(t)}</th>`).join('')}</tr></thead><tbody>`;
+    rows.forEach(row => {
+        html += `<tr><td>${row.name}</td><td>${formatCount(row.n1)} / ${formatCount(row.n2)}</td><td>${formatNumber(targetPower)}%</td>`;
+        row.tests.forEach(t => {
+            const misses = targetPower / 100 < t.lower || targetPower / 100 > t.upper;
+            html += `<td class="${misses ? 'diff' : ''}">${pct(t.power)} <span class="scenario-design">(${pct(t.lower)}–${pct(t.upper)})</span></td>`;
+        });
+        html += '</tr>';
+    });
+    html += `</tbody></table><p class="description-text">${tr('Empirical power with 95% Wilson interval, at the analysed N (before dropout). Highlighted cells miss the target power.')}</p>`;
+    simulationResults.innerHTML = html;
+}
+
+// --- Sample Size Table ---
+// Required N for every combination of values of up to three inputs (the core's parameterGrid):
+// the first input down the rows, the second across the columns, one table per value of the third.
+const GRID_AXES = 3;
+const GRID_MAX_VALUES = 20;
+const GRID_MAX_CELLS = 1000;
+let gridData = null;
+
+// The table always solves for N, whatever the calculator is set to
+function gridState() {
+    return 'solveFor' in inputsState ? { ...inputsState, solveFor: 'n' } : { ...inputsState };
+}
+
+// Numeric inputs shown when solving for N
+function gridInputs() {
+    const state = gridState();
+    return MODES[currentMode].inputs.filter(input => (input.type === 'number' || input.type === 'range')
+        && input.id !== 'n_available' && !input.hidden && (!input.showIf || input.showIf(state)));
+}
+
+// Refreshes the input and method choices for the current design; any built table is dropped
+// because it no longer matches the inputs above
+function updateGridPanel() {
+    const inputs = gridInputs();
+    for (let i = 1; i <= GRID_AXES; i++) {
+        const select = document.getElementById(`grid-input-${i}`);
+        const previous = select.value;
+        select.innerHTML = `<option value="">${tr('None')}</option>` + inputs.map(input => `<option value="${input.id}">${tr(input.label)}</option>`).join('');
+        select.value = inputs.some(input => input.id === previous) ? previous : '';
+    }
+
+    const base = evaluate(currentMode, gridState());
+    if (!base.error) {
+        const previous = gridMethodSelect.value;
+        const methods = base.table ? tableMethods(base) : [['n', 'N']];
+        gridMethodSelect.innerHTML = methods.map(([key, name]) => `<option value="${key}">${name}</option>`).join('');
+        gridMethodSelect.value = methods.some(([key]) => key === previous) ? previous : (base.table ? headlineMethod(base)[0] : 'n');
+    }
+
+    gridData = null;
+    gridOutput.innerHTML = '';
+    gridStatus.textContent = '';
+    gridCopyMarkdownBtn.disabled = true;
+    gridCopyCsvBtn.disabled = true;
+}
+
+// "1.5, 2, 2.5" or a range "20:40:10" (start:end:step) as numbers; null if unreadable.
+// Where the decimal mark is a comma, list values are split on semicolons or spaces ("1,5; 2").
+function parseGridValues(text) {
+    const range = text.trim().split(/\s*:\s*/);
+    if (range.length === 3) {
+        const [start, end, step] = range.map(parseNumber);
+        if (![start, end, step].every(Number.isFinite) || !(step > 0) || end < start) return null;
+        const values = [];
+        // Rounded so 0.1 steps do not drift (0.30000000000000004)
+        for (let i = 0; start + i * step <= end + step * 1e-9 && values.length <= GRID_MAX_VALUES; i++) {
+            values.push(parseFloat((start + i * step).toFixed(10)));
+        }
+        return values;
+    }
+    const separators = formatNumber(0.5).includes(',') ? /[\s;]+/ : /[\s,;]+/;
+    const values = text.split(separators).filter(Boolean).map(parseNumber);
+    return values.length && values.every(Number.isFinite) ? values : null;
+}
+
+function buildGrid() {
+    const axes = [];
+    for (let i = 1; i <= GRID_AXES; i++) {
+        const id = document.getElementById(`grid-input-${i}`).value;
+        if (!id) continue;
+        const values = parseGridValues(document.getElementById(`grid-values-${i}`).value);
+        if (!values) {
+            gridStatus.textContent = tr('Input {i}: enter a list of numbers (1.5, 2, 2.5) or a range as start:end:step (20:40:10).', { i });
+            return;
+        }
+        if (values.length > GRID_MAX_VALUES) {
+            gridStatus.textContent = tr('Input {i}: use at most {max} values.', { i, max: GRID_MAX_VALUES });
+            return;
+        }
+        if (axes.some(axis => axis.id === id)) {
+            gridStatus.textContent = tr('Input {i} is already in the table.', { i });
+            return;
+        }
+        axes.push({ id, values, label: tr(MODES[currentMode].inputs.find(input => input.id === id).label) });
+    }
+    if (!axes.length) {
+        gridStatus.textContent = tr('Pick at least one input and give it some values.');
+        return;
+    }
+    const count = axes.reduce((n, axis) => n * axis.values.length, 1);
+    if (count > GRID_MAX_CELLS) {
+        gridStatus.textContent = tr('That is {count} combinations; the table holds at most {max}.', { count: formatCount(count), max: formatCount(GRID_MAX_CELLS) });
+        return;
+    }
+
+    const method = gridMethodSelect.value;
+    const cells = parameterGrid(currentMode, gridState(), axes, method === 'n' ? undefined : method);
+    const visual = currentResult && currentResult.visualData;
+    gridData = {
+        axes,
+        cells,
+        methodName: gridMethodSelect.options[gridMethodSelect.selectedIndex].text,
+        // Table rows put label2's group in n1, as in the methods table
+        groups: cells.some(cell => cell.n1 !== undefined)
+            ? [visual ? visual.label2 : tr('Group 1'), visual ? visual.label1 : tr('Group 2')]
+            : null
+    };
+
+    const failed = cells.filter(cell => cell.error).length;
+    const params = { n: formatCount(cells.length), method: gridData.methodName };
+    gridStatus.textContent = (cells.length === 1 ? tr('{n} combination, {method} method.', params) : tr('{n} combinations, {method} method.', params))
+        + (failed ? ` ${failed === 1 ? tr('{n} has no answer (—); hover for the reason.', { n: formatCount(failed) }) : tr('{n} have no answer (—); hover for the reason.', { n: formatCount(failed) })}` : '');
+    renderGrid();
+    gridCopyMarkdownBtn.disabled = false;
+    gridCopyCsvBtn.disabled = false;
+}
+
+// The grid as tables of rows of cells, shared by the page and the Markdown copy
+function gridLayout({ axes, cells }) {
+    const [rowAxis, colAxis, tableAxis] = axes;
+    const columns = colAxis ? colAxis.values : [null];
+    const tables = tableAxis ? tableAxis.values : [null];
+    return tables.map((tableValue, t) => ({
+        title: tableAxis ? `${tableAxis.label} = ${formatNumber(tableValue)}` : null,
+        corner: colAxis ? `${rowAxis.label} \\ ${colAxis.label}` : rowAxis.label,
+        columns: colAxis ? columns.map(value => formatNumber(value)) : ['N'],
+        rows: rowAxis.values.map((rowValue, r) => ({
+            value: formatNumber(rowValue),
+            cells: columns.map((_, c) => cells[(r * columns.length + c) * tables.length + t])
+        }))
+    }));
+}
+
+function gridCellText(cell, groups, format = (v) => v) {
+    if (cell.error || cell.total === null) return '—';
+    return groups ? `${format(cell.total)} (${format(cell.n1)} / ${format(cell.n2)})` : format(cell.total);
+}
+
+function renderGrid() {
+    const totals = gridData.cells.filter(cell => !cell.error && cell.total !== null).map(cell => cell.total);
+    const lo = Math.min(...totals);
+    const hi = Math.max(...totals);
+    // Darker blue for larger N
+    const shade = (total) => `rgba(0, 123, 255, ${(0.06 + 0.44 * (hi > lo ? (total - lo) / (hi - lo) : 0)).toFixed(3)})`;
+    const format = (v) => formatCount(v);
+
+    let html = '';
+    gridLayout(gridData).forEach(table => {
+        if (table.title) html += `<p class="grid-title">${escapeHtml(table.title)}</p>`;
+        html += `<table class="compare-table grid-table"><thead><tr><th>${escapeHtml(table.corner)}</th>${table.columns.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr></thead><tbody>`;
+        table.rows.forEach(row => {
+            html += `<tr><td>${escapeHtml(row.value)}</td>`;
+            row.cells.forEach(cell => {
+                if (cell.error || cell.total === null) {
+                    html += `<td class="grid-missing" title="${escapeHtml(cell.error || tr('Not reachable'))}">—</td>`;
+                    return;
+                }
+                const groups = gridData.groups ? `<span class="scenario-design">${format(cell.n1)} / ${format(cell.n2)}</span>` : '';
+                html += `<td style="background:${shade(cell.total)}"><strong>${format(cell.total)}</strong>${groups}</td>`;
+            });
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+    });
+    html += `<p class="description-text">${gridFootnote()}</p>`;
+    gridOutput.innerHTML = html;
+}
+
+function gridFootnote() {
+    const groups = gridData.groups ? ` (${gridData.groups[0]} / ${gridData.groups[1]})` : '';
+    return tr('Total N{groups}, {method} method. Other inputs as in the calculator.', { groups, method: gridData.methodName });
+}
+
+function gridMarkdown() {
+    const lines = [];
+    gridLayout(gridData).forEach(table => {
+        if (table.title) lines.push(`**${table.title}**`, '');
+        lines.push(`| ${[table.corner, ...table.columns].join(' | ')} |`);
+        lines.push(`|${' --- |'.repeat(table.columns.length + 1)}`);
+        table.rows.forEach(row => {
+            lines.push(`| ${[row.value, ...row.cells.map(cell => gridCellText(cell, gridData.groups))].join(' | ')} |`);
+        });
+        lines.push('');
+    });
+    lines.push(gridFootnote());
+    return lines.join('\n');
+}
+
+// Long format, one row per combination
+function gridCSV() {
+    const { axes, cells, groups } = gridData;
+    const header = [...axes.map(axis => axis.label), tr('Method'), ...(groups || []), tr('Total N'), tr('Error')];
+    const rows = cells.map(cell => [
+        ...cell.values,
+        gridData.methodName,
+        ...(groups ? [cell.n1 ?? '', cell.n2 ?? ''] : []),
+        cell.total ?? '',
+        cell.error || ''
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+function copyGrid(button, build) {
+    if (!gridData) return;
+    const label = button.innerText;
+    navigator.clipboard.writeText(build()).then(() => {
+        button.innerText = tr('Copied!');
+        setTimeout(() => { button.innerText = label; }, 2000);
+    }).catch(e => console.error("Copy Table Error:", e));
+}
+
+// --- Recruitment Timeline ---
+// People to screen and months to full enrolment for the current N (the core's recruitmentTarget
+// and recruitmentPlan), with the enrolment month by month against the target.
+
+const recruitmentState = Object.fromEntries(RECRUITMENT_INPUTS.map(input => [input.id, input.val]));
+let currentRecruitment = null;
+
+function renderRecruitmentInputs() {
+    recruitmentInputs.replaceChildren(...RECRUITMENT_INPUTS.map(input => {
+        const id = `recruitment-${input.id}`;
+        const field = document.createElement('div');
+        field.className = 'recruitment-field';
+
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.className = 'selector-label';
+        label.innerText = tr(input.label);
+        field.appendChild(label);
+
+        const el = document.createElement('input');
+        el.id = id;
+        el.type = 'text';
+        el.inputMode = 'decimal';
+        el.className = 'number-input';
+        const val = recruitmentState[input.id];
+        el.value = Number.isFinite(val) ? formatNumber(val) : '';
+        el.setAttribute('aria-describedby', `desc-${id}`);
+        el.addEventListener('input', (e) => {
+            recruitmentState[input.id] = parseNumber(e.target.value);
+            updateRecruitmentPanel();
+        });
+        field.appendChild(el);
+        appendDescription(field, { ...input, id });
+        return field;
+    }));
+}
+
+function updateRecruitmentPanel() {
+    const n = currentResult ? recruitmentTarget(currentResult, inputsState) : null;
+    const plan = n === null ? null : recruitmentPlan(n, recruitmentState);
+    const fields = plan && plan.error ? plan.error.fields : [];
+    RECRUITMENT_INPUTS.forEach(input => {
+        const el = document.getElementById(`recruitment-${input.id}`);
+        const invalid = fields.some(field => field.inputs.includes(input.id));
+        el.parentElement.classList.toggle('invalid', invalid);
+        if (invalid) el.setAttribute('aria-invalid', 'true');
+        else el.removeAttribute('aria-invalid');
+    });
+
+    currentRecruitment = plan && !plan.error ? plan : null;
+    recruitmentResults.innerHTML = '';
+    if (n === null) {
+        recruitmentSummary.textContent = tr('Available when the calculator gives a sample size: solve for N and clear any input errors.');
+    } else if (plan.error) {
+        recruitmentSummary.textContent = plan.error.message;
+    } else {
+        // Rates below one a month keep their digits; long enrolment is grouped like a count
+        const months = plan.months >= 100 ? formatCount(Math.round(plan.months)) : formatNumber(plan.months, 1, true);
+        const perMonth = formatNumber(plan.perMonth, plan.perMonth < 1 ? 3 : 1, true);
+        recruitmentSummary.textContent = tr('Screen {screened} people to enrol {n}. At {perMonth} a month across {sites} sites, enrolment takes {months} months.', {
+            screened: formatCount(plan.screened),
+            n: formatCount(n),
+            perMonth,
+            sites: formatCount(recruitmentState.sites),
+            months
+        });
+        const rows = [
+            [tr('N to Recruit'), formatCount(n)],
+            [tr('Eligible to Approach'), formatCount(plan.eligible)],
+            [tr('People to Screen'), formatCount(plan.screened)],
+            [tr('Enrolled per Month'), perMonth],
+            [tr('Screened per Month'), formatCount(Math.ceil(plan.screenedPerMonth))],
+            [tr('Months to Full Enrolment'), months]
+        ];
+        recruitmentResults.innerHTML = `<table class="compare-table"><tbody>${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}</tbody></table>`;
+    }
+    drawRecruitmentChart();
+}
+
+// Enrolled by the end of each month (bars) on the way to the target (dashed line)
+function drawRecruitmentChart() {
+    recruitmentCanvas.hidden = !currentRecruitment;
+    if (!currentRecruitment) return;
+    const rect = recruitmentCanvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const w = rect.width;
+    const h = rect.height;
+    if (!w || !h) return;
+    recruitmentCanvas.width = Math.floor(w * dpr);
+    recruitmentCanvas.height = Math.floor(h * dpr);
+    const ctx = recruitmentCanvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+
+    const { n, months, step, curve } = currentRecruitment;
+    const left = 60, right = 15, top = 15, bottom = 45;
+    const plotW = w - left - right;
+    const plotH = h - top - bottom;
+    const xMax = Math.max(1, curve[curve.length - 1][0]);
+    const yMax = n * 1.15;
+    const px = (x) => left + x / xMax * plotW;
+    const py = (y) => top + plotH - y / yMax * plotH;
+
+    // Grid, ticks and tick labels
+    ctx.font = '12px sans-serif';
+    ctx.fillStyle = '#555';
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    niceTicks(0, yMax, 5).forEach(t => {
+        ctx.beginPath();
+        ctx.moveTo(left, py(t));
+        ctx.lineTo(left + plotW, py(t));
+        ctx.stroke();
+        ctx.fillText(formatCount(t), left - 6, py(t));
+    });
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    niceTicks(0, xMax, 6).filter(Number.isInteger).forEach(t => {
+        ctx.fillText(formatCount(t), px(t), top + plotH + 7);
+    });
+
+    // One bar per month (or per step of months for long enrolment), centred on its end
+    const barW = Math.max(1, plotW / xMax * step * 0.6);
+    ctx.fillStyle = 'rgba(0, 123, 255, 0.35)';
+    curve.forEach(([month, enrolled]) => {
+        if (month === 0) return;
+        ctx.fillRect(px(month) - barW / 2, py(enrolled), barW, top + plotH - py(enrolled));
+    });
+
+    // Steady enrolment up to the month the target is reached
+    ctx.strokeStyle = '#007bff';
+    ctx.lineWidth = 2.5;
+    ctx.beginPath();
+    ctx.moveTo(px(0), py(0));
+    ctx.lineTo(px(months), py(n));
+    ctx.stroke();
+
+    // Target
+    ctx.strokeStyle = '#e83e8c';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(left, py(n));
+    ctx.lineTo(left + plotW, py(n));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#e83e8c';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(tr('Target N = {n}', { n: formatCount(n) }), left + 6, py(n) - 4);
+
+    // Axes and axis labels
+    ctx.strokeStyle = '#999';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, top);
+    ctx.lineTo(left, top + plotH);
+    ctx.lineTo(left + plotW, top + plotH);
+    ctx.stroke();
+    ctx.fillStyle = '#333';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(tr('Months'), left + plotW / 2, h - 8);
+    ctx.save();
+    ctx.translate(14, top + plotH / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'middle';
+    ctx.fillText(tr('Participants'), 0, 0);
+    ctx.restore();
+}
+
+// Inputs can declare showIf(state) to appear only when relevant (e.g. Population Size with FPC)
+function isInputVisible(input) {
+    return !input.hidden && (!input.showIf || input.showIf(inputsState));
+}
+
+function updateVisibility() {
+    MODES[currentMode].inputs.forEach(input => {
+        const group = document.getElementById(`group-${input.id}`);
+        if (group) group.style.display = isInputVisible(input) ? 'flex' : 'none';
+    });
+}
+
+// Marks the controls named by a result's error. Each message sits under the last control it
+// names; every named control points to it through aria-describedby.
+function showInputErrors(error) {
+    const messages = {};
+    const describedBy = {};
+    (error ? error.fields : []).forEach(field => {
+        const owner = field.inputs[field.inputs.length - 1];
+        messages[owner] = messages[owner] ? `${messages[owner]} ${field.message}` : field.message;
+        field.inputs.forEach(id => { describedBy[id] = `error-${owner}`; });
+    });
+
+    MODES[currentMode].inputs.forEach(input => {
+        const group = document.getElementById(`group-${input.id}`);
+        const control = document.getElementById(input.id);
+        if (!group || !control) return;
+
+        let note = document.getElementById(`error-${input.id}`);
+        if (messages[input.id]) {
+            if (!note) {
+                note = document.createElement('p');
+                note.id = `error-${input.id}`;
+                note.className = 'input-error';
+                group.appendChild(note);
+            }
+            note.textContent = messages[input.id];
+        } else if (note) {
+            note.remove();
+        }
+
+        group.classList.toggle('invalid', !!describedBy[input.id]);
+        if (describedBy[input.id]) control.setAttribute('aria-invalid', 'true');
+        else control.removeAttribute('aria-invalid');
 
-                const el = group.querySelector(`#${input.id}`);
-                el.checked = input.val;
-                el.addEventListener('change', (e) => {
-                    inputsState[input.id] = e.target.checked;
-                    // Handle dependencies like FPC
-                    if (input.id === 'fpc') {
-                        const popGroup = document.getElementById('group-popSize');
-                        const isFinite = e.target.checked;
-                        if (popGroup) popGroup.style.display = isFinite ? 'flex' : 'none';
-
-                        // Dynamic Formula Update
-                        const formulaEl = document.getElementById('formula-display');
-                        const stepsEl = document.getElementById('formula-steps-content');
-
-                        if (currentMode === 'prevalence') {
-                            if (isFinite) {
-                                formulaEl.innerText = 'N_adjusted = (4PQ/D²) / [1 + (4PQ/D²)/Population]';
-                                stepsEl.innerHTML = `
-                                    <p>1. Calculate Infinite Sample Size: <strong>n = 4PQ / D²</strong></p>
-                                    <p>2. Apply Finite Population Correction:</p>
-                                    <p style="text-align:center;"><strong>N_adj = n / (1 + n/N)</strong></p>
-                                    <p>3. Where <strong>N</strong> is the Total Population Size.</p>
-                                 `;
-                            } else {
-                                // Revert to default
-                                formulaEl.innerText = MODES['prevalence'].formulaStr;
-                                stepsEl.innerHTML = MODES['prevalence'].formulaSteps;
-                            }
-                        }
-                    }
-                    calculate();
-                });
+        // Help text first, then the error
+        const described = [input.desc && `desc-${input.id}`, describedBy[input.id]].filter(Boolean).join(' ');
+        if (described) control.setAttribute('aria-describedby', described);
+        else control.removeAttribute('aria-describedby');
+    });
+}
 
-            } else {
-                const labelRow = document.createElement('label');
-                labelRow.htmlFor = input.id;
-                labelRow.innerHTML = `${input.label} <span id="val-${input.id}">${input.val}</span>`;
-                group.appendChild(labelRow);
+// Visible inputs as { id, label, value } for the "Formula Steps" panel and exports.
+// Labels use the formula's symbols (P1, P2, r...) where the mode has them.
+function stepInputs() {
+    // Get current inputs directly from state to ensure we show what user sees
+    return MODES[currentMode].inputs.filter(isInputVisible).map(input => {
+        const val = inputsState[input.id];
+        let label = tr(input.label);
+
+        // Explicit Mapping for P1/P2 based on mode
+        if (currentMode === 'case-control') {
+            if (input.id === 'p_controls') label = tr('P<sub>2</sub> (% Exposed in Controls)');
+            if (input.id === 'ratio') label = tr('r (Control/Case Ratio)');
+        } else if (currentMode === 'matched-case-control') {
+            if (input.id === 'p_controls') label = tr('P<sub>0</sub> (% Exposed in Controls)');
+            if (input.id === 'or') label = tr('&psi; (Odds Ratio)');
+            if (input.id === 'phi') label = tr('&phi; (Exposure Correlation)');
+            if (input.id === 'controlsPerCase') label = tr('M (Controls per Case)');
+            if (input.id === 'p10') label = tr('p<sub>10</sub> (Case Exposed, Control Not)');
+            if (input.id === 'p01') label = tr('p<sub>01</sub> (Control Exposed, Case Not)');
+        } else if (currentMode === 'cohort') {
+            if (input.id === 'p_exposed') label = tr('P<sub>1</sub> (% Exposed with Outcome)');
+            if (input.id === 'p_unexposed') label = tr('P<sub>2</sub> (% Unexposed with Outcome)');
+            if (input.id === 'ratio') label = tr('r (Unexposed/Exposed Ratio)');
+        } else if (currentMode === 'stratified') {
+            if (input.id === 'precision') label = tr('D (Precision)');
+        } else if (currentMode === 'incidence-rates') {
+            if (input.id === 'rate0') label = tr('&lambda;<sub>0</sub> (Baseline Rate)');
+            if (input.id === 'rr') label = tr('RR (Rate Ratio)');
+            if (input.id === 'followup') label = tr('t (Follow-up, years)');
+            if (input.id === 'ratio') label = tr('r (Unexposed/Exposed Ratio)');
+        } else if (currentMode === 'rct') {
+            if (input.id === 'p1') label = tr('P<sub>1</sub> (Prop. Group 1)'); // Actually typically Control in standard formula
+            if (input.id === 'p2') label = tr('P<sub>2</sub> (Prop. Group 2)');
+            if (input.id === 'ratio') label = tr('r (Group Ratio)');
+            if (input.id === 'margin') label = tr('δ (Margin, %)');
+        } else if (currentMode === 'diagnostic') {
+            if (input.id === 'sensitivity') label = tr('Se (Expected Sensitivity)');
+            if (input.id === 'specificity') label = tr('Sp (Expected Specificity)');
+            if (input.id === 'precision') label = tr('D (Precision)');
+            if (input.id === 'prevalence') label = tr('Prev (Disease Prevalence)');
+        } else if (currentMode === 'logistic-regression') {
+            if (input.id === 'pEvent') label = tr('P (Event Rate at Mean of X)');
+            if (input.id === 'p0') label = tr('P<sub>0</sub> (Event Rate when X = 0)');
+            if (input.id === 'b') label = tr('B (Proportion with X = 1)');
+            if (input.id === 'rho2') label = tr('&rho;<sup>2</sup> (R² with Other Covariates)');
+        } else if (currentMode === 'survival') {
+            if (input.id === 'ratio') label = tr('r (Treatment/Control Ratio)');
+            if (input.id === 'accrual') label = tr('a (Accrual, months)');
+            if (input.id === 'followup') label = tr('f (Follow-up, months)');
+        } else if (currentMode === 'two-means') {
+            if (input.id === 'margin') label = tr('δ (Margin)');
+            if (input.id === 'mean1') label = tr('&mu;<sub>1</sub> (Mean Group 1)');
+            if (input.id === 'mean2') label = tr('&mu;<sub>2</sub> (Mean Group 2)');
+            if (input.id === 'sd1') label = tr('&sigma;<sub>1</sub> (SD Group 1)');
+            if (input.id === 'sd2') label = tr('&sigma;<sub>2</sub> (SD Group 2)');
+        }
 
-                if (input.desc) {
-                    const p = document.createElement('p');
-                    p.className = 'description-text';
-                    p.innerText = input.desc;
-                    group.appendChild(p);
-                }
+        return { id: input.id, label, value: formatInputValue(input, val) };
+    });
+}
 
-                const el = document.createElement('input');
-                el.type = input.type;
-                el.id = input.id;
-                el.value = input.val;
-                if (input.min) el.min = input.min;
-                if (input.max) el.max = input.max;
-                if (input.type === 'range') el.className = 'slider';
+function formatInputValue(input, val) {
+    if (input.type === 'checkbox') return val ? tr('Yes') : tr('No');
+    if (input.type === 'select') return tr(input.options.find(opt => opt.value === val)?.label || val);
+    if (input.type === 'strata') {
+        return parseStrata(val).map((row, i) => {
+            const fields = [formatCount(row.size), `${formatNumber(row.prevalence)}%`];
+            if (row.cost !== null) fields.push(formatNumber(row.cost));
+            return `${escapeHtml(row.name || tr('Stratum {n}', { n: i + 1 }))}: ${fields.join(', ')}`;
+        }).join('; ');
+    }
+    return val;
+}
 
-                el.addEventListener('input', (e) => {
-                    let val = e.target.value;
-                    inputsState[input.id] = parseFloat(val);
-                    const badge = document.getElementById(`val-${input.id}`);
-                    if (badge) badge.innerText = input.label.includes('%') ? val + '%' : val;
-                    calculate();
-                });
-                group.appendChild(el);
-            }
-            controlsContainer.appendChild(group);
-        });
+// Numbers written the locale's way; text (already formatted by the core) as it is
+function displayValue(value) {
+    return typeof value === 'number' ? formatNumber(value) : value;
+}
 
-        // Force initial calc
-        calculate();
+// One-sided tests use Z_α rather than Z_α/2 in the displayed formulas
+function withSidedZ(html) {
+    return inputsState.sided === 'one' ? html.replaceAll('Z<sub>α/2</sub>', 'Z<sub>α</sub>') : html;
+}
 
-    } catch (e) {
-        console.error("Setup Mode Error:", e);
+// The big number: Kelsey total when a methods table exists (or the solved value in reverse mode),
+// unless the result names its own headlineMethod
+function headlineValue(result) {
+    if (result.error) return { value: '—', basis: '' };
+    if (result.table) {
+        const [key, name] = headlineMethod(result);
+        // Reverse mode rows carry a formatted value (power, detectable effect) instead of N
+        return { value: result.table[key].value ?? result.table[key].total, basis: tr('{method} Estimate', { method: name }) };
     }
+    return { value: result.n, basis: '' };
 }
 
 function calculate() {
@@ -674,114 +1641,95 @@ function calculate() {
         const mode = MODES[currentMode];
         if (!mode) return;
 
-        const result = mode.calc(inputsState);
+        updateVisibility();
+        const result = evaluate(currentMode, inputsState);
+        showInputErrors(result.error);
 
         // --- 1. Main Display (Kelsey Priority) ---
-        let mainValue = result.n;
-        let subText = '';
-
-        if (result.table && result.table.kelsey) {
-            mainValue = result.table.kelsey.total;
-            subText = '<div style="font-size:1rem; opacity:0.7">Kelsey Estimate</div>';
-        }
+        const headline = headlineValue(result);
+        const mainValue = headline.value;
+        const subText = headline.basis ? `<div style="font-size:1rem; opacity:0.7">${headline.basis}</div>` : '';
 
+        nLabelDisplay.textContent = result.metricLabel || tr('Sample Size (N)');
         if (typeof mainValue === 'string') {
-            nValueDisplay.innerHTML = `<span style="font-size:3rem">${mainValue}</span>`;
+            nValueDisplay.innerHTML = `<span style="font-size:3rem">${mainValue}</span>${subText}`;
         } else {
-            nValueDisplay.innerHTML = `<span style="font-size:5rem">${mainValue.toLocaleString()}</span>${subText}`;
+            nValueDisplay.innerHTML = `<span style="font-size:5rem">${formatCount(mainValue)}</span>${subText}`;
         }
 
         dynamicParamsDisplay.textContent = result.display;
 
-        // --- 2. Dynamic Formula Steps (Input Summary) ---
-        let stepsHTML = '<p><strong>Input Parameters:</strong></p><ul style="list-style:none; padding-left:0; font-size:0.9em;">';
-        // Get current inputs directly from state to ensure we show what user sees
-        const config = MODES[currentMode];
-        config.inputs.forEach(input => {
-            if (!input.hidden) {
-                const val = inputsState[input.id];
-                let label = input.label;
-
-                // Explicit Mapping for P1/P2 based on mode
-                if (currentMode === 'case-control') {
-                    if (input.id === 'p_controls') label = 'P<sub>2</sub> (% Exposed in Controls)';
-                    if (input.id === 'ratio') label = 'r (Control/Case Ratio)';
-                } else if (currentMode === 'cohort') {
-                    if (input.id === 'p_exposed') label = 'P<sub>1</sub> (% Exposed with Outcome)';
-                    if (input.id === 'p_unexposed') label = 'P<sub>2</sub> (% Unexposed with Outcome)';
-                    if (input.id === 'ratio') label = 'r (Unexposed/Exposed Ratio)';
-                } else if (currentMode === 'rct') {
-                    if (input.id === 'p1') label = 'P<sub>1</sub> (Prop. Group 1)'; // Actually typically Control in standard formula
-                    if (input.id === 'p2') label = 'P<sub>2</sub> (Prop. Group 2)';
-                    if (input.id === 'ratio') label = 'r (Group Ratio)';
-                } else if (currentMode === 'two-means') {
-                    if (input.id === 'mean1') label = '&mu;<sub>1</sub> (Mean Group 1)';
-                    if (input.id === 'mean2') label = '&mu;<sub>2</sub> (Mean Group 2)';
-                    if (input.id === 'sd1') label = '&sigma;<sub>1</sub> (SD Group 1)';
-                    if (input.id === 'sd2') label = '&sigma;<sub>2</sub> (SD Group 2)';
-                }
-
-                // Truncate very long labels if not replaced
-                if (label.length > 40) label = label.substring(0, 38) + '..';
+        // Formula can depend on inputs (FPC, reverse mode)
+        formulaDisplay.innerHTML = withSidedZ(mode.formulaFor ? mode.formulaFor(inputsState) : mode.formulaStr);
 
-                let displayVal = val;
-                if (input.type === 'checkbox') displayVal = val ? 'Yes' : 'No';
+        // --- 2. Dynamic Formula Steps (Input Summary) ---
+        let stepsHTML = `<p><strong>${tr('Input Parameters:')}</strong></p><ul style="list-style:none; padding-left:0; font-size:0.9em;">`;
+        stepInputs().forEach(item => {
+            // Truncate very long labels if not replaced
+            const label = item.label.length > 40 ? item.label.substring(0, 38) + '..' : item.label;
 
-                stepsHTML += `<li style="margin-bottom:4px; border-bottom:1px solid rgba(255,255,255,0.1); display:flex; justify-content:space-between;">
+            stepsHTML += `<li style="margin-bottom:4px; border-bottom:1px solid rgba(255,255,255,0.1); display:flex; justify-content:space-between;">
                     <span style="opacity:0.8">${label}:</span> 
-                    <strong>${displayVal}</strong>
+                    <strong>${displayValue(item.value)}</strong>
                  </li>`;
-            }
         });
 
         // Add Calculated values if available
-        if (currentMode === 'case-control' && result.display.includes('P_cases')) {
-            // Extract P_cases from display string
-            const pCasesMatch = result.display.match(/P_cases=([\d.]+)%/);
-            if (pCasesMatch) {
-                stepsHTML += `<li style="margin-bottom:4px; border-bottom:1px solid rgba(255,255,255,0.1); display:flex; justify-content:space-between; color:orange;">
-                    <span>P<sub>1</sub> (Calc. % Exposed in Cases):</span> <strong>${pCasesMatch[1]}%</strong>
+        (result.derived || []).forEach(item => {
+            stepsHTML += `<li style="margin-bottom:4px; border-bottom:1px solid rgba(255,255,255,0.1); display:flex; justify-content:space-between; color:orange;">
+                    <span>${item.label}:</span> <strong>${displayValue(item.value)}</strong>
                  </li>`;
-            }
-        }
+        });
         stepsHTML += '</ul>';
         formulaStepsContent.innerHTML = stepsHTML;
 
         // --- 3. Interpretation & Table ---
-        let interpHTML = mode.interpretation;
+        let interpHTML = withSidedZ(modeText(currentMode, 'interpretation'));
 
         if (result.table) {
-            // Render Table
+            // Render Table. Reverse mode (and single-group designs) show one value per method instead of group sizes.
+            const methodNames = tableMethods(result);
+            const valueRows = result.table[methodNames[0][0]].value !== undefined;
+            const hasDropout = !valueRows && !!result.table[methodNames[0][0]].beforeDropout;
+            const hasClusters = !valueRows && !!result.table[methodNames[0][0]].clusters;
+            const hasEvents = !valueRows && result.table[methodNames[0][0]].events !== undefined;
+            const header = valueRows
+                ? `<th style="padding:4px;">${result.tableLabel}</th>`
+                : `<th style="padding:4px;">${result.visualData.label2}</th>
+                            <th style="padding:4px;">${result.visualData.label1}</th>
+                            ${hasDropout ? `<th style="padding:4px;">${tr('Before Dropout')}</th>` : ''}
+                            <th style="padding:4px;">${tr('Total')}</th>
+                            ${hasEvents ? `<th style="padding:4px;">${tr('Events')}</th>` : ''}
+                            ${hasClusters ? `<th style="padding:4px;">${tr('Clusters')}</th>` : ''}`;
+
+            let rowsHTML = '';
+            methodNames.forEach(([key, name]) => {
+                const row = result.table[key];
+                const cells = valueRows
+                    ? `<td>${row.value}${row.detail ? `<div style="font-size:0.8em; opacity:0.7">${row.detail}</div>` : ''}</td>`
+                    : `<td>${formatNumber(row.n1)}</td>
+                            <td>${formatNumber(row.n2)}</td>
+                            ${hasDropout ? `<td style="opacity:0.7">${formatNumber(row.beforeDropout.total)}</td>` : ''}
+                            <td>${formatNumber(row.total)}</td>
+                            ${hasEvents ? `<td>${formatNumber(row.events)}</td>` : ''}
+                            ${hasClusters ? `<td>${formatNumber(row.clusters.n1)} / ${formatNumber(row.clusters.n2)}</td>` : ''}`;
+                rowsHTML += `
+                        <tr${key === result.headlineMethod ? ' style="font-weight:700;"' : ''}>
+                            <td style="padding:4px; text-align:left;">${name}</td>
+                            ${cells}
+                        </tr>`;
+            });
+
             let tableHTML = `
-                <br><strong>Comparison of Methods:</strong>
+                <br><strong>${tr('Comparison of Methods:')}</strong>
                 <table style="width:100%; text-align:center; margin-top:5px; border-collapse: collapse; font-size:0.9em;">
                     <thead>
                         <tr style="border-bottom: 1px solid rgba(255,255,255,0.2);">
-                            <th style="padding:4px;">Method</th>
-                            <th style="padding:4px;">${result.visualData.label2}</th>
-                            <th style="padding:4px;">${result.visualData.label1}</th>
-                            <th style="padding:4px;">Total</th>
+                            <th style="padding:4px;">${tr('Method')}</th>
+                            ${header}
                         </tr>
                     </thead>
-                    <tbody>
-                        <tr>
-                            <td style="padding:4px; text-align:left;">Kelsey</td>
-                            <td>${result.table.kelsey.n1}</td>
-                            <td>${result.table.kelsey.n2}</td>
-                            <td>${result.table.kelsey.total}</td>
-                        </tr>
-                        <tr>
-                            <td style="padding:4px; text-align:left;">Fleiss</td>
-                            <td>${result.table.fleiss.n1}</td>
-                            <td>${result.table.fleiss.n2}</td>
-                            <td>${result.table.fleiss.total}</td>
-                        </tr>
-                        <tr>
-                            <td style="padding:4px; text-align:left;">Fleiss CC</td>
-                            <td>${result.table.fleiss_cc.n1}</td>
-                            <td>${result.table.fleiss_cc.n2}</td>
-                            <td>${result.table.fleiss_cc.total}</td>
-                        </tr>
+                    <tbody>${rowsHTML}
                     </tbody>
                 </table>
              `;
@@ -790,12 +1738,235 @@ function calculate() {
 
         interpretationContent.innerHTML = interpHTML;
 
+        currentResult = result;
         currentVisualData = result.visualData;
+        currentCurveData = (mode.sweep && currentView !== 'grid') ? buildCurveData(mode, inputsState, result, currentView) : null;
+        updateVisualDescription(result);
+        announceResult(result, headline);
+        updateSimulationPanel(result);
+        updateGridPanel();
+        updateRecruitmentPanel();
     } catch (e) {
         console.error("Calc Error:", e);
     }
 }
 
+// --- Sensitivity Curves ---
+const CURVE_POINTS = 60;
+
+// Numeric value per method from a calc result: N totals, or the solved value in reverse mode
+function methodValues(result) {
+    if (result.table) {
+        return tableMethods(result).map(([key, name]) => ({ name, value: result.table[key].raw ?? result.table[key].total }));
+    }
+    return [{ name: 'N', value: result.raw ?? result.n }];
+}
+
+// Re-runs the mode's own calc across a range to get one line per method:
+// required N against the effect size ('effect'), or power against total N ('power').
+function buildCurveData(mode, state, result, view) {
+    const sweep = mode.sweep;
+
+    // In effect mode the effect is an output, so draw the curves through the detectable (Kelsey) value
+    let base = { ...state };
+    if (state.solveFor === 'effect') {
+        const detectable = methodValues(result)[0].value;
+        if (!Number.isFinite(detectable)) return null;
+        base = sweep.apply(base, detectable);
+    }
+
+    const nAt = (s) => methodValues(evaluate(currentMode, { ...s, solveFor: 'n' }));
+    const powerAt = (s, n) => methodValues(evaluate(currentMode, { ...s, solveFor: 'power', n_available: n }));
+
+    function buildSeries(xMin, xMax, valuesAt) {
+        const series = {};
+        for (let i = 0; i <= CURVE_POINTS; i++) {
+            const x = xMin + (xMax - xMin) * i / CURVE_POINTS;
+            valuesAt(x).forEach(({ name, value }) => {
+                if (!series[name]) series[name] = [];
+                // Errors (e.g. P1 > 100%) and zero N leave a gap in the line
+                series[name].push([x, Number.isFinite(value) && value > 0 ? value : null]);
+            });
+        }
+        return Object.entries(series)
+            .filter(([, points]) => points.some(p => p[1] !== null))
+            .map(([name, points]) => ({ name, points }));
+    }
+
+    if (view === 'effect') {
+        const [xMin, xMax] = sweep.range(base);
+        if (!(xMax > xMin)) return null;
+        const markerY = nAt(base)[0].value;
+        const series = buildSeries(xMin, xMax, (x) => nAt(sweep.apply(base, x)));
+        const peak = Math.max(...series.flatMap(sr => sr.points.map(p => p[1] || 0)));
+
+        return {
+            xLabel: tr(sweep.label),
+            yLabel: tr('Total Sample Size (N)'),
+            xMin, xMax,
+            // N explodes near the null value, so cap the axis relative to the current point
+            yMax: Number.isFinite(markerY) ? Math.min(peak, markerY * 3) : peak,
+            formatY: (v) => formatCount(v),
+            series,
+            marker: { x: sweep.value(base), y: markerY }
+        };
+    }
+
+    const nCurrent = state.solveFor === 'n' ? methodValues(result)[0].value : parseFloat(state.n_available);
+    if (!(nCurrent > 0)) return null;
+    const xMax = Math.max(10, nCurrent * 2.5);
+
+    return {
+        xLabel: tr('Total Sample Size (N)'),
+        yLabel: tr('Power (%)'),
+        xMin: 0,
+        xMax,
+        yMax: 100,
+        formatY: (v) => `${formatNumber(v)}%`,
+        series: buildSeries(xMax / CURVE_POINTS, xMax, (n) => powerAt(base, n)),
+        marker: { x: nCurrent, y: powerAt(base, nCurrent)[0].value }
+    };
+}
+
+// --- Text Alternatives ---
+// The canvas is drawn every frame, so its text alternative is rebuilt in calculate() instead:
+// a one-line summary (the canvas's accessible name) and the numbers behind the picture.
+const ANNOUNCE_DELAY = 750;
+let announceTimer = null;
+
+// Reads out the new headline once the inputs settle, so a slider drag is one announcement
+function announceResult(result, headline) {
+    const label = result.metricLabel || tr('Sample Size (N)');
+    const value = typeof headline.value === 'number' ? formatCount(headline.value) : plainText(headline.value);
+    const text = result.error
+        ? `${tr('{label} not available.', { label })} ${result.error.message}`
+        : `${label}: ${value}${headline.basis ? `, ${headline.basis}` : ''}`;
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+        if (nAnnouncer.textContent !== text) nAnnouncer.textContent = text;
+    }, ANNOUNCE_DELAY);
+}
+
+function updateVisualDescription(result) {
+    const { summary, head = [], rows = [] } = describeVisual(result);
+    visualSummary.textContent = summary;
+    visualTable.innerHTML = rows.length ? `<table class="compare-table">
+        <thead><tr>${head.map(cell => `<th scope="col">${escapeHtml(cell)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>` : '';
+}
+
+// Follows the same branches as loop(), so the text always matches the picture
+function describeVisual(result) {
+    const data = result.visualData;
+    const count = (v) => formatCount(Math.round(v));
+
+    if (currentMode === 'prevalence') {
+        if (result.error) return { summary: tr('Sample size against prevalence. No curve until the highlighted inputs are corrected.') };
+        const P = parseFloat(inputsState.prevalence);
+        const points = [...new Set([10, 20, 30, 40, 50, 60, 70, 80, 90, P])].sort((a, b) => a - b);
+        const params = { P: `${formatNumber(P)}%`, n: count(Math.ceil(prevalenceCurveN(P / 100))) };
+        return {
+            summary: inputsState.precisionType === 'relative'
+                ? tr('Curve of the Wald sample size against the expected prevalence, falling as prevalence rises. At the chosen prevalence of {P}, N = {n}.', params)
+                : tr('Curve of the Wald sample size against the expected prevalence, highest at 50%. At the chosen prevalence of {P}, N = {n}.', params),
+            head: [tr('Prevalence (P)'), tr('N (Wald)')],
+            rows: points.map(p => [`${formatNumber(p)}%${p === P ? ` ${tr('(chosen)')}` : ''}`, count(Math.ceil(prevalenceCurveN(p / 100)))])
+        };
+    }
+
+    if (currentCurveData) {
+        const { xLabel, yLabel, xMax, series, marker, formatY } = currentCurveData;
+        const formatX = (x) => (Math.abs(xMax) >= 100 ? count(x) : formatNumber(+x.toFixed(2)));
+        const formatValue = (v) => (v === null ? '—' : formatY(+v.toFixed(1)));
+        // Every sixth point; a method can start late (where the others failed), so match on x
+        const xs = [...new Set(series.flatMap(sr => sr.points.map(p => p[0])))].sort((a, b) => a - b);
+        const rows = xs.filter((x, i) => i % (CURVE_POINTS / 10) === 0).map(x => [
+            formatX(x),
+            ...series.map(sr => formatValue((sr.points.find(p => p[0] === x) || [x, null])[1]))
+        ]);
+        const current = Number.isFinite(marker.y)
+            ? ` ${tr('The current design is at {x} {xValue}, {y} {yValue}.', { x: xLabel, xValue: formatX(marker.x), y: yLabel, yValue: formatValue(marker.y) })}`
+            : '';
+        return {
+            summary: tr('Line chart of {y} against {x}, one line per method ({methods}).', { y: yLabel, x: xLabel, methods: series.map(sr => sr.name).join(', ') }) + current,
+            head: [xLabel, ...series.map(sr => sr.name)],
+            rows
+        };
+    }
+
+    if (!data) return { summary: result.error ? tr('No chart until the highlighted inputs are corrected.') : tr('No chart for this design.') };
+
+    if (currentMode === 'correlation' || currentMode === 'linear-regression') {
+        return { summary: tr('Scatter plot of a simulated sample of N = {n} participants with {title}.', { n: formatCount(data.n), title: data.title }) };
+    }
+
+    if (currentMode === 'survival') {
+        const studyEnd = data.accrual + data.followup;
+        const arms = [
+            [data.label2, data.n2, data.events[0], data.lambdas[0]],
+            [data.label1, data.n1, data.events[1], data.lambdas[1]]
+        ];
+        const months = formatNumber(studyEnd);
+        return {
+            summary: tr('Expected survival curves over {months} months for {group2} and {group1}, with the participants and expected events in each arm.', { months, group2: data.label2, group1: data.label1 }),
+            head: [tr('Arm'), tr('Participants'), tr('Expected events'), tr('Survival at {months} months', { months })],
+            rows: arms.map(([label, n, events, lambda]) => [label, formatCount(n), formatCount(events), `${formatNumber(Math.exp(-lambda * studyEnd) * 100, 1)}%`])
+        };
+    }
+
+    if (currentMode === 'stratified') {
+        return {
+            summary: tr('{method} allocation of N = {n} across {count} strata, with each stratum\'s share of the population and of the sample.', { method: data.method, n: formatCount(data.total), count: formatCount(data.strata.length) }),
+            head: [tr('Stratum'), tr('Population'), tr('Prevalence (%)'), 'n', tr('Sampling fraction')],
+            rows: data.strata.map(row => [row.name, formatCount(row.size), formatNumber(row.prevalence), formatCount(row.n), `${formatNumber(row.n / row.size * 100, 2)}%`])
+        };
+    }
+
+    if (currentMode === 'incidence-rates') {
+        const years = formatNumber(data.followup);
+        const groups = [
+            [data.label2, data.n2, data.personYears[0], data.events[0]],
+            [data.label1, data.n1, data.personYears[1], data.events[1]]
+        ];
+        return {
+            summary: tr('Cumulative expected events over {years} years of follow-up for {group2} and {group1}.', { years, group2: data.label2, group1: data.label1 }),
+            head: [tr('Group'), tr('Participants'), tr('Person-years'), tr('Expected events')],
+            rows: groups.map(([label, n, personYears, events]) => [label, formatCount(n), formatCount(Math.round(personYears)), formatCount(Math.round(events))])
+        };
+    }
+
+    if (currentMode === 'matched-case-control') {
+        const M = data.controlsPerCase || 1;
+        const params = { sets: formatCount(data.sets), M: formatCount(M) };
+        return {
+            summary: M > 1
+                ? tr('{sets} matched sets, each of 1 case and {M} controls.', params)
+                : tr('{sets} matched sets, each of 1 case and 1 control.', params),
+            head: [tr('Group'), 'N'],
+            rows: [[data.label2, formatCount(data.sets)], [data.label1, formatCount(data.sets * M)]]
+        };
+    }
+
+    // Population grid
+    const m = data.clusterSize > 1 ? Math.max(1, Math.round(data.clusterSize)) : 0;
+    const groups = [[data.label1, data.n1 || 0], [data.label2, data.n2 || 0]];
+    let summary = tr('Dot grid of the two groups: {groups}.', { groups: groups.map(([label, n]) => `${label} N = ${formatCount(n)}`).join(', ') });
+    if (m) summary += ` ${tr('Participants are grouped into clusters of about {m}.', { m: formatCount(m) })}`;
+    if (data.margin) {
+        const { hypothesis, delta, diff, unit } = data.margin;
+        const fmt = (v) => `${formatNumber(v, 2, true)}${unit}`;
+        summary += ' ' + (hypothesis === 'equivalence'
+            ? tr('Equivalence margin ±{delta}, expected difference {diff}.', { delta: fmt(delta), diff: fmt(diff) })
+            : tr('Non-inferiority margin -{delta}, expected difference {diff}.', { delta: fmt(delta), diff: fmt(diff) }));
+    }
+    return {
+        summary,
+        head: m ? [tr('Group'), 'N', tr('Clusters')] : [tr('Group'), 'N'],
+        rows: groups.map(([label, n]) => (m ? [label, formatCount(n), formatCount(Math.ceil(n / m))] : [label, formatCount(n)]))
+    };
+}
+
 // Particle System
 class Particle {
     constructor(w, h) {
@@ -834,7 +2005,7 @@ function loop() {
     if (bgCtx && bgCanvas) {
         bgCtx.clearRect(0, 0, bgCanvas.width, bgCanvas.height);
         bgParticles.forEach(p => {
-            p.update(bgCanvas.width, bgCanvas.height);
+            if (!reducedMotion.matches) p.update(bgCanvas.width, bgCanvas.height);
             p.draw(bgCtx);
         });
     }
@@ -849,9 +2020,23 @@ function loop() {
 
         if (currentMode === 'prevalence') {
             drawPrevalenceCurve(sampleCtx, w, h);
+        } else if (currentCurveData) {
+            drawSensitivityChart(sampleCtx, w, h, currentCurveData);
+        } else if ((currentMode === 'correlation' || currentMode === 'linear-regression') && currentVisualData) {
+            drawScatter(sampleCtx, w, h, currentVisualData);
+        } else if (currentMode === 'survival' && currentVisualData) {
+            drawSurvival(sampleCtx, w, h, currentVisualData);
+        } else if (currentMode === 'stratified' && currentVisualData) {
+            drawStrata(sampleCtx, w, h, currentVisualData);
+        } else if (currentMode === 'incidence-rates' && currentVisualData) {
+            drawIncidenceRates(sampleCtx, w, h, currentVisualData);
+        } else if (currentMode === 'matched-case-control' && currentVisualData) {
+            drawMatchedSets(sampleCtx, w, h, currentVisualData);
         } else if (currentVisualData) {
-            // Draw SCALED Population Grids
-            drawPopulationGrid(sampleCtx, w, h, currentVisualData);
+            // Draw SCALED Population Grids, leaving room for the margin strip of margin tests
+            const margin = currentVisualData.margin;
+            drawPopulationGrid(sampleCtx, w, margin ? h - MARGIN_STRIP_HEIGHT : h, currentVisualData);
+            if (margin) drawMarginStrip(sampleCtx, w, h, margin);
         }
     }
     requestAnimationFrame(loop);
@@ -859,6 +2044,17 @@ function loop() {
 
 // --- Visualizations ---
 
+// Wald N at prevalence x (0-1), with the precision (absolute or relative) at that x
+function prevalenceCurveN(x) {
+    const z = getZAlpha(parseFloat(inputsState.confidence) || 95);
+    const D = prevalencePrecision(inputsState, x);
+    let nVal = (z * z * x * (1 - x)) / (D * D);
+    if (inputsState.fpc && inputsState.popSize) {
+        nVal = nVal / (1 + (nVal / inputsState.popSize));
+    }
+    return nVal;
+}
+
 // 1. Prevalence Curve (Gaussian-ish / Sample vs Precision)
 function drawPrevalenceCurve(ctx, w, h) {
     const padding = 20;
@@ -866,17 +2062,11 @@ function drawPrevalenceCurve(ctx, w, h) {
     const graphH = h - padding * 2;
 
     const P_val = inputsState['prevalence'] || 50;
-    const D_val = inputsState['precision'] || 5;
-
-    const currentD = D_val / 100;
+    const waldN = prevalenceCurveN;
 
-    // Calculate Max Possible N (at P=50%) for this Precision
-    // N = 4 * 0.5 * 0.5 / D^2 = 1 / D^2
-    let maxN = 1 / (currentD * currentD);
-    if (inputsState.fpc && inputsState.popSize) {
-        // Apply FPC to maxN
-        maxN = maxN / (1 + (maxN / inputsState.popSize));
-    }
+    // Absolute precision peaks at P=50%; relative precision grows without bound as P falls,
+    // so scale to twice the current point instead
+    const maxN = inputsState.precisionType === 'relative' ? 2 * waldN(P_val / 100) : waldN(0.5);
 
     // Scale factor to make Peak N fit in ~85% of Height
     const pixelsPerN = (graphH * 0.85) / maxN;
@@ -885,19 +2075,14 @@ function drawPrevalenceCurve(ctx, w, h) {
     ctx.lineWidth = 4;
     ctx.strokeStyle = 'rgba(0, 123, 255, 0.5)';
 
-    // Formula: N = 4 * x * (1-x) / D^2
+    // Formula: N = Z^2 * x * (1-x) / D^2
     // We plot N (y-axis) vs P (x-axis)
     let moved = false;
     for (let ix = 0; ix <= graphW; ix += 5) {
         const xVal = ix / graphW; // P (0..1)
         if (xVal <= 0.01 || xVal >= 0.99) continue; // Avoid Infinity
 
-        let nVal = (4 * xVal * (1 - xVal)) / (currentD * currentD);
-
-        if (inputsState.fpc && inputsState.popSize) {
-            nVal = nVal / (1 + (nVal / inputsState.popSize));
-        }
-
+        const nVal = waldN(xVal);
         const yVal = h - padding - (nVal * pixelsPerN);
         const clampedY = Math.max(padding, Math.min(h - padding, yVal));
 
@@ -912,10 +2097,7 @@ function drawPrevalenceCurve(ctx, w, h) {
 
     // Draw Point for Current Selection
     const currentP = P_val / 100;
-    let currentN = (4 * currentP * (1 - currentP)) / (currentD * currentD);
-    if (inputsState.fpc && inputsState.popSize) {
-        currentN = currentN / (1 + (currentN / inputsState.popSize));
-    }
+    const currentN = waldN(currentP);
 
     // Exact position map
     const cx = padding + currentP * graphW;
@@ -944,6 +2126,11 @@ function drawPrevalenceCurve(ctx, w, h) {
 
 // 2. Population Grid (Dot Matrix for comparisons)
 function drawPopulationGrid(ctx, w, h, data) {
+    if (data.clusterSize > 1) {
+        drawClusteredGrid(ctx, w, h, data);
+        return;
+    }
+
     const padding = 20;
     const contentW = w - padding * 2;
 
@@ -1006,7 +2193,7 @@ function drawPopulationGrid(ctx, w, h, data) {
         ctx.fillText(label, centerX, 30);
         ctx.font = '16px sans-serif';
         ctx.fillStyle = '#555';
-        ctx.fillText(`N = ${originalN.toLocaleString()}`, centerX, 55);
+        ctx.fillText(`N = ${formatCount(originalN)}`, centerX, 55);
 
         // Grid
         const startY = 70;
@@ -1040,11 +2227,626 @@ function drawPopulationGrid(ctx, w, h, data) {
     // Legend -> HTML
     const legendEl = document.getElementById('visual-legend');
     if (legendEl) {
-        let legendText = scale > 1 ? `* 1 Dot ≈ ${scale} Participants` : `* 1 Dot = 1 Participant (Actual Size)`;
-        if (bestCellSize <= 4) legendText += " (High Density)";
+        let legendText = scale > 1 ? tr('* 1 Dot ≈ {scale} Participants', { scale: formatCount(scale) }) : tr('* 1 Dot = 1 Participant (Actual Size)');
+        if (bestCellSize <= 4) legendText += ` ${tr('(High Density)')}`;
         legendEl.innerText = legendText;
     }
 }
 
+// Strip under the population grid for non-inferiority / equivalence: the difference axis
+// with zero, the margin(s) and the expected difference, shading the region to be shown
+const MARGIN_STRIP_HEIGHT = 80;
+
+function drawMarginStrip(ctx, w, h, margin) {
+    const padding = 40;
+    const top = h - MARGIN_STRIP_HEIGHT + 10;
+    const axisY = top + 32;
+    const span = Math.max(margin.delta * 2, Math.abs(margin.diff) + margin.delta) * 1.2;
+    const xAt = (v) => padding + (v + span) / (2 * span) * (w - padding * 2);
+    const fmt = (v) => `${formatNumber(v, 2, true)}${margin.unit}`;
+
+    // Shaded region the trial sets out to show
+    const left = xAt(-margin.delta);
+    const right = margin.hypothesis === 'equivalence' ? xAt(margin.delta) : w - padding;
+    ctx.fillStyle = 'rgba(40, 167, 69, 0.15)';
+    ctx.fillRect(left, axisY - 14, right - left, 28);
+    ctx.fillStyle = '#28a745';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(margin.hypothesis === 'equivalence' ? tr('Equivalent') : tr('Non-inferior'), (left + right) / 2, axisY - 18);
+
+    // Axis
+    ctx.strokeStyle = '#999';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(padding, axisY);
+    ctx.lineTo(w - padding, axisY);
+    ctx.stroke();
+
+    const tick = (v, color, label, dashed) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dashed ? [4, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(xAt(v), axisY - 14);
+        ctx.lineTo(xAt(v), axisY + 14);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = color;
+        ctx.font = '12px sans-serif';
+        ctx.fillText(label, xAt(v), axisY + 28);
+    };
+
+    tick(0, '#999', '0', true);
+    tick(-margin.delta, '#e83e8c', `-δ = ${fmt(-margin.delta)}`);
+    if (margin.hypothesis === 'equivalence') tick(margin.delta, '#e83e8c', `+δ = ${fmt(margin.delta)}`);
+
+    // Expected difference
+    ctx.fillStyle = '#007bff';
+    ctx.beginPath();
+    ctx.arc(xAt(margin.diff), axisY, 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.font = 'bold 12px sans-serif';
+    ctx.fillText(tr('Expected {diff}', { diff: fmt(margin.diff) }), xAt(margin.diff), axisY - 18 + (Math.abs(xAt(margin.diff) - (left + right) / 2) < 60 ? -14 : 0));
+}
+
+// Matched sets for the matched case-control design: each set is a capsule holding its
+// case (pink) and M controls (green). Scales to 1 capsule per several sets when needed.
+function drawMatchedSets(ctx, w, h, data) {
+    const padding = 20;
+    const contentW = w - padding * 2;
+    const startY = 70;
+    const contentH = h - 40 - startY;
+
+    const sets = data.sets || 0;
+    const M = data.controlsPerCase || 1;
+
+    let cell = 0;
+    let setGap = 0;
+    let perRow = 0;
+    for (const size of [16, 12, 10, 8, 6, 5, 4, 3]) {
+        const gapPx = Math.max(4, size * 0.6);
+        const setW = (M + 1) * size;
+        const cols = Math.floor((contentW + gapPx) / (setW + gapPx));
+        const rows = Math.floor((contentH + gapPx) / (size + gapPx));
+        if (cols * rows >= sets) {
+            cell = size;
+            setGap = gapPx;
+            perRow = cols;
+            break;
+        }
+    }
+
+    let scale = 1;
+    if (!cell) {
+        cell = 3;
+        setGap = 4;
+        perRow = Math.floor((contentW + setGap) / ((M + 1) * cell + setGap));
+        const capacity = perRow * Math.floor((contentH + setGap) / (cell + setGap));
+        scale = Math.ceil(sets / capacity);
+    }
+
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 20px sans-serif';
+    ctx.fillStyle = '#e83e8c';
+    ctx.fillText(tr('{sets} Matched Sets (1:{M})', { sets: formatCount(sets), M: formatCount(M) }), w / 2, 30);
+    ctx.font = '16px sans-serif';
+    ctx.fillStyle = '#555';
+    ctx.fillText(`${formatCount(sets)} ${data.label2} + ${formatCount(sets * M)} ${data.label1}`, w / 2, 55);
+
+    const glyphs = Math.ceil(sets / scale);
+    const setW = (M + 1) * cell;
+    const rowW = perRow * (setW + setGap) - setGap;
+    const xStart = (w - rowW) / 2;
+    const dotRadius = Math.max(1, cell * 0.35);
+
+    for (let i = 0; i < glyphs; i++) {
+        const x = xStart + (i % perRow) * (setW + setGap);
+        const y = startY + Math.floor(i / perRow) * (cell + setGap);
+        if (y + cell > h - 40) break;
+
+        // Capsule joining the set
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.06)';
+        ctx.fillRect(x, y, setW, cell);
+
+        for (let j = 0; j <= M; j++) {
+            ctx.fillStyle = j === 0 ? '#e83e8c' : '#28a745';
+            ctx.beginPath();
+            ctx.arc(x + j * cell + cell / 2, y + cell / 2, dotRadius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    const legendEl = document.getElementById('visual-legend');
+    if (legendEl) {
+        const unit = scale > 1 ? tr('1 Row ≈ {scale} Matched Sets', { scale: formatCount(scale) }) : tr('1 Row = 1 Matched Set');
+        legendEl.innerText = M > 1
+            ? tr('* {unit}: 1 Case (pink) + {M} Controls (green)', { unit, M: formatCount(M) })
+            : tr('* {unit}: 1 Case (pink) + 1 Control (green)', { unit });
+    }
+}
+
+// Survival design: exponential survival curves per arm over the study, with accrual and
+// study end marked, and a bar per arm splitting participants into events and censored.
+function drawSurvival(ctx, w, h, data) {
+    const padding = 50;
+    const studyEnd = data.accrual + data.followup;
+    const chartTop = 40;
+    const chartBottom = h * 0.62;
+    const xAt = (t) => padding + t / studyEnd * (w - padding * 2);
+    const yAt = (s) => chartBottom - s * (chartBottom - chartTop);
+    const arms = [
+        { label: data.label2, color: '#e83e8c', lambda: data.lambdas[0], n: data.n2, events: data.events[0] }, // Control
+        { label: data.label1, color: '#007bff', lambda: data.lambdas[1], n: data.n1, events: data.events[1] } // Treatment
+    ];
+
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.fillStyle = '#555';
+    ctx.fillText(tr('Expected Survival, S(t) = e^(-λt)'), w / 2, 22);
+
+    // Axes
+    ctx.strokeStyle = '#999';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(padding, chartTop);
+    ctx.lineTo(padding, chartBottom);
+    ctx.lineTo(w - padding, chartBottom);
+    ctx.stroke();
+    ctx.fillStyle = '#777';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'right';
+    [0, 0.5, 1].forEach(s => ctx.fillText(formatNumber(s, 1), padding - 6, yAt(s) + 4));
+    ctx.textAlign = 'center';
+    ctx.fillText(tr('Months'), w / 2, chartBottom + 28);
+
+    // Accrual close and final analysis
+    const marker = (t, label) => {
+        ctx.strokeStyle = '#aaa';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(xAt(t), chartTop);
+        ctx.lineTo(xAt(t), chartBottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#777';
+        ctx.fillText(label, xAt(t), chartBottom + 14);
+    };
+    if (data.accrual > 0 && data.followup > 0) marker(data.accrual, tr('Accrual ends ({months})', { months: formatNumber(data.accrual) }));
+    marker(studyEnd, formatNumber(studyEnd));
+
+    arms.forEach(arm => {
+        ctx.strokeStyle = arm.color;
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        for (let i = 0; i <= 100; i++) {
+            const t = studyEnd * i / 100;
+            const x = xAt(t);
+            const y = yAt(Math.exp(-arm.lambda * t));
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+    });
+
+    // Events vs total participants per arm
+    const maxN = Math.max(arms[0].n, arms[1].n, 1);
+    const barH = Math.min(24, (h - chartBottom - 60) / 2 - 8);
+    const labelW = 90;
+    arms.forEach((arm, i) => {
+        const y = chartBottom + 44 + i * (barH + 12);
+        const fullW = (w - padding * 2 - labelW) * arm.n / maxN;
+        const eventW = arm.n ? fullW * arm.events / arm.n : 0;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.08)';
+        ctx.fillRect(padding + labelW, y, fullW, barH);
+        ctx.fillStyle = arm.color;
+        ctx.fillRect(padding + labelW, y, eventW, barH);
+        ctx.textAlign = 'left';
+        ctx.font = 'bold 12px sans-serif';
+        ctx.fillText(arm.label, padding, y + barH / 2 + 4);
+        ctx.fillStyle = '#333';
+        ctx.font = '12px sans-serif';
+        ctx.fillText(tr('{events} events / {n}', { events: formatCount(arm.events), n: formatCount(arm.n) }), padding + labelW + 6, y + barH / 2 + 4);
+    });
+
+    const legendEl = document.getElementById('visual-legend');
+    if (legendEl) {
+        legendEl.innerText = tr('* Curves: {group2} (pink) vs {group1} (blue). Bars: events (filled) out of participants per arm', { group2: arms[0].label, group1: arms[1].label });
+    }
+}
+
+// Stratified design: per stratum, its share of the population (grey) above its share of the
+// sample (blue), labelled with the number to interview.
+function drawStrata(ctx, w, h, data) {
+    const padding = 30;
+    const top = 50;
+    const labelW = Math.min(140, w * 0.3);
+    const population = data.strata.reduce((sum, row) => sum + row.size, 0);
+    const rows = data.strata.map(row => ({ ...row, popShare: row.size / population, sampleShare: row.n / data.total }));
+    const maxShare = Math.max(...rows.map(row => Math.max(row.popShare, row.sampleShare)));
+    const rowH = Math.min(56, (h - top - 10) / rows.length);
+    const barH = Math.max(3, rowH / 2 - 6);
+    const barW = (share) => (w - padding * 2 - labelW - 60) * share / maxShare;
+
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.fillStyle = '#555';
+    ctx.fillText(tr('{method} Allocation, N = {n}', { method: data.method, n: formatCount(data.total) }), w / 2, 26);
+
+    rows.forEach((row, i) => {
+        const y = top + i * rowH;
+        const name = row.name.length > 18 ? row.name.substring(0, 17) + '…' : row.name;
+        ctx.textAlign = 'left';
+        ctx.font = 'bold 12px sans-serif';
+        ctx.fillStyle = '#333';
+        ctx.fillText(name, padding, y + barH + 6);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.15)';
+        ctx.fillRect(padding + labelW, y + 2, barW(row.popShare), barH);
+        ctx.fillStyle = '#007bff';
+        ctx.fillRect(padding + labelW, y + barH + 6, barW(row.sampleShare), barH);
+        ctx.fillStyle = '#333';
+        ctx.font = '12px sans-serif';
+        ctx.fillText(formatCount(row.n), padding + labelW + barW(row.sampleShare) + 6, y + barH * 2 + 4);
+    });
+
+    const legendEl = document.getElementById('visual-legend');
+    if (legendEl) {
+        legendEl.innerText = tr('* Per stratum: share of the population (grey) and of the sample (blue), with the number to interview');
+    }
+}
+
+// Incidence rate design: expected events accumulating over follow-up in each group (events
+// arrive at a constant rate, so each line is straight), with participants and person-years below.
+function drawIncidenceRates(ctx, w, h, data) {
+    const padding = 50;
+    const chartTop = 40;
+    const chartBottom = h * 0.62;
+    const groups = [
+        { label: data.label2, color: '#e83e8c', n: data.n2, personYears: data.personYears[0], events: data.events[0] }, // Exposed
+        { label: data.label1, color: '#007bff', n: data.n1, personYears: data.personYears[1], events: data.events[1] } // Unexposed
+    ];
+    const maxEvents = Math.max(groups[0].events, groups[1].events, 1);
+    const xAt = (t) => padding + t / data.followup * (w - padding * 2);
+    const yAt = (e) => chartBottom - e / maxEvents * (chartBottom - chartTop);
+
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.fillStyle = '#555';
+    ctx.fillText(tr('Expected Events over Follow-up'), w / 2, 22);
+
+    // Axes
+    ctx.strokeStyle = '#999';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(padding, chartTop);
+    ctx.lineTo(padding, chartBottom);
+    ctx.lineTo(w - padding, chartBottom);
+    ctx.stroke();
+    ctx.fillStyle = '#777';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'right';
+    [0, maxEvents / 2, maxEvents].forEach(e => ctx.fillText(formatCount(Math.round(e)), padding - 6, yAt(e) + 4));
+    ctx.textAlign = 'center';
+    ctx.fillText('0', xAt(0), chartBottom + 14);
+    ctx.fillText(formatNumber(data.followup), xAt(data.followup), chartBottom + 14);
+    ctx.fillText(tr('Years of Follow-up'), w / 2, chartBottom + 28);
+
+    groups.forEach(group => {
+        ctx.strokeStyle = group.color;
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        ctx.moveTo(xAt(0), yAt(0));
+        ctx.lineTo(xAt(data.followup), yAt(group.events));
+        ctx.stroke();
+        ctx.fillStyle = group.color;
+        ctx.textAlign = 'right';
+        ctx.font = 'bold 12px sans-serif';
+        ctx.fillText(formatCount(Math.round(group.events)), xAt(data.followup) - 4, yAt(group.events) - 6);
+    });
+
+    // Participants and person-years per group
+    groups.forEach((group, i) => {
+        const y = chartBottom + 56 + i * 22;
+        ctx.textAlign = 'left';
+        ctx.fillStyle = group.color;
+        ctx.font = 'bold 12px sans-serif';
+        ctx.fillText(group.label, padding, y);
+        ctx.fillStyle = '#333';
+        ctx.font = '12px sans-serif';
+        ctx.fillText(tr('{events} expected events in {personYears} person-years ({n} participants)', {
+            events: formatCount(Math.round(group.events)),
+            personYears: formatCount(Math.round(group.personYears)),
+            n: formatCount(group.n)
+        }), padding + 90, y);
+    });
+
+    const legendEl = document.getElementById('visual-legend');
+    if (legendEl) {
+        legendEl.innerText = tr('* Lines: cumulative expected events in {group2} (pink) and {group1} (blue)', { group2: groups[0].label, group1: groups[1].label });
+    }
+}
+
+// Association designs: a simulated bivariate-normal sample of N participants with the
+// planned correlation. Fixed seed, so the cloud only changes when N or ρ do.
+function drawScatter(ctx, w, h, data) {
+    const padding = 50;
+    const top = 60;
+    const size = Math.min(w - padding * 2, h - top - 30);
+    const left = (w - size) / 2;
+    const shown = Math.min(data.n, 2000);
+    const rand = seededRandom(20240601);
+    const normal = () => Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+    const rho = Math.max(-0.999, Math.min(0.999, data.rho));
+
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 20px sans-serif';
+    ctx.fillStyle = '#007bff';
+    ctx.fillText(`N = ${formatCount(data.n)}`, w / 2, 28);
+    ctx.font = '14px sans-serif';
+    ctx.fillStyle = '#555';
+    ctx.fillText(data.title, w / 2, 48);
+
+    ctx.strokeStyle = '#999';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, top, size, size);
+
+    // Standard normals span about ±3.5 SD
+    const at = (v) => Math.max(0, Math.min(size, (v + 3.5) / 7 * size));
+    const dotRadius = shown > 500 ? 1.5 : 2.5;
+    ctx.fillStyle = 'rgba(0, 123, 255, 0.5)';
+    for (let i = 0; i < shown; i++) {
+        const x = normal();
+        const y = rho * x + Math.sqrt(1 - rho * rho) * normal();
+        ctx.beginPath();
+        ctx.arc(left + at(x), top + size - at(y), dotRadius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Population regression line (standardised slope = ρ)
+    ctx.strokeStyle = '#e83e8c';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(left + at(-3.5), top + size - at(-3.5 * rho));
+    ctx.lineTo(left + at(3.5), top + size - at(3.5 * rho));
+    ctx.stroke();
+
+    const legendEl = document.getElementById('visual-legend');
+    if (legendEl) {
+        legendEl.innerText = shown < data.n
+            ? tr('* Showing {shown} of {n} simulated participants', { shown: formatCount(shown), n: formatCount(data.n) })
+            : tr('* 1 Dot = 1 Simulated Participant');
+    }
+}
+
+// Population grid for cluster designs: each cluster is an outlined block of dots, one per
+// participant. When the blocks no longer fit, each cluster collapses to a single circle.
+function drawClusteredGrid(ctx, w, h, data) {
+    const padding = 20;
+    const contentW = w - padding * 2;
+    const gap = 40;
+    const groupW = (contentW - gap) / 2;
+    const startY = 70;
+    const groupH = h - 40 - startY;
+
+    const m = Math.max(1, Math.round(data.clusterSize));
+    const n1 = data.n1 || 0;
+    const n2 = data.n2 || 0;
+    const k1 = Math.ceil(n1 / m);
+    const k2 = Math.ceil(n2 / m);
+    const maxK = Math.max(k1, k2);
+
+    // Blocks are side x side dots; find the largest dot cell that fits every cluster
+    const side = Math.ceil(Math.sqrt(m));
+    let cell = 0;
+    let tileGap = 0;
+    let perRow = 0;
+    for (const size of [12, 10, 8, 6, 5, 4, 3, 2]) {
+        const gapPx = Math.max(4, size);
+        const tile = side * size;
+        const cols = Math.floor((groupW + gapPx) / (tile + gapPx));
+        const rows = Math.floor((groupH + gapPx) / (tile + gapPx));
+        if (cols * rows >= maxK) {
+            cell = size;
+            tileGap = gapPx;
+            perRow = cols;
+            break;
+        }
+    }
+
+    // Fallback: one circle per cluster, scaled if even 3px circles don't fit
+    let circleCell = 0;
+    let scale = 1;
+    if (!cell) {
+        const capacity = (size) => Math.floor(groupW / size) * Math.floor(groupH / size);
+        circleCell = [20, 15, 12, 10, 8, 6, 5, 4, 3].find(size => maxK <= capacity(size)) || 3;
+        if (maxK > capacity(circleCell)) scale = Math.ceil(maxK / capacity(circleCell));
+    }
+
+    function drawGroup(xStart, n, k, color, label) {
+        ctx.fillStyle = color;
+        ctx.font = 'bold 20px sans-serif';
+        ctx.textAlign = 'center';
+        const centerX = xStart + groupW / 2;
+
+        ctx.fillText(label, centerX, 30);
+        ctx.font = '16px sans-serif';
+        ctx.fillStyle = '#555';
+        ctx.fillText(tr('N = {n} in {k} clusters', { n: formatCount(n), k: formatCount(k) }), centerX, 55);
+
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+
+        if (!cell) {
+            const cols = Math.floor(groupW / circleCell);
+            const circles = Math.ceil(k / scale);
+            for (let i = 0; i < circles; i++) {
+                const cx = xStart + (i % cols) * circleCell + circleCell / 2;
+                const cy = startY + Math.floor(i / cols) * circleCell + circleCell / 2;
+                if (cy > h - 40) break;
+                ctx.beginPath();
+                ctx.arc(cx, cy, Math.max(1, circleCell * 0.4), 0, Math.PI * 2);
+                ctx.fill();
+            }
+            return;
+        }
+
+        const tile = side * cell;
+        const dotRadius = Math.max(0.8, cell * 0.35);
+        for (let c = 0; c < k; c++) {
+            const tx = xStart + (c % perRow) * (tile + tileGap);
+            const ty = startY + Math.floor(c / perRow) * (tile + tileGap);
+
+            ctx.globalAlpha = 0.35;
+            ctx.lineWidth = 1;
+            ctx.strokeRect(tx - 1.5, ty - 1.5, tile + 3, tile + 3);
+            ctx.globalAlpha = 1;
+
+            // The last cluster holds whatever is left over
+            const dots = c === k - 1 ? n - m * (k - 1) : m;
+            for (let i = 0; i < dots; i++) {
+                ctx.beginPath();
+                ctx.arc(tx + (i % side) * cell + cell / 2, ty + Math.floor(i / side) * cell + cell / 2, dotRadius, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+
+    const x1 = w / 2 - gap / 2 - groupW;
+    const x2 = w / 2 + gap / 2;
+
+    drawGroup(x1, n1, k1, '#28a745', data.label1);
+    drawGroup(x2, n2, k2, '#e83e8c', data.label2);
+
+    const legendEl = document.getElementById('visual-legend');
+    if (legendEl) {
+        const params = { m: formatCount(m), scale: formatCount(scale) };
+        if (cell) legendEl.innerText = tr('* Each block = 1 Cluster of ~{m} Participants (1 Dot = 1 Participant)', params);
+        else legendEl.innerText = scale > 1 ? tr('* 1 Circle ≈ {scale} Clusters of ~{m} Participants', params) : tr('* 1 Circle = 1 Cluster of ~{m} Participants', params);
+    }
+}
+
+// 3. Sensitivity Chart (N vs effect, or power vs N, one line per method)
+const METHOD_COLORS = { 'Kelsey': '#007bff', 'Fleiss': '#28a745', 'Fleiss CC': '#e83e8c', 'N': '#007bff' };
+
+// Round tick spacing to 1, 2 or 5 x 10^k
+function niceTicks(min, max, count) {
+    const rough = (max - min) / count;
+    const mag = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(m => m * mag).find(s => rough <= s);
+    const ticks = [];
+    for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) {
+        ticks.push(parseFloat(t.toPrecision(12)));
+    }
+    return ticks;
+}
+
+function drawSensitivityChart(ctx, w, h, data) {
+    const left = 60, right = 15, top = 15, bottom = 45;
+    const plotW = w - left - right;
+    const plotH = h - top - bottom;
+    const { xMin, xMax, yMax } = data;
+
+    const px = (x) => left + (x - xMin) / (xMax - xMin) * plotW;
+    // Values far above the axis are clamped; the clip region hides them
+    const py = (y) => top + plotH - Math.min(y, yMax * 2) / yMax * plotH;
+
+    // Grid, ticks and tick labels
+    ctx.font = '12px sans-serif';
+    ctx.fillStyle = '#555';
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.lineWidth = 1;
+
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    niceTicks(0, yMax, 5).forEach(t => {
+        ctx.beginPath();
+        ctx.moveTo(left, py(t));
+        ctx.lineTo(left + plotW, py(t));
+        ctx.stroke();
+        ctx.fillText(data.formatY(t), left - 6, py(t));
+    });
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    niceTicks(xMin, xMax, 6).forEach(t => {
+        ctx.beginPath();
+        ctx.moveTo(px(t), top + plotH);
+        ctx.lineTo(px(t), top + plotH + 5);
+        ctx.stroke();
+        ctx.fillText(formatCount(t), px(t), top + plotH + 7);
+    });
+
+    // Axes
+    ctx.strokeStyle = '#999';
+    ctx.beginPath();
+    ctx.moveTo(left, top);
+    ctx.lineTo(left, top + plotH);
+    ctx.lineTo(left + plotW, top + plotH);
+    ctx.stroke();
+
+    // Axis labels
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.fillText(data.xLabel, left + plotW / 2, h - 16);
+    ctx.save();
+    ctx.translate(14, top + plotH / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'middle';
+    ctx.fillText(data.yLabel, 0, 0);
+    ctx.restore();
+
+    // One line per method, clipped to the plot area
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, plotW, plotH);
+    ctx.clip();
+    ctx.lineWidth = 2.5;
+    data.series.forEach(series => {
+        ctx.strokeStyle = METHOD_COLORS[series.name];
+        ctx.beginPath();
+        let penDown = false;
+        series.points.forEach(([x, y]) => {
+            if (y === null) {
+                penDown = false;
+                return;
+            }
+            if (penDown) ctx.lineTo(px(x), py(y));
+            else ctx.moveTo(px(x), py(y));
+            penDown = true;
+        });
+        ctx.stroke();
+    });
+    ctx.restore();
+
+    // Current input point (on the Kelsey line)
+    const { x: mx, y: my } = data.marker;
+    if (Number.isFinite(mx) && Number.isFinite(my) && my <= yMax) {
+        const cx = px(mx);
+        const cy = py(my);
+        const gradient = ctx.createRadialGradient(cx, cy, 3, cx, cy, 18);
+        gradient.addColorStop(0, 'rgba(232, 62, 140, 1)');
+        gradient.addColorStop(1, 'rgba(232, 62, 140, 0)');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(cx, cy, 18, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(cx, cy, 5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Legend -> HTML (only touch the DOM when it changes)
+    const legendEl = document.getElementById('visual-legend');
+    if (legendEl) {
+        const legendHTML = data.series.map(series =>
+            `<span style="color:${METHOD_COLORS[series.name]}; font-style:normal; font-weight:600; margin:0 6px;">&#9644; ${series.name}</span>`
+        ).join('') + ` &#9679; ${tr('Current inputs')}`;
+        if (legendEl.innerHTML !== legendHTML) legendEl.innerHTML = legendHTML;
+    }
+}
+
 // Start
 init();
@@ -0,0 +1,151 @@
+// Monte Carlo power check, run off the main thread.
+// Receives { spec, alpha, sided, reps, seed } where spec comes from a mode's calc():
+//   binary:     { outcome: 'binary', p1, p2, arms: [{ name, n1, n2 }] }
+//   continuous: { outcome: 'continuous', mean1, sd1, mean2, sd2, arms: [{ name, n1, n2 }] }
+// Posts { type: 'progress', done, total } while running, then { type: 'done', rows }.
+// The distributions and the seedable RNG come from the DOM-free core.
+
+importScripts('sample-size-core.js');
+const { seededRandom, normCdf, betaInc } = self.SampleSizeCore;
+
+// --- Random Numbers ---
+
+// Standard normal by Box-Muller
+function normalFrom(rand) {
+    return Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+}
+
+function binomialFrom(rand, n, p) {
+    let x = 0;
+    for (let i = 0; i < n; i++) if (rand() < p) x++;
+    return x;
+}
+
+// --- Tests ---
+// Each returns a p-value. direction = +1 / -1 is the expected sign of group 1 minus
+// group 2; one-sided tests only reject in that direction.
+
+// Pearson chi-square for a 2x2 table (as the signed Z of the two-proportion test)
+function chiSquareP(x1, n1, x2, n2, sided, direction) {
+    const pooled = (x1 + x2) / (n1 + n2);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+    if (se === 0) return 1;
+    const z = (x1 / n1 - x2 / n2) / se;
+    return sided === 'one' ? 1 - normCdf(z * direction) : 2 * (1 - normCdf(Math.abs(z)));
+}
+
+// Fisher's exact test: hypergeometric distribution of x1 given the margins.
+// Two-sided sums every table no more likely than the observed one.
+function fisherP(x1, n1, x2, n2, sided, direction, lnFact) {
+    const k = x1 + x2;
+    const N = n1 + n2;
+    const lo = Math.max(0, k - n2);
+    const hi = Math.min(k, n1);
+    const lnDenom = lnFact[N] - lnFact[k] - lnFact[N - k];
+    const prob = (a) => Math.exp(lnFact[n1] - lnFact[a] - lnFact[n1 - a] + lnFact[n2] - lnFact[k - a] - lnFact[n2 - k + a] - lnDenom);
+
+    let p = 0;
+    if (sided === 'one') {
+        if (direction > 0) for (let a = x1; a <= hi; a++) p += prob(a);
+        else for (let a = lo; a <= x1; a++) p += prob(a);
+    } else {
+        const observed = prob(x1) * (1 + 1e-7);
+        for (let a = lo; a <= hi; a++) {
+            const pa = prob(a);
+            if (pa <= observed) p += pa;
+        }
+    }
+    return Math.min(1, p);
+}
+
+// Welch's t-test from the two samples' summaries
+function welchP(mean1, var1, n1, mean2, var2, n2, sided, direction) {
+    const se2 = var1 / n1 + var2 / n2;
+    if (!(se2 > 0)) return 1;
+    const t = (mean1 - mean2) / Math.sqrt(se2);
+    const df = se2 * se2 / (Math.pow(var1 / n1, 2) / (n1 - 1) + Math.pow(var2 / n2, 2) / (n2 - 1));
+    const twoTail = betaInc(df / (df + t * t), df / 2, 0.5);
+    if (sided !== 'one') return twoTail;
+    return t * direction > 0 ? twoTail / 2 : 1 - twoTail / 2;
+}
+
+// Wilson 95% interval for an empirical power
+function wilson(hits, reps) {
+    const z = 1.959964;
+    const p = hits / reps;
+    const center = (p + z * z / (2 * reps)) / (1 + z * z / reps);
+    const half = z * Math.sqrt(p * (1 - p) / reps + z * z / (4 * reps * reps)) / (1 + z * z / reps);
+    return { power: p, lower: Math.max(0, center - half), upper: Math.min(1, center + half) };
+}
+
+// --- Runner ---
+
+const TESTS = {
+    binary: [['chisq', 'Chi-square'], ['fisher', 'Fisher Exact']],
+    continuous: [['ttest', 'Welch t-test']]
+};
+
+function sampleMoments(rand, n, mean, sd) {
+    let sum = 0, sumSq = 0;
+    for (let i = 0; i < n; i++) {
+        const x = mean + sd * normalFrom(rand);
+        sum += x;
+        sumSq += x * x;
+    }
+    const m = sum / n;
+    return { mean: m, variance: (sumSq - n * m * m) / (n - 1) };
+}
+
+function run({ spec, alpha, sided, reps, seed }) {
+    const tests = TESTS[spec.outcome];
+    const direction = spec.outcome === 'binary'
+        ? Math.sign(spec.p1 - spec.p2) || 1
+        : Math.sign(spec.mean1 - spec.mean2) || 1;
+    const total = reps * spec.arms.length;
+    let done = 0;
+
+    const rows = spec.arms.map(arm => {
+        // Same seed per arm, so every method sees the same stream and reruns repeat exactly
+        const rand = seededRandom(seed);
+        const hits = Object.fromEntries(tests.map(([key]) => [key, 0]));
+
+        let lnFact = null;
+        if (spec.outcome === 'binary') {
+            lnFact = new Float64Array(arm.n1 + arm.n2 + 1);
+            for (let i = 2; i < lnFact.length; i++) lnFact[i] = lnFact[i - 1] + Math.log(i);
+        }
+
+        for (let i = 0; i < reps; i++) {
+            if (spec.outcome === 'binary') {
+                const x1 = binomialFrom(rand, arm.n1, spec.p1);
+                const x2 = binomialFrom(rand, arm.n2, spec.p2);
+                if (chiSquareP(x1, arm.n1, x2, arm.n2, sided, direction) < alpha) hits.chisq++;
+                if (fisherP(x1, arm.n1, x2, arm.n2, sided, direction, lnFact) < alpha) hits.fisher++;
+            } else {
+                const g1 = sampleMoments(rand, arm.n1, spec.mean1, spec.sd1);
+                const g2 = sampleMoments(rand, arm.n2, spec.mean2, spec.sd2);
+                if (welchP(g1.mean, g1.variance, arm.n1, g2.mean, g2.variance, arm.n2, sided, direction) < alpha) hits.ttest++;
+            }
+
+            done++;
+            if (done % 100 === 0) postMessage({ type: 'progress', done, total });
+        }
+
+        return {
+            name: arm.name,
+            n1: arm.n1,
+            n2: arm.n2,
+            tests: tests.map(([key, name]) => ({ name, ...wilson(hits[key], reps) }))
+        };
+    });
+
+    postMessage({ type: 'done', rows });
+}
+
+self.onmessage = (e) => {
+    try {
+        run(e.data);
+    } catch (err) {
+        postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -0,0 +1,72 @@
+// Service worker: precaches the app shell so the installed app runs offline.
+// The cache is named after APP_VERSION (version.js). Browsers compare imported scripts when
+// checking for updates, so bumping it installs a new worker and the page offers to reload.
+importScripts('version.js');
+const CACHE_NAME = `sample-size-${APP_VERSION}`;
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'version.js',
+    'sample-size-core.js',
+    'locales/hi.js',
+    'locales/bn.js',
+    'locales/fr.js',
+    'locales/es.js',
+    'script.js',
+    'style.css',
+    'simulation-worker.js',
+    'icon.svg',
+    'manifest.json',
+    'fonts/outfit-latin-300-normal.woff2',
+    'fonts/outfit-latin-400-normal.woff2',
+    'fonts/outfit-latin-600-normal.woff2',
+    'fonts/outfit-latin-700-normal.woff2'
+];
+
+// No skipWaiting here: a new version waits until the user accepts the update prompt
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('sample-size-') && key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// The page and its code (HTML, JS, CSS) come from the network whenever it answers, so a new
+// deployment is in use from the next load, and each answer refreshes the offline copy. Icons
+// and fonts come from the cache first. Permalinks carry the scenario in the query string, so
+// copies are stored and looked up without it.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate' || url.pathname.endsWith('/') || /\.(html|js|css)$/.test(url.pathname)) {
+        event.respondWith(networkFirst(event, url.origin + url.pathname));
+    } else {
+        event.respondWith(caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request)));
+    }
+});
+
+function networkFirst(event, key) {
+    const request = event.request;
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.put(key, copy)));
+            }
+            return response;
+        })
+        .catch(() => caches.match(key).then(cached => cached
+            || (request.mode === 'navigate' ? caches.match('index.html') : Response.error())));
+}
@@ -0,0 +1,107 @@
+// Tests for the message catalogues (locales/) and locale-aware number handling in the core.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const core = require('../sample-size-core.js');
+
+const ROOT = path.join(__dirname, '..');
+const CATALOGUES = ['hi', 'bn', 'fr', 'es'].map(code => require(`../locales/${code}.js`));
+const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+// Every English string the page can show: design and recruitment inputs, tr('...') literals,
+// the worker's test names and the marked-up text of index.html
+function sourceMessages() {
+    const messages = new Set(['Chi-square', 'Fisher Exact', 'Welch t-test']);
+    Object.values(core.MODES).concat({ inputs: core.RECRUITMENT_INPUTS }).forEach(mode => {
+        mode.inputs.forEach(input => {
+            messages.add(input.label);
+            if (input.desc) messages.add(input.desc);
+            (input.options || []).forEach(opt => messages.add(opt.label));
+        });
+        if (mode.sweep) messages.add(mode.sweep.label);
+    });
+    ['sample-size-core.js', 'script.js'].forEach(file => {
+        for (const m of read(file).matchAll(/\btr\('((?:[^'\\]|\\.)*)'/g)) messages.add(m[1].replace(/\\(.)/g, '$1'));
+    });
+    const html = read('index.html');
+    for (const m of html.matchAll(/<[^>]*\sdata-i18n(?=[\s>])[^>]*>([^<]*)/g)) messages.add(m[1].trim().replace(/\s+/g, ' '));
+    for (const m of html.matchAll(/\s(placeholder|aria-label|title)="([^"]*)"(?=[^>]*data-i18n-\1)/g)) messages.add(m[2]);
+    return messages;
+}
+
+const placeholders = (text) => [...text.matchAll(/\{\w+\}/g)].map(m => m[0]).sort();
+
+test.afterEach(() => core.setLocale(null));
+
+test('every catalogue translates every message and every mode interpretation', () => {
+    const messages = sourceMessages();
+    CATALOGUES.forEach(catalogue => {
+        const missing = [...messages].filter(text => !catalogue.messages[text]);
+        assert.deepEqual(missing, [], `${catalogue.code} is missing messages`);
+        Object.keys(core.MODES).forEach(mode => {
+            assert.ok(catalogue.modes[mode] && catalogue.modes[mode].interpretation, `${catalogue.code}: ${mode}`);
+        });
+    });
+});
+
+test('translations keep the placeholders of their English source', () => {
+    CATALOGUES.forEach(catalogue => {
+        Object.entries(catalogue.messages).forEach(([text, translation]) => {
+            assert.deepEqual(placeholders(translation), placeholders(text), `${catalogue.code}: ${text}`);
+        });
+    });
+});
+
+test('without a catalogue text and numbers are unchanged', () => {
+    const english = core.sampleSize({ design: 'cohort', p1: 9.5, p2: 5 });
+    core.setLocale(CATALOGUES[0]);
+    assert.notDeepEqual(core.sampleSize({ design: 'cohort', p1: 9.5, p2: 5 }), english);
+    core.setLocale(null);
+    assert.deepEqual(core.sampleSize({ design: 'cohort', p1: 9.5, p2: 5 }), english);
+    assert.equal(core.tr('Must be at least {limit}.', { limit: 5 }), 'Must be at least 5.');
+    assert.equal(core.formatNumber(2.5, 2), '2.50');
+    assert.equal(core.parseNumber('2.5'), 2.5);
+    assert.equal(core.parseNumber('1,500'), 1500);
+    assert.ok(Number.isNaN(core.parseNumber('0,500')));
+});
+
+test('French: decimal comma out and in, messages and interpretation switch', () => {
+    const fr = CATALOGUES.find(c => c.code === 'fr');
+    core.setLocale(fr);
+    assert.equal(core.formatNumber(1.5, 2), '1,50');
+    assert.equal(core.formatNumber(2.50, 2, true), '2,5');
+    assert.equal(core.parseNumber('1,5'), 1.5);
+    assert.equal(core.parseNumber('1 234,5'), 1234.5);
+    assert.ok(Number.isNaN(core.parseNumber('abc')));
+    assert.equal(core.tr('Must be at least {limit}.', { limit: '5' }), 'Doit être au moins 5.');
+    assert.equal(core.modeText('cohort', 'interpretation'), fr.modes.cohort.interpretation);
+
+    const result = core.sampleSize({ design: 'case-control', or: -2 });
+    assert.equal(result.error, 'Odds ratio (OR): Doit être supérieur à 0.');
+});
+
+test('Spanish: a point is grouping only where it must be, and 1.500 is too ambiguous to read', () => {
+    core.setLocale(CATALOGUES.find(c => c.code === 'es'));
+    assert.ok(Number.isNaN(core.parseNumber('1.500')));
+    assert.ok(Number.isNaN(core.parseNumber('0.500')));
+    assert.ok(Number.isNaN(core.parseNumber('-0.050')));
+    assert.equal(core.parseNumber('1,5'), 1.5);
+    assert.equal(core.parseNumber('1.500,5'), 1500.5);
+    assert.equal(core.parseNumber('1.500.000'), 1500000);
+    assert.equal(core.parseNumber('2.5'), 2.5);
+    assert.equal(core.parseNumber('0.05'), 0.05);
+    assert.equal(core.parseNumber('2,5'), 2.5);
+    assert.equal(core.formatCount(15000), '15.000');
+});
+
+test('Hindi and Bengali: Indian grouping, Bengali digits in and out', () => {
+    core.setLocale(CATALOGUES.find(c => c.code === 'hi'));
+    assert.equal(core.formatCount(1234567), '12,34,567');
+    assert.equal(core.formatNumber(12.5, 1), '12.5');
+
+    core.setLocale(CATALOGUES.find(c => c.code === 'bn'));
+    assert.equal(core.formatNumber(12.5, 1), '১২.৫');
+    assert.equal(core.parseNumber('১২.৫'), 12.5);
+    assert.equal(core.parseNumber('12.5'), 12.5);
+});
@@ -0,0 +1,268 @@
+// Unit tests for the calculation core. Run with `npm test` (node:test, no dependencies).
+// Reference values come from published worked examples where one exists; the rest are
+// hand calculations from the cited formula.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../sample-size-core.js');
+
+const { sampleSize } = core;
+const totals = (result) => Object.fromEntries(result.methods.map(m => [m.id, m.total]));
+
+test('normal quantiles match standard tables', () => {
+    assert.equal(core.getZAlpha(95).toFixed(6), '1.959964');
+    assert.equal(core.getZAlpha(95, 'one').toFixed(6), '1.644854');
+    assert.equal(core.getZAlpha(99).toFixed(6), '2.575829');
+    assert.equal(core.getZBeta(80).toFixed(6), '0.841621');
+    assert.equal(core.getZBeta(90).toFixed(6), '1.281552');
+});
+
+test('prevalence: P = 50%, D = 5%, 95% confidence needs 385 (Cochran, 384.16 rounded up)', () => {
+    const result = sampleSize({ design: 'prevalence', prevalence: 50, precision: 5, confidence: 95 });
+    assert.equal(result.n, 385);
+    assert.equal(result.headlineMethod, 'wald');
+    // The exact interval is wider than Wald, so it needs more participants
+    assert.ok(result.methods.find(m => m.id === 'clopper_pearson').value > 385);
+});
+
+test('prevalence: finite population correction (N = 1000 gives 278)', () => {
+    // 384.15 / (1 + 384.15 / 1000) = 277.5
+    const result = sampleSize({ design: 'prevalence', fpc: true, popSize: 1000 });
+    assert.equal(result.n, 278);
+});
+
+test('stratified: allocations of the default district survey, and strata as text', () => {
+    const result = sampleSize({ design: 'stratified' });
+    assert.deepEqual(result.methods.map(m => [m.id, m.value]), [['proportional', 932], ['neyman', 927], ['optimal', 957]]);
+    // Stratifying on prevalence beats a simple random sample of the same population (956)
+    assert.equal(result.n, 932);
+    const costs = result.methods.map(m => core.parseNumber(m.detail.replace('Cost ', '')));
+    assert.equal(Math.min(...costs), costs[2]);
+
+    assert.deepEqual(core.parseStrata('A:100:50; B:50:20')[1], { name: 'B', size: 50, prevalence: 20, cost: null });
+    assert.equal(sampleSize({ design: 'stratified', strata: 'A:100:50; B:50:20' }).n, 131);
+    assert.equal(sampleSize({ design: 'stratified', strata: 'A:100:50:5; B:50:20' }).errors[0].message,
+        'Enter a cost for every stratum, or leave them all blank.');
+
+    // Names come from links, so labels written as HTML carry them escaped
+    const linked = core.evaluate('stratified', core.stateWithDefaults('stratified', { strata: '<img src=x onerror=alert(1)>:1000:20' }));
+    assert.equal(linked.derived.at(-1).label, 'n, &lt;img src=x onerror=alert(1)&gt;');
+    assert.equal(core.escapeHtml('a < b & c'), 'a &lt; b &amp; c');
+    assert.equal(core.escapeHtml(`x" onfocus='y'`), 'x&quot; onfocus=&#39;y&#39;');
+    const quoted = core.evaluate('stratified', core.stateWithDefaults('stratified', { strata: '"North" O\'Hara:1000:20' }));
+    assert.equal(quoted.derived.at(-1).label, 'n, &quot;North&quot; O&#39;Hara');
+    assert.equal(core.plainText(quoted.derived.at(-1).label), 'n, "North" O\'Hara');
+});
+
+test('cohort: 10% vs 5%, ratio 1 matches OpenEpi (Kelsey 872, Fleiss 870, Fleiss CC 948)', () => {
+    const result = sampleSize({ design: 'cohort', p1: 10, p2: 5, power: 80, alpha: 0.05, ratio: 1 });
+    assert.deepEqual(totals(result), { kelsey: 872, fleiss: 870, fleiss_cc: 948 });
+    assert.equal(result.n, 872);
+});
+
+test('rct: same proportions give the same sizes as the cohort design', () => {
+    const result = sampleSize({ design: 'rct', p1: 5, p2: 10 });
+    assert.deepEqual(totals(result), { kelsey: 872, fleiss: 870, fleiss_cc: 948 });
+});
+
+test('case-control: 30% exposed controls, OR 2 (Fleiss, Levin & Paik 2003, eqs. 4.14-4.15)', () => {
+    const result = sampleSize({ design: 'case-control', p0: 30, or: 2 });
+    assert.deepEqual(totals(result), { kelsey: 284, fleiss: 282, fleiss_cc: 306 });
+});
+
+test('case-control: OR = 1 is reported as an error, not a number', () => {
+    const result = sampleSize({ design: 'case-control', or: 1 });
+    assert.equal(result.n, null);
+    assert.match(result.error, /OR=1/);
+});
+
+test('two-means: difference of half an SD needs 63 per group (z approximation)', () => {
+    const result = sampleSize({ design: 'two-means', mean1: 0, mean2: 5, sd1: 10, sd2: 10 });
+    assert.equal(result.n, 126);
+});
+
+test('correlation: r = 0.3, 80% power, two-sided 5% needs 85 (Hulley et al., Appendix 6C)', () => {
+    assert.equal(sampleSize({ design: 'correlation', r: 0.3 }).n, 85);
+});
+
+test('linear regression: f² = 0.15 matches G*Power (55 for 1 predictor, 92 for 5)', () => {
+    const r2Change = 0.15 / 1.15;
+    assert.equal(sampleSize({ design: 'linear-regression', r2Change, tested: 1 }).n, 55);
+    assert.equal(sampleSize({ design: 'linear-regression', r2Change, tested: 5 }).n, 92);
+});
+
+test('logistic regression: continuous covariate, P = 10%, OR 1.5 per SD, 95% power (Hsieh 1998)', () => {
+    // (1.96 + 1.645)² / (0.1 * 0.9 * ln(1.5)²) = 878.3
+    const result = sampleSize({ design: 'logistic-regression', pEvent: 10, or: 1.5, power: 95 });
+    assert.equal(result.n, 879);
+    // R² = 0.5 with the other covariates doubles N (VIF = 2)
+    assert.equal(sampleSize({ design: 'logistic-regression', pEvent: 10, or: 1.5, power: 95, rho2: 0.5 }).n, 1757);
+});
+
+test('survival: HR 0.7 needs 247 events by Schoenfeld', () => {
+    const result = sampleSize({ design: 'survival', hr: 0.7 });
+    assert.equal(result.methods.find(m => m.id === 'schoenfeld').events, 247);
+    assert.equal(result.headlineMethod, 'schoenfeld');
+});
+
+test('incidence rates: 10 vs 15 per 1,000 person-years needs 7,849 person-years per group', () => {
+    // (1.96 + 0.8416)² * (0.015 + 0.010) / 0.005² = 7849 person-years, / 2 years each
+    const result = sampleSize({ design: 'incidence-rates', rate0: 10, rr: 1.5, followup: 2 });
+    assert.deepEqual(totals(result), { difference: 7850, logRatio: 7958 });
+    assert.equal(result.n, 7850);
+    assert.equal(result.methods[0].events, 196);
+    // Twice the follow-up per person halves the participants
+    assert.equal(sampleSize({ design: 'incidence-rates', rate0: 10, rr: 1.5, followup: 4 }).n, 3926);
+    assert.deepEqual(sampleSize({ design: 'incidence-rates', rr: 1 }).errors[0].inputs, ['rr']);
+});
+
+test('recruitment: screening and months to enrol the dropout-inflated N', () => {
+    const state = core.stateWithDefaults('cohort', { dropout: 10 });
+    const n = core.recruitmentTarget(core.evaluate('cohort', state), state);
+    assert.equal(n, 1160);
+    // 1160 / 70% consent = 1658 eligible, x 3 screened each; 4 a month at 5 sites = 58 months
+    const plan = core.recruitmentPlan(n, { screenRatio: 3, consent: 70, perSite: 4, sites: 5 });
+    assert.deepEqual([plan.eligible, plan.screened, plan.months], [1658, 4974, 58]);
+    assert.deepEqual(plan.curve.slice(-2), [[57, 1140], [58, 1160]]);
+    // A very slow rate still gives a short curve, in steps of whole months
+    const slow = core.recruitmentPlan(n, { screenRatio: 3, consent: 70, perSite: 0.001, sites: 1 });
+    assert.ok(slow.curve.length <= 121);
+    assert.deepEqual(slow.curve.at(-1), [1160000, 1160]);
+
+    // Matched designs enrol every case and control; reverse mode has no N to recruit
+    const matched = core.stateWithDefaults('matched-case-control', { controlsPerCase: 2 });
+    const sets = core.evaluate('matched-case-control', matched).n;
+    assert.equal(core.recruitmentTarget(core.evaluate('matched-case-control', matched), matched), sets * 3);
+    const power = core.stateWithDefaults('case-control', { solveFor: 'power' });
+    assert.equal(core.recruitmentTarget(core.evaluate('case-control', power), power), null);
+    assert.deepEqual(core.recruitmentPlan(n, { screenRatio: 3, consent: 0, perSite: 4, sites: 5 }).error.fields[0].inputs, ['consent']);
+});
+
+test('diagnostic: Se 90%, D 5%, prevalence 10% needs 1383 (Buderer 1996)', () => {
+    // 1.96² * 0.9 * 0.1 / 0.05² = 138.3 diseased, / 0.1 prevalence
+    const result = sampleSize({ design: 'diagnostic', sensitivity: 90, specificity: 85, precision: 5, prevalence: 10 });
+    assert.equal(result.n, 1383);
+    assert.equal(result.headlineMethod, 'sensitivity');
+});
+
+test('non-inferiority: 80% vs 80%, margin 10%, one-sided 2.5% needs 252 per group', () => {
+    // 2 * (1.96 + 0.8416)² * 0.16 / 0.1² = 251.1
+    const result = sampleSize({ design: 'rct', hypothesis: 'noninferiority', p1: 80, p2: 80, margin: 10, confidence: 97.5 });
+    assert.equal(result.n, 504);
+});
+
+test('dropout inflates each group to n / (1 - rate)', () => {
+    const result = sampleSize({ design: 'cohort', p1: 10, p2: 5, dropout: 20 });
+    const kelsey = result.methods[0];
+    assert.deepEqual(kelsey.beforeDropout, { n1: 436, n2: 436, total: 872 });
+    assert.equal(kelsey.n1, Math.ceil(436 / 0.8));
+});
+
+test('cluster design effect 1 + (m - 1) ICC multiplies N (m = 21, ICC 0.05 doubles it)', () => {
+    const plain = sampleSize({ design: 'rct' }).methods[0];
+    const clustered = sampleSize({ design: 'rct', cluster: true, icc: 0.05, clusterSize: 21 }).methods[0];
+    assert.ok(Math.abs(clustered.n1 / plain.n1 - 2) < 0.01);
+});
+
+test('every design but matched case-control takes the cluster inputs and scales N by the DEFF', () => {
+    const clustered = { cluster: true, icc: 0.05, clusterSize: 21 };
+    Object.keys(core.MODES).forEach((design) => {
+        const ids = core.MODES[design].inputs.map(input => input.id);
+        if (design === 'matched-case-control') {
+            assert.ok(!ids.includes('cluster'), design);
+            return;
+        }
+        assert.ok(ids.includes('cluster') && ids.includes('icc') && ids.includes('clusterSize'), design);
+    });
+    ['correlation', 'linear-regression', 'logistic-regression', 'diagnostic', 'stratified'].forEach((design) => {
+        const plain = sampleSize({ design }).n;
+        const n = sampleSize({ design, ...clustered }).n;
+        assert.ok(Math.abs(n / plain - 2) < 0.02, `${design}: ${plain} -> ${n}`);
+    });
+});
+
+test('achieved power at the Kelsey N is back at the target', () => {
+    const n = sampleSize({ design: 'rct' }).n;
+    const result = sampleSize({ design: 'rct', solveFor: 'power', n_available: n });
+    assert.equal(result.n, null);
+    assert.equal(result.metric, 'Achieved Power');
+    assert.ok(Math.abs(result.value - 80) < 0.5);
+});
+
+test('alpha is accepted in place of confidence', () => {
+    assert.equal(sampleSize({ design: 'prevalence', alpha: 0.1 }).n, sampleSize({ design: 'prevalence', confidence: 90 }).n);
+});
+
+test('unknown and inherited design names throw; describeDesign lists inputs with defaults', () => {
+    assert.throws(() => sampleSize({ design: 'nope' }), /Unknown design/);
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach((design) => {
+        assert.throws(() => sampleSize({ design }), /Unknown design/, design);
+        assert.throws(() => core.describeDesign(design), /Unknown design/, design);
+    });
+    const inputs = core.describeDesign('cohort');
+    assert.equal(inputs.find(i => i.id === 'power').default, 80);
+    assert.ok(core.designs().includes('matched-case-control'));
+});
+
+test('derived labels are plain text', () => {
+    assert.equal(core.plainText('Z<sub>α/2</sub> &radic;(&sigma;<sup>2</sup>)'), 'Zα/2 √(σ²)');
+    const labels = sampleSize({ design: 'cohort' }).derived.map(d => d.label);
+    assert.ok(labels.every(label => !/[<&]/.test(label)));
+});
+
+test('validation: out-of-range inputs are reported against the input, not coerced', () => {
+    const negative = sampleSize({ design: 'case-control', or: -2 });
+    assert.equal(negative.n, null);
+    assert.equal(negative.error, 'Odds Ratio (OR): Must be greater than 0.');
+    assert.deepEqual(negative.errors, [{ inputs: ['or'], message: 'Must be greater than 0.' }]);
+
+    assert.deepEqual(sampleSize({ design: 'cohort', ratio: 0 }).errors[0].inputs, ['ratio']);
+    assert.deepEqual(sampleSize({ design: 'two-means', sd1: 0 }).errors[0].inputs, ['sd1']);
+    assert.match(sampleSize({ design: 'linear-regression', tested: 1.5 }).error, /whole number/);
+    assert.match(sampleSize({ design: 'prevalence', prevalence: NaN }).error, /Enter a number/);
+});
+
+test('validation: cross-field rules name every input involved', () => {
+    const result = sampleSize({ design: 'case-control', p0: 99, or: 50 });
+    assert.deepEqual(result.errors[0].inputs, ['p_controls', 'or']);
+    assert.match(result.error, /P1\) reaches 100%/);
+    assert.deepEqual(sampleSize({ design: 'survival', accrual: 0, followup: 0 }).errors[0].inputs, ['accrual', 'followup']);
+});
+
+test('validation: hidden inputs are not checked', () => {
+    // The OR is solved for in effect mode, so a stale value in the hidden field is ignored
+    const result = sampleSize({ design: 'case-control', solveFor: 'effect', or: -2 });
+    assert.equal(result.error, null);
+    assert.ok(result.value > 0);
+});
+
+test('problems found while calculating are blamed on their inputs', () => {
+    const result = sampleSize({ design: 'rct', hypothesis: 'noninferiority', p1: 80, p2: 60, margin: 10 });
+    assert.match(result.error, /non-inferiority cannot be shown/);
+    assert.deepEqual(result.errors[0].inputs, ['p1', 'p2', 'margin']);
+});
+
+test('parameter grid: every combination, first axis slowest, with per-group sizes', () => {
+    const state = core.stateWithDefaults('case-control', { solveFor: 'power' });
+    const axes = [{ id: 'or', values: [1.5, 2, 2.5] }, { id: 'power', values: [80, 90] }];
+    const cells = core.parameterGrid('case-control', state, axes, 'fleiss');
+    assert.deepEqual(cells.map(cell => cell.values), [[1.5, 80], [1.5, 90], [2, 80], [2, 90], [2.5, 80], [2.5, 90]]);
+    assert.deepEqual(cells.map(cell => cell.total), [850, 1138, 282, 376, 160, 212]);
+    assert.equal(cells[2].n1 + cells[2].n2, 282);
+
+    const [bad] = core.parameterGrid('case-control', state, [{ id: 'or', values: [1] }]);
+    assert.equal(bad.total, undefined);
+    assert.match(bad.error, /OR/);
+});
+
+test('library import: entries for unknown or inherited designs are dropped, values checked', () => {
+    const scenarios = core.libraryScenarios({
+        scenarios: [
+            { name: 'Broken', mode: 'constructor', inputs: {} },
+            { name: 'Proto', mode: '__proto__', inputs: { power: 90 } },
+            { name: 'Trial', mode: 'rct', inputs: { power: '90', sided: 'sideways', junk: '<img>' } }
+        ]
+    });
+    assert.deepEqual(scenarios, [{ name: 'Trial', mode: 'rct', inputs: { power: 90 }, savedAt: null }]);
+    assert.ok(!core.isDesign('toString') && core.isDesign('rct'));
+    assert.throws(() => core.libraryScenarios({ scenarios: 'none' }), /No scenarios/);
+});
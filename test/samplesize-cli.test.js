@@ -0,0 +1,80 @@
+// Tests for the command-line interface (bin/samplesize.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArgs, parseCsv, runBatch } = require('../bin/samplesize.js');
+
+const BIN = path.join(__dirname, '..', 'bin', 'samplesize.js');
+const run = (...args) => spawnSync(process.execPath, [BIN, ...args], { encoding: 'utf8' });
+
+test('parseArgs splits the design from --name value, --name=value and bare flags', () => {
+    assert.deepEqual(parseArgs(['cohort', '--p1', '9.5', '--p2=5', '--json']), {
+        positional: ['cohort'],
+        options: { p1: '9.5', p2: '5', json: true }
+    });
+    assert.deepEqual(parseArgs(['rct', '--margin', '-5']).options, { margin: '-5' });
+});
+
+test('parseCsv handles quoted commas, doubled quotes, CRLF and blank lines', () => {
+    assert.deepEqual(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n\r\n1,\n'), [['a', 'b'], ['x, y', 'say "hi"'], ['1', '']]);
+});
+
+test('a design prints the method table', () => {
+    const out = run('cohort', '--p1', '10', '--p2', '5', '--power', '80', '--ratio', '1');
+    assert.equal(out.status, 0);
+    assert.match(out.stdout, /Kelsey\s+436\s+436\s+872/);
+    assert.match(out.stdout, /Fleiss CC\s+474\s+474\s+948/);
+});
+
+test('strata are given as name:size:prevalence[:cost] rows', () => {
+    const out = run('stratified', '--strata', 'Urban:5000:20:4; Rural:20000:45:9', '--precision', '5');
+    assert.equal(out.status, 0);
+    assert.match(out.stdout, /n, Rural\s+279 \/ 20,000/);
+    assert.equal(run('stratified', '--strata', '12').status, 2);
+});
+
+test('--json prints the core result', () => {
+    const out = run('correlation', '--r', '0.3', '--json');
+    assert.equal(JSON.parse(out.stdout).n, 85);
+});
+
+test('exit codes: 1 when the inputs have no answer, 2 for usage errors', () => {
+    assert.equal(run('case-control', '--or', '1').status, 1);
+    const unknown = run('cohort', '--odds', '2');
+    assert.equal(unknown.status, 2);
+    assert.match(unknown.stderr, /Unknown input "odds"/);
+    assert.equal(run('nope').status, 2);
+});
+
+test('names inherited from Object are unknown designs, on the command line and in a batch', () => {
+    const out = run('constructor');
+    assert.equal(out.status, 2);
+    assert.match(out.stderr, /Unknown design "constructor"/);
+    assert.doesNotMatch(out.stderr, /TypeError/);
+
+    const [header, row] = parseCsv(runBatch('design,p1,p2\ntoString,10,5\n'));
+    assert.equal(row[header.indexOf('error')], 'Unknown design "toString"');
+});
+
+test('batch: one result row per scenario, errors kept in their row', () => {
+    const csv = [
+        'id,design,p1,p2,or,p0',
+        'A,cohort,10,5,,',
+        'B,case-control,,,2,30',
+        'C,case-control,,,1,30',
+        'D,cohort,ten,5,,'
+    ].join('\n');
+    const [header, ...rows] = parseCsv(runBatch(csv));
+    const col = (name) => header.indexOf(name);
+    assert.deepEqual(rows.map(row => row[col('id')]), ['A', 'B', 'C', 'D']);
+    assert.deepEqual(rows.map(row => row[col('n')]), ['872', '284', '', '']);
+    assert.equal(rows[0][col('Fleiss CC N')], '948');
+    assert.match(rows[2][col('error')], /OR=1/);
+    assert.match(rows[3][col('error')], /--p1 needs a number/);
+});
+
+test('batch: the design may come from the command line instead of a column', () => {
+    const [, row] = parseCsv(runBatch('r\n0.3\n', 'correlation'));
+    assert.equal(row[row.length - 2], '85');
+});
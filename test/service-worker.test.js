@@ -0,0 +1,69 @@
+// Tests for the service worker's update path (sw.js), run against in-memory caches and network.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const ORIGIN = 'https://app.example';
+
+// Loads sw.js with caches holding files, answering fetches with network(url) (throw = offline).
+// Returns fetchFor(path, mode) resolving to { body, cache } once the worker has responded.
+function loadWorker(files, network) {
+    const store = new Map(Object.entries(files).map(([file, body]) => [`${ORIGIN}/${file}`, new Response(body)]));
+    const keyOf = (request) => new URL(typeof request === 'string' ? request : request.url, `${ORIGIN}/`).href;
+    const cache = {
+        match: (request, options) => {
+            const url = new URL(keyOf(request));
+            if (options && options.ignoreSearch) url.search = '';
+            const hit = store.get(url.href);
+            return Promise.resolve(hit && hit.clone());
+        },
+        put: (request, response) => { store.set(keyOf(request), response); return Promise.resolve(); },
+        addAll: () => Promise.resolve()
+    };
+    const handlers = {};
+    const self = { location: new URL(`${ORIGIN}/sw.js`), addEventListener: (type, fn) => { handlers[type] = fn; } };
+    const context = vm.createContext({
+        self,
+        URL,
+        Response,
+        caches: { open: () => Promise.resolve(cache), match: cache.match, keys: () => Promise.resolve([]) },
+        fetch: (request) => new Promise(resolve => resolve(new Response(network(request.url)))),
+        importScripts: (file) => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context)
+    });
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), context);
+
+    return async (file, mode = 'no-cors') => {
+        let responded;
+        const pending = [];
+        handlers.fetch({
+            request: { url: `${ORIGIN}/${file}`, method: 'GET', mode },
+            respondWith: (promise) => { responded = promise; },
+            waitUntil: (promise) => pending.push(promise)
+        });
+        const body = await (await responded).text();
+        await Promise.all(pending);
+        const stored = store.get(`${ORIGIN}/${file.split('?')[0]}`);
+        return { body, cache: stored && await stored.clone().text() };
+    };
+}
+
+test('service worker: app code comes from the network and refreshes the offline copy', async () => {
+    const fetchFor = loadWorker({ 'script.js': 'old', 'index.html': 'old page' }, (url) => `new ${new URL(url).pathname}`);
+    assert.deepEqual(await fetchFor('script.js'), { body: 'new /script.js', cache: 'new /script.js' });
+    assert.deepEqual(await fetchFor('index.html?design=rct', 'navigate'), { body: 'new /index.html', cache: 'new /index.html' });
+});
+
+test('service worker: offline, app code and permalinks fall back to the cache', async () => {
+    const offline = () => { throw new TypeError('Failed to fetch'); };
+    const fetchFor = loadWorker({ 'script.js': 'cached code', 'index.html': 'cached page' }, offline);
+    assert.equal((await fetchFor('script.js')).body, 'cached code');
+    assert.equal((await fetchFor('?design=rct&power=90', 'navigate')).body, 'cached page');
+});
+
+test('service worker: fonts and icons are served from the cache first', async () => {
+    const fetchFor = loadWorker({ 'icon.svg': 'cached icon' }, () => 'network icon');
+    assert.equal((await fetchFor('icon.svg')).body, 'cached icon');
+});
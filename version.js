@@ -0,0 +1,3 @@
+// App version, stamped into exported reports. sw.js names its cache after it, so bumping it
+// with every deployment is what makes installed apps fetch the new files and offer to reload.
+const APP_VERSION = '1.1.0';